@@ -65,6 +65,39 @@ class AddObjectCommand extends Command {
     }
 }
 
+/**
+ * Command for adding several objects to the plot as a single undo step
+ */
+class AddObjectsCommand extends Command {
+    constructor(plot_editor, objects, description) {
+        super();
+        this.plot_editor = plot_editor;
+        this.objects = objects;
+        this.description = description;
+    }
+    
+    execute() {
+        this.plot_editor.plot_objects.push(...this.objects);
+        this.plot_editor.updateObjectList();
+        this.plot_editor.redraw();
+    }
+    
+    undo() {
+        const ids = new Set(this.objects.map(obj => obj.id));
+        this.plot_editor.plot_objects = this.plot_editor.plot_objects.filter(obj => !ids.has(obj.id));
+        if (this.plot_editor.selected_object && ids.has(this.plot_editor.selected_object.id)) {
+            this.plot_editor.selected_object = null;
+            this.plot_editor.updatePropertiesPanel();
+        }
+        this.plot_editor.updateObjectList();
+        this.plot_editor.redraw();
+    }
+    
+    getDescription() {
+        return this.description;
+    }
+}
+
 /**
  * Command for deleting objects from the plot
  */
@@ -113,16 +146,24 @@ class ModifyObjectCommand extends Command {
     
     execute() {
         this.object[this.property] = this.new_value;
+        this.updateLinkedObjects();
         this.plot_editor.updateObjectList();
         this.plot_editor.redraw();
     }
     
     undo() {
         this.object[this.property] = this.old_value;
+        this.updateLinkedObjects();
         this.plot_editor.updateObjectList();
         this.plot_editor.redraw();
     }
     
+    updateLinkedObjects() {
+        if (this.object.type === 'function' && this.property === 'expression') {
+            this.plot_editor.updateLinkedFunctions(this.object);
+        }
+    }
+    
     getDescription() {
         return `Modify ${this.object.type} ${this.property}`;
     }
@@ -234,6 +275,31 @@ class PlotEditor {
         this.plot_width = this.canvas.width - 2 * this.canvas_padding;
         this.plot_height = this.canvas.height - 2 * this.canvas_padding;
         
+        // Geometry computed over the visible bounds, keyed by object id -> {key, data}
+        this.sample_cache = new Map();
+        
+        // Function evaluators [f, f', f''], keyed by object id -> {key, data}
+        this.evaluator_cache = new Map();
+        
+        // Named parameters {name, value, min, max, step} available in every expression
+        this.parameters = [];
+        
+        // User-defined functions and constants, e.g. "g(x) = x^2 + 1" or "c = 3", in definition order
+        this.definitions = [];
+        this.base_scope = null; // Parameters and compiled definitions by name, rebuilt by refreshScope
+        this.definition_nodes = new Map(); // Function name -> {params, body} for symbolic expansion
+        this.definition_errors = []; // Error message or null per definition
+        
+        // Parameter animation playback
+        this.animation_state = {
+            timer: null,
+            name: null,
+            values: [],
+            index: 0,
+            mode: 'loop',
+            on_stop: null
+        };
+        
         // Plot objects storage
         this.plot_objects = [];
         this.selected_object = null;
@@ -251,7 +317,8 @@ class PlotEditor {
         this.drawing_state = {
             is_drawing: false,
             temp_object: null,
-            start_point: null
+            start_point: null,
+            vertices: [] // Clicked vertices for polygon and polyline tools
         };
         
         // Dragging state for object movement
@@ -260,9 +327,36 @@ class PlotEditor {
             dragged_object: null,
             drag_start_mouse: null,
             drag_start_coords: null,
-            drag_offset: null
+            drag_offset: null,
+            vertex_index: null // Set when a single polygon/polyline vertex is dragged
         };
         
+        // Riemann sum whose subinterval count is previewed while typing: {object, n} with the committed n
+        this.riemann_preview = null;
+
+        // View state for panning and zooming the visible region
+        this.view_state = {
+            is_panning: false,
+            pan_start_mouse: null,
+            pan_start_bounds: null,
+            pan_saved_cursor: null,
+            space_pressed: false,
+            suppress_click: false,
+            pinch_start_distance: null,
+            pinch_start_center: null,
+            pinch_start_bounds: null
+        };
+        this.zoom_step = 1.1; // Bounds scale factor per wheel notch
+        this.min_view_range = 1e-6; // Smallest allowed axis range
+        this.max_view_range = 1e6; // Largest allowed axis range
+        
+        // Function tracing under the cursor
+        this.trace_enabled = true;
+        this.trace_distance = 12; // Largest vertical pixel distance from a curve that still traces it
+        this.trace = null; // {func, x, y, slope, second: {func, y} or null} while tracing
+        this.trace_cursor = null; // Canvas coordinates {x, y} of the cursor the trace was taken at
+        this.trace_background = null; // Main canvas without the trace marker, restored when only the trace moves
+
         // Initialize undo/redo system
         this.command_history = [];
         this.current_command_index = -1;
@@ -360,13 +454,23 @@ class PlotEditor {
     
     /**
      * Set up event listeners for canvas interaction
-     * side-effects: Adds event listeners to canvas element
+     * side-effects: Adds event listeners to canvas element, document and window
      */
     setupEventListeners() {
         this.canvas.addEventListener('mousedown', this.handleMouseDown.bind(this));
         this.canvas.addEventListener('mousemove', this.handleMouseMove.bind(this));
         this.canvas.addEventListener('mouseup', this.handleMouseUp.bind(this));
+        this.canvas.addEventListener('mouseleave', this.handleMouseLeave.bind(this));
         this.canvas.addEventListener('click', this.handleClick.bind(this));
+        this.canvas.addEventListener('dblclick', this.handleDoubleClick.bind(this));
+        this.canvas.addEventListener('wheel', this.handleWheel.bind(this), { passive: false });
+        this.canvas.addEventListener('touchstart', this.handleTouchStart.bind(this), { passive: false });
+        this.canvas.addEventListener('touchmove', this.handleTouchMove.bind(this), { passive: false });
+        this.canvas.addEventListener('touchend', this.handleTouchEnd.bind(this));
+        this.canvas.addEventListener('touchcancel', this.handleTouchEnd.bind(this));
+        document.addEventListener('keydown', this.handleKeyDown.bind(this));
+        document.addEventListener('keyup', this.handleKeyUp.bind(this));
+        window.addEventListener('mouseup', this.handleWindowMouseUp.bind(this));
     }
     
     /**
@@ -380,7 +484,21 @@ class PlotEditor {
         const canvas_y = event.clientY - rect.top;
         const plot_coords = this.canvasToPlot(canvas_x, canvas_y);
         
+        // Middle button or space + left button pans the view
+        if (event.button === 1 || (event.button === 0 && this.view_state.space_pressed)) {
+            event.preventDefault();
+            this.startPanning({ x: canvas_x, y: canvas_y });
+            return;
+        }
+        
         if (this.current_tool === 'select') {
+            // Vertex handles of the selected polygon take priority over object picking
+            const vertex_index = this.getVertexHandleAt({ x: canvas_x, y: canvas_y });
+            if (vertex_index !== null) {
+                this.startDragging(this.selected_object, { x: canvas_x, y: canvas_y }, plot_coords, vertex_index);
+                return;
+            }
+            
             // First, check if we're clicking on an existing object
             const clicked_object = this.getObjectAt(plot_coords);
             
@@ -392,8 +510,10 @@ class PlotEditor {
                 // Clicking on empty space - deselect
                 this.selectObject(null);
             }
-        } else if (this.current_tool === 'line' || this.current_tool === 'area' || this.current_tool === 'brace') {
+        } else if (this.isDragDrawingTool(this.current_tool)) {
             this.startDrawing(plot_coords);
+        } else if (this.isMultiClickTool(this.current_tool)) {
+            this.addDrawingVertex(plot_coords);
         }
     }
     
@@ -411,6 +531,12 @@ class PlotEditor {
         // Update coordinate display
         this.updateCoordinateDisplay(plot_coords);
         
+        // Handle view panning
+        if (this.view_state.is_panning) {
+            this.updatePanning({ x: canvas_x, y: canvas_y });
+            return;
+        }
+        
         // Handle dragging
         if (this.dragging_state.is_dragging) {
             this.updateDragging({ x: canvas_x, y: canvas_y }, plot_coords);
@@ -424,8 +550,25 @@ class PlotEditor {
         
         // Update cursor based on what's under the mouse
         if (this.current_tool === 'select') {
-            const object_under_mouse = this.getObjectAt(plot_coords);
-            this.canvas.style.cursor = object_under_mouse ? 'move' : 'default';
+            if (this.getVertexHandleAt({ x: canvas_x, y: canvas_y }) !== null) {
+                this.canvas.style.cursor = 'crosshair';
+            } else {
+                const object_under_mouse = this.getObjectAt(plot_coords);
+                this.canvas.style.cursor = object_under_mouse ? 'move' : 'default';
+            }
+            
+            this.updateTrace({ x: canvas_x, y: canvas_y }, plot_coords);
+        }
+    }
+    
+    /**
+     * Handle the mouse leaving the canvas
+     * @param {MouseEvent} event - Mouse event
+     * side-effects: Removes the function trace marker
+     */
+    handleMouseLeave(event) {
+        if (this.trace) {
+            this.showTrace(null);
         }
     }
     
@@ -440,22 +583,39 @@ class PlotEditor {
         const canvas_y = event.clientY - rect.top;
         const plot_coords = this.canvasToPlot(canvas_x, canvas_y);
         
+        // Handle panning completion
+        if (this.view_state.is_panning) {
+            this.stopPanning();
+            return;
+        }
+        
         // Handle dragging completion
         if (this.dragging_state.is_dragging) {
             this.stopDragging();
             return;
         }
         
-        // Handle drawing completion
-        if (this.drawing_state.is_drawing) {
+        // Handle drawing completion (multi-click tools finish on double-click or Enter)
+        if (this.drawing_state.is_drawing && !this.isMultiClickTool(this.current_tool)) {
             this.completeDrawing(plot_coords);
         }
     }
     
+    /**
+     * Handle mouse up events outside the canvas
+     * @param {MouseEvent} event - Mouse event
+     * side-effects: Stops panning if the button was released after leaving the canvas
+     */
+    handleWindowMouseUp(event) {
+        if (this.view_state.is_panning) {
+            this.stopPanning();
+        }
+    }
+    
     /**
      * Handle click events
      * @param {MouseEvent} event - Mouse event
-     * side-effects: May add point or text object
+     * side-effects: May add point, text, ODE solution or tangent object
      */
     handleClick(event) {
         const rect = this.canvas.getBoundingClientRect();
@@ -463,11 +623,368 @@ class PlotEditor {
         const canvas_y = event.clientY - rect.top;
         const plot_coords = this.canvasToPlot(canvas_x, canvas_y);
         
+        // Ignore the click that ends a space + drag pan
+        if (this.view_state.suppress_click) {
+            this.view_state.suppress_click = false;
+            return;
+        }
+        
         if (this.current_tool === 'point') {
             this.addPoint(plot_coords);
         } else if (this.current_tool === 'text') {
             this.addText(plot_coords);
+        } else if (this.current_tool === 'ode') {
+            this.addODESolution(plot_coords);
+        } else if (this.current_tool === 'tangent') {
+            this.addTangentAtClick(plot_coords);
+        }
+    }
+    
+    /**
+     * Handle double click events
+     * @param {MouseEvent} event - Mouse event
+     * side-effects: Finishes polygon/polyline drawing or inserts a vertex on the selected polygon
+     */
+    handleDoubleClick(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        const canvas_x = event.clientX - rect.left;
+        const canvas_y = event.clientY - rect.top;
+        
+        if (this.drawing_state.is_drawing && this.isMultiClickTool(this.current_tool)) {
+            // Both clicks of the double-click added vertices; drop the ones on top of their predecessor
+            const vertices = this.drawing_state.vertices;
+            while (vertices.length > 1) {
+                const last = this.plotToCanvas(vertices[vertices.length - 1].x, vertices[vertices.length - 1].y);
+                const previous = this.plotToCanvas(vertices[vertices.length - 2].x, vertices[vertices.length - 2].y);
+                if (Math.abs(last.x - previous.x) > 3 || Math.abs(last.y - previous.y) > 3) break;
+                vertices.pop();
+            }
+            this.completeDrawing(null);
+        } else if (this.current_tool === 'select') {
+            this.insertVertexAtCanvas({ x: canvas_x, y: canvas_y });
+        }
+    }
+
+    /**
+     * Handle mouse wheel events
+     * @param {WheelEvent} event - Wheel event
+     * side-effects: Zooms the view around the cursor position
+     */
+    handleWheel(event) {
+        event.preventDefault();
+
+        const rect = this.canvas.getBoundingClientRect();
+        const canvas_x = event.clientX - rect.left;
+        const canvas_y = event.clientY - rect.top;
+
+        // Scrolling down zooms out, scrolling up zooms in
+        const zoom_factor = event.deltaY > 0 ? this.zoom_step : 1 / this.zoom_step;
+        this.zoomView(canvas_x, canvas_y, zoom_factor);
+    }
+
+    /**
+     * Handle touch start events
+     * @param {TouchEvent} event - Touch event
+     * side-effects: Starts pinch gesture when two fingers touch the canvas
+     */
+    handleTouchStart(event) {
+        if (event.touches.length !== 2) return;
+        event.preventDefault();
+
+        const pinch = this.getPinchGeometry(event.touches);
+        this.view_state.pinch_start_distance = pinch.distance;
+        this.view_state.pinch_start_center = pinch.center;
+        this.view_state.pinch_start_bounds = { ...this.plot_bounds };
+    }
+
+    /**
+     * Handle touch move events
+     * @param {TouchEvent} event - Touch event
+     * side-effects: Zooms and pans the view following the pinch gesture
+     */
+    handleTouchMove(event) {
+        if (event.touches.length !== 2 || this.view_state.pinch_start_bounds === null) return;
+        event.preventDefault();
+
+        const pinch = this.getPinchGeometry(event.touches);
+        if (pinch.distance < 1) return;
+
+        const start_bounds = this.view_state.pinch_start_bounds;
+        const start_center = this.view_state.pinch_start_center;
+        const zoom_factor = this.view_state.pinch_start_distance / pinch.distance;
+
+        // Zoom the starting view around the plot point under the initial pinch center
+        this.plot_bounds = { ...start_bounds };
+        const anchor = this.canvasToPlot(start_center.x, start_center.y);
+        const pixel_scale = this.getPixelScale();
+        const zoomed_bounds = this.getZoomedBounds(start_bounds, anchor, zoom_factor);
+        if (zoomed_bounds === null) return;
+
+        // Then pan so the anchor follows the moving pinch center
+        const shift_x = (pinch.center.x - start_center.x) * pixel_scale.x * zoom_factor;
+        const shift_y = (pinch.center.y - start_center.y) * pixel_scale.y * zoom_factor;
+        this.setViewBounds({
+            x_min: zoomed_bounds.x_min - shift_x,
+            x_max: zoomed_bounds.x_max - shift_x,
+            y_min: zoomed_bounds.y_min + shift_y,
+            y_max: zoomed_bounds.y_max + shift_y
+        });
+    }
+
+    /**
+     * Handle touch end events
+     * @param {TouchEvent} event - Touch event
+     * side-effects: Ends pinch gesture when fewer than two fingers remain
+     */
+    handleTouchEnd(event) {
+        if (event.touches.length < 2) {
+            this.view_state.pinch_start_distance = null;
+            this.view_state.pinch_start_center = null;
+            this.view_state.pinch_start_bounds = null;
+        }
+    }
+
+    /**
+     * Get distance and center of a two-finger touch in canvas coordinates
+     * @param {TouchList} touches - Active touches (at least two)
+     * @returns {Object} Pinch geometry {distance, center: {x, y}}
+     */
+    getPinchGeometry(touches) {
+        const rect = this.canvas.getBoundingClientRect();
+        const first = { x: touches[0].clientX - rect.left, y: touches[0].clientY - rect.top };
+        const second = { x: touches[1].clientX - rect.left, y: touches[1].clientY - rect.top };
+
+        return {
+            distance: Math.sqrt((second.x - first.x) ** 2 + (second.y - first.y) ** 2),
+            center: { x: (first.x + second.x) / 2, y: (first.y + second.y) / 2 }
+        };
+    }
+
+    /**
+     * Handle key down events for view navigation and multi-click drawing
+     * @param {KeyboardEvent} event - Keyboard event
+     * side-effects: Arms space-drag panning or completes polygon drawing
+     */
+    handleKeyDown(event) {
+        if (this.isTypingTarget(event.target)) return;
+        
+        // Enter finishes the polygon or polyline being drawn
+        if (event.key === 'Enter' && this.drawing_state.is_drawing && this.isMultiClickTool(this.current_tool)) {
+            event.preventDefault();
+            this.completeDrawing(null);
+            return;
+        }
+        
+        if (event.key !== ' ') return;
+
+        // Prevent page scrolling while space is held for panning
+        event.preventDefault();
+        if (!this.view_state.space_pressed) {
+            this.view_state.space_pressed = true;
+            if (!this.view_state.is_panning) {
+                this.view_state.pan_saved_cursor = this.canvas.style.cursor;
+                this.canvas.style.cursor = 'grab';
+            }
+        }
+    }
+
+    /**
+     * Handle key up events for view navigation
+     * @param {KeyboardEvent} event - Keyboard event
+     * side-effects: Disarms space-drag panning
+     */
+    handleKeyUp(event) {
+        if (event.key !== ' ' || !this.view_state.space_pressed) return;
+
+        this.view_state.space_pressed = false;
+        if (!this.view_state.is_panning) {
+            this.canvas.style.cursor = this.view_state.pan_saved_cursor || 'default';
+            this.view_state.pan_saved_cursor = null;
+        }
+    }
+
+    /**
+     * Check whether an event target is a text entry element
+     * @param {EventTarget} target - Event target
+     * @returns {boolean} True if keys typed into the target should be left alone
+     */
+    isTypingTarget(target) {
+        if (!target || !target.tagName) return false;
+        const tag_name = target.tagName.toUpperCase();
+        return tag_name === 'INPUT' || tag_name === 'TEXTAREA' || tag_name === 'SELECT' || target.isContentEditable === true;
+    }
+
+    /**
+     * Start panning the view
+     * @param {Object} mouse_coords - Mouse canvas coordinates {x, y}
+     * side-effects: Initializes panning state
+     */
+    startPanning(mouse_coords) {
+        this.view_state.is_panning = true;
+        this.view_state.pan_start_mouse = mouse_coords;
+        this.view_state.pan_start_bounds = { ...this.plot_bounds };
+        if (!this.view_state.space_pressed) {
+            this.view_state.pan_saved_cursor = this.canvas.style.cursor;
+        }
+
+        this.canvas.style.cursor = 'grabbing';
+    }
+
+    /**
+     * Update the view during panning
+     * @param {Object} mouse_coords - Current mouse canvas coordinates {x, y}
+     * side-effects: Shifts plot bounds and redraws
+     */
+    updatePanning(mouse_coords) {
+        const start_bounds = this.view_state.pan_start_bounds;
+        const pixel_scale = this.getPixelScale();
+        const shift_x = (mouse_coords.x - this.view_state.pan_start_mouse.x) * pixel_scale.x;
+        const shift_y = (mouse_coords.y - this.view_state.pan_start_mouse.y) * pixel_scale.y;
+
+        this.setViewBounds({
+            x_min: start_bounds.x_min - shift_x,
+            x_max: start_bounds.x_max - shift_x,
+            y_min: start_bounds.y_min + shift_y,
+            y_max: start_bounds.y_max + shift_y
+        });
+    }
+
+    /**
+     * Stop panning the view
+     * side-effects: Resets panning state and cursor
+     */
+    stopPanning() {
+        // A space + left drag is followed by a click event that must not create objects
+        this.view_state.suppress_click = this.view_state.space_pressed;
+
+        this.view_state.is_panning = false;
+        this.view_state.pan_start_mouse = null;
+        this.view_state.pan_start_bounds = null;
+
+        if (this.view_state.space_pressed) {
+            this.canvas.style.cursor = 'grab';
+        } else {
+            this.canvas.style.cursor = this.view_state.pan_saved_cursor || 'default';
+            this.view_state.pan_saved_cursor = null;
+        }
+    }
+
+    /**
+     * Zoom the view around a canvas position
+     * @param {number} canvas_x - Canvas X coordinate that stays fixed
+     * @param {number} canvas_y - Canvas Y coordinate that stays fixed
+     * @param {number} zoom_factor - Range multiplier (> 1 zooms out, < 1 zooms in)
+     * side-effects: Updates plot bounds and redraws
+     */
+    zoomView(canvas_x, canvas_y, zoom_factor) {
+        assert(zoom_factor > 0, `Expected zoom_factor to be positive, got ${zoom_factor}`);
+
+        const anchor = this.canvasToPlot(canvas_x, canvas_y);
+        const zoomed_bounds = this.getZoomedBounds(this.plot_bounds, anchor, zoom_factor);
+        if (zoomed_bounds !== null) {
+            this.setViewBounds(zoomed_bounds);
+        }
+    }
+
+    /**
+     * Scale bounds around an anchor point
+     * Both axes are scaled by the same factor so the aspect ratio layout is preserved
+     * @param {Object} bounds - Bounds to scale {x_min, x_max, y_min, y_max}
+     * @param {Object} anchor - Plot coordinates that stay fixed {x, y}
+     * @param {number} zoom_factor - Range multiplier
+     * @returns {Object|null} Scaled bounds or null if they exceed the allowed zoom range
+     */
+    getZoomedBounds(bounds, anchor, zoom_factor) {
+        const new_x_range = (bounds.x_max - bounds.x_min) * zoom_factor;
+        const new_y_range = (bounds.y_max - bounds.y_min) * zoom_factor;
+
+        if (Math.min(new_x_range, new_y_range) < this.min_view_range ||
+            Math.max(new_x_range, new_y_range) > this.max_view_range) {
+            return null;
+        }
+
+        return {
+            x_min: anchor.x - (anchor.x - bounds.x_min) * zoom_factor,
+            x_max: anchor.x + (bounds.x_max - anchor.x) * zoom_factor,
+            y_min: anchor.y - (anchor.y - bounds.y_min) * zoom_factor,
+            y_max: anchor.y + (bounds.y_max - anchor.y) * zoom_factor
+        };
+    }
+
+    /**
+     * Get plot units per canvas pixel for the current view
+     * @returns {Object} Scale {x, y} in plot units per pixel (both positive)
+     */
+    getPixelScale() {
+        const origin = this.canvasToPlot(0, 0);
+        const unit = this.canvasToPlot(1, 1);
+        return { x: unit.x - origin.x, y: origin.y - unit.y };
+    }
+
+    /**
+     * Set the visible region from interactive navigation
+     * @param {Object} bounds - New bounds {x_min, x_max, y_min, y_max}
+     * side-effects: Updates plot bounds, redraws and syncs axes range inputs
+     */
+    setViewBounds(bounds) {
+        assert(bounds.x_min < bounds.x_max, `Expected x_min (${bounds.x_min}) to be less than x_max (${bounds.x_max})`);
+        assert(bounds.y_min < bounds.y_max, `Expected y_min (${bounds.y_min}) to be less than y_max (${bounds.y_max})`);
+
+        this.updatePlotBounds(bounds);
+        this.updateBoundsInputs();
+    }
+
+    /**
+     * Update axes range inputs to match the current plot bounds
+     * side-effects: Updates x-min/x-max/y-min/y-max input values
+     */
+    updateBoundsInputs() {
+        const input_values = {
+            'x-min': this.plot_bounds.x_min,
+            'x-max': this.plot_bounds.x_max,
+            'y-min': this.plot_bounds.y_min,
+            'y-max': this.plot_bounds.y_max
+        };
+
+        for (const [input_id, value] of Object.entries(input_values)) {
+            const input_element = document.getElementById(input_id);
+            if (input_element) {
+                input_element.value = parseFloat(value.toPrecision(6));
+            }
+        }
+    }
+
+    /**
+     * Check whether a tool creates objects by click-and-drag
+     * @param {string} tool - Tool name
+     * @returns {boolean} True for two-point drawing tools
+     */
+    isDragDrawingTool(tool) {
+        const drag_tools = ['line', 'area', 'brace', 'arrow', 'circle', 'ellipse', 'arc'];
+        return drag_tools.includes(tool);
+    }
+    
+    /**
+     * Check whether a tool creates objects from a sequence of clicks
+     * @param {string} tool - Tool name
+     * @returns {boolean} True for polygon and polyline tools
+     */
+    isMultiClickTool(tool) {
+        return tool === 'polygon' || tool === 'polyline';
+    }
+    
+    /**
+     * Add a vertex to the polygon or polyline being drawn
+     * @param {Object} coords - Vertex coordinates {x, y}
+     * side-effects: Starts drawing on the first vertex, appends to drawing_state.vertices
+     */
+    addDrawingVertex(coords) {
+        if (!this.drawing_state.is_drawing) {
+            this.startDrawing(coords);
+            this.drawing_state.vertices = [];
         }
+        this.drawing_state.vertices.push({ x: coords.x, y: coords.y });
+        this.updateDrawingPreview(coords);
     }
     
     /**
@@ -494,12 +1011,18 @@ class PlotEditor {
             this.drawAreaPreview(this.drawing_state.start_point, current_coords);
         } else if (this.current_tool === 'brace') {
             this.drawBracePreview(this.drawing_state.start_point, current_coords);
+        } else if (this.current_tool === 'arrow') {
+            this.drawArrowPreview(this.drawing_state.start_point, current_coords);
+        } else if (this.current_tool === 'circle' || this.current_tool === 'ellipse' || this.current_tool === 'arc') {
+            this.drawShapePreview(this.current_tool, this.drawing_state.start_point, current_coords);
+        } else if (this.isMultiClickTool(this.current_tool)) {
+            this.drawPolygonPreview(this.current_tool, this.drawing_state.vertices, current_coords);
         }
     }
     
     /**
      * Complete drawing operation
-     * @param {Object} end_coords - Ending coordinates {x, y}
+     * @param {Object|null} end_coords - Ending coordinates {x, y} (unused by multi-click tools)
      * side-effects: Adds object to plot and resets drawing state
      */
     completeDrawing(end_coords) {
@@ -509,10 +1032,21 @@ class PlotEditor {
             this.addArea(this.drawing_state.start_point, end_coords);
         } else if (this.current_tool === 'brace') {
             this.addBrace(this.drawing_state.start_point, end_coords);
+        } else if (this.current_tool === 'arrow') {
+            this.addArrow(this.drawing_state.start_point, end_coords);
+        } else if (this.current_tool === 'circle') {
+            this.addCircle(this.drawing_state.start_point, end_coords);
+        } else if (this.current_tool === 'ellipse') {
+            this.addEllipse(this.drawing_state.start_point, end_coords);
+        } else if (this.current_tool === 'arc') {
+            this.addArc(this.drawing_state.start_point, end_coords);
+        } else if (this.isMultiClickTool(this.current_tool)) {
+            this.addPolygon(this.drawing_state.vertices, this.current_tool === 'polygon');
         }
         
         this.drawing_state.is_drawing = false;
         this.drawing_state.start_point = null;
+        this.drawing_state.vertices = [];
         this.redraw();
     }
     
@@ -824,7 +1358,17 @@ class PlotEditor {
      * side-effects: Adds point object to plot_objects array
      */
     addPoint(coords) {
-        const point_object = {
+        const command = new AddObjectCommand(this, this.createPoint(coords));
+        this.executeCommand(command);
+    }
+    
+    /**
+     * Create a point object with default styling without adding it to the plot
+     * @param {Object} coords - Coordinates {x, y}
+     * @returns {Object} Point object
+     */
+    createPoint(coords) {
+        return {
             type: 'point',
             id: this.generateId(),
             x: coords.x,
@@ -837,11 +1381,10 @@ class PlotEditor {
             text_font_size: 12,
             text_font_family: 'Arial',
             coords_font_size: 10,
-            coords_font_family: 'Arial'
+            coords_font_family: 'Arial',
+            x_error: null, // {minus, plus} or null
+            y_error: null
         };
-        
-        const command = new AddObjectCommand(this, point_object);
-        this.executeCommand(command);
     }
     
     /**
@@ -867,6 +1410,32 @@ class PlotEditor {
         this.executeCommand(command);
     }
     
+    /**
+     * Add an arrow to the plot
+     * @param {Object} start_coords - Tail coordinates {x, y}
+     * @param {Object} end_coords - Tip coordinates {x, y}
+     * side-effects: Adds arrow object to plot_objects array
+     */
+    addArrow(start_coords, end_coords) {
+        const arrow_object = {
+            type: 'arrow',
+            id: this.generateId(),
+            x1: start_coords.x,
+            y1: start_coords.y,
+            x2: end_coords.x,
+            y2: end_coords.y,
+            color: '#333333',
+            width: 2,
+            head_style: 'filled', // none, open, filled, or double
+            head_size: 12,
+            dash_style: 'solid', // solid, dashed, dotted, or dashdot
+            z_index: 0
+        };
+        
+        const command = new AddObjectCommand(this, arrow_object);
+        this.executeCommand(command);
+    }
+    
     /**
      * Add a filled area to the plot
      * @param {Object} start_coords - Start coordinates {x, y}
@@ -890,36 +1459,281 @@ class PlotEditor {
     }
     
     /**
-     * Add text to the plot
-     * @param {Object} coords - Coordinates {x, y}
-     * side-effects: Adds text object to plot_objects array
+     * Add a circle to the plot
+     * The radius is in plot units, so the circle becomes an ellipse under non-1 aspect ratio
+     * @param {Object} center_coords - Center coordinates {x, y}
+     * @param {Object} edge_coords - Coordinates on the circle {x, y}
+     * side-effects: Adds circle object to plot_objects array
      */
-    addText(coords) {
-        const text_content = prompt('Enter text:');
-        if (text_content) {
-            const text_object = {
-                type: 'text',
-                id: this.generateId(),
-                x: coords.x,
-                y: coords.y,
-                text: text_content,
-                color: '#333333',
-                font_size: 14,
-                font_family: 'Arial',
-                rotation: 0,
-                z_index: 0
-            };
-            const command = new AddObjectCommand(this, text_object);
-            this.executeCommand(command);
-            this.redraw();
-        }
+    addCircle(center_coords, edge_coords) {
+        const radius = Math.sqrt((edge_coords.x - center_coords.x) ** 2 + (edge_coords.y - center_coords.y) ** 2);
+        if (radius === 0) return;
+        
+        const circle_object = {
+            type: 'circle',
+            id: this.generateId(),
+            cx: center_coords.x,
+            cy: center_coords.y,
+            radius: radius,
+            filled: true,
+            fill_color: '#2196F350',
+            border_color: '#2196F3',
+            border_width: 2,
+            dash_style: 'solid',
+            z_index: 0
+        };
+        const command = new AddObjectCommand(this, circle_object);
+        this.executeCommand(command);
     }
     
     /**
-     * Add a curly brace to the plot
-     * @param {Object} start_coords - Start coordinates {x, y}
-     * @param {Object} end_coords - End coordinates {x, y}
-     * side-effects: Adds brace object to plot_objects array
+     * Add an ellipse to the plot
+     * @param {Object} start_coords - Bounding box corner {x, y}
+     * @param {Object} end_coords - Opposite bounding box corner {x, y}
+     * side-effects: Adds ellipse object to plot_objects array
+     */
+    addEllipse(start_coords, end_coords) {
+        const rx = Math.abs(end_coords.x - start_coords.x) / 2;
+        const ry = Math.abs(end_coords.y - start_coords.y) / 2;
+        if (rx === 0 || ry === 0) return;
+        
+        const ellipse_object = {
+            type: 'ellipse',
+            id: this.generateId(),
+            cx: (start_coords.x + end_coords.x) / 2,
+            cy: (start_coords.y + end_coords.y) / 2,
+            rx: rx,
+            ry: ry,
+            rotation: 0, // Degrees, counter-clockwise in plot coordinates
+            filled: true,
+            fill_color: '#9C27B050',
+            border_color: '#9C27B0',
+            border_width: 2,
+            dash_style: 'solid',
+            z_index: 0
+        };
+        const command = new AddObjectCommand(this, ellipse_object);
+        this.executeCommand(command);
+    }
+    
+    /**
+     * Add a circular arc to the plot
+     * The arc starts at 0° and sweeps counter-clockwise to the angle of edge_coords
+     * @param {Object} center_coords - Center coordinates {x, y}
+     * @param {Object} edge_coords - Coordinates of the arc end {x, y}
+     * side-effects: Adds arc object to plot_objects array
+     */
+    addArc(center_coords, edge_coords) {
+        const dx = edge_coords.x - center_coords.x;
+        const dy = edge_coords.y - center_coords.y;
+        const radius = Math.sqrt(dx * dx + dy * dy);
+        if (radius === 0) return;
+        
+        let end_angle = Math.atan2(dy, dx) * 180 / Math.PI;
+        if (end_angle <= 0) end_angle += 360;
+        
+        const arc_object = {
+            type: 'arc',
+            id: this.generateId(),
+            cx: center_coords.x,
+            cy: center_coords.y,
+            radius: radius,
+            start_angle: 0, // Degrees, counter-clockwise from the positive X axis
+            end_angle: end_angle,
+            arc_type: 'arc', // arc or sector
+            filled: false,
+            fill_color: '#FF980050',
+            border_color: '#FF9800',
+            border_width: 2,
+            dash_style: 'solid',
+            z_index: 0
+        };
+        const command = new AddObjectCommand(this, arc_object);
+        this.executeCommand(command);
+    }
+    
+    /**
+     * Add a polygon or polyline to the plot
+     * @param {Object[]} vertices - Vertex coordinates [{x, y}, ...]
+     * @param {boolean} closed - True for a filled polygon, false for an open polyline
+     * side-effects: Adds polygon or polyline object to plot_objects array
+     */
+    addPolygon(vertices, closed) {
+        const min_vertices = closed ? 3 : 2;
+        if (vertices.length < min_vertices) return;
+        
+        const points = vertices.map(vertex => ({ x: vertex.x, y: vertex.y }));
+        const polygon_object = closed ? {
+            type: 'polygon',
+            id: this.generateId(),
+            points: points,
+            filled: true,
+            fill_color: '#4CAF5050',
+            border_color: '#4CAF50',
+            border_width: 2,
+            dash_style: 'solid',
+            z_index: 0
+        } : {
+            type: 'polyline',
+            id: this.generateId(),
+            points: points,
+            color: '#2196F3',
+            width: 2,
+            dash_style: 'solid',
+            z_index: 0
+        };
+        
+        const command = new AddObjectCommand(this, polygon_object);
+        this.executeCommand(command);
+    }
+    
+    /**
+     * Find the vertex handle of the selected polygon/polyline under a canvas position
+     * @param {Object} canvas_coords - Canvas coordinates {x, y}
+     * @returns {number|null} Vertex index or null if no handle is hit
+     */
+    getVertexHandleAt(canvas_coords) {
+        const obj = this.selected_object;
+        if (!obj || (obj.type !== 'polygon' && obj.type !== 'polyline')) return null;
+        
+        const handle_radius = 6;
+        for (let i = obj.points.length - 1; i >= 0; i--) {
+            const vertex_coords = this.plotToCanvas(obj.points[i].x, obj.points[i].y);
+            if (Math.abs(vertex_coords.x - canvas_coords.x) <= handle_radius &&
+                Math.abs(vertex_coords.y - canvas_coords.y) <= handle_radius) {
+                return i;
+            }
+        }
+        return null;
+    }
+    
+    /**
+     * Insert a vertex where a canvas position touches an edge of the selected polygon/polyline
+     * @param {Object} canvas_coords - Canvas coordinates {x, y}
+     * side-effects: Inserts vertex through an undoable command if an edge is hit
+     */
+    insertVertexAtCanvas(canvas_coords) {
+        const obj = this.selected_object;
+        if (!obj || (obj.type !== 'polygon' && obj.type !== 'polyline')) return;
+        
+        const max_distance = 8;
+        const edge_count = obj.type === 'polygon' ? obj.points.length : obj.points.length - 1;
+        let best_edge = -1;
+        let best_distance = Infinity;
+        
+        for (let i = 0; i < edge_count; i++) {
+            const next = (i + 1) % obj.points.length;
+            const edge_start = this.plotToCanvas(obj.points[i].x, obj.points[i].y);
+            const edge_end = this.plotToCanvas(obj.points[next].x, obj.points[next].y);
+            const distance = this.distanceToLine(canvas_coords, edge_start, edge_end);
+            if (distance < best_distance) {
+                best_distance = distance;
+                best_edge = i;
+            }
+        }
+        
+        if (best_edge !== -1 && best_distance <= max_distance) {
+            const plot_coords = this.canvasToPlot(canvas_coords.x, canvas_coords.y);
+            const new_points = obj.points.map(vertex => ({ x: vertex.x, y: vertex.y }));
+            new_points.splice(best_edge + 1, 0, plot_coords);
+            this.updateObjectProperty('points', new_points);
+            this.updatePropertiesPanel();
+        }
+    }
+    
+    /**
+     * Insert a vertex after the given one, halfway along the following edge
+     * @param {number} vertex_index - Index of the vertex to insert after
+     * side-effects: Updates selected object's points through an undoable command
+     */
+    insertVertex(vertex_index) {
+        const obj = this.selected_object;
+        assert(obj && (obj.type === 'polygon' || obj.type === 'polyline'), 'Expected a polygon or polyline to be selected');
+        assert(vertex_index >= 0 && vertex_index < obj.points.length, `Expected vertex_index in range, got ${vertex_index}`);
+        
+        const current = obj.points[vertex_index];
+        let next = obj.points[(vertex_index + 1) % obj.points.length];
+        if (obj.type === 'polyline' && vertex_index === obj.points.length - 1) {
+            // Extend the open end by repeating the last segment
+            const previous = obj.points[vertex_index - 1];
+            next = { x: 2 * current.x - previous.x, y: 2 * current.y - previous.y };
+        }
+        
+        const new_points = obj.points.map(vertex => ({ x: vertex.x, y: vertex.y }));
+        new_points.splice(vertex_index + 1, 0, { x: (current.x + next.x) / 2, y: (current.y + next.y) / 2 });
+        this.updateObjectProperty('points', new_points);
+        this.updatePropertiesPanel();
+    }
+    
+    /**
+     * Delete a vertex of the selected polygon/polyline
+     * @param {number} vertex_index - Index of the vertex to delete
+     * side-effects: Updates selected object's points through an undoable command
+     */
+    deleteVertex(vertex_index) {
+        const obj = this.selected_object;
+        assert(obj && (obj.type === 'polygon' || obj.type === 'polyline'), 'Expected a polygon or polyline to be selected');
+        
+        const min_vertices = obj.type === 'polygon' ? 3 : 2;
+        if (obj.points.length <= min_vertices) {
+            alert(`A ${obj.type} needs at least ${min_vertices} vertices.`);
+            return;
+        }
+        
+        const new_points = obj.points.filter((vertex, index) => index !== vertex_index).map(vertex => ({ x: vertex.x, y: vertex.y }));
+        this.updateObjectProperty('points', new_points);
+        this.updatePropertiesPanel();
+    }
+    
+    /**
+     * Update one coordinate of a vertex of the selected polygon/polyline
+     * @param {number} vertex_index - Index of the vertex
+     * @param {string} axis - 'x' or 'y'
+     * @param {number} value - New coordinate value
+     * side-effects: Updates selected object's points through an undoable command
+     */
+    updateVertex(vertex_index, axis, value) {
+        const obj = this.selected_object;
+        assert(obj && (obj.type === 'polygon' || obj.type === 'polyline'), 'Expected a polygon or polyline to be selected');
+        assert(axis === 'x' || axis === 'y', `Expected axis to be 'x' or 'y', got ${axis}`);
+        if (!isFinite(value)) return;
+        
+        const new_points = obj.points.map(vertex => ({ x: vertex.x, y: vertex.y }));
+        new_points[vertex_index][axis] = value;
+        this.updateObjectProperty('points', new_points);
+    }
+    
+    /**
+     * Add text to the plot
+     * @param {Object} coords - Coordinates {x, y}
+     * side-effects: Adds text object to plot_objects array
+     */
+    addText(coords) {
+        const text_content = prompt('Enter text:');
+        if (text_content) {
+            const text_object = {
+                type: 'text',
+                id: this.generateId(),
+                x: coords.x,
+                y: coords.y,
+                text: text_content,
+                color: '#333333',
+                font_size: 14,
+                font_family: 'Arial',
+                rotation: 0,
+                z_index: 0
+            };
+            const command = new AddObjectCommand(this, text_object);
+            this.executeCommand(command);
+            this.redraw();
+        }
+    }
+    
+    /**
+     * Add a curly brace to the plot
+     * @param {Object} start_coords - Start coordinates {x, y}
+     * @param {Object} end_coords - End coordinates {x, y}
+     * side-effects: Adds brace object to plot_objects array
      */
     addBrace(start_coords, end_coords = null) {
         if (end_coords === null) {
@@ -992,2976 +1806,9225 @@ class PlotEditor {
     }
     
     /**
-     * Update the object list display
-     * side-effects: Updates the object list HTML
+     * Compute the expression of a derivative or antiderivative companion from its source function
+     * @param {string} relation - derivative or antiderivative
+     * @param {Object} source - Source function object
+     * @returns {Object} {expression} for symbolic derivatives, {expression, differentiand} for derivatives math.js
+     *                   cannot take symbolically, {expression, integrand} for antiderivatives
+     * @throws {Error} If the source is invalid, or is itself an antiderivative or numeric derivative
      */
-    updateObjectList() {
-        const object_list = document.getElementById('object-list');
-        if (!object_list) return;
+    getLinkedExpression(relation, source) {
+        if (source.link_error) {
+            throw new Error(`The ${source.relation} it is based on is undefined.`);
+        }
+        if (source.differentiand !== undefined) {
+            throw new Error(`${relation === 'derivative' ? 'Derivatives' : 'Antiderivatives'} of numeric derivatives are not supported.`);
+        }
         
-        if (this.plot_objects.length === 0) {
-            object_list.innerHTML = '<p class="no-objects">No objects in plot</p>';
+        if (relation === 'derivative') {
+            // The derivative of a numeric antiderivative is its integrand
+            if (source.relation === 'antiderivative') return { expression: source.integrand };
+            try {
+                return { expression: this.math.derivative(this.expandDefinitions(source.expression), 'x').toString() };
+            } catch (error) {
+                // No symbolic rule (e.g. floor): differentiate numerically like getFunctionEvaluators
+                this.math.compile(source.expression); // Fail on invalid expressions
+                return { expression: `d/dx (${source.expression})`, differentiand: source.expression };
+            }
+        }
+        
+        if (source.relation === 'antiderivative') {
+            throw new Error('Antiderivatives of antiderivatives are not supported.');
+        }
+        this.math.compile(source.expression); // Fail early on invalid expressions
+        return { expression: `∫ (${source.expression}) dx`, integrand: source.expression };
+    }
+    
+    /**
+     * Add a derivative or antiderivative function linked to a source function
+     * @param {string} relation - derivative or antiderivative
+     * @param {Object} source - Source function object (defaults to the selected object)
+     * @param {Object} options - {constant: C, lower_limit: a} for antiderivatives F(x) = C + ∫ₐˣ f(t) dt
+     * side-effects: Adds function object to plot_objects array, or alerts if the companion cannot be computed
+     */
+    addLinkedFunction(relation, source = this.selected_object, options = {}) {
+        assert(relation === 'derivative' || relation === 'antiderivative', `Expected derivative or antiderivative, got ${relation}`);
+        assert(source && source.type === 'function', 'Expected a function object as source');
+        
+        let linked;
+        try {
+            linked = this.getLinkedExpression(relation, source);
+        } catch (error) {
+            alert(`Cannot plot the ${relation}: ${error.message}`);
             return;
         }
         
-        let html = '';
+        const function_object = {
+            type: 'function',
+            id: this.generateId(),
+            expression: linked.expression,
+            xMin: source.xMin,
+            xMax: source.xMax,
+            color: relation === 'derivative' ? '#E65100' : '#2E7D32',
+            width: source.width || 2,
+            z_index: 0,
+            source_id: source.id,
+            relation: relation
+        };
+        if (linked.differentiand !== undefined) {
+            function_object.differentiand = linked.differentiand;
+        }
+        if (relation === 'antiderivative') {
+            function_object.integrand = linked.integrand;
+            function_object.constant = options.constant || 0;
+            function_object.lower_limit = options.lower_limit || 0;
+        }
+
+        const command = new AddObjectCommand(this, function_object);
+        this.executeCommand(command);
+        this.redraw();
+    }
+    
+    /**
+     * Regenerate the derivative and antiderivative companions of a function after its expression changed
+     * Companions that cannot be regenerated are marked undefined with link_error rather than keeping a stale expression
+     * @param {Object} source - Function object whose expression changed
+     * side-effects: Updates expressions of linked function objects, recursively
+     */
+    updateLinkedFunctions(source) {
         for (const obj of this.plot_objects) {
-            const is_selected = this.selected_object && this.selected_object.id === obj.id;
-            const selected_class = is_selected ? 'selected' : '';
+            if (obj.type !== 'function' || obj.source_id !== source.id) continue;
             
-            let object_name = '';
-            switch (obj.type) {
-                case 'point':
-                    object_name = `Point (${obj.x.toFixed(1)}, ${obj.y.toFixed(1)})`;
-                    break;
-                case 'line':
-                    object_name = `Line (${obj.x1.toFixed(1)}, ${obj.y1.toFixed(1)}) to (${obj.x2.toFixed(1)}, ${obj.y2.toFixed(1)})`;
-                    break;
-                case 'area':
-                    object_name = `Area (${obj.x1.toFixed(1)}, ${obj.y1.toFixed(1)}) to (${obj.x2.toFixed(1)}, ${obj.y2.toFixed(1)})`;
-                    break;
-                case 'text':
-                    object_name = `Text: "${obj.text}"`;
-                    break;
-                case 'brace':
-                    object_name = `Brace (${obj.x1.toFixed(1)}, ${obj.y1.toFixed(1)}) to (${obj.x2.toFixed(1)}, ${obj.y2.toFixed(1)})`;
-                    break;
-                case 'function':
-                    const xMinDisplay = obj.xMin !== null ? obj.xMin.toFixed(1) : '-∞';
-                    const xMaxDisplay = obj.xMax !== null ? obj.xMax.toFixed(1) : '∞';
-                    object_name = `Function: f(x) = ${obj.expression} (${xMinDisplay} to ${xMaxDisplay})`;
-                    break;
-                default:
-                    object_name = `${obj.type} object`;
+            let linked;
+            try {
+                linked = this.getLinkedExpression(obj.relation, source);
+                delete obj.link_error;
+            } catch (error) {
+                linked = { expression: obj.relation === 'derivative' ? `d/dx (${source.expression})` : `∫ (${source.expression}) dx` };
+                obj.link_error = error.message;
+            }
+            obj.expression = linked.expression;
+            if (linked.integrand !== undefined) obj.integrand = linked.integrand;
+            if (linked.differentiand !== undefined) {
+                obj.differentiand = linked.differentiand;
+            } else {
+                delete obj.differentiand;
+            }
+            this.updateLinkedFunctions(obj);
+        }
+    }
+    
+    /**
+     * Regenerate all derivative and antiderivative companions, e.g. after definitions they expand changed
+     * side-effects: Updates expressions of linked function objects
+     */
+    updateAllLinkedFunctions() {
+        for (const obj of this.plot_objects) {
+            if (obj.type === 'function' && !obj.relation) this.updateLinkedFunctions(obj);
+        }
+    }
+    
+    /**
+     * Build numeric evaluators for a function and its first two derivatives
+     * Derivatives are symbolic where math.js can differentiate, central differences otherwise
+     * @param {Object} func - Function object (antiderivatives are integrated numerically from their lower limit)
+     * @returns {Function[]} [f, f', f''], each mapping x to a number (NaN where undefined)
+     */
+    getFunctionEvaluators(func) {
+        if (func.link_error) {
+            const undefined_evaluator = () => NaN;
+            return [undefined_evaluator, undefined_evaluator, undefined_evaluator];
+        }
+        
+        const cache_key = [func.expression, func.integrand, func.constant, func.lower_limit].join('|');
+        const cached = this.evaluator_cache.get(func.id);
+        if (cached && cached.key === cache_key) return cached.data;
+        
+        const toEvaluator = (compiled) => (x) => {
+            try {
+                const value = compiled.evaluate(this.getScope({ x: x }));
+                return typeof value === 'number' && isFinite(value) ? value : NaN;
+            } catch (error) {
+                return NaN;
+            }
+        };
+        const differentiate = (g) => (x) => {
+            const h = 1e-5 * (1 + Math.abs(x));
+            return (g(x + h) - g(x - h)) / (2 * h);
+        };
+        
+        let f, node;
+        if (func.relation === 'antiderivative') {
+            const integrand = toEvaluator(this.math.compile(func.integrand));
+            f = (x) => {
+                const steps = 200;
+                const h = (x - func.lower_limit) / steps;
+                let sum = 0;
+                for (let i = 0; i < steps; i++) {
+                    const x1 = func.lower_limit + i * h;
+                    sum += h / 6 * (integrand(x1) + 4 * integrand(x1 + h / 2) + integrand(x1 + h));
+                }
+                return func.constant + sum;
+            };
+            node = this.expandDefinitions(func.integrand);
+        } else if (func.differentiand !== undefined) {
+            f = differentiate(toEvaluator(this.math.compile(func.differentiand)));
+            node = null;
+        } else {
+            node = this.expandDefinitions(func.expression);
+            f = toEvaluator(node.compile());
+        }
+        
+        const evaluators = [f];
+        if (func.relation === 'antiderivative') evaluators.push(toEvaluator(node.compile()));
+        while (evaluators.length < 3) {
+            if (node) {
+                try {
+                    node = this.math.derivative(node, 'x');
+                } catch (error) {
+                    node = null;
+                }
             }
+            evaluators.push(node ? toEvaluator(node.compile()) : differentiate(evaluators[evaluators.length - 1]));
+        }
+        this.evaluator_cache.set(func.id, { key: cache_key, data: evaluators });
+        return evaluators;
+    }
+    
+    /**
+     * Find the zeros of a function on an interval by sampling for sign changes and bisecting
+     * Sign changes across poles are rejected because the value does not vanish at the limit, and stretches where
+     * the function is identically zero are skipped
+     * @param {Function} g - Function mapping x to a number (NaN where undefined)
+     * @param {number} x_min - Interval start
+     * @param {number} x_max - Interval end
+     * @returns {Object[]} Zeros {x, crossing, rising}: whether g changes sign there, and from negative to positive
+     */
+    findZeros(g, x_min, x_max) {
+        const samples = 1000;
+        const step = (x_max - x_min) / samples;
+        const xs = Array.from({ length: samples + 1 }, (_, i) => x_min + i * step);
+        const values = xs.map(x => g(x));
+        const zeros = [];
+        
+        for (let i = 0; i <= samples; i++) {
+            const before = values[i - 1];
+            const value = values[i];
             
-            html += `<div class="object-item ${selected_class}" data-object-id="${obj.id}">
-                        <span class="object-name">${object_name}</span>
-                        <span class="object-type">${obj.type}</span>
-                    </div>`;
+            if (value === 0) {
+                const after = values[i + 1];
+                if (before === 0 || after === 0) continue;
+                zeros.push({ x: xs[i], crossing: before * after < 0, rising: before < 0 || after > 0 });
+            } else if (i > 0 && before !== 0 && isFinite(before) && isFinite(value) && before * value < 0) {
+                let low = xs[i - 1];
+                let high = xs[i];
+                for (let iteration = 0; iteration < 60; iteration++) {
+                    const mid = (low + high) / 2;
+                    const mid_value = g(mid);
+                    if (!isFinite(mid_value)) break;
+                    if (mid_value * before > 0) low = mid;
+                    else high = mid;
+                }
+                const root = (low + high) / 2;
+                const tolerance = 1e-6 * Math.max(1, Math.abs(before), Math.abs(value));
+                if (Math.abs(g(root)) < tolerance) {
+                    zeros.push({ x: root, crossing: true, rising: value > 0 });
+                }
+            }
+        }
+        return zeros;
+    }
+    
+    /**
+     * Get the x range of a function that is currently visible
+     * @param {Object} func - Function object
+     * @returns {Object|null} {x_min, x_max}, or null if the function's domain is outside the view
+     */
+    getVisibleFunctionRange(func) {
+        const x_min = Math.max(this.plot_bounds.x_min, func.xMin !== null ? func.xMin : -Infinity);
+        const x_max = Math.min(this.plot_bounds.x_max, func.xMax !== null ? func.xMax : Infinity);
+        return x_min < x_max ? { x_min, x_max } : null;
+    }
+    
+    /**
+     * Find zeros, local extrema and inflection points of a function in the visible range
+     * @param {Object} func - Function object
+     * @returns {Object[]} Features {label, x, y} sorted by x
+     */
+    findFunctionFeatures(func) {
+        const range = this.getVisibleFunctionRange(func);
+        if (!range) return [];
+        
+        const [f, df, d2f] = this.getFunctionEvaluators(func);
+        const features = [];
+        
+        for (const zero of this.findZeros(f, range.x_min, range.x_max)) {
+            features.push({ label: 'Root', x: zero.x, y: 0 });
+        }
+        for (const zero of this.findZeros(df, range.x_min, range.x_max)) {
+            const y = f(zero.x);
+            if (!zero.crossing || !isFinite(y)) continue;
+            features.push({ label: zero.rising ? 'Min' : 'Max', x: zero.x, y: y });
+            // Roots of even multiplicity touch the axis without a sign change
+            if (Math.abs(y) < 1e-9 && !features.some(feature => feature.label === 'Root' && Math.abs(feature.x - zero.x) < 1e-6)) {
+                features.push({ label: 'Root', x: zero.x, y: 0 });
+            }
+        }
+        for (const zero of this.findZeros(d2f, range.x_min, range.x_max)) {
+            const y = f(zero.x);
+            if (zero.crossing && isFinite(y)) features.push({ label: 'Inflection', x: zero.x, y: y });
         }
         
-        object_list.innerHTML = html;
+        return features.sort((a, b) => a.x - b.x);
     }
     
     /**
-     * Update the properties panel for the selected object
-     * side-effects: Updates the properties panel HTML
+     * Find the visible intersections of a function with another function or a line segment
+     * @param {Object} func - Function object
+     * @param {Object} other - Function or line object
+     * @returns {Object[]} Intersections {label, x, y} sorted by x
      */
-    updatePropertiesPanel() {
-        const properties_container = document.getElementById('object-properties');
-        if (!properties_container) return;
+    findIntersections(func, other) {
+        assert(other.type === 'function' || other.type === 'line', `Cannot intersect a function with ${other.type}`);
+        
+        let range = this.getVisibleFunctionRange(func);
+        if (!range) return [];
+        const [f] = this.getFunctionEvaluators(func);
+        let g;
+        
+        if (other.type === 'function') {
+            const other_range = this.getVisibleFunctionRange(other);
+            if (!other_range) return [];
+            range = { x_min: Math.max(range.x_min, other_range.x_min), x_max: Math.min(range.x_max, other_range.x_max) };
+            [g] = this.getFunctionEvaluators(other);
+        } else if (other.x1 === other.x2) {
+            // Vertical segment: at most one intersection
+            const y = f(other.x1);
+            const inside = other.x1 >= range.x_min && other.x1 <= range.x_max &&
+                           y >= Math.min(other.y1, other.y2) && y <= Math.max(other.y1, other.y2);
+            return inside ? [{ label: 'Intersection', x: other.x1, y: y }] : [];
+        } else {
+            const slope = (other.y2 - other.y1) / (other.x2 - other.x1);
+            range = { x_min: Math.max(range.x_min, Math.min(other.x1, other.x2)), x_max: Math.min(range.x_max, Math.max(other.x1, other.x2)) };
+            g = (x) => other.y1 + slope * (x - other.x1);
+        }
+        if (range.x_min >= range.x_max) return [];
         
-        if (!this.selected_object) {
-            properties_container.innerHTML = '<div class="no-selection">No object selected</div>';
+        return this.findZeros((x) => f(x) - g(x), range.x_min, range.x_max)
+            .map(zero => ({ label: 'Intersection', x: zero.x, y: f(zero.x) }))
+            .filter(point => isFinite(point.y));
+    }
+    
+    /**
+     * Add labeled points for analysis results as a single undo step
+     * @param {Object[]} features - Features {label, x, y}
+     * @param {string} color - Point color
+     * @param {string} description - Undo description
+     * side-effects: Adds point objects to plot_objects array
+     */
+    addFeaturePoints(features, color, description) {
+        const points = features.map(feature => {
+            const point = this.createPoint({ x: feature.x, y: feature.y });
+            point.text = feature.label;
+            point.show_coordinates = true;
+            point.color = color;
+            return point;
+        });
+        
+        const command = new AddObjectsCommand(this, points, description);
+        this.executeCommand(command);
+    }
+    
+    /**
+     * Mark the zeros, extrema and inflection points of a function in the visible range
+     * @param {string} function_id - Function object id
+     * side-effects: Adds point objects to plot_objects array, or alerts if nothing was found
+     */
+    markFunctionFeatures(function_id) {
+        const func = this.findFunctionById(function_id);
+        assert(func, `Function ${function_id} not found`);
+        
+        let features;
+        try {
+            features = this.findFunctionFeatures(func);
+        } catch (error) {
+            alert(`Cannot analyze f(x) = ${func.expression}: ${error.message}`);
             return;
         }
+        if (features.length === 0) {
+            alert('No roots, extrema or inflection points in the visible range.');
+            return;
+        }
+        this.addFeaturePoints(features, func.color, 'Mark roots and extrema');
+    }
+    
+    /**
+     * Mark the intersections of a function with another function or a line in the visible range
+     * @param {string} function_id - Function object id
+     * @param {string} other_id - Id of the other function or line object
+     * side-effects: Adds point objects to plot_objects array, or alerts if nothing was found
+     */
+    markIntersections(function_id, other_id) {
+        const func = this.findFunctionById(function_id);
+        const other = this.plot_objects.find(obj => obj.id === other_id);
+        assert(func && other, 'Objects to intersect not found');
         
-        let properties_html = `<div class="properties-header">
-            <h4>${this.selected_object.type.charAt(0).toUpperCase() + this.selected_object.type.slice(1)} Properties</h4>
-        </div>`;
-        
-        switch (this.selected_object.type) {
-            case 'point':
-                properties_html += `
-                    <div class="property-row">
-                        <label>X:</label>
-                        <input type="number" step="0.1" value="${this.selected_object.x}" 
-                               onchange="plotEditor.updateObjectProperty('x', parseFloat(this.value))">
-                    </div>
-                    <div class="property-row">
-                        <label>Y:</label>
-                        <input type="number" step="0.1" value="${this.selected_object.y}" 
-                               onchange="plotEditor.updateObjectProperty('y', parseFloat(this.value))">
-                    </div>
-                    <div class="property-row">
-                        <label>Size:</label>
-                        <input type="number" min="1" max="50" step="1" value="${this.selected_object.size || 5}" 
-                               onchange="plotEditor.updateObjectProperty('size', parseInt(this.value))">
-                    </div>
-                    <div class="property-row">
-                        <label>Color:</label>
-                        <input type="color" class="color-input" value="${this.selected_object.color}" 
-                               onchange="plotEditor.updateObjectProperty('color', this.value)">
-                    </div>
-                    <div class="property-row">
-                        <label>Text:</label>
-                        <input type="text" value="${this.selected_object.text || ''}" 
-                               onchange="plotEditor.updateObjectProperty('text', this.value)">
-                    </div>
-                    <div class="property-row">
-                        <label>Show Coordinates:</label>
-                        <input type="checkbox" ${this.selected_object.show_coordinates ? 'checked' : ''} 
-                               onchange="plotEditor.updateObjectProperty('show_coordinates', this.checked)">
-                    </div>
-                    <div class="property-row">
-                        <label>Z-Index:</label>
-                        <input type="number" value="${this.selected_object.z_index || 0}" 
-                               onchange="plotEditor.updateObjectProperty('z_index', parseInt(this.value))">
-                    </div>`;
-                break;
-            case 'line':
-                properties_html += `
-                    <div class="property-row">
-                        <label>X1:</label>
-                        <input type="number" step="0.1" value="${this.selected_object.x1}" 
-                               onchange="plotEditor.updateObjectProperty('x1', parseFloat(this.value))">
-                    </div>
-                    <div class="property-row">
-                        <label>Y1:</label>
-                        <input type="number" step="0.1" value="${this.selected_object.y1}" 
-                               onchange="plotEditor.updateObjectProperty('y1', parseFloat(this.value))">
-                    </div>
-                    <div class="property-row">
-                        <label>X2:</label>
-                        <input type="number" step="0.1" value="${this.selected_object.x2}" 
-                               onchange="plotEditor.updateObjectProperty('x2', parseFloat(this.value))">
-                    </div>
-                    <div class="property-row">
-                        <label>Y2:</label>
-                        <input type="number" step="0.1" value="${this.selected_object.y2}" 
-                               onchange="plotEditor.updateObjectProperty('y2', parseFloat(this.value))">
-                    </div>
-                    <div class="property-row">
-                        <label>Color:</label>
-                        <input type="color" class="color-input" value="${this.selected_object.color}" 
-                               onchange="plotEditor.updateObjectProperty('color', this.value)">
-                    </div>
-                    <div class="property-row">
-                        <label>Width:</label>
-                        <input type="number" min="1" max="20" step="1" value="${this.selected_object.width || 2}" 
-                               onchange="plotEditor.updateObjectProperty('width', parseInt(this.value))">
-                    </div>
-                    <div class="property-row">
-                        <label>Z-Index:</label>
-                        <input type="number" value="${this.selected_object.z_index || 0}" 
-                               onchange="plotEditor.updateObjectProperty('z_index', parseInt(this.value))">
-                    </div>`;
-                break;
-            case 'area':
-                properties_html += `
-                    <div class="property-row">
-                        <label>X1:</label>
-                        <input type="number" step="0.1" value="${this.selected_object.x1}" 
-                               onchange="plotEditor.updateObjectProperty('x1', parseFloat(this.value))">
-                    </div>
-                    <div class="property-row">
-                        <label>Y1:</label>
-                        <input type="number" step="0.1" value="${this.selected_object.y1}" 
-                               onchange="plotEditor.updateObjectProperty('y1', parseFloat(this.value))">
-                    </div>
-                    <div class="property-row">
-                        <label>X2:</label>
-                        <input type="number" step="0.1" value="${this.selected_object.x2}" 
-                               onchange="plotEditor.updateObjectProperty('x2', parseFloat(this.value))">
-                    </div>
-                    <div class="property-row">
-                        <label>Y2:</label>
-                        <input type="number" step="0.1" value="${this.selected_object.y2}" 
-                               onchange="plotEditor.updateObjectProperty('y2', parseFloat(this.value))">
-                    </div>
-                    <div class="property-row">
-                        <label>Color:</label>
-                        <input type="color" class="color-input" value="${this.selected_object.color}" 
-                               onchange="plotEditor.updateObjectProperty('color', this.value)">
-                    </div>
-                    <div class="property-row">
-                        <label>Z-Index:</label>
-                        <input type="number" value="${this.selected_object.z_index || 0}" 
-                               onchange="plotEditor.updateObjectProperty('z_index', parseInt(this.value))">
-                    </div>`;
-                break;
-            case 'text':
-                properties_html += `
-                    <div class="property-row">
-                        <label>X:</label>
-                        <input type="number" step="0.1" value="${this.selected_object.x}" 
-                               onchange="plotEditor.updateObjectProperty('x', parseFloat(this.value))">
-                    </div>
-                    <div class="property-row">
-                        <label>Y:</label>
-                        <input type="number" step="0.1" value="${this.selected_object.y}" 
-                               onchange="plotEditor.updateObjectProperty('y', parseFloat(this.value))">
-                    </div>
-                    <div class="property-row">
-                        <label>Text:</label>
-                        <input type="text" value="${this.selected_object.text}" 
-                               onchange="plotEditor.updateObjectProperty('text', this.value)">
-                    </div>
-                    <div class="property-row">
-                        <label>Color:</label>
-                        <input type="color" class="color-input" value="${this.selected_object.color}" 
-                               onchange="plotEditor.updateObjectProperty('color', this.value)">
-                    </div>
-                    <div class="property-row">
-                        <label>Font Size:</label>
-                        <input type="number" min="8" max="72" step="1" value="${this.selected_object.font_size || 12}" 
-                               onchange="plotEditor.updateObjectProperty('font_size', parseInt(this.value))">
-                    </div>
-                    <div class="property-row">
-                        <label>Font Family:</label>
-                        <select onchange="plotEditor.updateObjectProperty('font_family', this.value)" style="width: 100%;">
-                            <option value="Arial" ${(this.selected_object.font_family || 'Arial') === 'Arial' ? 'selected' : ''}>Arial</option>
-                            <option value="Times New Roman" ${(this.selected_object.font_family || 'Arial') === 'Times New Roman' ? 'selected' : ''}>Times New Roman</option>
-                            <option value="Courier New" ${(this.selected_object.font_family || 'Arial') === 'Courier New' ? 'selected' : ''}>Courier New</option>
-                            <option value="Georgia" ${(this.selected_object.font_family || 'Arial') === 'Georgia' ? 'selected' : ''}>Georgia</option>
-                        </select>
-                    </div>
-                    <div class="property-row">
-                        <label>Rotation (degrees):</label>
-                        <input type="number" min="-360" max="360" step="1" value="${this.selected_object.rotation || 0}" 
-                               onchange="plotEditor.updateObjectProperty('rotation', parseFloat(this.value))">
-                    </div>
-                    <div class="property-row">
-                        <label>Z-Index:</label>
-                        <input type="number" value="${this.selected_object.z_index || 0}" 
-                               onchange="plotEditor.updateObjectProperty('z_index', parseInt(this.value))">
-                    </div>`;
-                break;
-            case 'brace':
-                properties_html += `
-                    <div class="property-row">
-                        <label>X1:</label>
-                        <input type="number" step="0.1" value="${this.selected_object.x1}" 
-                               onchange="plotEditor.updateObjectProperty('x1', parseFloat(this.value))">
-                    </div>
-                    <div class="property-row">
-                        <label>Y1:</label>
-                        <input type="number" step="0.1" value="${this.selected_object.y1}" 
-                               onchange="plotEditor.updateObjectProperty('y1', parseFloat(this.value))">
-                    </div>
-                    <div class="property-row">
-                        <label>X2:</label>
-                        <input type="number" step="0.1" value="${this.selected_object.x2}" 
-                               onchange="plotEditor.updateObjectProperty('x2', parseFloat(this.value))">
-                    </div>
-                    <div class="property-row">
-                        <label>Y2:</label>
-                        <input type="number" step="0.1" value="${this.selected_object.y2}" 
-                               onchange="plotEditor.updateObjectProperty('y2', parseFloat(this.value))">
-                    </div>
-                    <div class="property-row">
-                        <label>Color:</label>
-                        <input type="color" class="color-input" value="${this.selected_object.color}" 
-                               onchange="plotEditor.updateObjectProperty('color', this.value)">
-                    </div>
-                    <div class="property-row">
-                        <label>Mirror:</label>
-                        <input type="checkbox" ${this.selected_object.mirrored ? 'checked' : ''} 
-                               onchange="plotEditor.updateObjectProperty('mirrored', this.checked)">
-                    </div>
-                    <div class="property-row">
-                        <label>Style:</label>
-                        <select onchange="plotEditor.updateObjectProperty('style', this.value)" style="width: 100%;">
-                            <option value="smooth" ${(this.selected_object.style || '45deg') === 'smooth' ? 'selected' : ''}>Smooth</option>
-                            <option value="traditional" ${(this.selected_object.style || '45deg') === 'traditional' ? 'selected' : ''}>Traditional</option>
-                            <option value="45deg" ${(this.selected_object.style || '45deg') === '45deg' ? 'selected' : ''}>45° (No Overlap)</option>
-                        </select>
-                    </div>
-                    <div class="property-row">
-                        <label>Elevation:</label>
-                        <input type="number" min="1" max="100" step="1" value="${this.selected_object.elevation || this.selected_object.width || 15}" 
-                               onchange="plotEditor.updateObjectProperty('elevation', parseFloat(this.value))">
-                    </div>
-                    <div class="property-row">
-                        <label>Z-Index:</label>
-                        <input type="number" value="${this.selected_object.z_index || 0}" 
-                               onchange="plotEditor.updateObjectProperty('z_index', parseInt(this.value))">
-                    </div>`;
-                break;
-            case 'function':
-                const funcXMinDisplay = this.selected_object.xMin !== null ? this.selected_object.xMin : '-∞';
-                const funcXMaxDisplay = this.selected_object.xMax !== null ? this.selected_object.xMax : '∞';
-                properties_html += `
-                    <div class="property-row">
-                        <label>Expression:</label>
-                        <input type="text" value="${this.selected_object.expression}"
-                               onchange="plotEditor.updateObjectProperty('expression', this.value)">
-                    </div>
-                    <div class="property-row">
-                        <label>X Min:</label>
-                        <input type="text" value="${funcXMinDisplay}"
-                               onchange="plotEditor.updateObjectProperty('xMin', this.value === '-∞' || this.value === '' ? null : parseFloat(this.value))">
-                    </div>
-                    <div class="property-row">
-                        <label>X Max:</label>
-                        <input type="text" value="${funcXMaxDisplay}"
-                               onchange="plotEditor.updateObjectProperty('xMax', this.value === '∞' || this.value === '' ? null : parseFloat(this.value))">
-                    </div>
-                    <div class="property-row">
-                        <label>Color:</label>
-                        <input type="color" class="color-input" value="${this.selected_object.color}"
-                               onchange="plotEditor.updateObjectProperty('color', this.value)">
-                    </div>
-                    <div class="property-row">
-                        <label>Width:</label>
-                        <input type="number" min="1" max="20" step="1" value="${this.selected_object.width || 2}"
-                               onchange="plotEditor.updateObjectProperty('width', parseInt(this.value))">
-                    </div>
-                    <div class="property-row">
-                        <label>Z-Index:</label>
-                        <input type="number" value="${this.selected_object.z_index || 0}"
-                               onchange="plotEditor.updateObjectProperty('z_index', parseInt(this.value))">
-                    </div>`;
-                break;
+        let intersections;
+        try {
+            intersections = this.findIntersections(func, other);
+        } catch (error) {
+            alert(`Cannot compute intersections: ${error.message}`);
+            return;
         }
-        
-        properties_html += `
-            <button class="delete-btn" onclick="plotEditor.deleteSelectedObject()">Delete Object</button>
-        </div>`;
-        
-        properties_container.innerHTML = properties_html;
+        if (intersections.length === 0) {
+            alert('No intersections in the visible range.');
+            return;
+        }
+        this.addFeaturePoints(intersections, '#ff4444', 'Mark intersections');
     }
     
     /**
-     * Select object at given coordinates
-     * @param {Object} coords - Coordinates {x, y}
-     * side-effects: Changes selected_object
+     * Add a parametric curve (x(t), y(t)) to the plot
+     * @param {string} x_expression - Expression for x in terms of t (e.g., "cos(t)")
+     * @param {string} y_expression - Expression for y in terms of t (e.g., "sin(t)")
+     * @param {number} t_min - Start of parameter range
+     * @param {number} t_max - End of parameter range
+     * @param {number} samples - Number of samples over the parameter range
+     * @param {string} color - Curve color
+     * @param {number} width - Line width
+     * side-effects: Adds parametric curve object to plot_objects array
      */
-    selectObjectAt(coords) {
-        const closest_object = this.getObjectAt(coords);
-        this.selectObject(closest_object);
+    addParametric(x_expression, y_expression, t_min, t_max, samples = 500, color = '#E91E63', width = 2) {
+        assert(typeof x_expression === 'string' && typeof y_expression === 'string', 'Expected curve expressions to be strings');
+        assert(isFinite(t_min) && isFinite(t_max), `Expected finite parameter range, got ${t_min}..${t_max}`);
+        
+        const parametric_object = {
+            type: 'parametric',
+            id: this.generateId(),
+            x_expression: x_expression,
+            y_expression: y_expression,
+            t_min: t_min,
+            t_max: t_max,
+            samples: samples,
+            color: color,
+            width: width,
+            z_index: 0
+        };
+
+        const command = new AddObjectCommand(this, parametric_object);
+        this.executeCommand(command);
+        this.redraw();
     }
     
     /**
-     * Get object at given coordinates
-     * @param {Object} coords - Coordinates {x, y}
-     * @returns {Object|null} Object at coordinates or null
+     * Add a polar curve r = f(theta) to the plot
+     * @param {string} expression - Expression for r in terms of theta (e.g., "1 + cos(theta)")
+     * @param {number} theta_min - Start of angle range in radians
+     * @param {number} theta_max - End of angle range in radians
+     * @param {number} samples - Number of samples over the angle range
+     * @param {string} color - Curve color
+     * @param {number} width - Line width
+     * side-effects: Adds polar curve object to plot_objects array
      */
-    getObjectAt(coords) {
-        // Convert plot coordinates to canvas coordinates
-        const canvas_coords = this.plotToCanvas(coords.x, coords.y);
-        
-        // Get object ID from picking canvas
-        const object_id = this.getObjectIdFromPicking(canvas_coords.x, canvas_coords.y);
-        
-        if (object_id) {
-            return this.plot_objects.find(obj => obj.id === object_id) || null;
-        }
+    addPolar(expression, theta_min, theta_max, samples = 720, color = '#009688', width = 2) {
+        assert(typeof expression === 'string', `Expected expression to be string, got ${typeof expression}`);
+        assert(isFinite(theta_min) && isFinite(theta_max), `Expected finite angle range, got ${theta_min}..${theta_max}`);
         
-        return null;
+        const polar_object = {
+            type: 'polar',
+            id: this.generateId(),
+            expression: expression,
+            theta_min: theta_min,
+            theta_max: theta_max,
+            samples: samples,
+            color: color,
+            width: width,
+            z_index: 0
+        };
+
+        const command = new AddObjectCommand(this, polar_object);
+        this.executeCommand(command);
+        this.redraw();
     }
     
     /**
-     * Get distance from coordinates to object
-     * @param {Object} obj - Plot object
-     * @param {Object} coords - Coordinates {x, y}
-     * @returns {number} Distance to object
+     * Add a piecewise function to the plot
+     * @param {Array<Object>} pieces - Pieces {expression, condition}, e.g. {expression: 'x^2', condition: 'x < 0'}
+     * @param {string} color - Curve color
+     * @param {number} width - Line width
+     * side-effects: Adds piecewise object to plot_objects array
      */
-    getDistanceToObject(obj, coords) {
-        switch (obj.type) {
-            case 'point':
-                return Math.sqrt(Math.pow(obj.x - coords.x, 2) + Math.pow(obj.y - coords.y, 2));
-            case 'line':
-                return this.distanceToLine(coords, {x: obj.x1, y: obj.y1}, {x: obj.x2, y: obj.y2});
-            case 'area':
-                return this.distanceToRectangle(coords, obj);
-            case 'text':
-                return this.distanceToTextBBox(coords, obj);
-            case 'brace':
-                return this.distanceToLine(coords, {x: obj.x1, y: obj.y1}, {x: obj.x2, y: obj.y2});
-            default:
-                return Infinity;
-        }
+    addPiecewise(pieces, color = '#3F51B5', width = 2) {
+        assert(Array.isArray(pieces) && pieces.length > 0, 'Expected at least one piece');
+        
+        const piecewise_object = {
+            type: 'piecewise',
+            id: this.generateId(),
+            pieces: pieces,
+            color: color,
+            width: width,
+            show_endpoints: true,
+            z_index: 0
+        };
+
+        const command = new AddObjectCommand(this, piecewise_object);
+        this.executeCommand(command);
+        this.redraw();
     }
     
     /**
-     * Calculate distance from point to line segment
-     * @param {Object} point - Point coordinates {x, y}
-     * @param {Object} line_start - Line start coordinates {x, y}
-     * @param {Object} line_end - Line end coordinates {x, y}
-     * @returns {number} Distance to line
+     * Parse piecewise definition text, one "expression if condition" piece per line
+     * @param {string} text - Piecewise text, e.g. "x^2 if x < 0" and "2 - x if 0 <= x <= 2"
+     * @returns {Array<Object>} Pieces {expression, condition}
+     * @throws {Error} Naming the first line that is not a valid piece
      */
-    distanceToLine(point, line_start, line_end) {
-        const line_length_squared = Math.pow(line_end.x - line_start.x, 2) + Math.pow(line_end.y - line_start.y, 2);
-        if (line_length_squared === 0) return Math.sqrt(Math.pow(point.x - line_start.x, 2) + Math.pow(point.y - line_start.y, 2));
-        
-        const t = Math.max(0, Math.min(1, ((point.x - line_start.x) * (line_end.x - line_start.x) + 
-                                           (point.y - line_start.y) * (line_end.y - line_start.y)) / line_length_squared));
-        
-        const projection = {
-            x: line_start.x + t * (line_end.x - line_start.x),
-            y: line_start.y + t * (line_end.y - line_start.y)
-        };
+    parsePiecewiseText(text) {
+        const lines = text.split(/\r?\n/).map(line => line.trim()).filter(line => line !== '');
+        if (lines.length === 0) {
+            throw new Error('Enter at least one piece, e.g. "x^2 if x < 0".');
+        }
         
-        return Math.sqrt(Math.pow(point.x - projection.x, 2) + Math.pow(point.y - projection.y, 2));
+        return lines.map((line, index) => {
+            const separator = line.lastIndexOf(' if ');
+            if (separator === -1) {
+                throw new Error(`Line ${index + 1}: expected "expression if condition", got "${line}".`);
+            }
+            const piece = { expression: line.slice(0, separator).trim(), condition: line.slice(separator + 4).trim() };
+            try {
+                this.math.compile(piece.expression);
+                this.parseDomain(piece.condition);
+            } catch (error) {
+                throw new Error(`Line ${index + 1}: ${error.message}`);
+            }
+            return piece;
+        });
     }
     
     /**
-     * Calculate distance from point to rectangle
-     * @param {Object} point - Point coordinates {x, y}
-     * @param {Object} rect - Rectangle object with x1, y1, x2, y2
-     * @returns {number} Distance to rectangle
+     * Format piecewise pieces as text, one "expression if condition" piece per line
+     * @param {Array<Object>} pieces - Pieces {expression, condition}
+     * @returns {string} Piecewise text
      */
-    distanceToRectangle(point, rect) {
-        const dx = Math.max(rect.x1 - point.x, 0, point.x - rect.x2);
-        const dy = Math.max(rect.y1 - point.y, 0, point.y - rect.y2);
-        return Math.sqrt(dx * dx + dy * dy);
+    formatPiecewiseText(pieces) {
+        return pieces.map(piece => `${piece.expression} if ${piece.condition}`).join('\n');
     }
     
     /**
-     * Calculate distance from point to text bounding box (considering rotation)
-     * @param {Object} point - Point coordinates {x, y}
-     * @param {Object} text_obj - Text object
-     * @returns {number} Distance to text bounding box (0 if inside)
+     * Update the pieces of the selected piecewise function from text
+     * @param {string} text - Piecewise text, one "expression if condition" piece per line
+     * side-effects: Updates pieces of selected object, or alerts and restores the panel if the text is invalid
      */
-    distanceToTextBBox(point, text_obj) {
-        // Get text dimensions by measuring
-        this.context.save();
-        this.context.font = `${text_obj.font_size}px ${text_obj.font_family}`;
-        const text_metrics = this.context.measureText(text_obj.text);
-        const text_width = text_metrics.width;
-        const text_height = text_obj.font_size; // Approximate height
-        this.context.restore();
-        
-        // Convert to plot coordinates
-        const text_width_plot = text_width / (this.plot_width / (this.plot_bounds.x_max - this.plot_bounds.x_min));
-        const text_height_plot = text_height / (this.plot_height / (this.plot_bounds.y_max - this.plot_bounds.y_min));
-        
-        // Text anchor point
-        const text_x = text_obj.x;
-        const text_y = text_obj.y;
-        
-        // If no rotation, use simple rectangle check
-        if (!text_obj.rotation || text_obj.rotation === 0) {
-            // Simple bounding box (text extends to the right and up from anchor point)
-            const bbox = {
-                x1: text_x,
-                y1: text_y - text_height_plot,
-                x2: text_x + text_width_plot,
-                y2: text_y
-            };
-            
-            const dx = Math.max(bbox.x1 - point.x, 0, point.x - bbox.x2);
-            const dy = Math.max(bbox.y1 - point.y, 0, point.y - bbox.y2);
-            return Math.sqrt(dx * dx + dy * dy);
+    updatePiecewisePieces(text) {
+        let pieces;
+        try {
+            pieces = this.parsePiecewiseText(text);
+        } catch (error) {
+            alert(error.message);
+            this.updatePropertiesPanel();
+            return;
         }
-        
-        // For rotated text, transform the point to text's local coordinate system
-        const rotation_rad = (text_obj.rotation * Math.PI) / 180;
-        const cos_rot = Math.cos(-rotation_rad); // Negative because we're transforming point, not text
-        const sin_rot = Math.sin(-rotation_rad);
-        
-        // Translate point relative to text anchor
-        const rel_x = point.x - text_x;
-        const rel_y = point.y - text_y;
-        
-        // Rotate point to text's local coordinate system
-        const local_x = rel_x * cos_rot - rel_y * sin_rot;
-        const local_y = rel_x * sin_rot + rel_y * cos_rot;
-        
-        // Check against unrotated bounding box in local coordinates
-        const bbox = {
-            x1: 0,
-            y1: -text_height_plot,
-            x2: text_width_plot,
-            y2: 0
-        };
-        
-        const dx = Math.max(bbox.x1 - local_x, 0, local_x - bbox.x2);
-        const dy = Math.max(bbox.y1 - local_y, 0, local_y - bbox.y2);
-        return Math.sqrt(dx * dx + dy * dy);
+        this.updateObjectProperty('pieces', pieces);
+        this.updatePropertiesPanel();
     }
     
     /**
-     * Select an object
-     * @param {Object|null} obj - Object to select or null to deselect
-     * side-effects: Updates selected_object and UI
+     * Add an implicit curve F(x, y) = 0 to the plot
+     * @param {string} equation - Equation such as "x^2 + y^2 = 4" or "y^2 = x^3 - x"
+     * @param {number} resolution - Number of grid cells across the visible x range
+     * @param {string} color - Curve color
+     * @param {number} width - Line width
+     * side-effects: Adds implicit curve object to plot_objects array
      */
-    selectObject(obj) {
-        this.selected_object = obj;
-        this.updatePropertiesPanel();
-        this.updateObjectList();
+    addImplicit(equation, resolution = 150, color = '#673AB7', width = 2) {
+        assert(typeof equation === 'string', `Expected equation to be string, got ${typeof equation}`);
+        
+        const implicit_object = {
+            type: 'implicit',
+            id: this.generateId(),
+            equation: equation,
+            resolution: resolution,
+            color: color,
+            width: width,
+            z_index: 0
+        };
+
+        const command = new AddObjectCommand(this, implicit_object);
+        this.executeCommand(command);
         this.redraw();
     }
     
     /**
-     * Generate unique ID for objects
-     * @returns {string} Unique identifier
+     * Parse pasted CSV/TSV text into data points
+     * The delimiter is detected per line (semicolon, tab, comma or whitespace); the leading columns
+     * are x and y, blank lines and lines starting with # are ignored, and a non-numeric first row is a header
+     * @param {string} text - Data text
+     * @param {string[]} column_names - Property names of the leading columns of each row
+     * @returns {Object} {points: [{x, y, ...}], name: header of the second column or '', skipped_lines}
      */
-    generateId() {
-        return 'obj_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    parseDataText(text, column_names = ['x', 'y']) {
+        const points = [];
+        let name = '';
+        let skipped_lines = 0;
+        
+        const lines = text.split(/\r?\n/).map(line => line.trim()).filter(line => line !== '' && !line.startsWith('#'));
+        lines.forEach((line, index) => {
+            const delimiter = line.includes(';') ? ';' : line.includes('\t') ? '\t' : line.includes(',') ? ',' : /\s+/;
+            // Semicolon-separated files commonly use decimal commas
+            const fields = line.split(delimiter).map(field => delimiter === ';' ? field.trim().replace(',', '.') : field.trim());
+            const values = column_names.map((column, column_index) =>
+                fields[column_index] === undefined || fields[column_index] === '' ? NaN : Number(fields[column_index]));
+            
+            if (values.every(value => isFinite(value))) {
+                const point = {};
+                column_names.forEach((column, column_index) => { point[column] = values[column_index]; });
+                points.push(point);
+            } else if (index === 0) {
+                name = fields[1] || '';
+            } else {
+                skipped_lines++;
+            }
+        });
+        
+        return { points, name, skipped_lines };
     }
     
     /**
-     * Set current drawing tool
-     * @param {string} tool - Tool name
-     * side-effects: Changes current_tool
+     * Format data points as CSV text
+     * @param {Object[]} points - Data points {x, y, ...}
+     * @param {string[]} column_names - Properties to write, in column order
+     * @returns {string} One comma-separated line per point
      */
-    setTool(tool) {
-        this.current_tool = tool;
-        this.drawing_state.is_drawing = false;
-        this.selected_object = null;
-        this.updatePropertiesPanel();
-        this.redraw();
+    formatDataText(points, column_names = ['x', 'y']) {
+        return points.map(point => column_names.map(column => point[column]).join(', ')).join('\n');
     }
     
     /**
-     * Update plot bounds
-     * @param {Object} bounds - New bounds {x_min, x_max, y_min, y_max}
-     * side-effects: Updates plot_bounds and redraws
+     * Parse an error input: one value for symmetric errors, "minus, plus" for asymmetric ones
+     * @param {string} text - Input text, empty for no error
+     * @returns {Object|null|undefined} {minus, plus}, null for no error, undefined if the input is invalid
      */
-    updatePlotBounds(bounds) {
-        this.plot_bounds = { ...bounds };
-        this.redraw();
+    parseErrorInput(text) {
+        const fields = text.split(/[,;]/).map(field => field.trim()).filter(field => field !== '');
+        if (fields.length === 0) return null;
+        if (fields.length > 2) return undefined;
+        
+        const values = fields.map(field => Math.abs(Number(field)));
+        if (!values.every(value => isFinite(value))) return undefined;
+        return { minus: values[0], plus: values[values.length - 1] };
     }
     
     /**
-     * Update axes properties
-     * @param {Object} properties - Axes properties
-     * side-effects: Updates axes_properties and redraws
+     * Format an error value for the properties panel
+     * @param {Object|null|undefined} error - {minus, plus} or null
+     * @returns {string} "±" value for symmetric errors, "minus, plus" otherwise
      */
-    updateAxesProperties(properties) {
-        this.axes_properties = { ...this.axes_properties, ...properties };
-        this.redraw();
+    formatErrorInput(error) {
+        if (!error) return '';
+        return error.minus === error.plus ? `${error.minus}` : `${error.minus}, ${error.plus}`;
     }
     
     /**
-     * Clear all plot objects
-     * side-effects: Empties plot_objects array and redraws
+     * Update an error bar of the selected point
+     * @param {string} property - x_error or y_error
+     * @param {string} text - Error input (see parseErrorInput)
+     * side-effects: Updates selected point, or alerts and restores the panel on invalid input
      */
-    clearPlot() {
-        if (this.plot_objects.length > 0) {
-            const command = new ClearPlotCommand(this);
-            this.executeCommand(command);
+    updatePointError(property, text) {
+        const error = this.parseErrorInput(text);
+        if (error === undefined) {
+            alert('Enter one value for a symmetric error or "minus, plus" for an asymmetric one.');
+            this.updatePropertiesPanel();
+            return;
         }
+        this.updateObjectProperty(property, error);
     }
     
     /**
-     * Delete selected object
-     * side-effects: Removes object from plot_objects array
+     * Add a data series to the plot
+     * @param {Object[]} points - Data points {x, y}
+     * @param {Object} options - Display options {name, style, marker_shape, marker_size, color, line_width}
+     * side-effects: Adds series object to plot_objects array
      */
-    deleteSelectedObject() {
-        if (this.selected_object) {
-            const command = new DeleteObjectCommand(this, this.selected_object);
-            this.executeCommand(command);
-        }
+    addSeries(points, options = {}) {
+        assert(Array.isArray(points) && points.length > 0, 'Expected at least one data point');
+        
+        const series_object = {
+            type: 'series',
+            id: this.generateId(),
+            name: options.name || '',
+            points: points.map(point => ({ x: point.x, y: point.y })),
+            style: options.style || 'markers',
+            marker_shape: options.marker_shape || 'circle',
+            marker_size: options.marker_size || 4,
+            color: options.color || '#3F51B5',
+            line_width: options.line_width || 2,
+            dash_style: 'solid',
+            z_index: 0
+        };
+
+        const command = new AddObjectCommand(this, series_object);
+        this.executeCommand(command);
+        this.redraw();
     }
     
     /**
-     * Update object property
-     * @param {string} property - Property name
-     * @param {any} value - New value
-     * side-effects: Updates selected object and redraws
+     * Replace the data of the selected series
+     * @param {string} text - CSV/TSV data text
+     * side-effects: Updates selected series, or alerts and restores the panel if no data could be read
      */
-    updateObjectProperty(property, value) {
-        if (this.selected_object) {
-            const old_value = this.selected_object[property];
-            if (old_value !== value) {
-                const command = new ModifyObjectCommand(this, this.selected_object, property, old_value, value);
-                this.executeCommand(command);
-            }
+    updateSeriesData(text) {
+        const parsed = this.parseDataText(text);
+        if (parsed.points.length === 0) {
+            alert('No numeric x, y rows found.');
+            this.updatePropertiesPanel();
+            return;
         }
+        this.updateObjectProperty('points', parsed.points);
+        this.updatePropertiesPanel();
     }
     
     /**
-     * Start dragging an object
-     * @param {Object} obj - Object to drag
-     * @param {Object} mouse_coords - Mouse canvas coordinates {x, y}
-     * @param {Object} plot_coords - Plot coordinates {x, y}
-     * side-effects: Initializes dragging state
+     * Fit a least-squares model to data points
+     * Exponential and power models are fitted linearly in log space; R² is computed on the original data for the
+     * returned expression, i.e. with the same rounded coefficients that are plotted
+     * @param {Object[]} points - Data points {x, y}
+     * @param {string} model - linear, polynomial, exponential, logarithmic or power
+     * @param {number} degree - Polynomial degree (polynomial model only)
+     * @returns {Object} {expression: math.js expression in x, equation: display text, r_squared}
+     * @throws {Error} If the data cannot be fitted with the model
      */
-    startDragging(obj, mouse_coords, plot_coords) {
-        this.dragging_state.is_dragging = true;
-        this.dragging_state.dragged_object = obj;
-        this.dragging_state.drag_start_mouse = mouse_coords;
-        this.dragging_state.drag_start_coords = plot_coords;
+    fitLeastSquares(points, model, degree = 2) {
+        assert(this.isMathLibraryReady(), 'Expected math library to be loaded for fitting');
+        const format = value => `${+value.toPrecision(6)}`;
+        let expression;
+        
+        // Solve the normal equations for y ≈ c0 + c1*f(x) + c2*f(x)^2 + ...
+        const solvePolynomial = (xs, ys, n) => {
+            if (new Set(xs).size <= n) {
+                throw new Error(`A degree ${n} fit needs at least ${n + 1} distinct x values.`);
+            }
+            const design = xs.map(x => Array.from({ length: n + 1 }, (_, k) => x ** k));
+            const design_t = this.math.transpose(design);
+            const solution = this.math.lusolve(this.math.multiply(design_t, design), this.math.multiply(design_t, ys));
+            return solution.map(row => row[0]);
+        };
         
-        // Store the original object coordinates for reference
-        this.dragging_state.original_coords = this.getObjectCoordinates(obj);
+        const xs = points.map(point => point.x);
+        const ys = points.map(point => point.y);
         
-        // Change cursor to grabbing
-        this.canvas.style.cursor = 'grabbing';
-    }
-    
+        switch (model) {
+            case 'linear':
+            case 'polynomial':
+                const n = model === 'linear' ? 1 : degree;
+                if (!Number.isInteger(n) || n < 1) {
+                    throw new Error(`Expected a polynomial degree of at least 1, got ${degree}.`);
+                }
+                const coefficients = solvePolynomial(xs, ys, n);
+                expression = coefficients
+                    .map((c, k) => k === 0 ? format(c) : k === 1 ? `${format(c)}*x` : `${format(c)}*x^${k}`)
+                    .reverse()
+                    .join(' + ')
+                    .replace(/\+ -/g, '- ');
+                break;
+            case 'exponential':
+                if (ys.some(y => y <= 0)) throw new Error('An exponential fit needs all y values to be positive.');
+                const [ln_a, b] = solvePolynomial(xs, ys.map(y => Math.log(y)), 1);
+                expression = `${format(Math.exp(ln_a))}*exp(${format(b)}*x)`;
+                break;
+            case 'logarithmic':
+                if (xs.some(x => x <= 0)) throw new Error('A logarithmic fit needs all x values to be positive.');
+                const [log_a, log_b] = solvePolynomial(xs.map(x => Math.log(x)), ys, 1);
+                expression = `${format(log_a)} + ${format(log_b)}*log(x)`.replace(/\+ -/g, '- ');
+                break;
+            case 'power':
+                if (xs.some(x => x <= 0) || ys.some(y => y <= 0)) {
+                    throw new Error('A power fit needs all x and y values to be positive.');
+                }
+                const [power_ln_a, power_b] = solvePolynomial(xs.map(x => Math.log(x)), ys.map(y => Math.log(y)), 1);
+                expression = `${format(Math.exp(power_ln_a))}*x^${format(power_b)}`;
+                break;
+            default:
+                throw new Error(`Unknown fit model: ${model}`);
+        }
+        
+        const compiled = this.math.compile(expression);
+        const predict = x => compiled.evaluate(this.getScope({ x: x }));
+        const mean_y = ys.reduce((sum, y) => sum + y, 0) / ys.length;
+        const ss_total = ys.reduce((sum, y) => sum + (y - mean_y) ** 2, 0);
+        const ss_residual = points.reduce((sum, point) => sum + (point.y - predict(point.x)) ** 2, 0);
+        const r_squared = ss_total > 0 ? 1 - ss_residual / ss_total : 1;
+        
+        return {
+            expression: expression,
+            equation: `y = ${expression.replace(/log\(/g, 'ln(')}`,
+            r_squared: r_squared
+        };
+    }
+    
     /**
-     * Update object position during dragging
-     * @param {Object} mouse_coords - Current mouse canvas coordinates {x, y}
-     * @param {Object} plot_coords - Current plot coordinates {x, y}
-     * side-effects: Updates object coordinates and redraws
+     * Fit a model to data points and add the fitted curve to the plot
+     * @param {Object[]} points - Data points {x, y}
+     * @param {string} model - Fit model (see fitLeastSquares)
+     * @param {number} degree - Polynomial degree
+     * @param {boolean} show_equation - Also add a text object with the equation and R²
+     * @param {string} color - Color of the fitted function
+     * side-effects: Adds function object (and text object) to plot_objects array as a single undo step
+     * @throws {Error} If the data cannot be fitted with the model
      */
-    updateDragging(mouse_coords, plot_coords) {
-        if (!this.dragging_state.is_dragging || !this.dragging_state.dragged_object) return;
+    addFit(points, model, degree, show_equation = true, color = '#D32F2F') {
+        assert(Array.isArray(points), 'Expected points to be an array');
+        if (points.length < 2) throw new Error('Select at least two points to fit.');
         
-        const obj = this.dragging_state.dragged_object;
-        const dx = plot_coords.x - this.dragging_state.drag_start_coords.x;
-        const dy = plot_coords.y - this.dragging_state.drag_start_coords.y;
+        const fit = this.fitLeastSquares(points, model, degree);
+        const function_object = {
+            type: 'function',
+            id: this.generateId(),
+            expression: fit.expression,
+            xMin: null,
+            xMax: null,
+            color: color,
+            width: 2,
+            z_index: 0
+        };
+        const objects = [function_object];
         
-        // Update object coordinates based on its type
-        this.updateObjectCoordinates(obj, dx, dy);
+        if (show_equation) {
+            // Place the label above the top-left of the data
+            const y_offset = (this.plot_bounds.y_max - this.plot_bounds.y_min) * 0.05;
+            objects.push({
+                type: 'text',
+                id: this.generateId(),
+                x: points.reduce((min, point) => Math.min(min, point.x), Infinity),
+                y: points.reduce((max, point) => Math.max(max, point.y), -Infinity) + y_offset,
+                text: `${fit.equation}   R² = ${fit.r_squared.toFixed(4)}`,
+                color: color,
+                font_size: 14,
+                font_family: 'Arial',
+                rotation: 0,
+                z_index: 0
+            });
+        }
         
-        // Update UI and redraw
-        this.updateObjectList();
-        this.updatePropertiesPanel();
-        this.redraw();
+        const command = new AddObjectsCommand(this, objects, `Add ${model} fit`);
+        this.executeCommand(command);
+        this.selectObject(function_object);
     }
     
     /**
-     * Stop dragging operation
-     * side-effects: Resets dragging state and cursor
+     * Build <option> elements for the data sources a fit can use
+     * @returns {string} HTML options: point objects, then one per data series
      */
-    stopDragging() {
-        if (this.dragging_state.is_dragging && this.dragging_state.dragged_object && this.dragging_state.original_coords) {
-            const current_coords = this.getObjectCoordinates(this.dragging_state.dragged_object);
+    getFitSourceOptionsHTML() {
+        return '<option value="points">Point objects</option>' + this.plot_objects
+            .filter(obj => obj.type === 'series')
+            .map(series => `<option value="${series.id}">${this.escapeXML(this.getObjectDisplayName(series))}</option>`)
+            .join('');
+    }
+    
+    /**
+     * Build a checkbox list of the point objects in the plot
+     * @returns {string} HTML checkboxes (all checked) with the point ids as values
+     */
+    getPointChecklistHTML() {
+        const points = this.plot_objects.filter(obj => obj.type === 'point');
+        if (points.length === 0) return '<div class="fit-empty">No point objects in the plot</div>';
+        
+        return points.map(point => `
+            <label class="fit-point">
+                <input type="checkbox" value="${point.id}" checked>
+                ${point.text ? this.escapeXML(point.text) + ' ' : ''}(${+point.x.toFixed(3)}, ${+point.y.toFixed(3)})
+            </label>`).join('');
+    }
+    
+    /**
+     * Parse bar chart text: one "label, height" (categorical) or "x, height" (numeric) row per bar,
+     * optionally followed by a #RRGGBB bar color
+     * @param {string} text - Bar rows separated by new lines
+     * @param {string} x_mode - categorical or numeric
+     * @returns {Object[]} Bars {label, x, height, color}
+     */
+    parseBarText(text, x_mode) {
+        const bars = [];
+        for (const line of text.split(/\r?\n/)) {
+            const trimmed = line.trim();
+            if (trimmed === '' || trimmed.startsWith('#')) continue;
             
-            // Check if the object actually moved
-            const moved = JSON.stringify(this.dragging_state.original_coords) !== JSON.stringify(current_coords);
+            const fields = trimmed.split(/[\t;,]/).map(field => field.trim());
+            const height = Number(fields[1]);
+            if (fields.length < 2 || fields[1] === '' || !isFinite(height)) continue;
             
-            if (moved) {
-                // Create and execute move command for undo/redo
-                const command = new MoveObjectCommand(
-                    this, 
-                    this.dragging_state.dragged_object, 
-                    this.dragging_state.original_coords, 
-                    current_coords
-                );
-                
-                // Add to history without executing (object already moved during drag)
-                this.command_history = this.command_history.slice(0, this.current_command_index + 1);
-                this.command_history.push(command);
-                this.current_command_index++;
-                
-                if (this.command_history.length > this.max_history_size) {
-                    this.command_history.shift();
-                    this.current_command_index--;
-                }
-                
-                this.updateUndoRedoButtons();
+            const color = /^#[0-9a-f]{6}$/i.test(fields[2] || '') ? fields[2] : null;
+            if (x_mode === 'categorical') {
+                bars.push({ label: fields[0], x: null, height, color });
+            } else {
+                const x = Number(fields[0]);
+                if (fields[0] === '' || !isFinite(x)) continue;
+                bars.push({ label: '', x, height, color });
             }
         }
-        
-        this.dragging_state.is_dragging = false;
-        this.dragging_state.dragged_object = null;
-        this.dragging_state.drag_start_mouse = null;
-        this.dragging_state.drag_start_coords = null;
-        this.dragging_state.original_coords = null;
-        
-        // Reset cursor
-        this.canvas.style.cursor = 'default';
+        return bars;
     }
     
     /**
-     * Get coordinates from object based on its type
-     * @param {Object} obj - Plot object
-     * @returns {Object} Object coordinates
+     * Format bars as text for editing (see parseBarText)
+     * @param {Object} bars - Bar chart object
+     * @returns {string} One row per bar
      */
-    getObjectCoordinates(obj) {
-        switch (obj.type) {
-            case 'point':
-            case 'text':
-                return { x: obj.x, y: obj.y };
-            case 'line':
-            case 'area':
-            case 'brace':
-                return { x1: obj.x1, y1: obj.y1, x2: obj.x2, y2: obj.y2 };
-            default:
-                return {};
-        }
+    formatBarText(bars) {
+        return bars.bars.map(bar => {
+            const position = bars.x_mode === 'categorical' ? bar.label : bar.x;
+            return bar.color ? `${position}, ${bar.height}, ${bar.color}` : `${position}, ${bar.height}`;
+        }).join('\n');
     }
     
     /**
-     * Update object coordinates during dragging
-     * @param {Object} obj - Plot object to update
-     * @param {number} dx - X offset from drag start
-     * @param {number} dy - Y offset from drag start
-     * side-effects: Updates object coordinates
+     * Parse a list of raw values separated by commas, semicolons or whitespace
+     * @param {string} text - Values text
+     * @returns {number[]} Numeric values; other tokens are ignored
      */
-    updateObjectCoordinates(obj, dx, dy) {
-        const original = this.dragging_state.original_coords;
-        
-        switch (obj.type) {
-            case 'point':
-            case 'text':
-                obj.x = original.x + dx;
-                obj.y = original.y + dy;
-                break;
-            case 'line':
-            case 'area':
-            case 'brace':
-                obj.x1 = original.x1 + dx;
-                obj.y1 = original.y1 + dy;
-                obj.x2 = original.x2 + dx;
-                obj.y2 = original.y2 + dy;
-                break;
-        }
+    parseValueList(text) {
+        return text.split(/[\s,;]+/).filter(token => token !== '').map(Number).filter(value => isFinite(value));
     }
     
     /**
-     * Set object coordinates to absolute values
-     * @param {Object} obj - Object to update
-     * @param {Object} coords - New coordinate values
-     * side-effects: Updates object coordinates
+     * Add a bar chart to the plot
+     * @param {Object[]} bars - Bars {label, x, height, color}; color null uses the chart fill color
+     * @param {string} x_mode - categorical (bars at x = 1, 2, ...) or numeric (bars at their x)
+     * @param {Object} options - {bar_width, fill_color, border_color}
+     * side-effects: Adds bar chart object to plot_objects array
      */
-    setObjectCoordinates(obj, coords) {
-        switch (obj.type) {
-            case 'point':
-            case 'text':
-                obj.x = coords.x;
-                obj.y = coords.y;
-                break;
-            case 'line':
-            case 'area':
-            case 'brace':
-                obj.x1 = coords.x1;
-                obj.y1 = coords.y1;
-                obj.x2 = coords.x2;
-                obj.y2 = coords.y2;
-                break;
-        }
+    addBarChart(bars, x_mode, options = {}) {
+        assert(Array.isArray(bars) && bars.length > 0, 'Expected at least one bar');
+        assert(x_mode === 'categorical' || x_mode === 'numeric', `Expected x_mode categorical or numeric, got ${x_mode}`);
+        
+        const bars_object = {
+            type: 'bars',
+            id: this.generateId(),
+            x_mode: x_mode,
+            bars: bars,
+            bar_width: options.bar_width || 0.8,
+            fill_color: options.fill_color || '#3F51B580',
+            border_color: options.border_color || '#303F9F',
+            z_index: 0
+        };
+
+        const command = new AddObjectCommand(this, bars_object);
+        this.executeCommand(command);
+        this.redraw();
     }
     
     /**
-     * Main drawing function - renders entire plot
-     * side-effects: Draws on canvas
+     * Add a histogram of raw values to the plot
+     * @param {number[]} values - Raw values
+     * @param {Object} options - {bin_mode: 'count'|'width', bin_count, bin_width, fill_color, border_color}
+     * side-effects: Adds histogram object to plot_objects array
      */
-    redraw() {
-        // Clear canvas
-        this.context.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    addHistogram(values, options = {}) {
+        assert(Array.isArray(values) && values.length > 0, 'Expected at least one value');
         
-        // Draw axes and grid
-        this.drawAxes();
-        
-        // Draw all objects sorted by z-index (lowest first)
-        const sorted_objects = [...this.plot_objects].sort((a, b) => (a.z_index || 0) - (b.z_index || 0));
-        for (const obj of sorted_objects) {
-            // Apply visual feedback for dragged objects
-            if (this.dragging_state.is_dragging && this.dragging_state.dragged_object === obj) {
-                this.context.save();
-                this.context.globalAlpha = 0.7; // Make dragged object slightly transparent
-                this.drawObject(obj);
-                this.context.restore();
-            } else {
-                this.drawObject(obj);
-            }
-        }
-        
-        // Highlight selected object
-        if (this.selected_object) {
-            this.highlightObject(this.selected_object);
-        }
-        
-        // Update picking canvas
-        this.renderPickingCanvas();
+        const histogram_object = {
+            type: 'histogram',
+            id: this.generateId(),
+            values: values,
+            bin_mode: options.bin_mode || 'count',
+            bin_count: options.bin_count || 10,
+            bin_width: options.bin_width || 1,
+            fill_color: options.fill_color || '#00968880',
+            border_color: options.border_color || '#00695C',
+            z_index: 0
+        };
+
+        const command = new AddObjectCommand(this, histogram_object);
+        this.executeCommand(command);
+        this.redraw();
     }
     
     /**
-     * Completely disable antialiasing on picking context
-     * side-effects: Sets all antialiasing properties to false/optimizeSpeed
+     * Replace the bars of the selected bar chart
+     * @param {string} text - Bar rows (see parseBarText)
+     * side-effects: Updates selected bar chart, or alerts and restores the panel if no bars could be read
      */
-    disablePickingAntialiasing() {
-        // Disable image smoothing (all browser prefixes)
-        this.picking_context.imageSmoothingEnabled = false;
-        this.picking_context.webkitImageSmoothingEnabled = false;
-        this.picking_context.mozImageSmoothingEnabled = false;
-        this.picking_context.msImageSmoothingEnabled = false;
-        this.picking_context.oImageSmoothingEnabled = false;
-        
-        // Optimize text rendering for speed (no antialiasing)
-        if (this.picking_context.textRenderingOptimization) {
-            this.picking_context.textRenderingOptimization = 'optimizeSpeed';
-        }
-        if (this.picking_context.textRendering) {
-            this.picking_context.textRendering = 'optimizeSpeed';
+    updateBarData(text) {
+        const bars = this.parseBarText(text, this.selected_object.x_mode);
+        if (bars.length === 0) {
+            alert('No bars found. Enter one "label, height" or "x, height" row per bar.');
+            this.updatePropertiesPanel();
+            return;
         }
-        
-        // Set quality to fastest (least antialiasing)
-        if (this.picking_context.imageSmoothingQuality) {
-            this.picking_context.imageSmoothingQuality = 'low';
+        this.updateObjectProperty('bars', bars);
+        this.updatePropertiesPanel();
+    }
+    
+    /**
+     * Replace the values of the selected histogram
+     * @param {string} text - Values text (see parseValueList)
+     * side-effects: Updates selected histogram, or alerts and restores the panel if no values could be read
+     */
+    updateHistogramValues(text) {
+        const values = this.parseValueList(text);
+        if (values.length === 0) {
+            alert('No numeric values found.');
+            this.updatePropertiesPanel();
+            return;
         }
+        this.updateObjectProperty('values', values);
+        this.updatePropertiesPanel();
     }
     
     /**
-     * Render picking canvas for accurate object selection
-     * side-effects: Draws objects on invisible picking canvas with ID colors
+     * Add a tangent (and optionally normal) line attached to a function
+     * @param {string} function_id - Id of the function object
+     * @param {number} x0 - X position of the anchor on the curve
+     * @param {Object} options - {show_normal, show_slope, color, width}
+     * side-effects: Adds tangent object to plot_objects array
      */
-    renderPickingCanvas() {
-        // Clear picking canvas
-        this.picking_context.clearRect(0, 0, this.picking_canvas.width, this.picking_canvas.height);
-        
-        // Ensure antialiasing is completely disabled
-        this.disablePickingAntialiasing();
-        
-        // Sort objects by z-index (lowest first for proper layering)
-        const sorted_objects = [...this.plot_objects].sort((a, b) => (a.z_index || 0) - (b.z_index || 0));
+    addTangent(function_id, x0, options = {}) {
+        assert(this.findFunctionById(function_id) !== null, `Expected a function with id ${function_id}`);
+        assert(isFinite(x0), `Expected finite anchor position, got ${x0}`);
         
-        // First pass: Draw bounding boxes
-        for (const obj of sorted_objects) {
-            const color = this.getObjectColor(obj.id);
-            this.drawPickingBBox(obj, color);
+        const tangent_object = {
+            type: 'tangent',
+            id: this.generateId(),
+            function_id: function_id,
+            x0: x0,
+            show_normal: options.show_normal || false,
+            show_slope: options.show_slope !== false,
+            color: options.color || '#FF5722',
+            width: options.width || 1.5,
+            z_index: 0
+        };
+
+        const command = new AddObjectCommand(this, tangent_object);
+        this.executeCommand(command);
+        this.redraw();
+    }
+    
+    /**
+     * Add a tangent at the clicked x position, using the function and options of the tangent panel
+     * @param {Object} coords - Clicked plot coordinates {x, y}
+     * side-effects: Adds tangent object, or alerts if no function is chosen
+     */
+    addTangentAtClick(coords) {
+        const function_select = document.getElementById('tangent-function');
+        const function_id = function_select ? function_select.value : '';
+        if (!this.findFunctionById(function_id)) {
+            alert('Please add a function and choose it in the tangent panel first.');
+            return;
         }
         
-        // Second pass: Draw actual objects on top (skip areas - they already have large bboxes)
-        for (const obj of sorted_objects) {
-            if (obj.type === 'area') {
-                continue; // Skip areas - their bboxes already fully cover them
-            }
-            const color = this.getObjectColor(obj.id);
-            this.drawPickingObject(obj, color);
-        }
+        this.addTangent(function_id, coords.x, {
+            show_normal: document.getElementById('tangent-show-normal').checked,
+            show_slope: document.getElementById('tangent-show-slope').checked,
+            color: document.getElementById('tangent-color').value
+        });
     }
     
     /**
-     * Draw object bounding box on picking canvas
-     * @param {Object} obj - Object to draw bbox for
-     * @param {string} color - Picking color for this object
-     * side-effects: Draws filled bbox on picking canvas
+     * Add a scalar field f(x, y) shown as contours or a heatmap
+     * @param {string} expression - Expression in x and y
+     * @param {string} mode - lines (contour lines), filled (contour bands) or heatmap
+     * @param {Object} options - {levels: sorted levels or null for level_count evenly spaced ones, level_count,
+     *                            colormap, resolution: grid cells across the view}
+     * side-effects: Adds scalar field object to plot_objects array
      */
-    drawPickingBBox(obj, color) {
-        this.picking_context.fillStyle = color;
+    addScalarField(expression, mode = 'lines', options = {}) {
+        assert(['lines', 'filled', 'heatmap'].includes(mode), `Expected lines, filled or heatmap mode, got ${mode}`);
+
+        const scalar_field_object = {
+            type: 'scalar_field',
+            id: this.generateId(),
+            expression: expression,
+            mode: mode,
+            levels: options.levels || null,
+            level_count: options.level_count || 10,
+            colormap: options.colormap || 'viridis',
+            resolution: options.resolution || 100,
+            show_labels: true,
+            show_color_bar: true,
+            opacity: 0.8,
+            width: 1.5,
+            z_index: -1
+        };
+
+        const command = new AddObjectCommand(this, scalar_field_object);
+        this.executeCommand(command);
+        this.redraw();
+    }
+
+    /**
+     * Add a slope field or vector field to the plot
+     * @param {Object} definition - {type: 'slope_field', expression} for dy/dx = f(x, y),
+     *                              or {type: 'vector_field', p_expression, q_expression} for (P(x, y), Q(x, y))
+     * @param {Object} options - {density: grid cells across the plot, scale: segment length factor,
+     *                            normalize: equal-length vectors, color, width}
+     * side-effects: Adds field object to plot_objects array
+     */
+    addField(definition, options = {}) {
+        assert(definition.type === 'slope_field' || definition.type === 'vector_field',
+               `Expected slope_field or vector_field, got ${definition.type}`);
         
-        switch (obj.type) {
-            case 'point':
-                const point_coords = this.plotToCanvas(obj.x, obj.y);
-                this.picking_context.beginPath();
-                this.picking_context.arc(point_coords.x, point_coords.y, obj.size + 3, 0, 2 * Math.PI);
-                this.picking_context.fill();
-                break;
-            case 'text':
-                this.drawPickingTextBBox(obj, color);
-                break;
-            case 'line':
-                this.drawPickingLineBBox(obj, color);
-                break;
-            case 'area':
-                this.drawPickingAreaBBox(obj, color);
-                break;
-            case 'brace':
-                this.drawPickingBraceBBox(obj, color);
-                break;
-        }
+        const field_object = {
+            type: definition.type,
+            id: this.generateId(),
+            expression: definition.expression || '',
+            p_expression: definition.p_expression || '',
+            q_expression: definition.q_expression || '',
+            density: options.density || 20,
+            scale: options.scale || 1,
+            normalize: options.normalize !== false,
+            color: options.color || '#607D8B',
+            width: options.width || 1.5,
+            z_index: -1
+        };
+
+        const command = new AddObjectCommand(this, field_object);
+        this.executeCommand(command);
+        this.redraw();
     }
     
     /**
-     * Draw text bounding box on picking canvas
-     * @param {Object} text_obj - Text object
-     * @param {string} color - Picking color
-     * side-effects: Draws filled rotated text bbox on picking canvas
+     * Add the solution curve of dy/dx = f(x, y) through a point
+     * The slope expression and direction are taken from the ODE panel when it exists
+     * @param {Object} coords - Initial condition {x, y}
+     * @param {string} expression - Slope expression f(x, y); null reads the ODE panel
+     * @param {string} direction - both, forward or backward; null reads the ODE panel
+     * @param {string} color - Curve color
+     * @param {number} width - Line width
+     * side-effects: Adds ODE solution object to plot_objects array
      */
-    drawPickingTextBBox(text_obj, color) {
-        // Get text dimensions
-        this.picking_context.save();
-        
-        // Disable antialiasing for exact color matching
-        this.disablePickingAntialiasing();
-        
-        this.picking_context.font = `${text_obj.font_size}px ${text_obj.font_family}`;
-        const text_metrics = this.picking_context.measureText(text_obj.text);
-        const text_width = text_metrics.width;
-        const text_height = text_obj.font_size;
-        this.picking_context.restore();
-        
-        const text_canvas_coords = this.plotToCanvas(text_obj.x, text_obj.y);
-        
-        this.picking_context.save();
-        this.picking_context.fillStyle = color;
-        
-        // Disable antialiasing for exact color matching
-        this.disablePickingAntialiasing();
+    addODESolution(coords, expression = null, direction = null, color = '#795548', width = 2) {
+        const expression_input = document.getElementById('ode-expression');
+        const direction_input = document.getElementById('ode-direction');
+        const color_input = document.getElementById('ode-color');
+        if (expression === null) {
+            expression = expression_input ? expression_input.value.trim() : '';
+            direction = direction_input ? direction_input.value : 'both';
+            color = color_input ? color_input.value : color;
+        }
+        if (!expression) {
+            alert('Please enter a slope expression dy/dx = f(x, y) first.');
+            return;
+        }
         
-        // Apply rotation if specified
-        if (text_obj.rotation && text_obj.rotation !== 0) {
-            this.picking_context.translate(text_canvas_coords.x, text_canvas_coords.y);
-            this.picking_context.rotate((text_obj.rotation * Math.PI) / 180);
-            this.picking_context.fillRect(0, -text_height, text_width, text_height);
-        } else {
-            this.picking_context.fillRect(text_canvas_coords.x, text_canvas_coords.y - text_height, text_width, text_height);
+        try {
+            this.math.compile(expression);
+        } catch (error) {
+            alert(`Invalid slope expression: ${error.message}`);
+            return;
         }
         
-        this.picking_context.restore();
+        const ode_object = {
+            type: 'ode',
+            id: this.generateId(),
+            expression: expression,
+            x0: coords.x,
+            y0: coords.y,
+            direction: direction || 'both',
+            color: color,
+            width: width,
+            z_index: 0
+        };
+
+        const command = new AddObjectCommand(this, ode_object);
+        this.executeCommand(command);
+        this.redraw();
     }
     
     /**
-     * Draw brace bounding box on picking canvas
-     * @param {Object} brace_obj - Brace object
-     * @param {string} color - Picking color
-     * side-effects: Draws filled brace bbox on picking canvas
+     * Add a confidence band to the plot
+     * @param {Object} definition - {source: 'expressions', lower_expression, upper_expression, x_min, x_max}
+     *                              or {source: 'data', data: [{x, lower, upper}]}; null x limits follow the view
+     * @param {string} fill_color - Fill color with alpha
+     * side-effects: Adds band object to plot_objects array
      */
-    drawPickingBraceBBox(brace_obj, color) {
-        const start_coords = this.plotToCanvas(brace_obj.x1, brace_obj.y1);
-        const end_coords = this.plotToCanvas(brace_obj.x2, brace_obj.y2);
-        
-        // Calculate brace dimensions
-        const dx = end_coords.x - start_coords.x;
-        const dy = end_coords.y - start_coords.y;
-        const length = Math.sqrt(dx * dx + dy * dy);
-        
-        if (length < 1) return; // Skip very short braces
-        
-        // Calculate perpendicular direction for brace width
-        const along_x = dx / length;
-        const along_y = dy / length;
-        const perp_x = -along_y;
-        const perp_y = along_x;
-        
-        // Brace extends in perpendicular direction based on elevation
-        const brace_elevation = (brace_obj.elevation || brace_obj.width || 15) * 2; // Make bbox wider than actual brace
-        const half_width = brace_elevation / 2;
-        
-        // Create bounding box around the brace
-        const bbox_points = [
-            {
-                x: start_coords.x + perp_x * half_width,
-                y: start_coords.y + perp_y * half_width
-            },
-            {
-                x: start_coords.x - perp_x * half_width,
-                y: start_coords.y - perp_y * half_width
-            },
-            {
-                x: end_coords.x - perp_x * half_width,
-                y: end_coords.y - perp_y * half_width
-            },
-            {
-                x: end_coords.x + perp_x * half_width,
-                y: end_coords.y + perp_y * half_width
-            }
-        ];
+    addBand(definition, fill_color = '#9E9E9E40') {
+        assert(definition.source === 'expressions' || definition.source === 'data',
+               `Expected band source to be expressions or data, got ${definition.source}`);
         
-        // Draw filled polygon
-        this.picking_context.save();
-        this.picking_context.fillStyle = color;
-        this.picking_context.beginPath();
-        this.picking_context.moveTo(bbox_points[0].x, bbox_points[0].y);
-        for (let i = 1; i < bbox_points.length; i++) {
-            this.picking_context.lineTo(bbox_points[i].x, bbox_points[i].y);
+        const band_object = {
+            type: 'band',
+            id: this.generateId(),
+            source: definition.source,
+            lower_expression: definition.lower_expression || '',
+            upper_expression: definition.upper_expression || '',
+            x_min: definition.x_min !== undefined ? definition.x_min : null,
+            x_max: definition.x_max !== undefined ? definition.x_max : null,
+            data: definition.data || [],
+            fill_color: fill_color,
+            z_index: -1
+        };
+
+        const command = new AddObjectCommand(this, band_object);
+        this.executeCommand(command);
+        this.redraw();
+    }
+    
+    /**
+     * Replace the data rows of the selected band
+     * @param {string} text - CSV/TSV text with x, lower and upper columns
+     * side-effects: Updates selected band, or alerts and restores the panel if no rows could be read
+     */
+    updateBandData(text) {
+        const parsed = this.parseDataText(text, ['x', 'lower', 'upper']);
+        if (parsed.points.length < 2) {
+            alert('A band needs at least two numeric x, lower, upper rows.');
+            this.updatePropertiesPanel();
+            return;
         }
-        this.picking_context.closePath();
-        this.picking_context.fill();
-        this.picking_context.restore();
+        this.updateObjectProperty('data', parsed.points);
+        this.updatePropertiesPanel();
     }
     
     /**
-     * Draw area bounding box on picking canvas
-     * @param {Object} area_obj - Area object
-     * @param {string} color - Picking color
-     * side-effects: Draws filled area bbox on picking canvas
+     * Add an integral region between a function and the x-axis or a second function
+     * @param {string} function_id - Id of the upper function object
+     * @param {string|null} lower_function_id - Id of the lower function object, null for the x-axis
+     * @param {number} a - Start of interval
+     * @param {number} b - End of interval
+     * @param {string} fill_color - Fill color with alpha
+     * @param {boolean} show_value - Whether to label the region with the integral value
+     * side-effects: Adds integral region object to plot_objects array
      */
-    drawPickingAreaBBox(area_obj, color) {
-        const start_coords = this.plotToCanvas(area_obj.x1, area_obj.y1);
-        const end_coords = this.plotToCanvas(area_obj.x2, area_obj.y2);
-        
-        // Calculate area dimensions
-        const left = Math.min(start_coords.x, end_coords.x);
-        const top = Math.min(start_coords.y, end_coords.y);
-        const width = Math.abs(end_coords.x - start_coords.x);
-        const height = Math.abs(end_coords.y - start_coords.y);
-        
-        // Draw filled rectangle
-        this.picking_context.save();
-        this.picking_context.fillStyle = color;
-        this.picking_context.fillRect(left, top, width, height);
-        this.picking_context.restore();
+    addIntegral(function_id, lower_function_id, a, b, fill_color = '#FF980050', show_value = true) {
+        assert(this.findFunctionById(function_id) !== null, `Expected function object with id ${function_id}`);
+        assert(lower_function_id === null || this.findFunctionById(lower_function_id) !== null,
+               `Expected function object with id ${lower_function_id}`);
+        assert(isFinite(a) && isFinite(b), `Expected finite interval, got [${a}, ${b}]`);
+        
+        const integral_object = {
+            type: 'integral',
+            id: this.generateId(),
+            function_id: function_id,
+            lower_function_id: lower_function_id,
+            a: a,
+            b: b,
+            fill_color: fill_color,
+            show_value: show_value,
+            z_index: -1
+        };
+
+        const command = new AddObjectCommand(this, integral_object);
+        this.executeCommand(command);
+        this.redraw();
     }
     
     /**
-     * Draw line bounding box on picking canvas (rotated rectangle around the line)
-     * @param {Object} line_obj - Line object
-     * @param {string} color - Picking color
-     * side-effects: Draws filled rotated rectangle on picking canvas
+     * Add a Riemann sum or trapezoid rule approximation of a function's integral
+     * @param {string} function_id - Id of the function object
+     * @param {number} a - Start of interval
+     * @param {number} b - End of interval
+     * @param {number} n - Number of subintervals
+     * @param {string} method - left, right, midpoint or trapezoid
+     * @param {string} fill_color - Fill color with alpha
+     * @param {boolean} show_value - Whether to label the approximation with its value
+     * side-effects: Adds riemann object to plot_objects array
      */
-    drawPickingLineBBox(line_obj, color) {
-        const start_coords = this.plotToCanvas(line_obj.x1, line_obj.y1);
-        const end_coords = this.plotToCanvas(line_obj.x2, line_obj.y2);
-        
-        // Calculate line dimensions
-        const dx = end_coords.x - start_coords.x;
-        const dy = end_coords.y - start_coords.y;
-        const length = Math.sqrt(dx * dx + dy * dy);
-        
-        if (length < 1) return; // Skip very short lines
-        
-        // Calculate perpendicular direction for line width
-        const along_x = dx / length;
-        const along_y = dy / length;
-        const perp_x = -along_y;
-        const perp_y = along_x;
-        
-        // Line extends in perpendicular direction based on width
-        const line_width = Math.max(8, (line_obj.width || 2) * 4); // Make thick for picking
-        const half_width = line_width / 2;
+    addRiemannSum(function_id, a, b, n = 10, method = 'left', fill_color = '#4CAF5050', show_value = true) {
+        assert(this.findFunctionById(function_id) !== null, `Expected function object with id ${function_id}`);
+        assert(isFinite(a) && isFinite(b), `Expected finite interval, got [${a}, ${b}]`);
+        assert(['left', 'right', 'midpoint', 'trapezoid'].includes(method), `Unknown Riemann sum method ${method}`);
         
-        // Create bounding box around the line
-        const bbox_points = [
-            {
-                x: start_coords.x + perp_x * half_width,
-                y: start_coords.y + perp_y * half_width
-            },
-            {
-                x: start_coords.x - perp_x * half_width,
-                y: start_coords.y - perp_y * half_width
-            },
-            {
-                x: end_coords.x - perp_x * half_width,
-                y: end_coords.y - perp_y * half_width
-            },
-            {
-                x: end_coords.x + perp_x * half_width,
-                y: end_coords.y + perp_y * half_width
-            }
-        ];
+        const riemann_object = {
+            type: 'riemann',
+            id: this.generateId(),
+            function_id: function_id,
+            a: a,
+            b: b,
+            n: n,
+            method: method,
+            fill_color: fill_color,
+            border_color: '#2E7D32',
+            show_value: show_value,
+            z_index: -1
+        };
+
+        const command = new AddObjectCommand(this, riemann_object);
+        this.executeCommand(command);
+        this.redraw();
+    }
+    
+    /**
+     * Preview the number of subintervals of the selected Riemann sum while it is being typed
+     * The preview is not recorded for undo; updateRiemannCount commits it when the input changes
+     * @param {string} text - Input value, whole number between 1 and 1000
+     * side-effects: Sets n of selected object if the input is valid, redraws
+     */
+    previewRiemannCount(text) {
+        const n = parseInt(text);
+        if (!this.selected_object || !(n >= 1 && n <= 1000)) return; // Ignore incomplete input while typing
         
-        // Draw filled polygon
-        this.picking_context.save();
-        this.picking_context.fillStyle = color;
-        this.picking_context.beginPath();
-        this.picking_context.moveTo(bbox_points[0].x, bbox_points[0].y);
-        for (let i = 1; i < bbox_points.length; i++) {
-            this.picking_context.lineTo(bbox_points[i].x, bbox_points[i].y);
+        if (!this.riemann_preview || this.riemann_preview.object !== this.selected_object) {
+            this.riemann_preview = { object: this.selected_object, n: this.selected_object.n };
         }
-        this.picking_context.closePath();
-        this.picking_context.fill();
-        this.picking_context.restore();
+        this.selected_object.n = n;
+        this.redraw();
     }
     
     /**
-     * Draw object on picking canvas
-     * @param {Object} obj - Object to draw
-     * @param {string} color - Picking color for this object
-     * side-effects: Draws object on picking canvas
+     * Update the number of subintervals of the selected Riemann sum as one undo step
+     * @param {string} text - Input value, whole number between 1 and 1000
+     * side-effects: Updates n of selected object if the input is valid, reverts the preview otherwise
      */
-    drawPickingObject(obj, color) {
-        this.picking_context.strokeStyle = color;
-        this.picking_context.fillStyle = color;
-        this.picking_context.lineWidth = Math.max(2, obj.width || 2); // Ensure minimum width for picking
+    updateRiemannCount(text) {
+        const preview = this.riemann_preview;
+        this.riemann_preview = null;
+        if (preview && preview.object === this.selected_object) {
+            this.selected_object.n = preview.n;
+        }
         
-        switch (obj.type) {
-            case 'point':
-                const point_coords = this.plotToCanvas(obj.x, obj.y);
-                this.picking_context.beginPath();
-                this.picking_context.arc(point_coords.x, point_coords.y, Math.max(obj.size, 3), 0, 2 * Math.PI);
-                this.picking_context.fill();
-                break;
-            case 'line':
-                const line_start = this.plotToCanvas(obj.x1, obj.y1);
-                const line_end = this.plotToCanvas(obj.x2, obj.y2);
-                this.picking_context.beginPath();
-                this.picking_context.moveTo(line_start.x, line_start.y);
-                this.picking_context.lineTo(line_end.x, line_end.y);
-                this.picking_context.stroke();
-                break;
-            case 'area':
-                const area_top_left = this.plotToCanvas(obj.x1, obj.y2);
-                const area_bottom_right = this.plotToCanvas(obj.x2, obj.y1);
-                this.picking_context.fillRect(area_top_left.x, area_top_left.y, 
-                                            area_bottom_right.x - area_top_left.x, 
-                                            area_bottom_right.y - area_top_left.y);
-                break;
-            case 'text':
-                // Text is handled by bbox, but we can also draw the text itself
-                const text_coords = this.plotToCanvas(obj.x, obj.y);
-                this.picking_context.save();
-                
-                // Disable antialiasing for exact color matching
-                this.disablePickingAntialiasing();
-                
-                this.picking_context.font = `${obj.font_size}px ${obj.font_family}`;
-                if (obj.rotation && obj.rotation !== 0) {
-                    this.picking_context.translate(text_coords.x, text_coords.y);
-                    this.picking_context.rotate((obj.rotation * Math.PI) / 180);
-                    this.picking_context.fillText(obj.text, 0, 0);
-                } else {
-                    this.picking_context.fillText(obj.text, text_coords.x, text_coords.y);
-                }
-                this.picking_context.restore();
-                break;
-            case 'brace':
-                this.drawPickingBrace(obj, color);
-                break;
-            case 'function':
-                this.drawPickingFunction(obj, color);
-                break;
+        const n = parseInt(text);
+        if (n >= 1 && n <= 1000) {
+            this.updateObjectProperty('n', n);
+        } else if (preview) {
+            this.redraw();
         }
     }
     
     /**
-     * Draw brace on picking canvas using existing brace rendering code
-     * @param {Object} brace_obj - Brace object
-     * @param {string} color - Picking color
-     * side-effects: Draws brace shape on picking canvas
+     * Build <option> elements for the function objects in the plot
+     * @param {string|null} selected_id - Id of the function to mark as selected
+     * @returns {string} HTML options, one per function object
      */
-    drawPickingBrace(brace_obj, color) {
-        // Save current context and switch to picking context
-        const original_context = this.context;
-        this.context = this.picking_context;
-        
-        // Save picking context state
-        this.picking_context.save();
-        
-        // Disable antialiasing completely
-        this.disablePickingAntialiasing();
+    getFunctionOptionsHTML(selected_id) {
+        return this.plot_objects
+            .filter(obj => obj.type === 'function')
+            .map(func => `<option value="${func.id}" ${func.id === selected_id ? 'selected' : ''}>f(x) = ${this.escapeXML(func.expression)}</option>`)
+            .join('');
+    }
+    
+    /**
+     * Split inequality input into individual inequalities
+     * @param {string} text - Inequalities separated by new lines or semicolons
+     * @returns {string[]} Non-empty inequalities
+     */
+    parseInequalities(text) {
+        return text.split(/[\n;]/).map(inequality => inequality.trim()).filter(inequality => inequality !== '');
+    }
+    
+    /**
+     * Add a region shaded where all given inequalities hold
+     * @param {string[]} inequalities - Inequalities in x and y (e.g., ["y > x^2", "x + y < 3"])
+     * @param {string} fill_color - Fill color with alpha
+     * @param {boolean} hatch - Whether to draw a hatch pattern over the fill
+     * @param {string} hatch_color - Hatch line color
+     * side-effects: Adds region object to plot_objects array
+     */
+    addRegion(inequalities, fill_color = '#2196F340', hatch = false, hatch_color = '#1976D2') {
+        assert(Array.isArray(inequalities) && inequalities.length > 0, 'Expected at least one inequality');
         
-        // Create a modified brace object with picking color but same width
-        const picking_brace = {
-            ...brace_obj,
-            color: color
-            // Keep original width - picking area should match visual exactly
+        const region_object = {
+            type: 'region',
+            id: this.generateId(),
+            inequalities: inequalities,
+            fill_color: fill_color,
+            hatch: hatch,
+            hatch_color: hatch_color,
+            z_index: -1
         };
-        
-        // Use the existing brace drawing logic
-        this.drawBrace(picking_brace);
-        
-        // Restore picking context state
-        this.picking_context.restore();
-        
-        // Restore original context
-        this.context = original_context;
-    }
 
+        const command = new AddObjectCommand(this, region_object);
+        this.executeCommand(command);
+        this.redraw();
+    }
+    
     /**
-     * Draw function on picking canvas (simplified path for selection)
-     * @param {Object} func_obj - Function object
-     * @param {string} color - Picking color
-     * side-effects: Draws function path on picking canvas
+     * Replace the inequalities of the selected region
+     * @param {string} text - Inequalities separated by new lines or semicolons
+     * side-effects: Updates selected region, or alerts and restores the panel if no inequality is given
      */
-    drawPickingFunction(func_obj, color) {
-        if (!this.isMathLibraryReady()) {
-            console.warn('Math library not ready, skipping function picking');
-            // Wait for math library to be ready
-            const waitForMath = () => {
-                if (this.isMathLibraryReady()) {
-                    this.renderPickingCanvas();
-                } else {
-                    setTimeout(waitForMath, 100);
-                }
-            };
-            waitForMath();
+    updateRegionInequalities(text) {
+        const inequalities = this.parseInequalities(text);
+        if (inequalities.length === 0) {
+            alert('A region needs at least one inequality.');
+            this.updatePropertiesPanel();
             return;
         }
-
+        this.updateObjectProperty('inequalities', inequalities);
+    }
+    
+    /**
+     * Evaluate a constant numeric input such as "2*pi"
+     * @param {string} text - Input text
+     * @returns {number} Value of the expression, NaN if it is not a finite number
+     */
+    evaluateNumberInput(text) {
+        const trimmed = String(text).trim();
+        if (trimmed === '') return NaN;
         try {
-            // Create a compiled function for better performance
-            const compiledFunction = this.math.compile(func_obj.expression);
-
-            // Determine the actual x range to plot
-            const plot_x_min = func_obj.xMin !== null ? func_obj.xMin : this.plot_bounds.x_min;
-            const plot_x_max = func_obj.xMax !== null ? func_obj.xMax : this.plot_bounds.x_max;
-
-            // Calculate number of samples (fewer than display for performance)
-            const range = plot_x_max - plot_x_min;
-            const samples = Math.min(Math.max(Math.floor(range * 20), 50), 500); // 20 samples per unit, min 50, max 500
-            const step = range / samples;
-
-            this.picking_context.strokeStyle = color;
-            this.picking_context.lineWidth = Math.max(4, func_obj.width || 2); // Make thicker for easier picking
-            this.picking_context.beginPath();
-
-            let firstPoint = true;
-
-            for (let i = 0; i <= samples; i++) {
-                const x = plot_x_min + i * step;
-
-                try {
-                    // Evaluate function at x
-                    const y = compiledFunction.evaluate({ x: x });
-
-                    if (isFinite(y)) {
-                        const canvasCoords = this.plotToCanvas(x, y);
-
-                        // Only draw if the point is within the effective plot area
-                        const effective_plot_area = this.getEffectivePlotArea();
-                        if (canvasCoords.x >= effective_plot_area.left &&
-                            canvasCoords.x <= effective_plot_area.right &&
-                            canvasCoords.y >= effective_plot_area.top &&
-                            canvasCoords.y <= effective_plot_area.bottom) {
-
-                            if (firstPoint) {
-                                this.picking_context.moveTo(canvasCoords.x, canvasCoords.y);
-                                firstPoint = false;
-                            } else {
-                                this.picking_context.lineTo(canvasCoords.x, canvasCoords.y);
-                            }
-                        }
-                    } else {
-                        // Invalid point - end current path and start new one
-                        if (!firstPoint) {
-                            this.picking_context.stroke();
-                            this.picking_context.beginPath();
-                            firstPoint = true;
-                        }
-                    }
-                } catch (error) {
-                    // Function evaluation error - end current path and start new one
-                    if (!firstPoint) {
-                        this.picking_context.stroke();
-                        this.picking_context.beginPath();
-                        firstPoint = true;
-                    }
-                }
-            }
-
-            // Stroke the final path
-            this.picking_context.stroke();
-
+            const value = this.isMathLibraryReady() ? this.math.evaluate(trimmed) : parseFloat(trimmed);
+            return typeof value === 'number' && isFinite(value) ? value : NaN;
         } catch (error) {
-            console.error('Error drawing function on picking canvas:', error);
+            return NaN;
         }
     }
-
+    
     /**
-     * Draw axes and grid
-     * side-effects: Draws axes on canvas
+     * Update a numeric property from a text input that may contain an expression
+     * @param {string} property - Property name
+     * @param {string} text - Input text (e.g., "2*pi")
+     * side-effects: Updates selected object, or alerts and restores the panel on invalid input
      */
-    drawAxes() {
-        // Calculate effective dimensions considering aspect ratio (same as plotToCanvas)
-        const plot_x_range = this.plot_bounds.x_max - this.plot_bounds.x_min;
-        const plot_y_range = this.plot_bounds.y_max - this.plot_bounds.y_min;
-        const aspect_ratio = this.axes_properties.aspect_ratio;
-        
-        // Determine which dimension constrains the scaling
-        const canvas_aspect = this.plot_width / this.plot_height;
-        const plot_aspect = (plot_x_range * aspect_ratio) / plot_y_range;
-        
-        let effective_width, effective_height, x_offset, y_offset;
+    updateNumericProperty(property, text) {
+        const value = this.evaluateNumberInput(text);
+        if (isNaN(value)) {
+            alert(`"${text}" is not a valid number.`);
+            this.updatePropertiesPanel();
+            return;
+        }
+        this.updateObjectProperty(property, value);
+    }
+    
+    /**
+     * Build the scope for evaluating an expression: the given variables layered over the base scope
+     * of global parameters and user definitions, which is shared rather than copied per evaluation
+     * @param {Object} variables - Variable values, e.g. {x}; they shadow parameters of the same name
+     * @returns {Object} Scope for compiled.evaluate
+     */
+    getScope(variables) {
+        if (this.base_scope === null) {
+            this.compileDefinitions(); // Scope was refreshed before the math library was ready
+        }
+        return Object.assign(Object.create(this.base_scope), variables);
+    }
+    
+    /**
+     * Rebuild the base scope after parameters or definitions changed
+     * side-effects: Recompiles parameters and definitions, drops geometry and derivatives computed with the old scope
+     */
+    refreshScope() {
+        this.base_scope = null;
+        if (this.isMathLibraryReady()) {
+            this.compileDefinitions();
+        }
+        this.sample_cache.clear();
+        this.evaluator_cache.clear();
+    }
+    
+    /**
+     * Find the definition that defines a name
+     * @param {string[]} definitions - Definition texts
+     * @param {string} name - Function or constant name
+     * @returns {number} Index of the first definition whose left-hand side names it, -1 if none
+     */
+    findDefinitionIndex(definitions, name) {
+        return definitions.findIndex(text => {
+            const match = /^\s*([A-Za-z_][A-Za-z0-9_]*)\s*(\(|=)/.exec(text);
+            return match !== null && match[1] === name;
+        });
+    }
+    
+    /**
+     * Parse and validate one definition against the names available to it
+     * @param {string} text - Definition such as "g(x) = x^2 + 1" or "c = 3"
+     * @param {Set<string>} defined_names - Names of the valid definitions above it
+     * @returns {Object} {name, params, body} with params null for constants
+     * @throws {Error} With a message for the user if the definition is invalid
+     */
+    parseDefinition(text, defined_names) {
+        let node;
+        try {
+            node = this.math.parse(text);
+        } catch (error) {
+            throw new Error(`Cannot parse "${text}": ${error.message}`);
+        }
         
-        if (plot_aspect > canvas_aspect) {
-            // X dimension constrains - use full width
-            effective_width = this.plot_width;
-            effective_height = this.plot_width / plot_aspect;
-            x_offset = 0;
-            y_offset = (this.plot_height - effective_height) / 2;
+        let name, params, body;
+        if (node.type === 'FunctionAssignmentNode') {
+            name = node.name;
+            params = node.params;
+            body = node.expr;
+        } else if (node.type === 'AssignmentNode' && node.object.type === 'SymbolNode') {
+            name = node.name;
+            params = null;
+            body = node.value;
         } else {
-            // Y dimension constrains - use full height
-            effective_height = this.plot_height;
-            effective_width = this.plot_height * plot_aspect;
-            x_offset = (this.plot_width - effective_width) / 2;
-            y_offset = 0;
+            throw new Error(`Expected "name(x) = expression" or "name = value", got "${text}".`);
         }
         
-        // Calculate effective plot area bounds
-        const plot_left = this.canvas_padding + x_offset;
-        const plot_right = this.canvas_padding + x_offset + effective_width;
-        const plot_top = this.canvas_padding + y_offset;
-        const plot_bottom = this.canvas_padding + y_offset + effective_height;
-        
-        this.context.strokeStyle = '#333';
-        this.context.lineWidth = 1;
-        this.context.font = '12px Arial';
-        this.context.fillStyle = '#333';
+        if (['x', 'y', 't', 'theta'].includes(name)) {
+            throw new Error(`"${name}" is a plot variable.`);
+        }
+        if (this.math[name] !== undefined) {
+            throw new Error(`"${name}" is a built-in function or constant.`);
+        }
+        if (this.parameters.some(parameter => parameter.name === name)) {
+            throw new Error(`"${name}" is already a parameter.`);
+        }
+        if (defined_names.has(name)) {
+            throw new Error(`"${name}" is defined more than once.`);
+        }
         
-        // Grid
-        if (this.axes_properties.show_grid) {
-            this.context.strokeStyle = '#e0e0e0';
-            this.context.lineWidth = 0.5;
-            
-            // Vertical grid lines
-            const x_step = (this.plot_bounds.x_max - this.plot_bounds.x_min) / 10;
-            for (let x = this.plot_bounds.x_min; x <= this.plot_bounds.x_max; x += x_step) {
-                const canvas_coords = this.plotToCanvas(x, 0);
-                this.context.beginPath();
-                this.context.moveTo(canvas_coords.x, plot_top);
-                this.context.lineTo(canvas_coords.x, plot_bottom);
-                this.context.stroke();
-            }
-            
-            // Horizontal grid lines
-            const y_step = (this.plot_bounds.y_max - this.plot_bounds.y_min) / 10;
-            for (let y = this.plot_bounds.y_min; y <= this.plot_bounds.y_max; y += y_step) {
-                const canvas_coords = this.plotToCanvas(0, y);
-                this.context.beginPath();
-                this.context.moveTo(plot_left, canvas_coords.y);
-                this.context.lineTo(plot_right, canvas_coords.y);
-                this.context.stroke();
+        // Bodies may use their arguments, built-ins, parameters and definitions above them
+        for (const symbol of body.filter(child => child.isSymbolNode)) {
+            const known = (params && params.includes(symbol.name)) || this.math[symbol.name] !== undefined ||
+                          this.parameters.some(parameter => parameter.name === symbol.name) || defined_names.has(symbol.name);
+            if (!known) {
+                throw new Error(symbol.name === name
+                    ? `"${name}" cannot be defined in terms of itself.`
+                    : `Unknown name "${symbol.name}" in the definition of ${name}; define it above or add it as a parameter.`);
             }
         }
-        
-        // Main axes
-        this.context.strokeStyle = '#333';
-        this.context.lineWidth = 2;
-        
-        // X-axis
-        const x_axis_y = this.plotToCanvas(0, 0).y;
-        this.context.beginPath();
-        this.context.moveTo(plot_left, x_axis_y);
-        this.context.lineTo(plot_right, x_axis_y);
-        this.context.stroke();
-        
-        // X-axis arrow
-        this.drawArrow(plot_right - 10, x_axis_y, plot_right, x_axis_y);
-        
-        // Y-axis
-        const y_axis_x = this.plotToCanvas(0, 0).x;
-        this.context.beginPath();
-        this.context.moveTo(y_axis_x, plot_top);
-        this.context.lineTo(y_axis_x, plot_bottom);
-        this.context.stroke();
-        
-        // Y-axis arrow
-        this.drawArrow(y_axis_x, plot_top + 10, y_axis_x, plot_top);
-        
-        // X-axis ticks and labels
-        this.drawXTicksAndLabels(plot_left, plot_right, x_axis_y);
-        
-        // Y-axis ticks and labels
-        this.drawYTicksAndLabels(plot_top, plot_bottom, y_axis_x);
-        
-        // Axis labels
-        this.context.fillStyle = '#333';
-        this.context.font = '14px Arial';
-        this.context.fillText(this.axes_properties.x_label, plot_right + 5, x_axis_y + 5);
-        this.context.fillText(this.axes_properties.y_label, y_axis_x - 5, plot_top - 5);
+        return { name, params, body };
     }
     
     /**
-     * Draw X-axis ticks and numerical labels
-     * @param {number} plot_left - Left bound of plot area
-     * @param {number} plot_right - Right bound of plot area
-     * @param {number} x_axis_y - Y coordinate of X-axis
-     * side-effects: Draws ticks and labels on canvas
+     * Compile the parameters and then the definitions, in order, into the base scope
+     * Invalid definitions are left out and their errors recorded; definitions using them fail in turn
+     * side-effects: Sets base_scope, definition_nodes and definition_errors
      */
-    drawXTicksAndLabels(plot_left, plot_right, x_axis_y) {
-        this.context.strokeStyle = '#333';
-        this.context.lineWidth = 1;
-        this.context.fillStyle = '#333';
-        this.context.font = '10px Arial';
-        this.context.textAlign = 'center';
-        this.context.textBaseline = 'top';
-        
-        const x_step = (this.plot_bounds.x_max - this.plot_bounds.x_min) / 10;
-        const tick_length = 5;
-        
-        for (let x = this.plot_bounds.x_min; x <= this.plot_bounds.x_max; x += x_step) {
-            const canvas_coords = this.plotToCanvas(x, 0);
-            
-            // Skip if outside effective plot area
-            if (canvas_coords.x < plot_left || canvas_coords.x > plot_right) continue;
-            
-            // Draw tick mark
-            this.context.beginPath();
-            this.context.moveTo(canvas_coords.x, x_axis_y - tick_length);
-            this.context.lineTo(canvas_coords.x, x_axis_y + tick_length);
-            this.context.stroke();
-            
-            // Draw label (skip 0 if it's too close to Y-axis)
-            const y_axis_x = this.plotToCanvas(0, 0).x;
-            if (Math.abs(canvas_coords.x - y_axis_x) > 15) {
-                this.context.fillText(x.toFixed(1), canvas_coords.x, x_axis_y + tick_length + 2);
+    compileDefinitions() {
+        const scope = {};
+        for (const parameter of this.parameters) {
+            scope[parameter.name] = parameter.value;
+        }
+        this.base_scope = scope;
+        this.definition_nodes = new Map();
+        this.definition_errors = [];
+        const defined_names = new Set();
+        
+        for (const text of this.definitions) {
+            try {
+                const { name, params, body } = this.parseDefinition(text, defined_names);
+                const compiled = body.compile();
+                
+                if (params) {
+                    scope[name] = (...args) => {
+                        const local = {};
+                        params.forEach((param, index) => { local[param] = args[index]; });
+                        return compiled.evaluate(this.getScope(local));
+                    };
+                    this.definition_nodes.set(name, { params, body });
+                } else {
+                    const value = compiled.evaluate(this.getScope({}));
+                    if (typeof value !== 'number' || !isFinite(value)) {
+                        throw new Error(`${name} must evaluate to a finite number.`);
+                    }
+                    scope[name] = value;
+                }
+                defined_names.add(name);
+                this.definition_errors.push(null);
+            } catch (error) {
+                this.definition_errors.push(error.message);
             }
         }
-        
-        // Reset text alignment
-        this.context.textAlign = 'left';
-        this.context.textBaseline = 'alphabetic';
     }
     
     /**
-     * Draw Y-axis ticks and numerical labels
-     * @param {number} plot_top - Top bound of plot area
-     * @param {number} plot_bottom - Bottom bound of plot area
-     * @param {number} y_axis_x - X coordinate of Y-axis
-     * side-effects: Draws ticks and labels on canvas
+     * Substitute user-defined functions into an expression so math.js can differentiate it
+     * @param {string|Object} expression - Expression text or math.js node
+     * @returns {Object} math.js node without calls to user-defined functions
      */
-    drawYTicksAndLabels(plot_top, plot_bottom, y_axis_x) {
-        this.context.strokeStyle = '#333';
-        this.context.lineWidth = 1;
-        this.context.fillStyle = '#333';
-        this.context.font = '10px Arial';
-        this.context.textAlign = 'right';
-        this.context.textBaseline = 'middle';
-        
-        const y_step = (this.plot_bounds.y_max - this.plot_bounds.y_min) / 10;
-        const tick_length = 5;
+    expandDefinitions(expression) {
+        if (this.base_scope === null) {
+            this.compileDefinitions();
+        }
         
-        for (let y = this.plot_bounds.y_min; y <= this.plot_bounds.y_max; y += y_step) {
-            const canvas_coords = this.plotToCanvas(0, y);
-            
-            // Skip if outside effective plot area
-            if (canvas_coords.y < plot_top || canvas_coords.y > plot_bottom) continue;
-            
-            // Draw tick mark
-            this.context.beginPath();
-            this.context.moveTo(y_axis_x - tick_length, canvas_coords.y);
-            this.context.lineTo(y_axis_x + tick_length, canvas_coords.y);
-            this.context.stroke();
+        const node = typeof expression === 'string' ? this.math.parse(expression) : expression;
+        return node.transform(child => {
+            if (!child.isFunctionNode || !this.definition_nodes.has(child.fn.name)) return child;
             
-            // Draw label (skip 0 if it's too close to X-axis)
-            const x_axis_y = this.plotToCanvas(0, 0).y;
-            if (Math.abs(canvas_coords.y - x_axis_y) > 15) {
-                this.context.fillText(y.toFixed(1), y_axis_x - tick_length - 2, canvas_coords.y);
-            }
+            const { params, body } = this.definition_nodes.get(child.fn.name);
+            const args = child.args.map(arg => this.expandDefinitions(arg));
+            return this.expandDefinitions(body.transform(body_child =>
+                body_child.isSymbolNode && params.includes(body_child.name)
+                    ? new this.math.ParenthesisNode(args[params.indexOf(body_child.name)])
+                    : body_child));
+        });
+    }
+    
+    /**
+     * Validate a list of definitions and adopt it if the definition at the given index is valid
+     * @param {string[]} definitions - Candidate definition texts
+     * @param {number} index - Index of the added or edited definition
+     * @returns {boolean} Whether the definitions were adopted
+     * side-effects: Updates definitions, regenerates linked functions, redraws dependent objects and the properties
+     *               panel (whose errors may change), alerts with the error otherwise
+     */
+    applyDefinitions(definitions, index) {
+        const previous = this.definitions;
+        this.definitions = definitions;
+        this.compileDefinitions();
+        const error = this.definition_errors[index];
+        
+        if (error) {
+            this.definitions = previous;
+            alert(error);
         }
-        
-        // Reset text alignment
-        this.context.textAlign = 'left';
-        this.context.textBaseline = 'alphabetic';
+        this.refreshScope();
+        this.updateAllLinkedFunctions();
+        this.updateDefinitionList();
+        this.updatePropertiesPanel();
+        this.redraw();
+        return !error;
     }
     
     /**
-     * Draw a plot object
-     * @param {Object} obj - Object to draw
-     * side-effects: Draws object on canvas
+     * Add a user-defined function or constant
+     * @param {string} text - Definition such as "g(x) = x^2 + 1" or "c = 3"
+     * @returns {boolean} Whether the definition was added
+     * side-effects: Adds to definitions, redraws, alerts if the definition is invalid
      */
-    drawObject(obj) {
-        switch (obj.type) {
-            case 'point':
-                this.drawPoint(obj);
-                break;
-            case 'line':
-                this.drawLine(obj);
-                break;
-            case 'area':
-                this.drawArea(obj);
-                break;
-            case 'text':
-                this.drawText(obj);
-                break;
-            case 'brace':
-                this.drawBrace(obj);
-                break;
+    addDefinition(text) {
+        if (!this.isMathLibraryReady()) {
+            alert('Math library is still loading. Please try again in a moment.');
+            return false;
         }
+        text = text.trim();
+        if (text === '') return false;
+        return this.applyDefinitions([...this.definitions, text], this.definitions.length);
     }
     
     /**
-     * Draw a point
-     * @param {Object} point - Point object
-     * side-effects: Draws point on canvas
+     * Replace the text of a definition; objects and definitions using it are redrawn with the new one
+     * @param {number} index - Definition index
+     * @param {string} text - New definition text
+     * side-effects: Updates definitions, redraws, alerts and keeps the old text if invalid
      */
-    drawPoint(point) {
-        const canvas_coords = this.plotToCanvas(point.x, point.y);
-        
-        // Draw the point
-        this.context.fillStyle = point.color;
-        this.context.beginPath();
-        this.context.arc(canvas_coords.x, canvas_coords.y, point.size, 0, 2 * Math.PI);
-        this.context.fill();
+    updateDefinition(index, text) {
+        assert(index >= 0 && index < this.definitions.length, `Definition index ${index} out of range`);
+        const definitions = [...this.definitions];
+        definitions[index] = text.trim();
+        this.applyDefinitions(definitions, index);
+    }
+    
+    /**
+     * Remove a definition; expressions using it become undefined
+     * @param {number} index - Definition index
+     * side-effects: Updates definitions, regenerates linked functions, updates properties panel, redraws
+     */
+    removeDefinition(index) {
+        this.definitions = this.definitions.filter((_, i) => i !== index);
+        this.refreshScope();
+        this.updateAllLinkedFunctions();
+        this.updateDefinitionList();
+        this.updatePropertiesPanel();
+        this.redraw();
+    }
+    
+    /**
+     * Replace all definitions, e.g. when loading a plot
+     * @param {string[]} definitions - Definition texts
+     * side-effects: Replaces definitions, updates definition list
+     */
+    setDefinitions(definitions) {
+        this.definitions = [...definitions];
+        this.refreshScope();
+        this.updateDefinitionList();
+    }
+    
+    /**
+     * Update the definition list display, with the error of each invalid definition
+     * side-effects: Updates the definition list HTML
+     */
+    updateDefinitionList() {
+        const definition_list = document.getElementById('definition-list');
+        if (!definition_list) return;
         
-        // Draw text if present
-        if (point.text && point.text.trim() !== '') {
-            this.context.fillStyle = point.color;
-            const text_font_size = point.text_font_size || 12;
-            const text_font_family = point.text_font_family || 'Arial';
-            this.context.font = `${text_font_size}px ${text_font_family}`;
-            this.context.fillText(point.text, canvas_coords.x + point.size + 5, canvas_coords.y - 5);
+        if (this.definitions.length === 0) {
+            definition_list.innerHTML = '<p class="no-definitions">No functions or constants defined</p>';
+            return;
         }
-        
-        // Draw coordinates if enabled
-        if (point.show_coordinates) {
-            this.context.fillStyle = '#666';
-            const coords_font_size = point.coords_font_size || 10;
-            const coords_font_family = point.coords_font_family || 'Arial';
-            this.context.font = `${coords_font_size}px ${coords_font_family}`;
-            const coord_text = `(${point.x.toFixed(2)}, ${point.y.toFixed(2)})`;
-            this.context.fillText(coord_text, canvas_coords.x + point.size + 5, 
-                                 canvas_coords.y + (point.text ? 10 : 5));
+        if (this.base_scope === null && this.isMathLibraryReady()) {
+            this.compileDefinitions();
         }
+        
+        definition_list.innerHTML = this.definitions.map((text, index) => `
+            <div class="definition-item">
+                <div class="property-row">
+                    <input type="text" value="${this.escapeXML(text)}" onchange="plotEditor.updateDefinition(${index}, this.value)">
+                    <button class="vertex-btn" title="Remove definition" onclick="plotEditor.removeDefinition(${index})">✕</button>
+                </div>
+                ${this.definition_errors[index] ? `<div class="definition-error">${this.escapeXML(this.definition_errors[index])}</div>` : ''}
+            </div>`).join('');
     }
     
     /**
-     * Draw a line
-     * @param {Object} line - Line object
-     * side-effects: Draws line on canvas
+     * Add a named parameter with a slider
+     * @param {string} name - Identifier that is not a plot variable, a math.js name or an existing parameter
+     * @param {number} value - Initial value
+     * @param {number} min - Slider minimum
+     * @param {number} max - Slider maximum
+     * @param {number} step - Slider step
+     * @returns {boolean} Whether the parameter was added
+     * side-effects: Adds to parameters array, alerts if the name is not usable
      */
-    drawLine(line) {
-        const start_coords = this.plotToCanvas(line.x1, line.y1);
-        const end_coords = this.plotToCanvas(line.x2, line.y2);
+    addParameter(name, value = 1, min = -5, max = 5, step = 0.1) {
+        name = name.trim();
+        let problem = null;
+        if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+            problem = 'Parameter names must start with a letter and contain only letters, digits and underscores.';
+        } else if (['x', 'y', 't', 'theta'].includes(name)) {
+            problem = `"${name}" is a plot variable.`;
+        } else if (this.isMathLibraryReady() && this.math[name] !== undefined) {
+            problem = `"${name}" is a built-in function or constant.`;
+        } else if (this.parameters.some(parameter => parameter.name === name)) {
+            problem = `Parameter "${name}" already exists.`;
+        } else if (this.findDefinitionIndex(this.definitions, name) !== -1) {
+            problem = `"${name}" is already defined in the definitions.`;
+        }
+        if (problem) {
+            alert(problem);
+            return false;
+        }
         
-        this.context.strokeStyle = line.color;
-        this.context.lineWidth = line.width;
-        this.context.beginPath();
-        this.context.moveTo(start_coords.x, start_coords.y);
-        this.context.lineTo(end_coords.x, end_coords.y);
-        this.context.stroke();
+        this.parameters.push({ name, value, min, max, step });
+        this.updateParameterList();
+        this.refreshScope();
+        this.redraw();
+        return true;
     }
     
     /**
-     * Draw a filled area
-     * @param {Object} area - Area object
-     * side-effects: Draws area on canvas
+     * Remove a parameter; expressions using it become undefined
+     * @param {string} name - Parameter name
+     * side-effects: Removes from parameters array, updates properties panel, redraws
      */
-    drawArea(area) {
-        const top_left = this.plotToCanvas(area.x1, area.y2);
-        const bottom_right = this.plotToCanvas(area.x2, area.y1);
-        
-        // Fill
-        this.context.fillStyle = area.fill_color;
-        this.context.fillRect(top_left.x, top_left.y, bottom_right.x - top_left.x, bottom_right.y - top_left.y);
-        
-        // Border
-        this.context.strokeStyle = area.border_color;
-        this.context.lineWidth = 1;
-        this.context.strokeRect(top_left.x, top_left.y, bottom_right.x - top_left.x, bottom_right.y - top_left.y);
+    removeParameter(name) {
+        if (this.animation_state.name === name) this.stopAnimation();
+        this.parameters = this.parameters.filter(parameter => parameter.name !== name);
+        this.updateParameterList();
+        this.refreshScope();
+        this.updatePropertiesPanel();
+        this.redraw();
     }
     
     /**
-     * Draw text
-     * @param {Object} text - Text object
-     * side-effects: Draws text on canvas
+     * Set a parameter's value from its slider
+     * @param {string} name - Parameter name
+     * @param {string|number} value - New value
+     * side-effects: Updates parameter value and its readout, redraws
      */
-    drawText(text) {
-        const canvas_coords = this.plotToCanvas(text.x, text.y);
-        
-        this.context.save();
-        
-        // Apply rotation if specified
-        if (text.rotation && text.rotation !== 0) {
-            this.context.translate(canvas_coords.x, canvas_coords.y);
-            this.context.rotate((text.rotation * Math.PI) / 180); // Convert degrees to radians
-            this.context.translate(-canvas_coords.x, -canvas_coords.y);
+    setParameterValue(name, value) {
+        const parameter = this.parameters.find(parameter => parameter.name === name);
+        assert(parameter, `Parameter ${name} not found`);
+        
+        parameter.value = parseFloat(value);
+        const readout = document.getElementById(`parameter-value-${name}`);
+        if (readout) {
+            readout.textContent = this.formatParameterValue(parameter.value);
         }
-        
-        this.context.fillStyle = text.color;
-        this.context.font = `${text.font_size}px ${text.font_family}`;
-        this.context.fillText(text.text, canvas_coords.x, canvas_coords.y);
-        
-        this.context.restore();
+        const slider = document.getElementById(`parameter-slider-${name}`);
+        if (slider && parseFloat(slider.value) !== parameter.value) {
+            slider.value = parameter.value;
+        }
+        this.refreshScope();
+        this.redraw();
     }
     
     /**
-     * Get the effective plot area (excluding padding)
-     * @returns {Object} - {left, right, top, bottom} canvas coordinates
+     * Update a parameter's slider range
+     * @param {string} name - Parameter name
+     * @param {string} property - min, max or step
+     * @param {string} text - Input value
+     * side-effects: Updates the range and clamps the value, or alerts if the range is invalid
      */
-    getEffectivePlotArea() {
-        // Calculate effective plot area (same logic as plotToCanvas but for bounds)
-        const plot_x_range = this.plot_bounds.x_max - this.plot_bounds.x_min;
-        const plot_y_range = this.plot_bounds.y_max - this.plot_bounds.y_min;
-        const aspect_ratio = this.axes_properties.aspect_ratio;
-
-        // Determine which dimension constrains the scaling
-        const canvas_aspect = this.plot_width / this.plot_height;
-        const plot_aspect = (plot_x_range * aspect_ratio) / plot_y_range;
-
-        let effective_width, effective_height;
-        if (plot_aspect > canvas_aspect) {
-            // Plot is wider, use height as constraint
-            effective_height = this.plot_height;
-            effective_width = effective_height * plot_aspect / aspect_ratio;
+    updateParameterRange(name, property, text) {
+        const parameter = this.parameters.find(parameter => parameter.name === name);
+        assert(parameter, `Parameter ${name} not found`);
+        assert(['min', 'max', 'step'].includes(property), `Unknown parameter range property ${property}`);
+        
+        const number = this.evaluateNumberInput(text);
+        const range = { min: parameter.min, max: parameter.max, step: parameter.step, [property]: number };
+        if (!isFinite(number) || !(range.min < range.max) || !(range.step > 0)) {
+            alert('Please enter a minimum below the maximum and a positive step.');
         } else {
-            // Plot is taller, use width as constraint
-            effective_width = this.plot_width;
-            effective_height = effective_width * aspect_ratio / plot_aspect;
+            parameter[property] = number;
+            parameter.value = Math.min(Math.max(parameter.value, parameter.min), parameter.max);
+            this.refreshScope();
+            this.redraw();
         }
-
-        const offset_x = (this.plot_width - effective_width) / 2;
-        const offset_y = (this.plot_height - effective_height) / 2;
-
-        return {
-            left: this.canvas_padding + offset_x,
-            right: this.canvas_padding + offset_x + effective_width,
-            top: this.canvas_padding + offset_y,
-            bottom: this.canvas_padding + offset_y + effective_height
-        };
+        this.updateParameterList();
     }
-
+    
     /**
-     * Draw a mathematical function using math.js
-     * @param {Object} func - Function object
-     * side-effects: Draws function on canvas with smart discontinuity detection
+     * Replace all parameters, e.g. when loading a plot
+     * @param {Array<Object>} parameters - Parameters {name, value, min, max, step}
+     * side-effects: Replaces parameters array, updates parameter list
      */
-    drawFunction(func) {
-        if (!this.isMathLibraryReady()) {
-            console.warn('Math library not ready, skipping function drawing');
-            // Wait for math library to be ready
-            const waitForMath = () => {
-                if (this.isMathLibraryReady()) {
-                    console.log('Math library ready in drawFunction, redrawing');
-                    this.redraw();
-                } else {
-                    setTimeout(waitForMath, 100);
+    setParameters(parameters) {
+        this.stopAnimation();
+        this.parameters = parameters.map(parameter => ({ ...parameter }));
+        this.refreshScope();
+        this.updateParameterList();
+    }
+    
+    /**
+     * Compute the parameter values of the frames of an animation
+     * Frames are evenly spaced from start to end, about one slider step apart (at most 1000 per pass);
+     * bounce animations run back again without repeating the end points
+     * @param {Object} settings - {name, from, to, mode: once, loop or bounce}
+     * @returns {number[]} Parameter value per frame
+     */
+    getAnimationValues(settings) {
+        const parameter = this.parameters.find(parameter => parameter.name === settings.name);
+        assert(parameter, `Parameter ${settings.name} not found`);
+        assert(isFinite(settings.from) && isFinite(settings.to), `Expected finite range, got [${settings.from}, ${settings.to}]`);
+        
+        const intervals = Math.max(1, Math.min(999, Math.round(Math.abs(settings.to - settings.from) / parameter.step)));
+        const values = Array.from({ length: intervals + 1 }, (_, i) => settings.from + (settings.to - settings.from) * i / intervals);
+        if (settings.mode === 'bounce') {
+            values.push(...values.slice(1, -1).reverse());
+        }
+        return values;
+    }
+    
+    /**
+     * Start animating a parameter
+     * @param {Object} settings - {name, from, to, fps, mode: once, loop or bounce, on_stop: optional callback}
+     * side-effects: Updates the parameter and redraws on a timer until stopped (or after one pass for once)
+     */
+    startAnimation(settings) {
+        assert(settings.fps > 0, `Expected positive frame rate, got ${settings.fps}`);
+        this.stopAnimation();
+        
+        const state = this.animation_state;
+        state.name = settings.name;
+        state.values = this.getAnimationValues(settings);
+        state.index = 0;
+        state.mode = settings.mode;
+        state.on_stop = settings.on_stop || null;
+        
+        state.timer = setInterval(() => {
+            if (state.index >= state.values.length) {
+                if (state.mode === 'once') {
+                    this.stopAnimation();
+                    return;
                 }
-            };
-            waitForMath();
-            return;
-        }
-
-        try {
-            // Create a compiled function for better performance
-            const compiledFunction = this.math.compile(func.expression);
-
-            // Determine the actual x range to plot
-            const plot_x_min = func.xMin !== null ? func.xMin : this.plot_bounds.x_min;
-            const plot_x_max = func.xMax !== null ? func.xMax : this.plot_bounds.x_max;
-
-            // Calculate number of samples based on range
-            const range = plot_x_max - plot_x_min;
-            const samples = Math.min(Math.max(Math.floor(range * 50), 100), 2000); // 50 samples per unit, min 100, max 2000
-            const step = range / samples;
-
-            this.context.strokeStyle = func.color;
-            this.context.lineWidth = func.width;
-            this.context.beginPath();
-
-            let firstPoint = true;
-            let lastValidPoint = null;
-            const maxJump = this.canvas.height * 0.2; // 20% of canvas height as discontinuity threshold
-
-            for (let i = 0; i <= samples; i++) {
-                const x = plot_x_min + i * step;
-
-                try {
-                    // Evaluate function at x
-                    const y = compiledFunction.evaluate({ x: x });
-
-                    if (isFinite(y)) {
-                        const canvasCoords = this.plotToCanvas(x, y);
-
-                        // Only draw if the point is within the effective plot area
-                        const effective_plot_area = this.getEffectivePlotArea();
-                        if (canvasCoords.x >= effective_plot_area.left &&
-                            canvasCoords.x <= effective_plot_area.right &&
-                            canvasCoords.y >= effective_plot_area.top &&
-                            canvasCoords.y <= effective_plot_area.bottom) {
-
-                            if (firstPoint) {
-                                this.context.moveTo(canvasCoords.x, canvasCoords.y);
-                                firstPoint = false;
-                            } else if (lastValidPoint !== null) {
-                                // Check for discontinuity (large jump in y)
-                                const lastCanvasCoords = this.plotToCanvas(lastValidPoint.x, lastValidPoint.y);
-                                const jump = Math.abs(canvasCoords.y - lastCanvasCoords.y);
-
-                                if (jump > maxJump) {
-                                    // Discontinuity detected - start new path
-                                    this.context.stroke();
-                                    this.context.beginPath();
-                                    this.context.moveTo(canvasCoords.x, canvasCoords.y);
-                                } else {
-                                    this.context.lineTo(canvasCoords.x, canvasCoords.y);
-                                }
-                            } else {
-                                this.context.lineTo(canvasCoords.x, canvasCoords.y);
-                            }
-
-                            lastValidPoint = { x, y };
-                        }
-                    } else {
-                        // Invalid point (Infinity, NaN) - end current path
-                        if (!firstPoint) {
-                            this.context.stroke();
-                            this.context.beginPath();
-                            firstPoint = true;
-                        }
-                        lastValidPoint = null;
-                    }
-                } catch (error) {
-                    // Function evaluation error - end current path
-                    if (!firstPoint) {
-                        this.context.stroke();
-                        this.context.beginPath();
-                        firstPoint = true;
-                    }
-                    lastValidPoint = null;
-                }
-            }
-
-            // Stroke the final path
-            this.context.stroke();
-
-        } catch (error) {
-            console.error('Error drawing function:', error);
-            // Draw a simple error indicator
-            this.context.strokeStyle = '#ff0000';
-            this.context.lineWidth = 2;
-            this.context.setLineDash([5, 5]);
-            this.context.beginPath();
-            this.context.moveTo(this.canvas.width / 2 - 50, this.canvas.height / 2);
-            this.context.lineTo(this.canvas.width / 2 + 50, this.canvas.height / 2);
-            this.context.stroke();
-            this.context.setLineDash([]);
+                state.index = 0;
+            }
+            this.setParameterValue(state.name, state.values[state.index]);
+            state.index++;
+        }, 1000 / settings.fps);
+    }
+    
+    /**
+     * Stop the running parameter animation, leaving the parameter at its current value
+     * side-effects: Clears the animation timer, calls the animation's on_stop callback
+     */
+    stopAnimation() {
+        const state = this.animation_state;
+        if (state.timer === null) return;
+        
+        clearInterval(state.timer);
+        state.timer = null;
+        state.name = null;
+        if (state.on_stop) {
+            const on_stop = state.on_stop;
+            state.on_stop = null;
+            on_stop();
         }
     }
     
     /**
-     * Draw an individual object based on its type
-     * @param {Object} obj - Object to draw
-     * side-effects: Draws object on canvas
+     * Check whether a parameter animation is playing
+     * @returns {boolean} True while the animation timer runs
      */
-    drawObject(obj) {
-        switch (obj.type) {
-            case 'point':
-                this.drawPoint(obj);
-                break;
-            case 'line':
-                this.drawLine(obj);
-                break;
-            case 'area':
-                this.drawArea(obj);
-                break;
-            case 'text':
-                this.drawText(obj);
-                break;
-            case 'brace':
-                this.drawBrace(obj);
-                break;
-            case 'function':
-                this.drawFunction(obj);
-                break;
-        }
+    isAnimating() {
+        return this.animation_state.timer !== null;
     }
     
     /**
-     * Draw a curly brace
-     * @param {Object} brace - Brace object
-     * side-effects: Draws brace on canvas
+     * Format a parameter value for its readout without floating point noise
+     * @param {number} value - Parameter value
+     * @returns {string} Formatted value
      */
-    drawBrace(brace) {
-        // Default to 45deg style for new braces
-        const brace_style = brace.style || '45deg';
-        
-        if (brace_style === 'traditional') {
-            this.drawTraditionalBrace(brace);
-        } else if (brace_style === '45deg') {
-            this.draw45DegBrace(brace);
-        } else {
-            this.drawSmoothBrace(brace);
-        }
+    formatParameterValue(value) {
+        return String(+value.toPrecision(10));
     }
     
     /**
-     * Draw a smooth curly brace (original style)
-     * @param {Object} brace - Brace object
-     * side-effects: Draws smooth brace on canvas
+     * Update the parameter list display
+     * side-effects: Updates the parameter list HTML
      */
-    drawSmoothBrace(brace) {
-        const start_coords = this.plotToCanvas(brace.x1, brace.y1);
-        const end_coords = this.plotToCanvas(brace.x2, brace.y2);
-        
-        const dx = end_coords.x - start_coords.x;
-        const dy = end_coords.y - start_coords.y;
-        const length = Math.sqrt(dx * dx + dy * dy);
-        
-        this.context.strokeStyle = brace.color;
-        this.context.lineWidth = 2;
-        this.context.beginPath();
-        
-        // Use brace width property or fallback to calculated value (2x thinner)
-        const brace_elevation = brace.elevation || brace.width || Math.min(20, length * 0.125);
-        const mirror_multiplier = brace.mirrored ? -1 : 1;
-        const perpX = -dy / length * brace_elevation * mirror_multiplier;
-        const perpY = dx / length * brace_elevation * mirror_multiplier;
-        
-        // Calculate mid point
-        const midX = (start_coords.x + end_coords.x) / 2;
-        const midY = (start_coords.y + end_coords.y) / 2;
+    updateParameterList() {
+        const parameter_list = document.getElementById('parameter-list');
+        if (!parameter_list) return;
+        
+        // Keep the animation controls in sync with the defined parameters
+        const animation_controls = document.getElementById('animation-controls');
+        const animation_select = document.getElementById('animation-parameter');
+        if (animation_controls && animation_select) {
+            const animated_name = animation_select.value;
+            animation_select.innerHTML = this.parameters
+                .map(parameter => `<option value="${parameter.name}" ${parameter.name === animated_name ? 'selected' : ''}>${parameter.name}</option>`)
+                .join('');
+            animation_controls.style.display = this.parameters.length > 0 ? 'block' : 'none';
+        }
         
-        // Draw brace curve
-        this.context.moveTo(start_coords.x, start_coords.y);
-        this.context.quadraticCurveTo(midX + perpX, midY + perpY, midX, midY);
-        this.context.quadraticCurveTo(midX + perpX, midY + perpY, end_coords.x, end_coords.y);
+        if (this.parameters.length === 0) {
+            parameter_list.innerHTML = '<p class="no-parameters">No parameters defined</p>';
+            return;
+        }
         
-        this.context.stroke();
+        parameter_list.innerHTML = this.parameters.map(parameter => `
+            <div class="parameter-item">
+                <div class="property-row">
+                    <label>${parameter.name} = <span id="parameter-value-${parameter.name}">${this.formatParameterValue(parameter.value)}</span></label>
+                    <button class="vertex-btn" title="Remove parameter" onclick="plotEditor.removeParameter('${parameter.name}')">✕</button>
+                </div>
+                <input type="range" class="parameter-slider" id="parameter-slider-${parameter.name}" min="${parameter.min}" max="${parameter.max}" step="${parameter.step}"
+                       value="${parameter.value}" oninput="plotEditor.setParameterValue('${parameter.name}', this.value)">
+                <div class="property-row">
+                    <label>Min</label>
+                    <input type="text" value="${parameter.min}" onchange="plotEditor.updateParameterRange('${parameter.name}', 'min', this.value)">
+                    <label>Max</label>
+                    <input type="text" value="${parameter.max}" onchange="plotEditor.updateParameterRange('${parameter.name}', 'max', this.value)">
+                    <label>Step</label>
+                    <input type="text" value="${parameter.step}" onchange="plotEditor.updateParameterRange('${parameter.name}', 'step', this.value)">
+                </div>
+            </div>`).join('');
     }
     
     /**
-     * Draw a traditional curly brace with quarter circles and straight segments
-     * Following the exact pattern: quarter_circle -> line -> quarter_circle -> quarter_circle -> line -> quarter_circle
-     * @param {Object} brace - Brace object
-     * side-effects: Draws traditional brace on canvas
+     * Update the object list display
+     * side-effects: Updates the object list HTML
      */
-    drawTraditionalBrace(brace) {
-        const start_coords = this.plotToCanvas(brace.x1, brace.y1);
-        const end_coords = this.plotToCanvas(brace.x2, brace.y2);
-        
-        const dx = end_coords.x - start_coords.x;
-        const dy = end_coords.y - start_coords.y;
-        const length = Math.sqrt(dx * dx + dy * dy);
-        
-        if (length < 20) return; // Skip very short braces
-        
-        this.context.strokeStyle = brace.color;
-        this.context.lineWidth = 2;
-        this.context.beginPath();
-        
-        // Use brace width property or fallback to calculated value (2x thinner)
-        const brace_elevation = brace.elevation || brace.width || Math.min(length * 0.125, 20);
-        const mirror_multiplier = brace.mirrored ? -1 : 1;
-        
-        // Unit vectors along and perpendicular to the brace line
-        const alongUnitX = dx / length;
-        const alongUnitY = dy / length;
-        const perpUnitX = -dy / length * mirror_multiplier;
-        const perpUnitY = dx / length * mirror_multiplier;
-        
-        // Quarter circle radius - half the brace width
-        const radius = brace_elevation / 2;
-        
-        // Calculate the 6 key points along the brace path following your specification:
-        // TOP: quarter_circle -> line -> quarter_circle (to tip)
-        // BOTTOM: quarter_circle -> line -> quarter_circle (from tip)
-        
-        const quarter_distance = length / 4;
-        
-        // Key positions along the brace
-        const p1_pos = radius; // End of first quarter circle
-        const p2_pos = quarter_distance; // Start of second quarter circle  
-        const tip_pos = length / 2; // Center tip
-        const p3_pos = length - quarter_distance; // Start of fifth quarter circle
-        const p4_pos = length - radius; // End of fifth quarter circle
-        
-        // Build the path following your exact specification
-        this.context.moveTo(start_coords.x, start_coords.y);
-        
-        // TOP HALF
-        // 1. First quarter circle (outward) - like "top left quarter of circle with center (2,7)"
-        const q1_end_x = start_coords.x + alongUnitX * p1_pos + perpUnitX * radius;
-        const q1_end_y = start_coords.y + alongUnitY * p1_pos + perpUnitY * radius;
-        const q1_ctrl_x = start_coords.x + perpUnitX * radius;
-        const q1_ctrl_y = start_coords.y + perpUnitY * radius;
-        this.context.quadraticCurveTo(q1_ctrl_x, q1_ctrl_y, q1_end_x, q1_end_y);
-        
-        // 2. Straight line - like "line from 1,7 to 1,5"
-        const line1_end_x = start_coords.x + alongUnitX * p2_pos + perpUnitX * radius;
-        const line1_end_y = start_coords.y + alongUnitY * p2_pos + perpUnitY * radius;
-        this.context.lineTo(line1_end_x, line1_end_y);
-        
-        // 3. Second quarter circle (inward to tip) - like "bottom right quarter of circle with center (0,5)"
-        const tip_x = start_coords.x + alongUnitX * tip_pos + perpUnitX * brace_elevation;
-        const tip_y = start_coords.y + alongUnitY * tip_pos + perpUnitY * brace_elevation;
-        const q2_ctrl_x = start_coords.x + alongUnitX * tip_pos + perpUnitX * radius;
-        const q2_ctrl_y = start_coords.y + alongUnitY * tip_pos + perpUnitY * radius;
-        this.context.quadraticCurveTo(q2_ctrl_x, q2_ctrl_y, tip_x, tip_y);
-        
-        // BOTTOM HALF (vertically mirrored)
-        // 4. Third quarter circle (outward from tip)
-        const q3_end_x = start_coords.x + alongUnitX * p3_pos + perpUnitX * radius;
-        const q3_end_y = start_coords.y + alongUnitY * p3_pos + perpUnitY * radius;
-        const q3_ctrl_x = start_coords.x + alongUnitX * tip_pos + perpUnitX * radius;
-        const q3_ctrl_y = start_coords.y + alongUnitY * tip_pos + perpUnitY * radius;
-        this.context.quadraticCurveTo(q3_ctrl_x, q3_ctrl_y, q3_end_x, q3_end_y);
+    updateObjectList() {
+        const object_list = document.getElementById('object-list');
+        if (!object_list) return;
         
-        // 5. Straight line
-        const line2_end_x = start_coords.x + alongUnitX * p4_pos + perpUnitX * radius;
-        const line2_end_y = start_coords.y + alongUnitY * p4_pos + perpUnitY * radius;
-        this.context.lineTo(line2_end_x, line2_end_y);
+        if (this.plot_objects.length === 0) {
+            object_list.innerHTML = '<p class="no-objects">No objects in plot</p>';
+            return;
+        }
         
-        // 6. Fourth quarter circle (inward to end)
-        const q4_ctrl_x = end_coords.x + perpUnitX * radius;
-        const q4_ctrl_y = end_coords.y + perpUnitY * radius;
-        this.context.quadraticCurveTo(q4_ctrl_x, q4_ctrl_y, end_coords.x, end_coords.y);
+        let html = '';
+        for (const obj of this.plot_objects) {
+            const is_selected = this.selected_object && this.selected_object.id === obj.id;
+            const selected_class = is_selected ? 'selected' : '';
+            
+            let object_name = '';
+            switch (obj.type) {
+                case 'point':
+                    object_name = `Point (${obj.x.toFixed(1)}, ${obj.y.toFixed(1)})`;
+                    break;
+                case 'line':
+                    object_name = `Line (${obj.x1.toFixed(1)}, ${obj.y1.toFixed(1)}) to (${obj.x2.toFixed(1)}, ${obj.y2.toFixed(1)})`;
+                    break;
+                case 'area':
+                    object_name = `Area (${obj.x1.toFixed(1)}, ${obj.y1.toFixed(1)}) to (${obj.x2.toFixed(1)}, ${obj.y2.toFixed(1)})`;
+                    break;
+                case 'text':
+                    object_name = `Text: "${obj.text}"`;
+                    break;
+                case 'brace':
+                    object_name = `Brace (${obj.x1.toFixed(1)}, ${obj.y1.toFixed(1)}) to (${obj.x2.toFixed(1)}, ${obj.y2.toFixed(1)})`;
+                    break;
+                case 'function':
+                    const xMinDisplay = obj.xMin !== null ? obj.xMin.toFixed(1) : '-∞';
+                    const xMaxDisplay = obj.xMax !== null ? obj.xMax.toFixed(1) : '∞';
+                    object_name = `Function: f(x) = ${obj.expression} (${xMinDisplay} to ${xMaxDisplay})`;
+                    break;
+                default:
+                    object_name = `${obj.type} object`;
+            }
+            
+            html += `<div class="object-item ${selected_class}" data-object-id="${obj.id}">
+                        <span class="object-name">${object_name}</span>
+                        <span class="object-type">${obj.type}</span>
+                    </div>`;
+        }
         
-        this.context.stroke();
+        object_list.innerHTML = html;
     }
-
+    
     /**
-     * Draw a 45-degree brace to prevent overlap at 90-degree corners
-     * Outer arcs are 1/8 circles (45°), inner arcs are 1/4 circles (90°)
-     * Straight segments are parallel to main brace line. Arc centers lie on normals
-     * passing through the ends of straight segments, ensuring C1 continuity.
-     * @param {Object} brace - Brace object
-     * side-effects: Draws 45deg brace on canvas
+     * Update the properties panel for the selected object
+     * side-effects: Updates the properties panel HTML
      */
-    draw45DegBrace(brace) {
-        const start_coords = this.plotToCanvas(brace.x1, brace.y1);
-        const end_coords = this.plotToCanvas(brace.x2, brace.y2);
+    updatePropertiesPanel() {
+        const properties_container = document.getElementById('object-properties');
+        if (!properties_container) return;
         
-        this.context.strokeStyle = brace.color;
-        this.context.lineWidth = 2;
-        this.context.beginPath();
+        if (!this.selected_object) {
+            properties_container.innerHTML = '<div class="no-selection">No object selected</div>';
+            return;
+        }
         
-        // Draw two halves. Flip mirror sign for the first half
-        const mm = brace.mirrored ? -1 : 1;
-        this.draw45DegBraceHalf(start_coords, end_coords, -mm, brace);
-        this.draw45DegBraceHalf(end_coords, start_coords, mm, brace);
-        
-        this.context.stroke();
-    }
-
-    /**
-     * Draw one half of a 45-degree brace from S to midpoint
-     * @param {Object} S - Start canvas coords {x,y}
-     * @param {Object} E - End canvas coords {x,y}
-     * @param {Object} brace - Brace object (uses mirrored, width)
-     * side-effects: Appends to current canvas path
-     */
-    draw45DegBraceHalf(S, E, mirrorMultiplier, brace) {
-        const dx = E.x - S.x;
-        const dy = E.y - S.y;
-        const length = Math.sqrt(dx * dx + dy * dy);
-        if (length < 20) return;
-        
-        const mirror_multiplier = mirrorMultiplier;
-        const alongX = dx / length;
-        const alongY = dy / length;
-        const perpX = -dy / length * mirror_multiplier;
-        const perpY = dx / length * mirror_multiplier;
-        
-        const innerR = brace.elevation || brace.width ? Math.min(brace.elevation || brace.width, length / 6) : length / 6;
-        const outerR = innerR * Math.SQRT2;
-        const segLen = Math.max(0, length / 2 - 2 * innerR);
-        
-        const pt = (s, p) => ({ x: S.x + alongX * s + perpX * p, y: S.y + alongY * s + perpY * p });
-        const angle = (cx, cy, px, py) => Math.atan2(py - cy, px - cx);
-        const ccwForMinorArc = (a0, a1) => {
-            let d = a1 - a0;
-            while (d <= -Math.PI) d += 2 * Math.PI;
-            while (d > Math.PI) d -= 2 * Math.PI;
-            return d < 0;
-        };
-        
-        // Geometry for half: outer 1/8 arc -> straight -> inner 1/4 arc to midpoint
-        const C1 = pt(innerR, innerR);
-        const P1 = pt(innerR, innerR - outerR);
-        const P2 = pt(innerR + segLen, innerR - outerR);
-        const C2 = pt(innerR + segLen, -outerR);
-        const PM = pt(length / 2, -outerR);
-        
-        // Outer arc
-        this.context.moveTo(S.x, S.y);
-        let a0 = angle(C1.x, C1.y, S.x, S.y);
-        let a1 = angle(C1.x, C1.y, P1.x, P1.y);
-        this.context.arc(C1.x, C1.y, outerR, a0, a1, ccwForMinorArc(a0, a1));
-        // Straight
-        this.context.lineTo(P2.x, P2.y);
-        // Inner quarter to midpoint
-        a0 = angle(C2.x, C2.y, P2.x, P2.y);
-        a1 = angle(C2.x, C2.y, PM.x, PM.y);
-        this.context.arc(C2.x, C2.y, innerR, a0, a1, ccwForMinorArc(a0, a1));
-    }
-    
-    /**
-     * Draw line preview during drawing
-     * @param {Object} start - Start coordinates
-     * @param {Object} end - End coordinates
-     * side-effects: Draws preview line on canvas
-     */
-    drawLinePreview(start, end) {
-        const start_coords = this.plotToCanvas(start.x, start.y);
-        const end_coords = this.plotToCanvas(end.x, end.y);
-        
-        this.context.strokeStyle = '#2196F3';
-        this.context.lineWidth = 2;
-        this.context.setLineDash([5, 5]);
-        this.context.beginPath();
-        this.context.moveTo(start_coords.x, start_coords.y);
-        this.context.lineTo(end_coords.x, end_coords.y);
-        this.context.stroke();
-        this.context.setLineDash([]);
-    }
-    
-    /**
-     * Draw area preview during drawing
-     * @param {Object} start - Start coordinates
-     * @param {Object} end - End coordinates
-     * side-effects: Draws preview area on canvas
-     */
-    drawAreaPreview(start, end) {
-        const top_left = this.plotToCanvas(Math.min(start.x, end.x), Math.max(start.y, end.y));
-        const bottom_right = this.plotToCanvas(Math.max(start.x, end.x), Math.min(start.y, end.y));
-        
-        this.context.fillStyle = '#4CAF5020';
-        this.context.fillRect(top_left.x, top_left.y, bottom_right.x - top_left.x, bottom_right.y - top_left.y);
-        
-        this.context.strokeStyle = '#4CAF50';
-        this.context.lineWidth = 1;
-        this.context.setLineDash([5, 5]);
-        this.context.strokeRect(top_left.x, top_left.y, bottom_right.x - top_left.x, bottom_right.y - top_left.y);
-        this.context.setLineDash([]);
-    }
-    
-    /**
-     * Draw brace preview during drawing
-     * @param {Object} start - Start coordinates
-     * @param {Object} end - End coordinates
-     * side-effects: Draws preview brace on canvas
-     */
-    drawBracePreview(start, end) {
-        // Create a temporary brace object for preview (using 45deg style)
-        const length = Math.sqrt((end.x - start.x) ** 2 + (end.y - start.y) ** 2);
-        const default_elevation = 15; // Default elevation set to 15
-        
-        const temp_brace = {
-            x1: start.x,
-            y1: start.y,
-            x2: end.x,
-            y2: end.y,
-            color: '#333333',
-            mirrored: false,
-            style: '45deg',
-            elevation: default_elevation
-        };
-        
-        // Save current context state
-        this.context.save();
-        this.context.setLineDash([5, 5]);
-        
-        // Draw preview using 45deg style
-        this.drawBrace(temp_brace);
-        
-        // Restore context state
-        this.context.restore();
-    }
-    
-    /**
-     * Draw an arrow head
-     * @param {number} from_x - Start X coordinate
-     * @param {number} from_y - Start Y coordinate
-     * @param {number} to_x - End X coordinate
-     * @param {number} to_y - End Y coordinate
-     * side-effects: Draws arrow head on canvas
-     */
-    drawArrow(from_x, from_y, to_x, to_y) {
-        const head_length = 10;
-        const head_angle = Math.PI / 6;
-        
-        const angle = Math.atan2(to_y - from_y, to_x - from_x);
-        
-        this.context.beginPath();
-        this.context.moveTo(to_x, to_y);
-        this.context.lineTo(to_x - head_length * Math.cos(angle - head_angle), 
-                           to_y - head_length * Math.sin(angle - head_angle));
-        this.context.moveTo(to_x, to_y);
-        this.context.lineTo(to_x - head_length * Math.cos(angle + head_angle), 
-                           to_y - head_length * Math.sin(angle + head_angle));
-        this.context.stroke();
-    }
-    
-    /**
-     * Highlight selected object
-     * @param {Object} obj - Object to highlight
-     * side-effects: Draws highlight around object
-     */
-    highlightObject(obj) {
-        this.context.strokeStyle = '#ff4444';
-        this.context.lineWidth = 2;
-        this.context.setLineDash([3, 3]);
+        let properties_html = `<div class="properties-header">
+            <h4>${this.selected_object.type.charAt(0).toUpperCase() + this.selected_object.type.slice(1)} Properties</h4>
+        </div>`;
         
-        switch (obj.type) {
+        switch (this.selected_object.type) {
             case 'point':
-                const point_coords = this.plotToCanvas(obj.x, obj.y);
-                this.context.beginPath();
-                this.context.arc(point_coords.x, point_coords.y, obj.size + 3, 0, 2 * Math.PI);
-                this.context.stroke();
+                properties_html += `
+                    <div class="property-row">
+                        <label>X:</label>
+                        <input type="number" step="0.1" value="${this.selected_object.x}" 
+                               onchange="plotEditor.updateObjectProperty('x', parseFloat(this.value))">
+                    </div>
+                    <div class="property-row">
+                        <label>Y:</label>
+                        <input type="number" step="0.1" value="${this.selected_object.y}" 
+                               onchange="plotEditor.updateObjectProperty('y', parseFloat(this.value))">
+                    </div>
+                    <div class="property-row">
+                        <label>Size:</label>
+                        <input type="number" min="1" max="50" step="1" value="${this.selected_object.size || 5}" 
+                               onchange="plotEditor.updateObjectProperty('size', parseInt(this.value))">
+                    </div>
+                    <div class="property-row">
+                        <label>Color:</label>
+                        <input type="color" class="color-input" value="${this.selected_object.color}" 
+                               onchange="plotEditor.updateObjectProperty('color', this.value)">
+                    </div>
+                    <div class="property-row">
+                        <label>Text:</label>
+                        <input type="text" value="${this.selected_object.text || ''}" 
+                               onchange="plotEditor.updateObjectProperty('text', this.value)">
+                    </div>
+                    <div class="property-row">
+                        <label>Show Coordinates:</label>
+                        <input type="checkbox" ${this.selected_object.show_coordinates ? 'checked' : ''} 
+                               onchange="plotEditor.updateObjectProperty('show_coordinates', this.checked)">
+                    </div>
+                    <div class="property-row">
+                        <label>Z-Index:</label>
+                        <input type="number" value="${this.selected_object.z_index || 0}" 
+                               onchange="plotEditor.updateObjectProperty('z_index', parseInt(this.value))">
+                    </div>`;
                 break;
             case 'line':
-                this.highlightLineBBox(obj);
+                properties_html += `
+                    <div class="property-row">
+                        <label>X1:</label>
+                        <input type="number" step="0.1" value="${this.selected_object.x1}" 
+                               onchange="plotEditor.updateObjectProperty('x1', parseFloat(this.value))">
+                    </div>
+                    <div class="property-row">
+                        <label>Y1:</label>
+                        <input type="number" step="0.1" value="${this.selected_object.y1}" 
+                               onchange="plotEditor.updateObjectProperty('y1', parseFloat(this.value))">
+                    </div>
+                    <div class="property-row">
+                        <label>X2:</label>
+                        <input type="number" step="0.1" value="${this.selected_object.x2}" 
+                               onchange="plotEditor.updateObjectProperty('x2', parseFloat(this.value))">
+                    </div>
+                    <div class="property-row">
+                        <label>Y2:</label>
+                        <input type="number" step="0.1" value="${this.selected_object.y2}" 
+                               onchange="plotEditor.updateObjectProperty('y2', parseFloat(this.value))">
+                    </div>
+                    <div class="property-row">
+                        <label>Color:</label>
+                        <input type="color" class="color-input" value="${this.selected_object.color}" 
+                               onchange="plotEditor.updateObjectProperty('color', this.value)">
+                    </div>
+                    <div class="property-row">
+                        <label>Width:</label>
+                        <input type="number" min="1" max="20" step="1" value="${this.selected_object.width || 2}" 
+                               onchange="plotEditor.updateObjectProperty('width', parseInt(this.value))">
+                    </div>
+                    <div class="property-row">
+                        <label>Z-Index:</label>
+                        <input type="number" value="${this.selected_object.z_index || 0}" 
+                               onchange="plotEditor.updateObjectProperty('z_index', parseInt(this.value))">
+                    </div>`;
                 break;
             case 'area':
-                const area_top_left = this.plotToCanvas(obj.x1, obj.y2);
-                const area_bottom_right = this.plotToCanvas(obj.x2, obj.y1);
-                this.context.strokeRect(area_top_left.x - 2, area_top_left.y - 2, 
-                                       area_bottom_right.x - area_top_left.x + 4, 
-                                       area_bottom_right.y - area_top_left.y + 4);
-                break;
-            case 'text':
-                this.highlightTextBBox(obj);
-                break;
-            case 'brace':
-                this.highlightBraceBBox(obj);
-                break;
-            case 'function':
-                this.highlightFunction(obj);
-                break;
-        }
-        
-        this.context.setLineDash([]);
-    }
-    
-    /**
-     * Highlight text bounding box with proper rotation
-     * @param {Object} text_obj - Text object to highlight
-     * side-effects: Draws rotated highlight around text
-     */
-    highlightTextBBox(text_obj) {
-        // Get text dimensions by measuring
-        this.context.save();
-        this.context.font = `${text_obj.font_size}px ${text_obj.font_family}`;
-        const text_metrics = this.context.measureText(text_obj.text);
-        const text_width = text_metrics.width;
-        const text_height = text_obj.font_size; // Approximate height
-        this.context.restore();
+                properties_html += `
+                    <div class="property-row">
+                        <label>X1:</label>
+                        <input type="number" step="0.1" value="${this.selected_object.x1}" 
+                               onchange="plotEditor.updateObjectProperty('x1', parseFloat(this.value))">
+                    </div>
+                    <div class="property-row">
+                        <label>Y1:</label>
+                        <input type="number" step="0.1" value="${this.selected_object.y1}" 
+                               onchange="plotEditor.updateObjectProperty('y1', parseFloat(this.value))">
+                    </div>
+                    <div class="property-row">
+                        <label>X2:</label>
+                        <input type="number" step="0.1" value="${this.selected_object.x2}" 
+                               onchange="plotEditor.updateObjectProperty('x2', parseFloat(this.value))">
+                    </div>
+                    <div class="property-row">
+                        <label>Y2:</label>
+                        <input type="number" step="0.1" value="${this.selected_object.y2}" 
+                               onchange="plotEditor.updateObjectProperty('y2', parseFloat(this.value))">
+                    </div>
+                    <div class="property-row">
+                        <label>Color:</label>
+                        <input type="color" class="color-input" value="${this.selected_object.color}" 
+                               onchange="plotEditor.updateObjectProperty('color', this.value)">
+                    </div>
+                    <div class="property-row">
+                        <label>Z-Index:</label>
+                        <input type="number" value="${this.selected_object.z_index || 0}" 
+                               onchange="plotEditor.updateObjectProperty('z_index', parseInt(this.value))">
+                    </div>`;
+                break;
+            case 'text':
+                properties_html += `
+                    <div class="property-row">
+                        <label>X:</label>
+                        <input type="number" step="0.1" value="${this.selected_object.x}" 
+                               onchange="plotEditor.updateObjectProperty('x', parseFloat(this.value))">
+                    </div>
+                    <div class="property-row">
+                        <label>Y:</label>
+                        <input type="number" step="0.1" value="${this.selected_object.y}" 
+                               onchange="plotEditor.updateObjectProperty('y', parseFloat(this.value))">
+                    </div>
+                    <div class="property-row">
+                        <label>Text:</label>
+                        <input type="text" value="${this.selected_object.text}" 
+                               onchange="plotEditor.updateObjectProperty('text', this.value)">
+                    </div>
+                    <div class="property-row">
+                        <label>Color:</label>
+                        <input type="color" class="color-input" value="${this.selected_object.color}" 
+                               onchange="plotEditor.updateObjectProperty('color', this.value)">
+                    </div>
+                    <div class="property-row">
+                        <label>Font Size:</label>
+                        <input type="number" min="8" max="72" step="1" value="${this.selected_object.font_size || 12}" 
+                               onchange="plotEditor.updateObjectProperty('font_size', parseInt(this.value))">
+                    </div>
+                    <div class="property-row">
+                        <label>Font Family:</label>
+                        <select onchange="plotEditor.updateObjectProperty('font_family', this.value)" style="width: 100%;">
+                            <option value="Arial" ${(this.selected_object.font_family || 'Arial') === 'Arial' ? 'selected' : ''}>Arial</option>
+                            <option value="Times New Roman" ${(this.selected_object.font_family || 'Arial') === 'Times New Roman' ? 'selected' : ''}>Times New Roman</option>
+                            <option value="Courier New" ${(this.selected_object.font_family || 'Arial') === 'Courier New' ? 'selected' : ''}>Courier New</option>
+                            <option value="Georgia" ${(this.selected_object.font_family || 'Arial') === 'Georgia' ? 'selected' : ''}>Georgia</option>
+                        </select>
+                    </div>
+                    <div class="property-row">
+                        <label>Rotation (degrees):</label>
+                        <input type="number" min="-360" max="360" step="1" value="${this.selected_object.rotation || 0}" 
+                               onchange="plotEditor.updateObjectProperty('rotation', parseFloat(this.value))">
+                    </div>
+                    <div class="property-row">
+                        <label>Z-Index:</label>
+                        <input type="number" value="${this.selected_object.z_index || 0}" 
+                               onchange="plotEditor.updateObjectProperty('z_index', parseInt(this.value))">
+                    </div>`;
+                break;
+            case 'brace':
+                properties_html += `
+                    <div class="property-row">
+                        <label>X1:</label>
+                        <input type="number" step="0.1" value="${this.selected_object.x1}" 
+                               onchange="plotEditor.updateObjectProperty('x1', parseFloat(this.value))">
+                    </div>
+                    <div class="property-row">
+                        <label>Y1:</label>
+                        <input type="number" step="0.1" value="${this.selected_object.y1}" 
+                               onchange="plotEditor.updateObjectProperty('y1', parseFloat(this.value))">
+                    </div>
+                    <div class="property-row">
+                        <label>X2:</label>
+                        <input type="number" step="0.1" value="${this.selected_object.x2}" 
+                               onchange="plotEditor.updateObjectProperty('x2', parseFloat(this.value))">
+                    </div>
+                    <div class="property-row">
+                        <label>Y2:</label>
+                        <input type="number" step="0.1" value="${this.selected_object.y2}" 
+                               onchange="plotEditor.updateObjectProperty('y2', parseFloat(this.value))">
+                    </div>
+                    <div class="property-row">
+                        <label>Color:</label>
+                        <input type="color" class="color-input" value="${this.selected_object.color}" 
+                               onchange="plotEditor.updateObjectProperty('color', this.value)">
+                    </div>
+                    <div class="property-row">
+                        <label>Mirror:</label>
+                        <input type="checkbox" ${this.selected_object.mirrored ? 'checked' : ''} 
+                               onchange="plotEditor.updateObjectProperty('mirrored', this.checked)">
+                    </div>
+                    <div class="property-row">
+                        <label>Style:</label>
+                        <select onchange="plotEditor.updateObjectProperty('style', this.value)" style="width: 100%;">
+                            <option value="smooth" ${(this.selected_object.style || '45deg') === 'smooth' ? 'selected' : ''}>Smooth</option>
+                            <option value="traditional" ${(this.selected_object.style || '45deg') === 'traditional' ? 'selected' : ''}>Traditional</option>
+                            <option value="45deg" ${(this.selected_object.style || '45deg') === '45deg' ? 'selected' : ''}>45° (No Overlap)</option>
+                        </select>
+                    </div>
+                    <div class="property-row">
+                        <label>Elevation:</label>
+                        <input type="number" min="1" max="100" step="1" value="${this.selected_object.elevation || this.selected_object.width || 15}" 
+                               onchange="plotEditor.updateObjectProperty('elevation', parseFloat(this.value))">
+                    </div>
+                    <div class="property-row">
+                        <label>Z-Index:</label>
+                        <input type="number" value="${this.selected_object.z_index || 0}" 
+                               onchange="plotEditor.updateObjectProperty('z_index', parseInt(this.value))">
+                    </div>`;
+                break;
+            case 'function':
+                const funcXMinDisplay = this.selected_object.xMin !== null ? this.selected_object.xMin : '-∞';
+                const funcXMaxDisplay = this.selected_object.xMax !== null ? this.selected_object.xMax : '∞';
+                properties_html += `
+                    <div class="property-row">
+                        <label>Expression:</label>
+                        <input type="text" value="${this.selected_object.expression}"
+                               onchange="plotEditor.updateObjectProperty('expression', this.value)">
+                    </div>
+                    <div class="property-row">
+                        <label>X Min:</label>
+                        <input type="text" value="${funcXMinDisplay}"
+                               onchange="plotEditor.updateObjectProperty('xMin', this.value === '-∞' || this.value === '' ? null : parseFloat(this.value))">
+                    </div>
+                    <div class="property-row">
+                        <label>X Max:</label>
+                        <input type="text" value="${funcXMaxDisplay}"
+                               onchange="plotEditor.updateObjectProperty('xMax', this.value === '∞' || this.value === '' ? null : parseFloat(this.value))">
+                    </div>
+                    <div class="property-row">
+                        <label>Color:</label>
+                        <input type="color" class="color-input" value="${this.selected_object.color}"
+                               onchange="plotEditor.updateObjectProperty('color', this.value)">
+                    </div>
+                    <div class="property-row">
+                        <label>Width:</label>
+                        <input type="number" min="1" max="20" step="1" value="${this.selected_object.width || 2}"
+                               onchange="plotEditor.updateObjectProperty('width', parseInt(this.value))">
+                    </div>
+                    <div class="property-row">
+                        <label>Z-Index:</label>
+                        <input type="number" value="${this.selected_object.z_index || 0}"
+                               onchange="plotEditor.updateObjectProperty('z_index', parseInt(this.value))">
+                    </div>`;
+                break;
+        }
         
-        // Convert text position to canvas coordinates
-        const text_canvas_coords = this.plotToCanvas(text_obj.x, text_obj.y);
+        properties_html += `
+            <button class="delete-btn" onclick="plotEditor.deleteSelectedObject()">Delete Object</button>
+        </div>`;
         
-        // Add some padding around the text
-        const padding = 3;
-        const bbox_width = text_width + 2 * padding;
-        const bbox_height = text_height + 2 * padding;
+        properties_container.innerHTML = properties_html;
+    }
+    
+    /**
+     * Select object at given coordinates
+     * @param {Object} coords - Coordinates {x, y}
+     * side-effects: Changes selected_object
+     */
+    selectObjectAt(coords) {
+        const closest_object = this.getObjectAt(coords);
+        this.selectObject(closest_object);
+    }
+    
+    /**
+     * Get object at given coordinates
+     * @param {Object} coords - Coordinates {x, y}
+     * @returns {Object|null} Object at coordinates or null
+     */
+    getObjectAt(coords) {
+        // Convert plot coordinates to canvas coordinates
+        const canvas_coords = this.plotToCanvas(coords.x, coords.y);
         
-        this.context.save();
+        // Get object ID from picking canvas
+        const object_id = this.getObjectIdFromPicking(canvas_coords.x, canvas_coords.y);
         
-        // Apply rotation if specified
-        if (text_obj.rotation && text_obj.rotation !== 0) {
-            this.context.translate(text_canvas_coords.x, text_canvas_coords.y);
-            this.context.rotate((text_obj.rotation * Math.PI) / 180);
-            
-            // Draw rotated bounding box (text extends to the right and up from anchor point)
-            this.context.strokeRect(-padding, -text_height - padding, bbox_width, bbox_height);
-        } else {
-            // Draw non-rotated bounding box
-            this.context.strokeRect(text_canvas_coords.x - padding, 
-                                   text_canvas_coords.y - text_height - padding, 
-                                   bbox_width, bbox_height);
+        if (object_id) {
+            return this.plot_objects.find(obj => obj.id === object_id) || null;
         }
         
-        this.context.restore();
+        return null;
     }
     
     /**
-     * Highlight line bounding box (rotated rectangle around the line)
-     * @param {Object} line_obj - Line object to highlight
-     * side-effects: Draws dashed rotated rectangle highlight
+     * Get distance from coordinates to object
+     * @param {Object} obj - Plot object
+     * @param {Object} coords - Coordinates {x, y}
+     * @returns {number} Distance to object
      */
-    highlightLineBBox(line_obj) {
-        const start_coords = this.plotToCanvas(line_obj.x1, line_obj.y1);
-        const end_coords = this.plotToCanvas(line_obj.x2, line_obj.y2);
-        
-        // Calculate line dimensions
-        const dx = end_coords.x - start_coords.x;
-        const dy = end_coords.y - start_coords.y;
-        const length = Math.sqrt(dx * dx + dy * dy);
-        
-        if (length < 1) return; // Skip very short lines
-        
-        // Calculate perpendicular direction for line width
-        const along_x = dx / length;
-        const along_y = dy / length;
-        const perp_x = -along_y;
-        const perp_y = along_x;
-        
-        // Line extends in perpendicular direction based on width
-        const line_width = Math.max(8, (line_obj.width || 2) * 4); // Match picking bbox thickness
-        const half_width = line_width / 2;
-        
-        // Create bounding box around the line
-        const bbox_points = [
-            {
-                x: start_coords.x + perp_x * half_width,
-                y: start_coords.y + perp_y * half_width
-            },
-            {
-                x: start_coords.x - perp_x * half_width,
-                y: start_coords.y - perp_y * half_width
-            },
-            {
-                x: end_coords.x - perp_x * half_width,
-                y: end_coords.y - perp_y * half_width
-            },
-            {
-                x: end_coords.x + perp_x * half_width,
-                y: end_coords.y + perp_y * half_width
-            }
-        ];
-        
-        // Draw dashed polygon
-        this.context.save();
-        this.context.strokeStyle = '#ff4444';
-        this.context.lineWidth = 2;
-        this.context.setLineDash([5, 5]); // Dashed pattern
-        this.context.beginPath();
-        this.context.moveTo(bbox_points[0].x, bbox_points[0].y);
-        for (let i = 1; i < bbox_points.length; i++) {
-            this.context.lineTo(bbox_points[i].x, bbox_points[i].y);
+    getDistanceToObject(obj, coords) {
+        switch (obj.type) {
+            case 'point':
+                return Math.sqrt(Math.pow(obj.x - coords.x, 2) + Math.pow(obj.y - coords.y, 2));
+            case 'line':
+                return this.distanceToLine(coords, {x: obj.x1, y: obj.y1}, {x: obj.x2, y: obj.y2});
+            case 'area':
+                return this.distanceToRectangle(coords, obj);
+            case 'text':
+                return this.distanceToTextBBox(coords, obj);
+            case 'brace':
+            case 'arrow':
+                return this.distanceToLine(coords, {x: obj.x1, y: obj.y1}, {x: obj.x2, y: obj.y2});
+            default:
+                return Infinity;
         }
-        this.context.closePath();
-        this.context.stroke();
-        this.context.restore();
     }
     
     /**
-     * Highlight brace bounding box (dashed polygon matching picking bbox)
-     * @param {Object} brace_obj - Brace object to highlight
-     * side-effects: Draws dashed polygon highlight around brace
+     * Calculate distance from point to line segment
+     * @param {Object} point - Point coordinates {x, y}
+     * @param {Object} line_start - Line start coordinates {x, y}
+     * @param {Object} line_end - Line end coordinates {x, y}
+     * @returns {number} Distance to line
      */
-    highlightBraceBBox(brace_obj) {
-        const start_coords = this.plotToCanvas(brace_obj.x1, brace_obj.y1);
-        const end_coords = this.plotToCanvas(brace_obj.x2, brace_obj.y2);
-        
-        // Calculate brace dimensions (same logic as picking bbox)
-        const dx = end_coords.x - start_coords.x;
-        const dy = end_coords.y - start_coords.y;
-        const length = Math.sqrt(dx * dx + dy * dy);
-        
-        if (length < 1) return; // Skip very short braces
-        
-        // Calculate perpendicular direction for brace elevation
-        const along_x = dx / length;
-        const along_y = dy / length;
-        const perp_x = -along_y;
-        const perp_y = along_x;
+    distanceToLine(point, line_start, line_end) {
+        const line_length_squared = Math.pow(line_end.x - line_start.x, 2) + Math.pow(line_end.y - line_start.y, 2);
+        if (line_length_squared === 0) return Math.sqrt(Math.pow(point.x - line_start.x, 2) + Math.pow(point.y - line_start.y, 2));
         
-        // Brace extends in perpendicular direction based on elevation
-        const brace_elevation = (brace_obj.elevation || brace_obj.width || 15) * 2; // Match picking bbox
-        const half_width = brace_elevation / 2;
+        const t = Math.max(0, Math.min(1, ((point.x - line_start.x) * (line_end.x - line_start.x) + 
+                                           (point.y - line_start.y) * (line_end.y - line_start.y)) / line_length_squared));
         
-        // Create bounding box around the brace
-        const bbox_points = [
-            {
-                x: start_coords.x + perp_x * half_width,
-                y: start_coords.y + perp_y * half_width
-            },
-            {
-                x: start_coords.x - perp_x * half_width,
-                y: start_coords.y - perp_y * half_width
-            },
-            {
-                x: end_coords.x - perp_x * half_width,
-                y: end_coords.y - perp_y * half_width
-            },
-            {
-                x: end_coords.x + perp_x * half_width,
-                y: end_coords.y + perp_y * half_width
-            }
-        ];
+        const projection = {
+            x: line_start.x + t * (line_end.x - line_start.x),
+            y: line_start.y + t * (line_end.y - line_start.y)
+        };
         
-        // Draw dashed polygon
-        this.context.save();
-        this.context.strokeStyle = '#ff4444';
-        this.context.lineWidth = 2;
-        this.context.setLineDash([5, 5]); // Dashed pattern
-        this.context.beginPath();
-        this.context.moveTo(bbox_points[0].x, bbox_points[0].y);
-        for (let i = 1; i < bbox_points.length; i++) {
-            this.context.lineTo(bbox_points[i].x, bbox_points[i].y);
-        }
-        this.context.closePath();
-        this.context.stroke();
-        this.context.restore();
-    }
-
-    /**
-     * Highlight function with dashed outline
-     * @param {Object} func_obj - Function object to highlight
-     * side-effects: Draws dashed highlight around function
-     */
-    highlightFunction(func_obj) {
-        if (!this.isMathLibraryReady()) {
-            console.warn('Math library not ready, skipping function highlighting');
-            // Wait for math library to be ready
-            const waitForMath = () => {
-                if (this.isMathLibraryReady()) {
-                    this.redraw();
-                } else {
-                    setTimeout(waitForMath, 100);
-                }
-            };
-            waitForMath();
-            return;
-        }
-
-        try {
-            // Create a compiled function for better performance
-            const compiledFunction = this.math.compile(func_obj.expression);
-
-            // Determine the actual x range to plot
-            const plot_x_min = func_obj.xMin !== null ? func_obj.xMin : this.plot_bounds.x_min;
-            const plot_x_max = func_obj.xMax !== null ? func_obj.xMax : this.plot_bounds.x_max;
-
-            // Calculate number of samples (fewer than display for performance)
-            const range = plot_x_max - plot_x_min;
-            const samples = Math.min(Math.max(Math.floor(range * 20), 50), 500); // 20 samples per unit, min 50, max 500
-            const step = range / samples;
-
-            this.context.strokeStyle = '#ff4444';
-            this.context.lineWidth = Math.max(4, func_obj.width || 2) + 2; // Make thicker than the function line
-            this.context.setLineDash([5, 5]); // Dashed pattern
-            this.context.beginPath();
-
-            let firstPoint = true;
-
-            for (let i = 0; i <= samples; i++) {
-                const x = plot_x_min + i * step;
-
-                try {
-                    // Evaluate function at x
-                    const y = compiledFunction.evaluate({ x: x });
-
-                    if (isFinite(y)) {
-                        const canvasCoords = this.plotToCanvas(x, y);
-
-                        // Only draw if the point is within the effective plot area
-                        const effective_plot_area = this.getEffectivePlotArea();
-                        if (canvasCoords.x >= effective_plot_area.left &&
-                            canvasCoords.x <= effective_plot_area.right &&
-                            canvasCoords.y >= effective_plot_area.top &&
-                            canvasCoords.y <= effective_plot_area.bottom) {
-
-                            if (firstPoint) {
-                                this.context.moveTo(canvasCoords.x, canvasCoords.y);
-                                firstPoint = false;
-                            } else {
-                                this.context.lineTo(canvasCoords.x, canvasCoords.y);
-                            }
-                        }
-                    } else {
-                        // Invalid point - end current path and start new one
-                        if (!firstPoint) {
-                            this.context.stroke();
-                            this.context.beginPath();
-                            firstPoint = true;
-                        }
-                    }
-                } catch (error) {
-                    // Function evaluation error - end current path and start new one
-                    if (!firstPoint) {
-                        this.context.stroke();
-                        this.context.beginPath();
-                        firstPoint = true;
-                    }
-                }
-            }
-
-            // Stroke the final path
-            this.context.stroke();
-
-        } catch (error) {
-            console.error('Error highlighting function:', error);
-            // Draw a simple error indicator
-            this.context.strokeStyle = '#ff0000';
-            this.context.lineWidth = 2;
-            this.context.setLineDash([5, 5]);
-            this.context.beginPath();
-            this.context.moveTo(this.canvas.width / 2 - 50, this.canvas.height / 2);
-            this.context.lineTo(this.canvas.width / 2 + 50, this.canvas.height / 2);
-            this.context.stroke();
-        }
-
-        this.context.setLineDash([]);
-    }
-
-    /**
-     * Update coordinate display
-     * @param {Object} coords - Current coordinates
-     * side-effects: Updates coordinate display element
-     */
-    updateCoordinateDisplay(coords) {
-        const coordinate_element = document.getElementById('coordinates');
-        if (coordinate_element) {
-            coordinate_element.textContent = `(${coords.x.toFixed(2)}, ${coords.y.toFixed(2)})`;
-        }
+        return Math.sqrt(Math.pow(point.x - projection.x, 2) + Math.pow(point.y - projection.y, 2));
     }
     
     /**
-     * Generate SVG representation of the plot
-     * @returns {string} SVG content as string
+     * Calculate distance from point to rectangle
+     * @param {Object} point - Point coordinates {x, y}
+     * @param {Object} rect - Rectangle object with x1, y1, x2, y2
+     * @returns {number} Distance to rectangle
      */
-    generateSVG() {
-        const svg_width = this.canvas.width;
-        const svg_height = this.canvas.height;
-        
-        let svg_content = `<?xml version="1.0" encoding="UTF-8"?>
-<svg width="${svg_width}" height="${svg_height}" viewBox="0 0 ${svg_width} ${svg_height}" 
-     xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink">
-<defs>
-    <style>
-        .grid-line { stroke: #e0e0e0; stroke-width: 0.5; }
-        .axis-line { stroke: #333; stroke-width: 2; }
-        .axis-text { font-family: Arial, sans-serif; font-size: 12px; fill: #333; }
-    </style>
-</defs>
-<rect width="100%" height="100%" fill="white"/>`;
-
-        // Add axes and grid
-        svg_content += this.generateAxesSVG();
-        
-        // Add all objects
-        for (const obj of this.plot_objects) {
-            svg_content += this.generateObjectSVG(obj);
-        }
-        
-        svg_content += '\n</svg>';
-        return svg_content;
+    distanceToRectangle(point, rect) {
+        const dx = Math.max(rect.x1 - point.x, 0, point.x - rect.x2);
+        const dy = Math.max(rect.y1 - point.y, 0, point.y - rect.y2);
+        return Math.sqrt(dx * dx + dy * dy);
     }
     
     /**
-     * Generate SVG for axes and grid
-     * @returns {string} SVG elements for axes
+     * Calculate distance from point to text bounding box (considering rotation)
+     * @param {Object} point - Point coordinates {x, y}
+     * @param {Object} text_obj - Text object
+     * @returns {number} Distance to text bounding box (0 if inside)
      */
-    generateAxesSVG() {
-        // Calculate effective dimensions considering aspect ratio (same as drawAxes)
-        const plot_x_range = this.plot_bounds.x_max - this.plot_bounds.x_min;
-        const plot_y_range = this.plot_bounds.y_max - this.plot_bounds.y_min;
-        const aspect_ratio = this.axes_properties.aspect_ratio;
+    distanceToTextBBox(point, text_obj) {
+        // Get text dimensions by measuring
+        this.context.save();
+        this.context.font = `${text_obj.font_size}px ${text_obj.font_family}`;
+        const text_metrics = this.context.measureText(text_obj.text);
+        const text_width = text_metrics.width;
+        const text_height = text_obj.font_size; // Approximate height
+        this.context.restore();
         
-        // Determine which dimension constrains the scaling
-        const canvas_aspect = this.plot_width / this.plot_height;
-        const plot_aspect = (plot_x_range * aspect_ratio) / plot_y_range;
+        // Convert to plot coordinates
+        const text_width_plot = text_width / (this.plot_width / (this.plot_bounds.x_max - this.plot_bounds.x_min));
+        const text_height_plot = text_height / (this.plot_height / (this.plot_bounds.y_max - this.plot_bounds.y_min));
         
-        let effective_width, effective_height, x_offset, y_offset;
+        // Text anchor point
+        const text_x = text_obj.x;
+        const text_y = text_obj.y;
         
-        if (plot_aspect > canvas_aspect) {
-            // X dimension constrains - use full width
-            effective_width = this.plot_width;
-            effective_height = this.plot_width / plot_aspect;
-            x_offset = 0;
-            y_offset = (this.plot_height - effective_height) / 2;
-        } else {
-            // Y dimension constrains - use full height
-            effective_height = this.plot_height;
-            effective_width = this.plot_height * plot_aspect;
-            x_offset = (this.plot_width - effective_width) / 2;
-            y_offset = 0;
-        }
-        
-        // Calculate effective plot area bounds
-        const plot_left = this.canvas_padding + x_offset;
-        const plot_right = this.canvas_padding + x_offset + effective_width;
-        const plot_top = this.canvas_padding + y_offset;
-        const plot_bottom = this.canvas_padding + y_offset + effective_height;
-        
-        let svg_elements = '\n<!-- Axes and Grid -->';
-        
-        // Grid
-        if (this.axes_properties.show_grid) {
-            svg_elements += '\n<g class="grid">';
-            
-            // Vertical grid lines
-            const x_step = (this.plot_bounds.x_max - this.plot_bounds.x_min) / 10;
-            for (let x = this.plot_bounds.x_min; x <= this.plot_bounds.x_max; x += x_step) {
-                const canvas_coords = this.plotToCanvas(x, 0);
-                svg_elements += `\n  <line x1="${canvas_coords.x}" y1="${plot_top}" x2="${canvas_coords.x}" y2="${plot_bottom}" class="grid-line"/>`;
-            }
-            
-            // Horizontal grid lines
-            const y_step = (this.plot_bounds.y_max - this.plot_bounds.y_min) / 10;
-            for (let y = this.plot_bounds.y_min; y <= this.plot_bounds.y_max; y += y_step) {
-                const canvas_coords = this.plotToCanvas(0, y);
-                svg_elements += `\n  <line x1="${plot_left}" y1="${canvas_coords.y}" x2="${plot_right}" y2="${canvas_coords.y}" class="grid-line"/>`;
-            }
+        // If no rotation, use simple rectangle check
+        if (!text_obj.rotation || text_obj.rotation === 0) {
+            // Simple bounding box (text extends to the right and up from anchor point)
+            const bbox = {
+                x1: text_x,
+                y1: text_y - text_height_plot,
+                x2: text_x + text_width_plot,
+                y2: text_y
+            };
             
-            svg_elements += '\n</g>';
+            const dx = Math.max(bbox.x1 - point.x, 0, point.x - bbox.x2);
+            const dy = Math.max(bbox.y1 - point.y, 0, point.y - bbox.y2);
+            return Math.sqrt(dx * dx + dy * dy);
         }
         
-        // Main axes
-        svg_elements += '\n<g class="axes">';
-        
-        // X-axis
-        const x_axis_y = this.plotToCanvas(0, 0).y;
-        svg_elements += `\n  <line x1="${plot_left}" y1="${x_axis_y}" x2="${plot_right}" y2="${x_axis_y}" class="axis-line"/>`;
-        
-        // X-axis arrow
-        svg_elements += `\n  <polygon points="${plot_right},${x_axis_y} ${plot_right - 10},${x_axis_y - 5} ${plot_right - 10},${x_axis_y + 5}" fill="#333"/>`;
-        
-        // Y-axis
-        const y_axis_x = this.plotToCanvas(0, 0).x;
-        svg_elements += `\n  <line x1="${y_axis_x}" y1="${plot_top}" x2="${y_axis_x}" y2="${plot_bottom}" class="axis-line"/>`;
-        
-        // Y-axis arrow
-        svg_elements += `\n  <polygon points="${y_axis_x},${plot_top} ${y_axis_x - 5},${plot_top + 10} ${y_axis_x + 5},${plot_top + 10}" fill="#333"/>`;
-        
-        // X-axis ticks and labels
-        svg_elements += this.generateXTicksSVG(plot_left, plot_right, x_axis_y, y_axis_x);
+        // For rotated text, transform the point to text's local coordinate system
+        const rotation_rad = (text_obj.rotation * Math.PI) / 180;
+        const cos_rot = Math.cos(-rotation_rad); // Negative because we're transforming point, not text
+        const sin_rot = Math.sin(-rotation_rad);
         
-        // Y-axis ticks and labels
-        svg_elements += this.generateYTicksSVG(plot_top, plot_bottom, y_axis_x, x_axis_y);
+        // Translate point relative to text anchor
+        const rel_x = point.x - text_x;
+        const rel_y = point.y - text_y;
         
-        // Axis labels
-        svg_elements += `\n  <text x="${plot_right + 5}" y="${x_axis_y + 5}" font-family="Arial" font-size="14" fill="#333">${this.escapeXML(this.axes_properties.x_label)}</text>`;
-        svg_elements += `\n  <text x="${y_axis_x - 5}" y="${plot_top - 5}" font-family="Arial" font-size="14" fill="#333">${this.escapeXML(this.axes_properties.y_label)}</text>`;
+        // Rotate point to text's local coordinate system
+        const local_x = rel_x * cos_rot - rel_y * sin_rot;
+        const local_y = rel_x * sin_rot + rel_y * cos_rot;
         
-        svg_elements += '\n</g>';
+        // Check against unrotated bounding box in local coordinates
+        const bbox = {
+            x1: 0,
+            y1: -text_height_plot,
+            x2: text_width_plot,
+            y2: 0
+        };
         
-        return svg_elements;
+        const dx = Math.max(bbox.x1 - local_x, 0, local_x - bbox.x2);
+        const dy = Math.max(bbox.y1 - local_y, 0, local_y - bbox.y2);
+        return Math.sqrt(dx * dx + dy * dy);
     }
     
     /**
-     * Generate SVG for X-axis ticks and labels
-     * @param {number} plot_left - Left bound of plot area
-     * @param {number} plot_right - Right bound of plot area
-     * @param {number} x_axis_y - Y coordinate of X-axis
-     * @param {number} y_axis_x - X coordinate of Y-axis
-     * @returns {string} SVG elements for X ticks
+     * Select an object
+     * @param {Object|null} obj - Object to select or null to deselect
+     * side-effects: Updates selected_object and UI
      */
-    generateXTicksSVG(plot_left, plot_right, x_axis_y, y_axis_x) {
-        let svg_elements = '\n  <!-- X-axis ticks and labels -->';
-        
-        const x_step = (this.plot_bounds.x_max - this.plot_bounds.x_min) / 10;
-        const tick_length = 5;
-        
-        for (let x = this.plot_bounds.x_min; x <= this.plot_bounds.x_max; x += x_step) {
-            const canvas_coords = this.plotToCanvas(x, 0);
-            
-            // Skip if outside effective plot area
-            if (canvas_coords.x < plot_left || canvas_coords.x > plot_right) continue;
-            
-            // Draw tick mark
-            svg_elements += `\n  <line x1="${canvas_coords.x}" y1="${x_axis_y - tick_length}" x2="${canvas_coords.x}" y2="${x_axis_y + tick_length}" stroke="#333" stroke-width="1"/>`;
-            
-            // Draw label (skip 0 if it's too close to Y-axis)
-            if (Math.abs(canvas_coords.x - y_axis_x) > 15) {
-                svg_elements += `\n  <text x="${canvas_coords.x}" y="${x_axis_y + tick_length + 12}" font-family="Arial" font-size="10" fill="#333" text-anchor="middle">${x.toFixed(1)}</text>`;
-            }
-        }
-        
-        return svg_elements;
+    selectObject(obj) {
+        this.selected_object = obj;
+        this.updatePropertiesPanel();
+        this.updateObjectList();
+        this.redraw();
     }
     
     /**
-     * Generate SVG for Y-axis ticks and labels
-     * @param {number} plot_top - Top bound of plot area
-     * @param {number} plot_bottom - Bottom bound of plot area
-     * @param {number} y_axis_x - X coordinate of Y-axis
-     * @param {number} x_axis_y - Y coordinate of X-axis
-     * @returns {string} SVG elements for Y ticks
+     * Generate unique ID for objects
+     * @returns {string} Unique identifier
      */
-    generateYTicksSVG(plot_top, plot_bottom, y_axis_x, x_axis_y) {
-        let svg_elements = '\n  <!-- Y-axis ticks and labels -->';
-        
-        const y_step = (this.plot_bounds.y_max - this.plot_bounds.y_min) / 10;
-        const tick_length = 5;
-        
-        for (let y = this.plot_bounds.y_min; y <= this.plot_bounds.y_max; y += y_step) {
-            const canvas_coords = this.plotToCanvas(0, y);
-            
-            // Skip if outside effective plot area
-            if (canvas_coords.y < plot_top || canvas_coords.y > plot_bottom) continue;
-            
-            // Draw tick mark
-            svg_elements += `\n  <line x1="${y_axis_x - tick_length}" y1="${canvas_coords.y}" x2="${y_axis_x + tick_length}" y2="${canvas_coords.y}" stroke="#333" stroke-width="1"/>`;
-            
-            // Draw label (skip 0 if it's too close to X-axis)
-            if (Math.abs(canvas_coords.y - x_axis_y) > 15) {
-                svg_elements += `\n  <text x="${y_axis_x - tick_length - 2}" y="${canvas_coords.y + 3}" font-family="Arial" font-size="10" fill="#333" text-anchor="end">${y.toFixed(1)}</text>`;
-            }
-        }
-        
-        return svg_elements;
+    generateId() {
+        return 'obj_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
     }
     
     /**
-     * Generate SVG for a plot object
-     * @param {Object} obj - Plot object
-     * @returns {string} SVG elements for the object
+     * Set current drawing tool
+     * @param {string} tool - Tool name
+     * side-effects: Changes current_tool
      */
-    generateObjectSVG(obj) {
-        switch (obj.type) {
-            case 'point':
-                return this.generatePointSVG(obj);
-            case 'line':
-                return this.generateLineSVG(obj);
-            case 'area':
-                return this.generateAreaSVG(obj);
-            case 'text':
-                return this.generateTextSVG(obj);
-            case 'brace':
-                return this.generateBraceSVG(obj);
-            case 'function':
-                return this.generateFunctionSVG(obj);
-            default:
-                return '';
-        }
+    setTool(tool) {
+        this.current_tool = tool;
+        this.drawing_state.is_drawing = false;
+        this.drawing_state.vertices = [];
+        this.selected_object = null;
+        this.updatePropertiesPanel();
+        this.redraw();
     }
     
     /**
-     * Generate SVG for a point
-     * @param {Object} point - Point object
-     * @returns {string} SVG elements for point
+     * Update plot bounds
+     * @param {Object} bounds - New bounds {x_min, x_max, y_min, y_max}
+     * side-effects: Updates plot_bounds and redraws
      */
-    generatePointSVG(point) {
-        const canvas_coords = this.plotToCanvas(point.x, point.y);
-        let svg_elements = `\n<g class="point">`;
-        
-        // Point circle
-        svg_elements += `\n  <circle cx="${canvas_coords.x}" cy="${canvas_coords.y}" r="${point.size}" fill="${point.color}"/>`;
-        
-        // Point text if present
-        if (point.text && point.text.trim() !== '') {
-            const text_font_size = point.text_font_size || 12;
-            const text_font_family = point.text_font_family || 'Arial';
-            svg_elements += `\n  <text x="${canvas_coords.x + point.size + 5}" y="${canvas_coords.y - 5}" font-family="${text_font_family}" font-size="${text_font_size}" fill="${point.color}">${this.escapeXML(point.text)}</text>`;
-        }
-        
-        // Coordinates if enabled
-        if (point.show_coordinates) {
-            const coords_font_size = point.coords_font_size || 10;
-            const coords_font_family = point.coords_font_family || 'Arial';
-            const coord_text = `(${point.x.toFixed(2)}, ${point.y.toFixed(2)})`;
-            svg_elements += `\n  <text x="${canvas_coords.x + point.size + 5}" y="${canvas_coords.y + (point.text ? 10 : 5)}" font-family="${coords_font_family}" font-size="${coords_font_size}" fill="#666">${coord_text}</text>`;
-        }
-        
-        svg_elements += '\n</g>';
-        return svg_elements;
+    updatePlotBounds(bounds) {
+        this.plot_bounds = { ...bounds };
+        this.redraw();
     }
     
     /**
-     * Generate SVG for a line
-     * @param {Object} line - Line object
-     * @returns {string} SVG elements for line
+     * Update axes properties
+     * @param {Object} properties - Axes properties
+     * side-effects: Updates axes_properties and redraws
      */
-    generateLineSVG(line) {
-        const start_coords = this.plotToCanvas(line.x1, line.y1);
-        const end_coords = this.plotToCanvas(line.x2, line.y2);
-        
-        return `\n<line x1="${start_coords.x}" y1="${start_coords.y}" x2="${end_coords.x}" y2="${end_coords.y}" stroke="${line.color}" stroke-width="${line.width}"/>`;
+    updateAxesProperties(properties) {
+        this.axes_properties = { ...this.axes_properties, ...properties };
+        this.redraw();
     }
     
     /**
-     * Generate SVG for a filled area
-     * @param {Object} area - Area object
-     * @returns {string} SVG elements for area
+     * Clear all plot objects
+     * side-effects: Empties plot_objects array and redraws
      */
-    generateAreaSVG(area) {
-        const top_left = this.plotToCanvas(area.x1, area.y2);
-        const bottom_right = this.plotToCanvas(area.x2, area.y1);
-        const width = bottom_right.x - top_left.x;
-        const height = bottom_right.y - top_left.y;
-        
-        return `\n<rect x="${top_left.x}" y="${top_left.y}" width="${width}" height="${height}" fill="${area.fill_color}" stroke="${area.border_color}" stroke-width="1"/>`;
+    clearPlot() {
+        if (this.plot_objects.length > 0) {
+            const command = new ClearPlotCommand(this);
+            this.executeCommand(command);
+        }
     }
     
     /**
-     * Generate SVG for text
-     * @param {Object} text - Text object
-     * @returns {string} SVG elements for text
+     * Delete selected object
+     * side-effects: Removes object from plot_objects array
      */
-    generateTextSVG(text) {
-        const canvas_coords = this.plotToCanvas(text.x, text.y);
-        
-        let transform_attr = '';
-        if (text.rotation && text.rotation !== 0) {
-            transform_attr = ` transform="rotate(${text.rotation} ${canvas_coords.x} ${canvas_coords.y})"`;
+    deleteSelectedObject() {
+        if (this.selected_object) {
+            const command = new DeleteObjectCommand(this, this.selected_object);
+            this.executeCommand(command);
         }
-        
-        return `\n<text x="${canvas_coords.x}" y="${canvas_coords.y}" font-family="${text.font_family}" font-size="${text.font_size}" fill="${text.color}"${transform_attr}>${this.escapeXML(text.text)}</text>`;
     }
     
     /**
-     * Generate SVG for a brace
-     * @param {Object} brace - Brace object
-     * @returns {string} SVG elements for brace
+     * Update object property
+     * @param {string} property - Property name
+     * @param {any} value - New value
+     * side-effects: Updates selected object and redraws
      */
-    generateBraceSVG(brace) {
-        const start_coords = this.plotToCanvas(brace.x1, brace.y1);
-        const end_coords = this.plotToCanvas(brace.x2, brace.y2);
-        
-        const brace_style = brace.style || '45deg';
-        
-        if (brace_style === 'traditional') {
-            return this.generateTraditionalBraceSVG(brace, start_coords, end_coords);
-        } else if (brace_style === '45deg') {
-            return this.generate45DegBraceSVG(brace, start_coords, end_coords);
-        } else {
-            return this.generateSmoothBraceSVG(brace, start_coords, end_coords);
+    updateObjectProperty(property, value) {
+        if (this.selected_object) {
+            const old_value = this.selected_object[property];
+            if (old_value !== value) {
+                const command = new ModifyObjectCommand(this, this.selected_object, property, old_value, value);
+                this.executeCommand(command);
+            }
         }
     }
     
     /**
-     * Generate SVG for smooth brace
-     * @param {Object} brace - Brace object
-     * @param {Object} start_coords - Start canvas coordinates
-     * @param {Object} end_coords - End canvas coordinates
-     * @returns {string} SVG path for smooth brace
+     * Start dragging an object
+     * @param {Object} obj - Object to drag
+     * @param {Object} mouse_coords - Mouse canvas coordinates {x, y}
+     * @param {Object} plot_coords - Plot coordinates {x, y}
+     * @param {number|null} vertex_index - Vertex to drag instead of the whole object (polygons/polylines)
+     * side-effects: Initializes dragging state
      */
-    generateSmoothBraceSVG(brace, start_coords, end_coords) {
-        const dx = end_coords.x - start_coords.x;
-        const dy = end_coords.y - start_coords.y;
-        const length = Math.sqrt(dx * dx + dy * dy);
-        
-        // Use brace width property or fallback to calculated value (2x thinner)
-        const brace_elevation = brace.elevation || brace.width || Math.min(20, length * 0.125);
-        const mirror_multiplier = brace.mirrored ? -1 : 1;
-        const perpX = -dy / length * brace_elevation * mirror_multiplier;
-        const perpY = dx / length * brace_elevation * mirror_multiplier;
-        
-        const midX = (start_coords.x + end_coords.x) / 2;
-        const midY = (start_coords.y + end_coords.y) / 2;
-        const controlX = midX + perpX;
-        const controlY = midY + perpY;
+    startDragging(obj, mouse_coords, plot_coords, vertex_index = null) {
+        this.dragging_state.is_dragging = true;
+        this.dragging_state.dragged_object = obj;
+        this.dragging_state.drag_start_mouse = mouse_coords;
+        this.dragging_state.drag_start_coords = plot_coords;
+        this.dragging_state.vertex_index = vertex_index;
         
-        const path = `M ${start_coords.x} ${start_coords.y} Q ${controlX} ${controlY} ${midX} ${midY} Q ${controlX} ${controlY} ${end_coords.x} ${end_coords.y}`;
+        // Store the original object coordinates for reference
+        this.dragging_state.original_coords = this.getObjectCoordinates(obj);
         
-        return `\n<path d="${path}" stroke="${brace.color}" stroke-width="2" fill="none"/>`;
+        // Change cursor to grabbing
+        this.canvas.style.cursor = 'grabbing';
     }
     
     /**
-     * Generate SVG for traditional brace with quarter circles and straight segments
-     * Following the exact pattern: quarter_circle -> line -> quarter_circle -> quarter_circle -> line -> quarter_circle
-     * @param {Object} brace - Brace object
-     * @param {Object} start_coords - Start canvas coordinates
-     * @param {Object} end_coords - End canvas coordinates
-     * @returns {string} SVG path for traditional brace
+     * Update object position during dragging
+     * @param {Object} mouse_coords - Current mouse canvas coordinates {x, y}
+     * @param {Object} plot_coords - Current plot coordinates {x, y}
+     * side-effects: Updates object coordinates and redraws
      */
-    generateTraditionalBraceSVG(brace, start_coords, end_coords) {
-        const dx = end_coords.x - start_coords.x;
-        const dy = end_coords.y - start_coords.y;
-        const length = Math.sqrt(dx * dx + dy * dy);
-        
-        if (length < 20) return ''; // Skip very short braces
-        
-        // Use brace width property or fallback to calculated value (2x thinner)
-        const brace_elevation = brace.elevation || brace.width || Math.min(length * 0.125, 20);
-        const mirror_multiplier = brace.mirrored ? -1 : 1;
-        
-        // Unit vectors along and perpendicular to the brace line
-        const alongUnitX = dx / length;
-        const alongUnitY = dy / length;
-        const perpUnitX = -dy / length * mirror_multiplier;
-        const perpUnitY = dx / length * mirror_multiplier;
-        
-        // Quarter circle radius - half the brace width
-        const radius = brace_elevation / 2;
-        
-        const quarter_distance = length / 4;
-        
-        // Key positions along the brace
-        const p1_pos = radius; // End of first quarter circle
-        const p2_pos = quarter_distance; // Start of second quarter circle  
-        const tip_pos = length / 2; // Center tip
-        const p3_pos = length - quarter_distance; // Start of fifth quarter circle
-        const p4_pos = length - radius; // End of fifth quarter circle
-        
-        // Build SVG path following the exact same structure as canvas
-        let path = `M ${start_coords.x} ${start_coords.y}`;
-        
-        // TOP HALF
-        // 1. First quarter circle (outward)
-        const q1_end_x = start_coords.x + alongUnitX * p1_pos + perpUnitX * radius;
-        const q1_end_y = start_coords.y + alongUnitY * p1_pos + perpUnitY * radius;
-        const q1_ctrl_x = start_coords.x + perpUnitX * radius;
-        const q1_ctrl_y = start_coords.y + perpUnitY * radius;
-        path += ` Q ${q1_ctrl_x} ${q1_ctrl_y} ${q1_end_x} ${q1_end_y}`;
-        
-        // 2. Straight line
-        const line1_end_x = start_coords.x + alongUnitX * p2_pos + perpUnitX * radius;
-        const line1_end_y = start_coords.y + alongUnitY * p2_pos + perpUnitY * radius;
-        path += ` L ${line1_end_x} ${line1_end_y}`;
-        
-        // 3. Second quarter circle (inward to tip)
-        const tip_x = start_coords.x + alongUnitX * tip_pos + perpUnitX * brace_elevation;
-        const tip_y = start_coords.y + alongUnitY * tip_pos + perpUnitY * brace_elevation;
-        const q2_ctrl_x = start_coords.x + alongUnitX * tip_pos + perpUnitX * radius;
-        const q2_ctrl_y = start_coords.y + alongUnitY * tip_pos + perpUnitY * radius;
-        path += ` Q ${q2_ctrl_x} ${q2_ctrl_y} ${tip_x} ${tip_y}`;
-        
-        // BOTTOM HALF (vertically mirrored)
-        // 4. Third quarter circle (outward from tip)
-        const q3_end_x = start_coords.x + alongUnitX * p3_pos + perpUnitX * radius;
-        const q3_end_y = start_coords.y + alongUnitY * p3_pos + perpUnitY * radius;
-        const q3_ctrl_x = start_coords.x + alongUnitX * tip_pos + perpUnitX * radius;
-        const q3_ctrl_y = start_coords.y + alongUnitY * tip_pos + perpUnitY * radius;
-        path += ` Q ${q3_ctrl_x} ${q3_ctrl_y} ${q3_end_x} ${q3_end_y}`;
+    updateDragging(mouse_coords, plot_coords) {
+        if (!this.dragging_state.is_dragging || !this.dragging_state.dragged_object) return;
         
-        // 5. Straight line
-        const line2_end_x = start_coords.x + alongUnitX * p4_pos + perpUnitX * radius;
-        const line2_end_y = start_coords.y + alongUnitY * p4_pos + perpUnitY * radius;
-        path += ` L ${line2_end_x} ${line2_end_y}`;
+        const obj = this.dragging_state.dragged_object;
+        const dx = plot_coords.x - this.dragging_state.drag_start_coords.x;
+        const dy = plot_coords.y - this.dragging_state.drag_start_coords.y;
         
-        // 6. Fourth quarter circle (inward to end)
-        const q4_ctrl_x = end_coords.x + perpUnitX * radius;
-        const q4_ctrl_y = end_coords.y + perpUnitY * radius;
-        path += ` Q ${q4_ctrl_x} ${q4_ctrl_y} ${end_coords.x} ${end_coords.y}`;
+        // Update object coordinates based on its type
+        this.updateObjectCoordinates(obj, dx, dy);
         
-        return `\n<path d="${path}" stroke="${brace.color}" stroke-width="2" fill="none"/>`;
+        // Update UI and redraw
+        this.updateObjectList();
+        this.updatePropertiesPanel();
+        this.redraw();
     }
-
+    
     /**
-     * Generate SVG for 45-degree brace with 1/8 outer arcs and 1/4 inner arcs
-     * @param {Object} brace - Brace object
-     * @param {Object} start_coords - Start canvas coordinates
-     * @param {Object} end_coords - End canvas coordinates
-     * @returns {string} SVG path for 45deg brace
+     * Stop dragging operation
+     * side-effects: Resets dragging state and cursor
      */
-    generate45DegBraceSVG(brace, start_coords, end_coords) {
-        const dx = end_coords.x - start_coords.x;
-        const dy = end_coords.y - start_coords.y;
-        const length = Math.sqrt(dx * dx + dy * dy);
-        if (length < 20) return '';
+    stopDragging() {
+        if (this.dragging_state.is_dragging && this.dragging_state.dragged_object && this.dragging_state.original_coords) {
+            const current_coords = this.getObjectCoordinates(this.dragging_state.dragged_object);
+            
+            // Check if the object actually moved
+            const moved = JSON.stringify(this.dragging_state.original_coords) !== JSON.stringify(current_coords);
+            
+            if (moved) {
+                // Create and execute move command for undo/redo
+                const command = new MoveObjectCommand(
+                    this, 
+                    this.dragging_state.dragged_object, 
+                    this.dragging_state.original_coords, 
+                    current_coords
+                );
+                
+                // Add to history without executing (object already moved during drag)
+                this.command_history = this.command_history.slice(0, this.current_command_index + 1);
+                this.command_history.push(command);
+                this.current_command_index++;
+                
+                if (this.command_history.length > this.max_history_size) {
+                    this.command_history.shift();
+                    this.current_command_index--;
+                }
+                
+                this.updateUndoRedoButtons();
+            }
+        }
         
-        const mirror_multiplier = brace.mirrored ? -1 : 1;
-        const alongX = dx / length;
-        const alongY = dy / length;
-        const perpX = -dy / length * mirror_multiplier;
-        const perpY = dx / length * mirror_multiplier;
+        this.dragging_state.is_dragging = false;
+        this.dragging_state.dragged_object = null;
+        this.dragging_state.drag_start_mouse = null;
+        this.dragging_state.drag_start_coords = null;
+        this.dragging_state.original_coords = null;
+        this.dragging_state.vertex_index = null;
         
-        let innerR = brace.elevation || brace.width ? Math.min(brace.elevation || brace.width, length / 6) : length / 6;
-        const outerR = innerR * Math.SQRT2;
-        const segLen = Math.max(0, length / 2 - 2 * innerR);
+        // Reset cursor
+        this.canvas.style.cursor = 'default';
+    }
+    
+    /**
+     * Get coordinates from object based on its type
+     * @param {Object} obj - Plot object
+     * @returns {Object} Object coordinates
+     */
+    getObjectCoordinates(obj) {
+        switch (obj.type) {
+            case 'point':
+            case 'text':
+                return { x: obj.x, y: obj.y };
+            case 'ode':
+                return { x0: obj.x0, y0: obj.y0 };
+            case 'tangent':
+                return { x0: obj.x0 };
+            case 'circle':
+            case 'ellipse':
+            case 'arc':
+                return { cx: obj.cx, cy: obj.cy };
+            case 'polygon':
+            case 'polyline':
+            case 'series':
+                return { points: obj.points.map(vertex => ({ x: vertex.x, y: vertex.y })) };
+            case 'line':
+            case 'area':
+            case 'brace':
+            case 'arrow':
+                return { x1: obj.x1, y1: obj.y1, x2: obj.x2, y2: obj.y2 };
+            default:
+                return {};
+        }
+    }
+    
+    /**
+     * Update object coordinates during dragging
+     * @param {Object} obj - Plot object to update
+     * @param {number} dx - X offset from drag start
+     * @param {number} dy - Y offset from drag start
+     * side-effects: Updates object coordinates
+     */
+    updateObjectCoordinates(obj, dx, dy) {
+        const original = this.dragging_state.original_coords;
         
-        const pt = (s, p) => ({ x: start_coords.x + alongX * s + perpX * p, y: start_coords.y + alongY * s + perpY * p });
-        const arc = (cx, cy, r, sx, sy, ex, ey) => {
-            // Compute flags for minor arc in sweep direction
-            const startAngle = Math.atan2(sy - cy, sx - cx);
-            const endAngle = Math.atan2(ey - cy, ex - cx);
-            let delta = endAngle - startAngle;
-            while (delta <= -Math.PI) delta += 2 * Math.PI;
-            while (delta > Math.PI) delta -= 2 * Math.PI;
-            const sweepFlag = delta >= 0 ? 1 : 0;
-            const largeArcFlag = 0;
-            return ` A ${r} ${r} 0 ${largeArcFlag} ${sweepFlag} ${ex} ${ey}`;
-        };
+        switch (obj.type) {
+            case 'point':
+            case 'text':
+                obj.x = original.x + dx;
+                obj.y = original.y + dy;
+                break;
+            case 'ode':
+                obj.x0 = original.x0 + dx;
+                obj.y0 = original.y0 + dy;
+                break;
+            case 'tangent':
+                // The anchor slides along the curve
+                obj.x0 = original.x0 + dx;
+                break;
+            case 'circle':
+            case 'ellipse':
+            case 'arc':
+                obj.cx = original.cx + dx;
+                obj.cy = original.cy + dy;
+                break;
+            case 'polygon':
+            case 'polyline':
+            case 'series':
+                obj.points = original.points.map((vertex, index) => {
+                    const vertex_index = this.dragging_state.vertex_index;
+                    if (vertex_index !== null && vertex_index !== index) {
+                        return { x: vertex.x, y: vertex.y };
+                    }
+                    return { x: vertex.x + dx, y: vertex.y + dy };
+                });
+                break;
+            case 'line':
+            case 'area':
+            case 'brace':
+            case 'arrow':
+                obj.x1 = original.x1 + dx;
+                obj.y1 = original.y1 + dy;
+                obj.x2 = original.x2 + dx;
+                obj.y2 = original.y2 + dy;
+                break;
+        }
+    }
+    
+    /**
+     * Set object coordinates to absolute values
+     * @param {Object} obj - Object to update
+     * @param {Object} coords - New coordinate values
+     * side-effects: Updates object coordinates
+     */
+    setObjectCoordinates(obj, coords) {
+        switch (obj.type) {
+            case 'point':
+            case 'text':
+                obj.x = coords.x;
+                obj.y = coords.y;
+                break;
+            case 'ode':
+                obj.x0 = coords.x0;
+                obj.y0 = coords.y0;
+                break;
+            case 'tangent':
+                obj.x0 = coords.x0;
+                break;
+            case 'circle':
+            case 'ellipse':
+            case 'arc':
+                obj.cx = coords.cx;
+                obj.cy = coords.cy;
+                break;
+            case 'polygon':
+            case 'polyline':
+            case 'series':
+                obj.points = coords.points.map(vertex => ({ x: vertex.x, y: vertex.y }));
+                break;
+            case 'line':
+            case 'area':
+            case 'brace':
+            case 'arrow':
+                obj.x1 = coords.x1;
+                obj.y1 = coords.y1;
+                obj.x2 = coords.x2;
+                obj.y2 = coords.y2;
+                break;
+        }
+    }
+    
+    /**
+     * Main drawing function - renders entire plot
+     * side-effects: Draws on canvas, stores the scene below the trace marker while tracing is possible
+     */
+    redraw() {
+        // Clear canvas
+        this.context.clearRect(0, 0, this.canvas.width, this.canvas.height);
         
-        // Build with reusable half function for symmetry
-        const arcCmd = (cx, cy, r, sx, sy, ex, ey) => {
-            const startAngle = Math.atan2(sy - cy, sx - cx);
-            const endAngle = Math.atan2(ey - cy, ex - cx);
-            let delta = endAngle - startAngle;
-            while (delta <= -Math.PI) delta += 2 * Math.PI;
-            while (delta > Math.PI) delta -= 2 * Math.PI;
-            const sweepFlag = delta >= 0 ? 1 : 0;
-            const largeArcFlag = 0;
-            return ` A ${r} ${r} 0 ${largeArcFlag} ${sweepFlag} ${ex} ${ey}`;
-        };
-        const half = (Sx, Sy, Ex, Ey, mirrorMultiplier) => {
-            const dx = Ex - Sx;
-            const dy = Ey - Sy;
-            const L = Math.sqrt(dx * dx + dy * dy);
-            const ax = dx / L, ay = dy / L;
-            const px = -dy / L * mirrorMultiplier;
-            const py = dx / L * mirrorMultiplier;
-            const rIn = brace.elevation || brace.width ? Math.min(brace.elevation || brace.width, L / 6) : L / 6;
-            const rOut = rIn * Math.SQRT2;
-            const seg = Math.max(0, L / 2 - 2 * rIn);
-            const P1x = Sx + ax * rIn + px * (rIn - rOut);
-            const P1y = Sy + ay * rIn + py * (rIn - rOut);
-            const P2x = Sx + ax * (rIn + seg) + px * (rIn - rOut);
-            const P2y = Sy + ay * (rIn + seg) + py * (rIn - rOut);
-            const C1x = Sx + ax * rIn + px * rIn;
-            const C1y = Sy + ay * rIn + py * rIn;
-            const C2x = Sx + ax * (rIn + seg) - px * rOut;
-            const C2y = Sy + ay * (rIn + seg) - py * rOut;
-            const Mx = Sx + ax * (L / 2) - px * rOut;
-            const My = Sy + ay * (L / 2) - py * rOut;
-            let s = `M ${Sx} ${Sy}`;
-            s += arcCmd(C1x, C1y, rOut, Sx, Sy, P1x, P1y);
-            s += ` L ${P2x} ${P2y}`;
-            s += arcCmd(C2x, C2y, rIn, P2x, P2y, Mx, My);
-            return s;
-        };
-        const mm = brace.mirrored ? -1 : 1;
-        let path = half(start_coords.x, start_coords.y, end_coords.x, end_coords.y, -mm);
-        path += half(end_coords.x, end_coords.y, start_coords.x, start_coords.y, mm);
+        // Draw axes and grid
+        this.drawAxes();
         
-        return `\n<path d="${path}" stroke="${brace.color}" stroke-width="2" fill="none"/>`;
+        // Draw all objects sorted by z-index (lowest first)
+        const sorted_objects = [...this.plot_objects].sort((a, b) => (a.z_index || 0) - (b.z_index || 0));
+        for (const obj of sorted_objects) {
+            // Apply visual feedback for dragged objects
+            if (this.dragging_state.is_dragging && this.dragging_state.dragged_object === obj) {
+                this.context.save();
+                this.context.globalAlpha = 0.7; // Make dragged object slightly transparent
+                this.drawObject(obj);
+                this.context.restore();
+            } else {
+                this.drawObject(obj);
+            }
+        }
+        
+        // Highlight selected object
+        if (this.selected_object) {
+            this.highlightObject(this.selected_object);
+        }
+        
+        // Keep the scene so moving the trace marker does not redraw every object
+        const can_trace = this.trace_enabled && this.current_tool === 'select';
+        this.trace_background = can_trace ? this.context.getImageData(0, 0, this.canvas.width, this.canvas.height) : null;
+        if (this.trace) {
+            // Trace again at the cursor: the curve below it may have changed, moved or been deleted
+            const is_busy = this.view_state.is_panning || this.dragging_state.is_dragging;
+            this.trace = can_trace && !is_busy ?
+                this.getTraceAt(this.trace_cursor, this.canvasToPlot(this.trace_cursor.x, this.trace_cursor.y)) : null;
+        }
+        if (this.trace) {
+            this.drawTrace(this.trace);
+        }
+        
+        // Update picking canvas
+        this.renderPickingCanvas();
     }
     
     /**
-     * Escape XML special characters
-     * @param {string} text - Text to escape
-     * @returns {string} Escaped text
+     * Completely disable antialiasing on picking context
+     * side-effects: Sets all antialiasing properties to false/optimizeSpeed
      */
-    escapeXML(text) {
-        return text.replace(/&/g, '&amp;')
-                  .replace(/</g, '&lt;')
-                  .replace(/>/g, '&gt;')
-                  .replace(/"/g, '&quot;')
-                  .replace(/'/g, '&#39;');
+    disablePickingAntialiasing() {
+        // Disable image smoothing (all browser prefixes)
+        this.picking_context.imageSmoothingEnabled = false;
+        this.picking_context.webkitImageSmoothingEnabled = false;
+        this.picking_context.mozImageSmoothingEnabled = false;
+        this.picking_context.msImageSmoothingEnabled = false;
+        this.picking_context.oImageSmoothingEnabled = false;
+        
+        // Optimize text rendering for speed (no antialiasing)
+        if (this.picking_context.textRenderingOptimization) {
+            this.picking_context.textRenderingOptimization = 'optimizeSpeed';
+        }
+        if (this.picking_context.textRendering) {
+            this.picking_context.textRendering = 'optimizeSpeed';
+        }
+        
+        // Set quality to fastest (least antialiasing)
+        if (this.picking_context.imageSmoothingQuality) {
+            this.picking_context.imageSmoothingQuality = 'low';
+        }
     }
     
     /**
-     * Update object list panel
-     * side-effects: Updates DOM elements in object list panel
+     * Render picking canvas for accurate object selection
+     * side-effects: Draws objects on invisible picking canvas with ID colors
      */
-    updateObjectList() {
-        const object_list_container = document.getElementById('object-list');
-        if (!object_list_container) return;
+    renderPickingCanvas() {
+        // Clear picking canvas
+        this.picking_context.clearRect(0, 0, this.picking_canvas.width, this.picking_canvas.height);
         
-        if (this.plot_objects.length === 0) {
-            object_list_container.innerHTML = '<p class="no-objects">No objects in plot</p>';
-            return;
+        // Ensure antialiasing is completely disabled
+        this.disablePickingAntialiasing();
+        
+        // Sort objects by z-index (lowest first for proper layering)
+        const sorted_objects = [...this.plot_objects].sort((a, b) => (a.z_index || 0) - (b.z_index || 0));
+        
+        // First pass: Draw bounding boxes
+        for (const obj of sorted_objects) {
+            const color = this.getObjectColor(obj.id);
+            this.drawPickingBBox(obj, color);
         }
         
-        let objects_html = '';
-        this.plot_objects.forEach((obj, index) => {
-            const object_name = this.getObjectDisplayName(obj);
-            const object_details = this.getObjectDisplayDetails(obj);
-            const object_icon = this.getObjectIcon(obj.type);
-            const is_selected = this.selected_object && this.selected_object.id === obj.id;
-            
-            objects_html += `
-                <div class="object-item ${is_selected ? 'selected' : ''}" onclick="plotEditor.selectObjectById('${obj.id}')">
-                    <div class="object-item-icon">${object_icon}</div>
-                    <div class="object-item-info">
-                        <div class="object-item-type">${object_name}</div>
-                        <div class="object-item-details">${object_details}</div>
+        // Second pass: Draw actual objects on top (skip filled regions - they already have large bboxes)
+        for (const obj of sorted_objects) {
+            if (obj.type === 'area' || obj.type === 'region' || obj.type === 'integral' || obj.type === 'band' ||
+                obj.type === 'bars' || obj.type === 'histogram' || obj.type === 'riemann') {
+                continue; // Skip filled regions - their bboxes already fully cover them
+            }
+            const color = this.getObjectColor(obj.id);
+            this.drawPickingObject(obj, color);
+        }
+    }
+    
+    /**
+     * Draw object bounding box on picking canvas
+     * @param {Object} obj - Object to draw bbox for
+     * @param {string} color - Picking color for this object
+     * side-effects: Draws filled bbox on picking canvas
+     */
+    drawPickingBBox(obj, color) {
+        this.picking_context.fillStyle = color;
+        
+        switch (obj.type) {
+            case 'point':
+                const point_coords = this.plotToCanvas(obj.x, obj.y);
+                this.picking_context.beginPath();
+                this.picking_context.arc(point_coords.x, point_coords.y, obj.size + 3, 0, 2 * Math.PI);
+                this.picking_context.fill();
+                break;
+            case 'text':
+                this.drawPickingTextBBox(obj, color);
+                break;
+            case 'line':
+            case 'arrow':
+                this.drawPickingLineBBox(obj, color);
+                break;
+            case 'area':
+                this.drawPickingAreaBBox(obj, color);
+                break;
+            case 'bars':
+            case 'histogram':
+                for (const rect of this.getBarRects(obj)) {
+                    this.drawPickingAreaBBox(rect, color);
+                }
+                break;
+            case 'riemann':
+                const riemann_geometry = this.isMathLibraryReady() ? this.getRiemannGeometry(obj) : null;
+                if (!riemann_geometry) break;
+                for (const rect of riemann_geometry.rects) {
+                    this.drawPickingAreaBBox(rect, color);
+                }
+                this.picking_context.beginPath();
+                this.traceIntegralPolygons(this.picking_context, riemann_geometry.trapezoids);
+                this.picking_context.fill();
+                break;
+            case 'scalar_field':
+                if (obj.mode !== 'lines') {
+                    // Filled bands and heatmaps cover the whole visible plot area
+                    this.picking_context.save();
+                    this.clipToPlotArea(this.picking_context);
+                    const field_top_left = this.plotToCanvas(this.plot_bounds.x_min, this.plot_bounds.y_max);
+                    const field_bottom_right = this.plotToCanvas(this.plot_bounds.x_max, this.plot_bounds.y_min);
+                    this.picking_context.fillRect(field_top_left.x, field_top_left.y,
+                                                  field_bottom_right.x - field_top_left.x,
+                                                  field_bottom_right.y - field_top_left.y);
+                    this.picking_context.restore();
+                }
+                break;
+            case 'series':
+                this.picking_context.save();
+                this.picking_context.strokeStyle = color;
+                if (obj.style !== 'markers' && obj.points.length > 1) {
+                    this.clipToPlotArea(this.picking_context);
+                    this.picking_context.beginPath();
+                    this.tracePath(this.picking_context, { points: obj.points.map(point => this.plotToCanvas(point.x, point.y)), closed: false });
+                    this.picking_context.lineWidth = Math.max(8, obj.line_width * 4); // Make thick for picking
+                    this.picking_context.stroke();
+                }
+                for (const point of this.getVisibleSeriesPoints(obj)) {
+                    this.picking_context.beginPath();
+                    this.picking_context.arc(point.x, point.y, Math.max(obj.marker_size + 3, 5), 0, 2 * Math.PI);
+                    this.picking_context.fill();
+                }
+                this.picking_context.restore();
+                break;
+            case 'band':
+                if (obj.source !== 'data' && !this.isMathLibraryReady()) break;
+                try {
+                    this.picking_context.save();
+                    this.clipToPlotArea(this.picking_context);
+                    this.picking_context.beginPath();
+                    this.traceIntegralPolygons(this.picking_context, this.getBandPolygons(obj));
+                    this.picking_context.fill();
+                    this.picking_context.restore();
+                } catch (error) {
+                    console.error('Error drawing band on picking canvas:', error);
+                }
+                break;
+            case 'integral':
+                const integral_geometry = this.isMathLibraryReady() ? this.getIntegralGeometry(obj) : null;
+                if (!integral_geometry) break;
+                this.picking_context.save();
+                this.clipToPlotArea(this.picking_context);
+                this.picking_context.beginPath();
+                this.traceIntegralPolygons(this.picking_context, integral_geometry.polygons);
+                this.picking_context.fill();
+                this.picking_context.restore();
+                break;
+            case 'region':
+                if (!this.isMathLibraryReady()) break;
+                try {
+                    this.picking_context.beginPath();
+                    this.traceRegionRuns(this.picking_context, this.getRegionRuns(obj));
+                    this.picking_context.fill();
+                } catch (error) {
+                    console.error('Error drawing region on picking canvas:', error);
+                }
+                break;
+            case 'brace':
+                this.drawPickingBraceBBox(obj, color);
+                break;
+            case 'circle':
+            case 'ellipse':
+            case 'arc':
+            case 'polygon':
+            case 'polyline':
+                this.drawPickingShapeBBox(obj, color);
+                break;
+        }
+    }
+    
+    /**
+     * Draw text bounding box on picking canvas
+     * @param {Object} text_obj - Text object
+     * @param {string} color - Picking color
+     * side-effects: Draws filled rotated text bbox on picking canvas
+     */
+    drawPickingTextBBox(text_obj, color) {
+        // Get text dimensions
+        this.picking_context.save();
+        
+        // Disable antialiasing for exact color matching
+        this.disablePickingAntialiasing();
+        
+        this.picking_context.font = `${text_obj.font_size}px ${text_obj.font_family}`;
+        const text_metrics = this.picking_context.measureText(text_obj.text);
+        const text_width = text_metrics.width;
+        const text_height = text_obj.font_size;
+        this.picking_context.restore();
+        
+        const text_canvas_coords = this.plotToCanvas(text_obj.x, text_obj.y);
+        
+        this.picking_context.save();
+        this.picking_context.fillStyle = color;
+        
+        // Disable antialiasing for exact color matching
+        this.disablePickingAntialiasing();
+        
+        // Apply rotation if specified
+        if (text_obj.rotation && text_obj.rotation !== 0) {
+            this.picking_context.translate(text_canvas_coords.x, text_canvas_coords.y);
+            this.picking_context.rotate((text_obj.rotation * Math.PI) / 180);
+            this.picking_context.fillRect(0, -text_height, text_width, text_height);
+        } else {
+            this.picking_context.fillRect(text_canvas_coords.x, text_canvas_coords.y - text_height, text_width, text_height);
+        }
+        
+        this.picking_context.restore();
+    }
+    
+    /**
+     * Draw brace bounding box on picking canvas
+     * @param {Object} brace_obj - Brace object
+     * @param {string} color - Picking color
+     * side-effects: Draws filled brace bbox on picking canvas
+     */
+    drawPickingBraceBBox(brace_obj, color) {
+        const start_coords = this.plotToCanvas(brace_obj.x1, brace_obj.y1);
+        const end_coords = this.plotToCanvas(brace_obj.x2, brace_obj.y2);
+        
+        // Calculate brace dimensions
+        const dx = end_coords.x - start_coords.x;
+        const dy = end_coords.y - start_coords.y;
+        const length = Math.sqrt(dx * dx + dy * dy);
+        
+        if (length < 1) return; // Skip very short braces
+        
+        // Calculate perpendicular direction for brace width
+        const along_x = dx / length;
+        const along_y = dy / length;
+        const perp_x = -along_y;
+        const perp_y = along_x;
+        
+        // Brace extends in perpendicular direction based on elevation
+        const brace_elevation = (brace_obj.elevation || brace_obj.width || 15) * 2; // Make bbox wider than actual brace
+        const half_width = brace_elevation / 2;
+        
+        // Create bounding box around the brace
+        const bbox_points = [
+            {
+                x: start_coords.x + perp_x * half_width,
+                y: start_coords.y + perp_y * half_width
+            },
+            {
+                x: start_coords.x - perp_x * half_width,
+                y: start_coords.y - perp_y * half_width
+            },
+            {
+                x: end_coords.x - perp_x * half_width,
+                y: end_coords.y - perp_y * half_width
+            },
+            {
+                x: end_coords.x + perp_x * half_width,
+                y: end_coords.y + perp_y * half_width
+            }
+        ];
+        
+        // Draw filled polygon
+        this.picking_context.save();
+        this.picking_context.fillStyle = color;
+        this.picking_context.beginPath();
+        this.picking_context.moveTo(bbox_points[0].x, bbox_points[0].y);
+        for (let i = 1; i < bbox_points.length; i++) {
+            this.picking_context.lineTo(bbox_points[i].x, bbox_points[i].y);
+        }
+        this.picking_context.closePath();
+        this.picking_context.fill();
+        this.picking_context.restore();
+    }
+    
+    /**
+     * Draw area bounding box on picking canvas
+     * @param {Object} area_obj - Area object
+     * @param {string} color - Picking color
+     * side-effects: Draws filled area bbox on picking canvas
+     */
+    drawPickingAreaBBox(area_obj, color) {
+        const start_coords = this.plotToCanvas(area_obj.x1, area_obj.y1);
+        const end_coords = this.plotToCanvas(area_obj.x2, area_obj.y2);
+        
+        // Calculate area dimensions
+        const left = Math.min(start_coords.x, end_coords.x);
+        const top = Math.min(start_coords.y, end_coords.y);
+        const width = Math.abs(end_coords.x - start_coords.x);
+        const height = Math.abs(end_coords.y - start_coords.y);
+        
+        // Draw filled rectangle
+        this.picking_context.save();
+        this.picking_context.fillStyle = color;
+        this.picking_context.fillRect(left, top, width, height);
+        this.picking_context.restore();
+    }
+    
+    /**
+     * Draw circle, ellipse, arc, polygon or polyline bounding shape on picking canvas
+     * Filled shapes are pickable anywhere inside, unfilled ones along a thick outline
+     * @param {Object} shape - Shape object
+     * @param {string} color - Picking color
+     * side-effects: Draws filled or thick stroked outline on picking canvas
+     */
+    drawPickingShapeBBox(shape, color) {
+        const outline = this.getShapeOutline(shape);
+        
+        this.picking_context.save();
+        this.tracePath(this.picking_context, outline);
+        if (shape.filled !== false && outline.closed) {
+            this.picking_context.fillStyle = color;
+            this.picking_context.fill();
+        }
+        this.picking_context.strokeStyle = color;
+        this.picking_context.lineWidth = Math.max(8, (shape.border_width || shape.width || 1) * 4); // Make thick for picking
+        this.picking_context.stroke();
+        this.picking_context.restore();
+    }
+    
+    /**
+     * Draw line bounding box on picking canvas (rotated rectangle around the line)
+     * @param {Object} line_obj - Line object
+     * @param {string} color - Picking color
+     * side-effects: Draws filled rotated rectangle on picking canvas
+     */
+    drawPickingLineBBox(line_obj, color) {
+        const start_coords = this.plotToCanvas(line_obj.x1, line_obj.y1);
+        const end_coords = this.plotToCanvas(line_obj.x2, line_obj.y2);
+        
+        // Calculate line dimensions
+        const dx = end_coords.x - start_coords.x;
+        const dy = end_coords.y - start_coords.y;
+        const length = Math.sqrt(dx * dx + dy * dy);
+        
+        if (length < 1) return; // Skip very short lines
+        
+        // Calculate perpendicular direction for line width
+        const along_x = dx / length;
+        const along_y = dy / length;
+        const perp_x = -along_y;
+        const perp_y = along_x;
+        
+        // Line extends in perpendicular direction based on width
+        const line_width = Math.max(8, (line_obj.width || 2) * 4); // Make thick for picking
+        const half_width = line_width / 2;
+        
+        // Create bounding box around the line
+        const bbox_points = [
+            {
+                x: start_coords.x + perp_x * half_width,
+                y: start_coords.y + perp_y * half_width
+            },
+            {
+                x: start_coords.x - perp_x * half_width,
+                y: start_coords.y - perp_y * half_width
+            },
+            {
+                x: end_coords.x - perp_x * half_width,
+                y: end_coords.y - perp_y * half_width
+            },
+            {
+                x: end_coords.x + perp_x * half_width,
+                y: end_coords.y + perp_y * half_width
+            }
+        ];
+        
+        // Draw filled polygon
+        this.picking_context.save();
+        this.picking_context.fillStyle = color;
+        this.picking_context.beginPath();
+        this.picking_context.moveTo(bbox_points[0].x, bbox_points[0].y);
+        for (let i = 1; i < bbox_points.length; i++) {
+            this.picking_context.lineTo(bbox_points[i].x, bbox_points[i].y);
+        }
+        this.picking_context.closePath();
+        this.picking_context.fill();
+        this.picking_context.restore();
+    }
+    
+    /**
+     * Draw object on picking canvas
+     * @param {Object} obj - Object to draw
+     * @param {string} color - Picking color for this object
+     * side-effects: Draws object on picking canvas
+     */
+    drawPickingObject(obj, color) {
+        this.picking_context.strokeStyle = color;
+        this.picking_context.fillStyle = color;
+        this.picking_context.lineWidth = Math.max(2, obj.width || 2); // Ensure minimum width for picking
+        
+        switch (obj.type) {
+            case 'point':
+                const point_coords = this.plotToCanvas(obj.x, obj.y);
+                this.picking_context.beginPath();
+                this.picking_context.arc(point_coords.x, point_coords.y, Math.max(obj.size, 3), 0, 2 * Math.PI);
+                this.picking_context.fill();
+                break;
+            case 'line':
+            case 'arrow':
+                const line_start = this.plotToCanvas(obj.x1, obj.y1);
+                const line_end = this.plotToCanvas(obj.x2, obj.y2);
+                this.picking_context.beginPath();
+                this.picking_context.moveTo(line_start.x, line_start.y);
+                this.picking_context.lineTo(line_end.x, line_end.y);
+                this.picking_context.stroke();
+                break;
+            case 'area':
+                const area_top_left = this.plotToCanvas(obj.x1, obj.y2);
+                const area_bottom_right = this.plotToCanvas(obj.x2, obj.y1);
+                this.picking_context.fillRect(area_top_left.x, area_top_left.y, 
+                                            area_bottom_right.x - area_top_left.x, 
+                                            area_bottom_right.y - area_top_left.y);
+                break;
+            case 'text':
+                // Text is handled by bbox, but we can also draw the text itself
+                const text_coords = this.plotToCanvas(obj.x, obj.y);
+                this.picking_context.save();
+                
+                // Disable antialiasing for exact color matching
+                this.disablePickingAntialiasing();
+                
+                this.picking_context.font = `${obj.font_size}px ${obj.font_family}`;
+                if (obj.rotation && obj.rotation !== 0) {
+                    this.picking_context.translate(text_coords.x, text_coords.y);
+                    this.picking_context.rotate((obj.rotation * Math.PI) / 180);
+                    this.picking_context.fillText(obj.text, 0, 0);
+                } else {
+                    this.picking_context.fillText(obj.text, text_coords.x, text_coords.y);
+                }
+                this.picking_context.restore();
+                break;
+            case 'brace':
+                this.drawPickingBrace(obj, color);
+                break;
+            case 'function':
+                this.drawPickingFunction(obj, color);
+                break;
+            case 'parametric':
+            case 'polar':
+            case 'implicit':
+            case 'ode':
+                this.drawPickingCurve(obj, color);
+                break;
+            case 'piecewise':
+                this.drawPickingPiecewise(obj, color);
+                break;
+            case 'circle':
+            case 'ellipse':
+            case 'arc':
+            case 'polygon':
+            case 'polyline':
+                this.tracePath(this.picking_context, this.getShapeOutline(obj));
+                this.picking_context.stroke();
+                break;
+            case 'tangent':
+                const tangent_geometry = this.isMathLibraryReady() ? this.getTangentGeometry(obj) : null;
+                if (!tangent_geometry) break;
+                this.picking_context.lineWidth = Math.max(6, obj.width * 4); // Make thick for picking
+                this.picking_context.beginPath();
+                for (const line of [tangent_geometry.tangent_line, tangent_geometry.normal_line]) {
+                    if (!line) continue;
+                    const start = this.plotToCanvas(line[0].x, line[0].y);
+                    const end = this.plotToCanvas(line[1].x, line[1].y);
+                    this.picking_context.moveTo(start.x, start.y);
+                    this.picking_context.lineTo(end.x, end.y);
+                }
+                this.picking_context.stroke();
+                const tangent_anchor = this.plotToCanvas(tangent_geometry.anchor.x, tangent_geometry.anchor.y);
+                this.picking_context.beginPath();
+                this.picking_context.arc(tangent_anchor.x, tangent_anchor.y, 7, 0, 2 * Math.PI);
+                this.picking_context.fill();
+                break;
+            case 'scalar_field':
+                if (obj.mode !== 'lines' || !this.isMathLibraryReady()) break;
+                try {
+                    this.picking_context.lineWidth = Math.max(6, obj.width * 4); // Make thick for picking
+                    this.picking_context.beginPath();
+                    for (const contour of this.getScalarFieldData(obj).contours) {
+                        this.traceCurveSegments(this.picking_context, contour.polylines.map(polyline =>
+                            polyline.map(point => this.plotToCanvas(point.x, point.y))));
+                    }
+                    this.picking_context.stroke();
+                } catch (error) {
+                    console.error('Error drawing scalar field on picking canvas:', error);
+                }
+                break;
+            case 'slope_field':
+            case 'vector_field':
+                if (!this.isMathLibraryReady()) break;
+                try {
+                    this.picking_context.lineWidth = Math.max(6, obj.width * 4); // Make thick for picking
+                    this.picking_context.beginPath();
+                    for (const segment of this.getFieldSegments(obj)) {
+                        this.picking_context.moveTo(segment.from.x, segment.from.y);
+                        this.picking_context.lineTo(segment.to.x, segment.to.y);
+                    }
+                    this.picking_context.stroke();
+                } catch (error) {
+                    console.error('Error drawing field on picking canvas:', error);
+                }
+                break;
+        }
+    }
+    
+    /**
+     * Draw brace on picking canvas using existing brace rendering code
+     * @param {Object} brace_obj - Brace object
+     * @param {string} color - Picking color
+     * side-effects: Draws brace shape on picking canvas
+     */
+    drawPickingBrace(brace_obj, color) {
+        // Save current context and switch to picking context
+        const original_context = this.context;
+        this.context = this.picking_context;
+        
+        // Save picking context state
+        this.picking_context.save();
+        
+        // Disable antialiasing completely
+        this.disablePickingAntialiasing();
+        
+        // Create a modified brace object with picking color but same width
+        const picking_brace = {
+            ...brace_obj,
+            color: color
+            // Keep original width - picking area should match visual exactly
+        };
+        
+        // Use the existing brace drawing logic
+        this.drawBrace(picking_brace);
+        
+        // Restore picking context state
+        this.picking_context.restore();
+        
+        // Restore original context
+        this.context = original_context;
+    }
+
+    /**
+     * Draw function on picking canvas (simplified path for selection)
+     * @param {Object} func_obj - Function object
+     * @param {string} color - Picking color
+     * side-effects: Draws function path on picking canvas
+     */
+    drawPickingFunction(func_obj, color) {
+        if (!this.isMathLibraryReady()) {
+            console.warn('Math library not ready, skipping function picking');
+            // Wait for math library to be ready
+            const waitForMath = () => {
+                if (this.isMathLibraryReady()) {
+                    this.renderPickingCanvas();
+                } else {
+                    setTimeout(waitForMath, 100);
+                }
+            };
+            waitForMath();
+            return;
+        }
+
+        try {
+            const segments = this.getCurveSegments(this.sampleFunction(func_obj));
+
+            this.picking_context.strokeStyle = color;
+            this.picking_context.lineWidth = Math.max(4, func_obj.width || 2); // Make thicker for easier picking
+            this.picking_context.beginPath();
+            this.traceCurveSegments(this.picking_context, segments);
+            this.picking_context.stroke();
+
+        } catch (error) {
+            console.error('Error drawing function on picking canvas:', error);
+        }
+    }
+
+    /**
+     * Draw parametric, polar or implicit curve on picking canvas
+     * @param {Object} curve - Parametric, polar or implicit curve object
+     * @param {string} color - Picking color
+     * side-effects: Draws thick curve path on picking canvas
+     */
+    drawPickingCurve(curve, color) {
+        if (!this.isMathLibraryReady()) return;
+
+        try {
+            const segments = this.getCurveCanvasSegments(curve);
+            this.picking_context.strokeStyle = color;
+            this.picking_context.lineWidth = Math.max(4, curve.width || 2); // Make thicker for easier picking
+            this.picking_context.beginPath();
+            this.traceCurveSegments(this.picking_context, segments);
+            this.picking_context.stroke();
+        } catch (error) {
+            console.error('Error drawing curve on picking canvas:', error);
+        }
+    }
+
+    /**
+     * Draw axes and grid
+     * side-effects: Draws axes on canvas
+     */
+    drawAxes() {
+        // Calculate effective dimensions considering aspect ratio (same as plotToCanvas)
+        const plot_x_range = this.plot_bounds.x_max - this.plot_bounds.x_min;
+        const plot_y_range = this.plot_bounds.y_max - this.plot_bounds.y_min;
+        const aspect_ratio = this.axes_properties.aspect_ratio;
+        
+        // Determine which dimension constrains the scaling
+        const canvas_aspect = this.plot_width / this.plot_height;
+        const plot_aspect = (plot_x_range * aspect_ratio) / plot_y_range;
+        
+        let effective_width, effective_height, x_offset, y_offset;
+        
+        if (plot_aspect > canvas_aspect) {
+            // X dimension constrains - use full width
+            effective_width = this.plot_width;
+            effective_height = this.plot_width / plot_aspect;
+            x_offset = 0;
+            y_offset = (this.plot_height - effective_height) / 2;
+        } else {
+            // Y dimension constrains - use full height
+            effective_height = this.plot_height;
+            effective_width = this.plot_height * plot_aspect;
+            x_offset = (this.plot_width - effective_width) / 2;
+            y_offset = 0;
+        }
+        
+        // Calculate effective plot area bounds
+        const plot_left = this.canvas_padding + x_offset;
+        const plot_right = this.canvas_padding + x_offset + effective_width;
+        const plot_top = this.canvas_padding + y_offset;
+        const plot_bottom = this.canvas_padding + y_offset + effective_height;
+        
+        this.context.strokeStyle = '#333';
+        this.context.lineWidth = 1;
+        this.context.font = '12px Arial';
+        this.context.fillStyle = '#333';
+        
+        // Grid
+        if (this.axes_properties.show_grid) {
+            this.context.strokeStyle = '#e0e0e0';
+            this.context.lineWidth = 0.5;
+            
+            // Vertical grid lines
+            const x_step = (this.plot_bounds.x_max - this.plot_bounds.x_min) / 10;
+            for (let x = this.plot_bounds.x_min; x <= this.plot_bounds.x_max; x += x_step) {
+                const canvas_coords = this.plotToCanvas(x, 0);
+                this.context.beginPath();
+                this.context.moveTo(canvas_coords.x, plot_top);
+                this.context.lineTo(canvas_coords.x, plot_bottom);
+                this.context.stroke();
+            }
+            
+            // Horizontal grid lines
+            const y_step = (this.plot_bounds.y_max - this.plot_bounds.y_min) / 10;
+            for (let y = this.plot_bounds.y_min; y <= this.plot_bounds.y_max; y += y_step) {
+                const canvas_coords = this.plotToCanvas(0, y);
+                this.context.beginPath();
+                this.context.moveTo(plot_left, canvas_coords.y);
+                this.context.lineTo(plot_right, canvas_coords.y);
+                this.context.stroke();
+            }
+        }
+        
+        // Main axes
+        this.context.strokeStyle = '#333';
+        this.context.lineWidth = 2;
+        
+        // X-axis
+        const x_axis_y = this.plotToCanvas(0, 0).y;
+        this.context.beginPath();
+        this.context.moveTo(plot_left, x_axis_y);
+        this.context.lineTo(plot_right, x_axis_y);
+        this.context.stroke();
+        
+        // X-axis arrow
+        this.drawArrow(plot_right - 10, x_axis_y, plot_right, x_axis_y);
+        
+        // Y-axis
+        const y_axis_x = this.plotToCanvas(0, 0).x;
+        this.context.beginPath();
+        this.context.moveTo(y_axis_x, plot_top);
+        this.context.lineTo(y_axis_x, plot_bottom);
+        this.context.stroke();
+        
+        // Y-axis arrow
+        this.drawArrow(y_axis_x, plot_top + 10, y_axis_x, plot_top);
+        
+        // X-axis ticks and labels
+        this.drawXTicksAndLabels(plot_left, plot_right, x_axis_y);
+        
+        // Y-axis ticks and labels
+        this.drawYTicksAndLabels(plot_top, plot_bottom, y_axis_x);
+        
+        // Axis labels
+        this.context.fillStyle = '#333';
+        this.context.font = '14px Arial';
+        this.context.fillText(this.axes_properties.x_label, plot_right + 5, x_axis_y + 5);
+        this.context.fillText(this.axes_properties.y_label, y_axis_x - 5, plot_top - 5);
+    }
+    
+    /**
+     * Draw X-axis ticks and numerical labels
+     * @param {number} plot_left - Left bound of plot area
+     * @param {number} plot_right - Right bound of plot area
+     * @param {number} x_axis_y - Y coordinate of X-axis
+     * side-effects: Draws ticks and labels on canvas
+     */
+    drawXTicksAndLabels(plot_left, plot_right, x_axis_y) {
+        this.context.strokeStyle = '#333';
+        this.context.lineWidth = 1;
+        this.context.fillStyle = '#333';
+        this.context.font = '10px Arial';
+        this.context.textAlign = 'center';
+        this.context.textBaseline = 'top';
+        
+        const x_step = (this.plot_bounds.x_max - this.plot_bounds.x_min) / 10;
+        const tick_length = 5;
+        
+        for (let x = this.plot_bounds.x_min; x <= this.plot_bounds.x_max; x += x_step) {
+            const canvas_coords = this.plotToCanvas(x, 0);
+            
+            // Skip if outside effective plot area
+            if (canvas_coords.x < plot_left || canvas_coords.x > plot_right) continue;
+            
+            // Draw tick mark
+            this.context.beginPath();
+            this.context.moveTo(canvas_coords.x, x_axis_y - tick_length);
+            this.context.lineTo(canvas_coords.x, x_axis_y + tick_length);
+            this.context.stroke();
+            
+            // Draw label (skip 0 if it's too close to Y-axis)
+            const y_axis_x = this.plotToCanvas(0, 0).x;
+            if (Math.abs(canvas_coords.x - y_axis_x) > 15) {
+                this.context.fillText(x.toFixed(1), canvas_coords.x, x_axis_y + tick_length + 2);
+            }
+        }
+        
+        // Reset text alignment
+        this.context.textAlign = 'left';
+        this.context.textBaseline = 'alphabetic';
+    }
+    
+    /**
+     * Draw Y-axis ticks and numerical labels
+     * @param {number} plot_top - Top bound of plot area
+     * @param {number} plot_bottom - Bottom bound of plot area
+     * @param {number} y_axis_x - X coordinate of Y-axis
+     * side-effects: Draws ticks and labels on canvas
+     */
+    drawYTicksAndLabels(plot_top, plot_bottom, y_axis_x) {
+        this.context.strokeStyle = '#333';
+        this.context.lineWidth = 1;
+        this.context.fillStyle = '#333';
+        this.context.font = '10px Arial';
+        this.context.textAlign = 'right';
+        this.context.textBaseline = 'middle';
+        
+        const y_step = (this.plot_bounds.y_max - this.plot_bounds.y_min) / 10;
+        const tick_length = 5;
+        
+        for (let y = this.plot_bounds.y_min; y <= this.plot_bounds.y_max; y += y_step) {
+            const canvas_coords = this.plotToCanvas(0, y);
+            
+            // Skip if outside effective plot area
+            if (canvas_coords.y < plot_top || canvas_coords.y > plot_bottom) continue;
+            
+            // Draw tick mark
+            this.context.beginPath();
+            this.context.moveTo(y_axis_x - tick_length, canvas_coords.y);
+            this.context.lineTo(y_axis_x + tick_length, canvas_coords.y);
+            this.context.stroke();
+            
+            // Draw label (skip 0 if it's too close to X-axis)
+            const x_axis_y = this.plotToCanvas(0, 0).y;
+            if (Math.abs(canvas_coords.y - x_axis_y) > 15) {
+                this.context.fillText(y.toFixed(1), y_axis_x - tick_length - 2, canvas_coords.y);
+            }
+        }
+        
+        // Reset text alignment
+        this.context.textAlign = 'left';
+        this.context.textBaseline = 'alphabetic';
+    }
+    
+    /**
+     * Draw a plot object
+     * @param {Object} obj - Object to draw
+     * side-effects: Draws object on canvas
+     */
+    drawObject(obj) {
+        switch (obj.type) {
+            case 'point':
+                this.drawPoint(obj);
+                break;
+            case 'line':
+                this.drawLine(obj);
+                break;
+            case 'area':
+                this.drawArea(obj);
+                break;
+            case 'text':
+                this.drawText(obj);
+                break;
+            case 'brace':
+                this.drawBrace(obj);
+                break;
+        }
+    }
+    
+    /**
+     * Draw a point
+     * @param {Object} point - Point object
+     * side-effects: Draws point on canvas
+     */
+    drawPoint(point) {
+        const canvas_coords = this.plotToCanvas(point.x, point.y);
+        
+        // Draw error bars underneath the point
+        const error_bars = this.getErrorBarSegments(point);
+        if (error_bars.length > 0) {
+            this.context.strokeStyle = point.color;
+            this.context.lineWidth = 1.5;
+            this.context.beginPath();
+            for (const bar of error_bars) {
+                this.context.moveTo(bar.from.x, bar.from.y);
+                this.context.lineTo(bar.to.x, bar.to.y);
+            }
+            this.context.stroke();
+        }
+        
+        // Draw the point
+        this.context.fillStyle = point.color;
+        this.context.beginPath();
+        this.context.arc(canvas_coords.x, canvas_coords.y, point.size, 0, 2 * Math.PI);
+        this.context.fill();
+        
+        // Draw text if present
+        if (point.text && point.text.trim() !== '') {
+            this.context.fillStyle = point.color;
+            const text_font_size = point.text_font_size || 12;
+            const text_font_family = point.text_font_family || 'Arial';
+            this.context.font = `${text_font_size}px ${text_font_family}`;
+            this.context.fillText(point.text, canvas_coords.x + point.size + 5, canvas_coords.y - 5);
+        }
+        
+        // Draw coordinates if enabled
+        if (point.show_coordinates) {
+            this.context.fillStyle = '#666';
+            const coords_font_size = point.coords_font_size || 10;
+            const coords_font_family = point.coords_font_family || 'Arial';
+            this.context.font = `${coords_font_size}px ${coords_font_family}`;
+            const coord_text = `(${point.x.toFixed(2)}, ${point.y.toFixed(2)})`;
+            this.context.fillText(coord_text, canvas_coords.x + point.size + 5, 
+                                 canvas_coords.y + (point.text ? 10 : 5));
+        }
+    }
+    
+    /**
+     * Calculate error bar and cap segments of a point
+     * @param {Object} point - Point object with optional x_error/y_error {minus, plus}
+     * @returns {Object[]} Segments {from: {x, y}, to: {x, y}} in canvas coordinates
+     */
+    getErrorBarSegments(point) {
+        const segments = [];
+        const cap = point.size + 2; // Half-length of the caps in pixels
+        
+        if (point.y_error) {
+            const low = this.plotToCanvas(point.x, point.y - point.y_error.minus);
+            const high = this.plotToCanvas(point.x, point.y + point.y_error.plus);
+            segments.push({ from: low, to: high });
+            segments.push({ from: { x: low.x - cap, y: low.y }, to: { x: low.x + cap, y: low.y } });
+            segments.push({ from: { x: high.x - cap, y: high.y }, to: { x: high.x + cap, y: high.y } });
+        }
+        if (point.x_error) {
+            const low = this.plotToCanvas(point.x - point.x_error.minus, point.y);
+            const high = this.plotToCanvas(point.x + point.x_error.plus, point.y);
+            segments.push({ from: low, to: high });
+            segments.push({ from: { x: low.x, y: low.y - cap }, to: { x: low.x, y: low.y + cap } });
+            segments.push({ from: { x: high.x, y: high.y - cap }, to: { x: high.x, y: high.y + cap } });
+        }
+        return segments;
+    }
+    
+    /**
+     * Draw a line
+     * @param {Object} line - Line object
+     * side-effects: Draws line on canvas
+     */
+    drawLine(line) {
+        const start_coords = this.plotToCanvas(line.x1, line.y1);
+        const end_coords = this.plotToCanvas(line.x2, line.y2);
+        
+        this.context.strokeStyle = line.color;
+        this.context.lineWidth = line.width;
+        this.context.beginPath();
+        this.context.moveTo(start_coords.x, start_coords.y);
+        this.context.lineTo(end_coords.x, end_coords.y);
+        this.context.stroke();
+    }
+    
+    /**
+     * Draw a filled area
+     * @param {Object} area - Area object
+     * side-effects: Draws area on canvas
+     */
+    drawArea(area) {
+        const top_left = this.plotToCanvas(area.x1, area.y2);
+        const bottom_right = this.plotToCanvas(area.x2, area.y1);
+        
+        // Fill
+        this.context.fillStyle = area.fill_color;
+        this.context.fillRect(top_left.x, top_left.y, bottom_right.x - top_left.x, bottom_right.y - top_left.y);
+        
+        // Border
+        this.context.strokeStyle = area.border_color;
+        this.context.lineWidth = 1;
+        this.context.strokeRect(top_left.x, top_left.y, bottom_right.x - top_left.x, bottom_right.y - top_left.y);
+    }
+    
+    /**
+     * Count the values of a histogram per bin
+     * Bins start at the smallest value; the last bin includes the largest value
+     * @param {Object} histogram - Histogram object (bin_mode 'count' uses bin_count, 'width' uses bin_width)
+     * @returns {Array<Object>} Bins {x1, x2, count}
+     */
+    getHistogramBins(histogram) {
+        const values = histogram.values.filter(value => isFinite(value));
+        if (values.length === 0) return [];
+        
+        // Reduce rather than spread: imported data can hold more values than a call can take as arguments
+        const min_value = values.reduce((a, b) => Math.min(a, b));
+        const max_value = values.reduce((a, b) => Math.max(a, b));
+        let bin_count, bin_width;
+        
+        if (histogram.bin_mode === 'width') {
+            if (!(histogram.bin_width > 0)) return [];
+            bin_width = Math.max(histogram.bin_width, (max_value - min_value) / 1000); // At most 1000 bins
+            bin_count = Math.max(1, Math.ceil((max_value - min_value) / bin_width));
+        } else {
+            bin_count = Math.max(1, histogram.bin_count);
+            bin_width = max_value > min_value ? (max_value - min_value) / bin_count : 1;
+        }
+        
+        const bins = Array.from({ length: bin_count }, (_, i) => ({
+            x1: min_value + i * bin_width,
+            x2: min_value + (i + 1) * bin_width,
+            count: 0
+        }));
+        for (const value of values) {
+            const index = Math.min(bin_count - 1, Math.floor((value - min_value) / bin_width));
+            bins[index].count++;
+        }
+        return bins;
+    }
+    
+    /**
+     * Build the area rectangles of a bar chart or histogram, rising from y = 0
+     * @param {Object} obj - Bar chart or histogram object
+     * @returns {Array<Object>} Area-like rectangles {x1, y1, x2, y2, fill_color, border_color}
+     */
+    getBarRects(obj) {
+        if (obj.type === 'histogram') {
+            return this.getHistogramBins(obj).map(bin => ({
+                x1: bin.x1, y1: 0, x2: bin.x2, y2: bin.count,
+                fill_color: obj.fill_color,
+                border_color: obj.border_color
+            }));
+        }
+        
+        return obj.bars.map((bar, index) => {
+            // Categorical bars sit at x = 1, 2, 3, ...
+            const center = obj.x_mode === 'categorical' ? index + 1 : bar.x;
+            return {
+                x1: center - obj.bar_width / 2,
+                y1: Math.min(0, bar.height),
+                x2: center + obj.bar_width / 2,
+                y2: Math.max(0, bar.height),
+                fill_color: bar.color || obj.fill_color,
+                border_color: obj.border_color
+            };
+        });
+    }
+    
+    /**
+     * Get the category labels of a bar chart with their canvas positions
+     * @param {Object} bars - Bar chart object
+     * @returns {Array<Object>} Labels {text, x, y} centered below the baseline; empty for numeric charts
+     */
+    getBarLabels(bars) {
+        if (bars.x_mode !== 'categorical') return [];
+        return bars.bars.map((bar, index) => {
+            const position = this.plotToCanvas(index + 1, 0);
+            return { text: bar.label, x: position.x, y: position.y + 14 };
+        });
+    }
+    
+    /**
+     * Draw a bar chart or histogram, one area per bar
+     * @param {Object} obj - Bar chart or histogram object
+     * side-effects: Draws bars and category labels on canvas
+     */
+    drawBars(obj) {
+        this.context.save();
+        this.clipToPlotArea(this.context);
+        for (const rect of this.getBarRects(obj)) {
+            this.drawArea(rect);
+        }
+        this.context.restore();
+        
+        this.context.save();
+        this.context.fillStyle = '#333333';
+        this.context.font = '12px Arial';
+        this.context.textAlign = 'center';
+        for (const label of this.getBarLabels(obj)) {
+            this.context.fillText(label.text, label.x, label.y);
+        }
+        this.context.restore();
+    }
+    
+    /**
+     * Get the canvas bounding box of a bar chart or histogram
+     * @param {Object} obj - Bar chart or histogram object
+     * @returns {Object|null} {left, top, right, bottom} or null if there are no bars
+     */
+    getBarBounds(obj) {
+        const rects = this.getBarRects(obj);
+        if (rects.length === 0) return null;
+        
+        const bounds = rects.reduce((acc, rect) => ({
+            x1: Math.min(acc.x1, rect.x1),
+            y1: Math.min(acc.y1, rect.y1),
+            x2: Math.max(acc.x2, rect.x2),
+            y2: Math.max(acc.y2, rect.y2)
+        }));
+        const top_left = this.plotToCanvas(bounds.x1, bounds.y2);
+        const bottom_right = this.plotToCanvas(bounds.x2, bounds.y1);
+        return { left: top_left.x, top: top_left.y, right: bottom_right.x, bottom: bottom_right.y };
+    }
+    
+    /**
+     * Find the visible cells where all inequalities of a region hold
+     * The effective plot area is scanned in small square cells, merged into horizontal runs;
+     * results are cached per object until the inequalities or the view change
+     * @param {Object} region - Region object
+     * @returns {Array<Object>} Runs in canvas coordinates {x, y, width, height}
+     */
+    getRegionRuns(region) {
+        const cell_size = 3; // Canvas pixels per cell
+        const plot_area = this.getEffectivePlotArea();
+        
+        const cache_key = JSON.stringify([region.inequalities, plot_area, this.plot_bounds]);
+        const cached = this.sample_cache.get(region.id);
+        if (cached && cached.key === cache_key) return cached.data;
+        
+        const compiled_inequalities = region.inequalities.map(inequality => this.math.compile(inequality));
+        const runs = [];
+        
+        for (let cell_y = plot_area.top; cell_y < plot_area.bottom; cell_y += cell_size) {
+            const cell_height = Math.min(cell_size, plot_area.bottom - cell_y);
+            let run_start = null;
+            
+            for (let cell_x = plot_area.left; cell_x < plot_area.right; cell_x += cell_size) {
+                const cell_width = Math.min(cell_size, plot_area.right - cell_x);
+                const scope = this.getScope(this.canvasToPlot(cell_x + cell_width / 2, cell_y + cell_height / 2));
+                
+                let inside;
+                try {
+                    inside = compiled_inequalities.every(compiled => compiled.evaluate(scope) === true);
+                } catch (error) {
+                    inside = false;
+                }
+                
+                if (inside && run_start === null) {
+                    run_start = cell_x;
+                } else if (!inside && run_start !== null) {
+                    runs.push({ x: run_start, y: cell_y, width: cell_x - run_start, height: cell_height });
+                    run_start = null;
+                }
+            }
+            
+            if (run_start !== null) {
+                runs.push({ x: run_start, y: cell_y, width: plot_area.right - run_start, height: cell_height });
+            }
+        }
+        
+        this.sample_cache.set(region.id, { key: cache_key, data: runs });
+        return runs;
+    }
+    
+    /**
+     * Add region runs as rectangles to the current path
+     * @param {CanvasRenderingContext2D} context - Target context
+     * @param {Array<Object>} runs - Runs from getRegionRuns
+     * side-effects: Adds rectangles to the context's current path
+     */
+    traceRegionRuns(context, runs) {
+        for (const run of runs) {
+            context.rect(run.x, run.y, run.width, run.height);
+        }
+    }
+    
+    /**
+     * Compute the grid segments of a slope field or vector field
+     * Grid cells are square in canvas pixels with `density` cells across the plot width; slope segments
+     * and normalized vectors have a fixed length, other vectors scale with their magnitude relative to the
+     * largest one on screen. Results are cached per object until the field or the view change.
+     * @param {Object} field - Slope field or vector field object
+     * @returns {Array<Object>} Segments {from: {x, y}, to: {x, y}} in canvas coordinates, centered on grid points
+     */
+    getFieldSegments(field) {
+        const plot_area = this.getEffectivePlotArea();
+        const expressions = field.type === 'slope_field' ? [field.expression] : [field.p_expression, field.q_expression];
+        
+        const cache_key = JSON.stringify([expressions, field.density, field.scale, field.normalize, plot_area, this.plot_bounds]);
+        const cached = this.sample_cache.get(field.id);
+        if (cached && cached.key === cache_key) return cached.data;
+        
+        const compiled = expressions.map(expression => this.math.compile(expression));
+        const cell_size = (plot_area.right - plot_area.left) / Math.max(1, field.density);
+        const full_length = cell_size * 0.8 * field.scale;
+        
+        // Direction of each grid point in canvas pixels per plot unit
+        const origin = this.plotToCanvas(0, 0);
+        const unit = this.plotToCanvas(1, 1);
+        const x_scale = unit.x - origin.x;
+        const y_scale = unit.y - origin.y;
+        
+        const vectors = [];
+        for (let center_y = plot_area.top + cell_size / 2; center_y < plot_area.bottom; center_y += cell_size) {
+            for (let center_x = plot_area.left + cell_size / 2; center_x < plot_area.right; center_x += cell_size) {
+                const scope = this.getScope(this.canvasToPlot(center_x, center_y));
+                let dx, dy;
+                try {
+                    if (field.type === 'slope_field') {
+                        const slope = compiled[0].evaluate(scope);
+                        if (typeof slope !== 'number' || isNaN(slope)) continue;
+                        [dx, dy] = isFinite(slope) ? [x_scale, slope * y_scale] : [0, 1];
+                    } else {
+                        const p_value = compiled[0].evaluate(scope);
+                        const q_value = compiled[1].evaluate(scope);
+                        if (typeof p_value !== 'number' || typeof q_value !== 'number' || !isFinite(p_value) || !isFinite(q_value)) continue;
+                        [dx, dy] = [p_value * x_scale, q_value * y_scale];
+                    }
+                } catch (error) {
+                    continue;
+                }
+                const magnitude = Math.hypot(dx, dy);
+                if (magnitude > 0) vectors.push({ x: center_x, y: center_y, dx, dy, magnitude });
+            }
+        }
+        
+        const max_magnitude = Math.max(0, ...vectors.map(vector => vector.magnitude));
+        const segments = vectors.map(vector => {
+            const normalized = field.type === 'slope_field' || field.normalize;
+            const length = normalized ? full_length : full_length * vector.magnitude / max_magnitude;
+            const half_x = vector.dx / vector.magnitude * length / 2;
+            const half_y = vector.dy / vector.magnitude * length / 2;
+            return {
+                from: { x: vector.x - half_x, y: vector.y - half_y },
+                to: { x: vector.x + half_x, y: vector.y + half_y }
+            };
+        });
+        
+        this.sample_cache.set(field.id, { key: cache_key, data: segments });
+        return segments;
+    }
+    
+    /**
+     * Get the arrow head length of a vector field segment
+     * @param {Object} segment - Segment {from, to} in canvas coordinates
+     * @returns {number} Head length in pixels, shorter for short arrows
+     */
+    getFieldHeadLength(segment) {
+        return Math.min(6, Math.hypot(segment.to.x - segment.from.x, segment.to.y - segment.from.y) * 0.4);
+    }
+    
+    /**
+     * Draw a slope field or vector field
+     * @param {Object} field - Slope field or vector field object
+     * side-effects: Draws field segments (with arrow heads for vector fields) on canvas
+     */
+    drawField(field) {
+        if (!this.ensureMathForCurves()) return;
+        
+        try {
+            const segments = this.getFieldSegments(field);
+            this.context.save();
+            this.clipToPlotArea(this.context);
+            this.context.strokeStyle = field.color;
+            this.context.fillStyle = field.color;
+            this.context.lineWidth = field.width;
+            this.context.beginPath();
+            for (const segment of segments) {
+                this.context.moveTo(segment.from.x, segment.from.y);
+                this.context.lineTo(segment.to.x, segment.to.y);
+            }
+            this.context.stroke();
+            
+            if (field.type === 'vector_field') {
+                for (const segment of segments) {
+                    this.drawArrow(segment.from.x, segment.from.y, segment.to.x, segment.to.y, this.getFieldHeadLength(segment));
+                }
+            }
+            this.context.restore();
+        } catch (error) {
+            console.error('Error drawing field:', error);
+        }
+    }
+    
+    /**
+     * Draw an inequality region with optional hatching
+     * @param {Object} region - Region object
+     * side-effects: Fills region on canvas
+     */
+    drawRegion(region) {
+        if (!this.ensureMathForCurves()) return;
+        
+        try {
+            const runs = this.getRegionRuns(region);
+            
+            this.context.save();
+            this.context.beginPath();
+            this.traceRegionRuns(this.context, runs);
+            this.context.fillStyle = region.fill_color;
+            this.context.fill();
+            
+            if (region.hatch) {
+                // Diagonal lines across the whole plot area, clipped to the region
+                const plot_area = this.getEffectivePlotArea();
+                const spacing = 8;
+                const height = plot_area.bottom - plot_area.top;
+                
+                this.context.clip();
+                this.context.beginPath();
+                for (let offset = -height; offset < plot_area.right - plot_area.left; offset += spacing) {
+                    this.context.moveTo(plot_area.left + offset, plot_area.bottom);
+                    this.context.lineTo(plot_area.left + offset + height, plot_area.top);
+                }
+                this.context.strokeStyle = region.hatch_color;
+                this.context.lineWidth = 1;
+                this.context.stroke();
+            }
+            this.context.restore();
+        } catch (error) {
+            console.error('Error drawing region:', error);
+        }
+    }
+    
+    /**
+     * Get bounding box of a region's visible cells
+     * @param {Object} region - Region object
+     * @returns {Object|null} Canvas bounding box {left, top, right, bottom}, null if the region is empty
+     */
+    getRegionBounds(region) {
+        const runs = this.getRegionRuns(region);
+        if (runs.length === 0) return null;
+        
+        return {
+            left: Math.min(...runs.map(run => run.x)),
+            top: runs[0].y,
+            right: Math.max(...runs.map(run => run.x + run.width)),
+            bottom: runs[runs.length - 1].y + runs[runs.length - 1].height
+        };
+    }
+    
+    /**
+     * Get the outline of a data marker
+     * @param {string} shape - Marker shape (square, triangle, diamond)
+     * @param {number} x - Canvas x of the marker center
+     * @param {number} y - Canvas y of the marker center
+     * @param {number} size - Marker radius in pixels
+     * @returns {Object[]} Polygon corners in canvas coordinates {x, y}
+     */
+    getMarkerPolygon(shape, x, y, size) {
+        switch (shape) {
+            case 'square':
+                return [
+                    { x: x - size, y: y - size }, { x: x + size, y: y - size },
+                    { x: x + size, y: y + size }, { x: x - size, y: y + size }
+                ];
+            case 'triangle':
+                return [
+                    { x: x, y: y - size * 1.15 },
+                    { x: x + size, y: y + size * 0.58 },
+                    { x: x - size, y: y + size * 0.58 }
+                ];
+            case 'diamond':
+                return [
+                    { x: x, y: y - size * 1.3 }, { x: x + size, y: y },
+                    { x: x, y: y + size * 1.3 }, { x: x - size, y: y }
+                ];
+            default:
+                throw new Error(`Unknown marker shape: ${shape}`);
+        }
+    }
+    
+    /**
+     * Draw a data marker
+     * @param {CanvasRenderingContext2D} context - Target context (fill and stroke styles already set)
+     * @param {string} shape - Marker shape (circle, square, triangle, diamond, cross)
+     * @param {number} x - Canvas x of the marker center
+     * @param {number} y - Canvas y of the marker center
+     * @param {number} size - Marker radius in pixels
+     * side-effects: Draws marker on the context
+     */
+    drawMarker(context, shape, x, y, size) {
+        context.beginPath();
+        if (shape === 'circle') {
+            context.arc(x, y, size, 0, 2 * Math.PI);
+            context.fill();
+        } else if (shape === 'cross') {
+            context.moveTo(x - size, y - size);
+            context.lineTo(x + size, y + size);
+            context.moveTo(x + size, y - size);
+            context.lineTo(x - size, y + size);
+            context.stroke();
+        } else {
+            this.tracePath(context, { points: this.getMarkerPolygon(shape, x, y, size), closed: true });
+            context.fill();
+        }
+    }
+    
+    /**
+     * Get the visible markers of a data series
+     * @param {Object} series - Series object
+     * @returns {Object[]} Canvas coordinates {x, y} of points inside the effective plot area
+     */
+    getVisibleSeriesPoints(series) {
+        const plot_area = this.getEffectivePlotArea();
+        return series.points
+            .map(point => this.plotToCanvas(point.x, point.y))
+            .filter(point => point.x >= plot_area.left && point.x <= plot_area.right &&
+                             point.y >= plot_area.top && point.y <= plot_area.bottom);
+    }
+    
+    /**
+     * Draw a data series as markers, connecting lines or both
+     * @param {Object} series - Series object
+     * side-effects: Draws series on canvas
+     */
+    drawSeries(series) {
+        this.context.save();
+        this.context.strokeStyle = series.color;
+        this.context.fillStyle = series.color;
+        
+        if (series.style !== 'markers' && series.points.length > 1) {
+            this.context.save();
+            this.clipToPlotArea(this.context);
+            this.context.beginPath();
+            this.tracePath(this.context, { points: series.points.map(point => this.plotToCanvas(point.x, point.y)), closed: false });
+            this.context.lineWidth = series.line_width;
+            this.context.lineJoin = 'round';
+            this.context.setLineDash(this.getDashPattern(series.dash_style, series.line_width));
+            this.context.stroke();
+            this.context.restore();
+        }
+        
+        if (series.style !== 'lines') {
+            this.context.lineWidth = 2;
+            for (const point of this.getVisibleSeriesPoints(series)) {
+                this.drawMarker(this.context, series.marker_shape, point.x, point.y, series.marker_size);
+            }
+        }
+        this.context.restore();
+    }
+    
+    /**
+     * Get canvas bounding box of a data series
+     * @param {Object} series - Series object
+     * @returns {Object} Bounding box {left, top, right, bottom}
+     */
+    getSeriesBounds(series) {
+        const bounds = { left: Infinity, top: Infinity, right: -Infinity, bottom: -Infinity };
+        for (const point of series.points) {
+            const canvas_point = this.plotToCanvas(point.x, point.y);
+            bounds.left = Math.min(bounds.left, canvas_point.x);
+            bounds.top = Math.min(bounds.top, canvas_point.y);
+            bounds.right = Math.max(bounds.right, canvas_point.x);
+            bounds.bottom = Math.max(bounds.bottom, canvas_point.y);
+        }
+        return bounds;
+    }
+    
+    /**
+     * Find a function object by id
+     * @param {string|null} function_id - Function object id
+     * @returns {Object|null} Function object, null if it does not exist (e.g. was deleted)
+     */
+    findFunctionById(function_id) {
+        return this.plot_objects.find(obj => obj.id === function_id && obj.type === 'function') || null;
+    }
+    
+    /**
+     * Build filled polygons between two sampled curves
+     * Both curves must be sampled at the same x positions; samples where either is undefined split the polygons
+     * @param {Array<Object|null>} upper_points - Upper curve in plot coordinates
+     * @param {Array<Object|null>} lower_points - Lower curve in plot coordinates
+     * @returns {Object} {polygons: [[{x, y}]], value: signed area between the curves (trapezoid rule)}
+     */
+    getFillPolygons(upper_points, lower_points) {
+        const polygons = [];
+        let run_upper = [];
+        let run_lower = [];
+        let value = 0;
+        const closeRun = () => {
+            if (run_upper.length > 1) polygons.push([...run_upper, ...run_lower.reverse()]);
+            run_upper = [];
+            run_lower = [];
+        };
+        
+        for (let i = 0; i < upper_points.length; i++) {
+            if (!upper_points[i] || !lower_points[i]) {
+                closeRun();
+                continue;
+            }
+            if (run_upper.length > 0) {
+                // Trapezoid rule between consecutive defined samples
+                const previous_height = run_upper[run_upper.length - 1].y - run_lower[run_lower.length - 1].y;
+                const height = upper_points[i].y - lower_points[i].y;
+                value += (previous_height + height) / 2 * (upper_points[i].x - run_upper[run_upper.length - 1].x);
+            }
+            run_upper.push(upper_points[i]);
+            run_lower.push(lower_points[i]);
+        }
+        closeRun();
+        
+        return { polygons, value };
+    }
+    
+    /**
+     * Compute the polygons of a confidence band
+     * @param {Object} band - Band object with lower/upper expressions or data rows {x, lower, upper}
+     * @returns {Array<Array<Object>>} Polygons in plot coordinates
+     */
+    getBandPolygons(band) {
+        let upper_points, lower_points;
+        
+        if (band.source === 'data') {
+            const rows = [...band.data].sort((a, b) => a.x - b.x);
+            upper_points = rows.map(row => ({ x: row.x, y: row.upper }));
+            lower_points = rows.map(row => ({ x: row.x, y: row.lower }));
+        } else {
+            // Sample both bounds like drawFunction so the band lines up with plotted functions
+            upper_points = this.sampleFunction({ expression: band.upper_expression, xMin: band.x_min, xMax: band.x_max });
+            lower_points = this.sampleFunction({ expression: band.lower_expression, xMin: band.x_min, xMax: band.x_max });
+        }
+        
+        return this.getFillPolygons(upper_points, lower_points).polygons;
+    }
+    
+    /**
+     * Draw a confidence band
+     * @param {Object} band - Band object
+     * side-effects: Fills band on canvas
+     */
+    drawBand(band) {
+        if (band.source !== 'data' && !this.ensureMathForCurves()) return;
+        
+        try {
+            const polygons = this.getBandPolygons(band);
+            this.context.save();
+            this.clipToPlotArea(this.context);
+            this.context.beginPath();
+            this.traceIntegralPolygons(this.context, polygons);
+            this.context.fillStyle = band.fill_color;
+            this.context.fill();
+            this.context.restore();
+        } catch (error) {
+            console.error('Error drawing band:', error);
+        }
+    }
+    
+    /**
+     * Compute the anchor, slope and lines of a tangent construction
+     * Lines run through the anchor well past the plot bounds and are clipped when drawn. The slope comes from
+     * getFunctionEvaluators, so tangents also work on antiderivatives and functions without a symbolic derivative.
+     * @param {Object} tangent - Tangent object {function_id, x0, show_normal}
+     * @returns {Object|null} {anchor, slope, tangent_line: [p1, p2], normal_line: [p1, p2] or null} in plot
+     *                        coordinates, or null if the function is missing or undefined at x0
+     */
+    getTangentGeometry(tangent) {
+        const func = this.findFunctionById(tangent.function_id);
+        if (!func) return null;
+        
+        let y0, slope;
+        try {
+            const [f, df] = this.getFunctionEvaluators(func);
+            y0 = f(tangent.x0);
+            slope = df(tangent.x0);
+        } catch (error) {
+            return null;
+        }
+        if (!isFinite(y0) || !isFinite(slope)) return null;
+        
+        const anchor = { x: tangent.x0, y: y0 };
+        const reach = Math.hypot(this.plot_bounds.x_max - this.plot_bounds.x_min, this.plot_bounds.y_max - this.plot_bounds.y_min) * 2;
+        const lineThrough = (dx, dy) => {
+            const length = Math.hypot(dx, dy);
+            return [
+                { x: anchor.x - dx / length * reach, y: anchor.y - dy / length * reach },
+                { x: anchor.x + dx / length * reach, y: anchor.y + dy / length * reach }
+            ];
+        };
+        
+        return {
+            anchor: anchor,
+            slope: slope,
+            tangent_line: lineThrough(1, slope),
+            normal_line: tangent.show_normal ? lineThrough(-slope, 1) : null
+        };
+    }
+    
+    /**
+     * Get the slope label of a tangent construction
+     * @param {number} slope - Tangent slope
+     * @returns {string} Label text
+     */
+    getTangentLabel(slope) {
+        return `m = ${+slope.toFixed(4)}`;
+    }
+    
+    /**
+     * Draw a tangent construction: tangent line, optional dashed normal, anchor and optional slope label
+     * @param {Object} tangent - Tangent object
+     * side-effects: Draws tangent on canvas
+     */
+    drawTangent(tangent) {
+        if (!this.ensureMathForCurves()) return;
+        
+        const geometry = this.getTangentGeometry(tangent);
+        if (!geometry) return;
+        
+        const anchor = this.plotToCanvas(geometry.anchor.x, geometry.anchor.y);
+        this.context.save();
+        this.clipToPlotArea(this.context);
+        this.context.strokeStyle = tangent.color;
+        this.context.fillStyle = tangent.color;
+        this.context.lineWidth = tangent.width;
+        
+        const lines = [geometry.tangent_line, geometry.normal_line];
+        lines.forEach((line, index) => {
+            if (!line) return;
+            const start = this.plotToCanvas(line[0].x, line[0].y);
+            const end = this.plotToCanvas(line[1].x, line[1].y);
+            this.context.setLineDash(index === 1 ? [6, 4] : []);
+            this.context.beginPath();
+            this.context.moveTo(start.x, start.y);
+            this.context.lineTo(end.x, end.y);
+            this.context.stroke();
+        });
+        this.context.setLineDash([]);
+        
+        this.context.beginPath();
+        this.context.arc(anchor.x, anchor.y, 4, 0, 2 * Math.PI);
+        this.context.fill();
+        
+        if (tangent.show_slope) {
+            this.context.font = '12px Arial';
+            this.context.fillText(this.getTangentLabel(geometry.slope), anchor.x + 8, anchor.y - 8);
+        }
+        this.context.restore();
+    }
+    
+    /**
+     * Compute the shaded polygons and value of an integral region
+     * Both curves are sampled like drawFunction over [a, b]; gaps where either is undefined split the polygons
+     * @param {Object} integral - Integral region object
+     * @returns {Object|null} {polygons: [[{x, y}]], value, label_point: {x, y}} in plot coordinates,
+     *                        null if a referenced function is missing or the interval is empty
+     */
+    getIntegralGeometry(integral) {
+        const upper = this.findFunctionById(integral.function_id);
+        const lower = integral.lower_function_id ? this.findFunctionById(integral.lower_function_id) : null;
+        if (!upper || (integral.lower_function_id && !lower)) return null;
+        
+        const x_min = Math.min(integral.a, integral.b);
+        const x_max = Math.max(integral.a, integral.b);
+        if (!(x_max > x_min)) return null;
+        
+        // Same range for both curves gives the same sample positions
+        const upper_points = this.sampleFunction({ ...upper, xMin: x_min, xMax: x_max });
+        const lower_points = lower
+            ? this.sampleFunction({ ...lower, xMin: x_min, xMax: x_max })
+            : upper_points.map(point => point ? { x: point.x, y: 0 } : null);
+        
+        const { polygons, value } = this.getFillPolygons(upper_points, lower_points);
+        
+        // Label in the middle of the interval, halfway between the curves
+        const middle = Math.floor(upper_points.length / 2);
+        const label_point = upper_points[middle] && lower_points[middle]
+            ? { x: upper_points[middle].x, y: (upper_points[middle].y + lower_points[middle].y) / 2 }
+            : { x: (x_min + x_max) / 2, y: 0 };
+        
+        return {
+            polygons: polygons,
+            value: integral.a <= integral.b ? value : -value,
+            label_point: label_point
+        };
+    }
+    
+    /**
+     * Compute the rectangles or trapezoids of a Riemann sum and the approximated integral
+     * @param {Object} riemann - Riemann sum object {function_id, a, b, n, method}
+     * @returns {Object|null} {rects: [{x1, y1, x2, y2, fill_color, border_color}], trapezoids: [[{x, y}]], value,
+     *                        label_point: {x, y}} in plot coordinates, null if the function is missing or the
+     *                        interval is empty
+     */
+    getRiemannGeometry(riemann) {
+        const func = this.findFunctionById(riemann.function_id);
+        if (!func || riemann.a === riemann.b || !(riemann.n >= 1)) return null;
+        
+        const [f] = this.getFunctionEvaluators(func);
+        const n = Math.floor(riemann.n);
+        const dx = (riemann.b - riemann.a) / n;
+        const rects = [];
+        const trapezoids = [];
+        let value = 0;
+        let top = 0;
+        
+        for (let i = 0; i < n; i++) {
+            const x1 = riemann.a + i * dx;
+            const x2 = x1 + dx;
+            
+            if (riemann.method === 'trapezoid') {
+                const y1 = f(x1);
+                const y2 = f(x2);
+                value += (y1 + y2) / 2 * dx;
+                if (!isFinite(y1) || !isFinite(y2)) continue;
+                trapezoids.push([{ x: x1, y: 0 }, { x: x1, y: y1 }, { x: x2, y: y2 }, { x: x2, y: 0 }]);
+                top = Math.max(top, y1, y2);
+            } else {
+                const sample_x = riemann.method === 'left' ? x1 : riemann.method === 'right' ? x2 : (x1 + x2) / 2;
+                const height = f(sample_x);
+                value += height * dx;
+                if (!isFinite(height)) continue;
+                rects.push({
+                    x1: Math.min(x1, x2), y1: Math.min(0, height),
+                    x2: Math.max(x1, x2), y2: Math.max(0, height),
+                    fill_color: riemann.fill_color,
+                    border_color: riemann.border_color
+                });
+                top = Math.max(top, height);
+            }
+        }
+        
+        return { rects, trapezoids, value, label_point: { x: (riemann.a + riemann.b) / 2, y: top } };
+    }
+    
+    /**
+     * Format the label of a Riemann sum
+     * @param {Object} riemann - Riemann sum object
+     * @param {number} value - Approximated integral
+     * @returns {string} Label text
+     */
+    getRiemannLabel(riemann, value) {
+        const method_names = { left: 'Left sum', right: 'Right sum', midpoint: 'Midpoint sum', trapezoid: 'Trapezoid rule' };
+        return `${method_names[riemann.method]}, n = ${Math.floor(riemann.n)}: ${isFinite(value) ? +value.toFixed(4) : 'undefined'}`;
+    }
+    
+    /**
+     * Draw a Riemann sum: rectangles through drawArea, trapezoids with the same fill and border
+     * @param {Object} riemann - Riemann sum object
+     * side-effects: Draws rectangles or trapezoids and the value label on canvas
+     */
+    drawRiemannSum(riemann) {
+        if (!this.ensureMathForCurves()) return;
+        
+        try {
+            const geometry = this.getRiemannGeometry(riemann);
+            if (!geometry) return; // Referenced function was deleted
+            
+            this.context.save();
+            this.clipToPlotArea(this.context);
+            for (const rect of geometry.rects) {
+                this.drawArea(rect);
+            }
+            for (const trapezoid of geometry.trapezoids) {
+                this.context.beginPath();
+                this.tracePath(this.context, { points: trapezoid.map(point => this.plotToCanvas(point.x, point.y)), closed: true });
+                this.context.fillStyle = riemann.fill_color;
+                this.context.fill();
+                this.context.strokeStyle = riemann.border_color;
+                this.context.lineWidth = 1;
+                this.context.stroke();
+            }
+            this.context.restore();
+            
+            if (riemann.show_value) {
+                const label_coords = this.plotToCanvas(geometry.label_point.x, geometry.label_point.y);
+                this.context.font = '14px Arial';
+                this.context.fillStyle = '#333';
+                this.context.textAlign = 'center';
+                this.context.textBaseline = 'bottom';
+                this.context.fillText(this.getRiemannLabel(riemann, geometry.value), label_coords.x, label_coords.y - 6);
+                this.context.textAlign = 'left';
+                this.context.textBaseline = 'alphabetic';
+            }
+        } catch (error) {
+            console.error('Error drawing Riemann sum:', error);
+        }
+    }
+    
+    /**
+     * Format the label of an integral region
+     * @param {number} value - Integral value
+     * @returns {string} Label text
+     */
+    getIntegralLabel(value) {
+        return `∫ = ${+value.toFixed(4)}`;
+    }
+    
+    /**
+     * Add integral region or band polygons to the current path
+     * @param {CanvasRenderingContext2D} context - Target context
+     * @param {Array<Array<Object>>} polygons - Polygons in plot coordinates
+     * side-effects: Adds closed subpaths to the context's current path
+     */
+    traceIntegralPolygons(context, polygons) {
+        for (const polygon of polygons) {
+            this.tracePath(context, { points: polygon.map(point => this.plotToCanvas(point.x, point.y)), closed: true });
+        }
+    }
+    
+    /**
+     * Clip a context to the effective plot area
+     * @param {CanvasRenderingContext2D} context - Target context (caller saves and restores)
+     * side-effects: Sets the context's clipping region
+     */
+    clipToPlotArea(context) {
+        const plot_area = this.getEffectivePlotArea();
+        context.beginPath();
+        context.rect(plot_area.left, plot_area.top, plot_area.right - plot_area.left, plot_area.bottom - plot_area.top);
+        context.clip();
+    }
+    
+    /**
+     * Draw an integral region with its optional value label
+     * @param {Object} integral - Integral region object
+     * side-effects: Fills region between the curves on canvas
+     */
+    drawIntegral(integral) {
+        if (!this.ensureMathForCurves()) return;
+        
+        try {
+            const geometry = this.getIntegralGeometry(integral);
+            if (!geometry) return; // Referenced function was deleted
+            
+            this.context.save();
+            this.clipToPlotArea(this.context);
+            this.context.beginPath();
+            this.traceIntegralPolygons(this.context, geometry.polygons);
+            this.context.fillStyle = integral.fill_color;
+            this.context.fill();
+            this.context.restore();
+            
+            if (integral.show_value) {
+                const label_coords = this.plotToCanvas(geometry.label_point.x, geometry.label_point.y);
+                this.context.font = '14px Arial';
+                this.context.fillStyle = '#333';
+                this.context.textAlign = 'center';
+                this.context.textBaseline = 'middle';
+                this.context.fillText(this.getIntegralLabel(geometry.value), label_coords.x, label_coords.y);
+                this.context.textAlign = 'left';
+                this.context.textBaseline = 'alphabetic';
+            }
+        } catch (error) {
+            console.error('Error drawing integral region:', error);
+        }
+    }
+    
+    /**
+     * Calculate outline of a circle, ellipse, arc, polygon or polyline in canvas coordinates
+     * Curves are sampled in plot coordinates so aspect ratio and rotation are honored
+     * @param {Object} shape - Circle, ellipse, arc, polygon or polyline object
+     * @returns {Object} Outline {points: [{x, y}], closed}
+     */
+    getShapeOutline(shape) {
+        if (shape.type === 'polygon' || shape.type === 'polyline') {
+            return {
+                points: shape.points.map(vertex => this.plotToCanvas(vertex.x, vertex.y)),
+                closed: shape.type === 'polygon'
+            };
+        }
+        
+        const full_circle_segments = 128;
+        
+        let rx, ry, rotation_rad, start_rad, sweep_rad;
+        if (shape.type === 'ellipse') {
+            rx = shape.rx;
+            ry = shape.ry;
+            rotation_rad = (shape.rotation || 0) * Math.PI / 180;
+        } else {
+            rx = shape.radius;
+            ry = shape.radius;
+            rotation_rad = 0;
+        }
+        
+        if (shape.type === 'arc') {
+            start_rad = shape.start_angle * Math.PI / 180;
+            sweep_rad = (shape.end_angle - shape.start_angle) * Math.PI / 180;
+            // Normalize to a counter-clockwise sweep in (0, 2π]
+            sweep_rad = sweep_rad % (2 * Math.PI);
+            if (sweep_rad <= 0) sweep_rad += 2 * Math.PI;
+        } else {
+            start_rad = 0;
+            sweep_rad = 2 * Math.PI;
+        }
+        
+        const segments = Math.max(8, Math.ceil(full_circle_segments * sweep_rad / (2 * Math.PI)));
+        const cos_rot = Math.cos(rotation_rad);
+        const sin_rot = Math.sin(rotation_rad);
+        
+        const points = [];
+        const is_sector = shape.type === 'arc' && shape.arc_type === 'sector';
+        if (is_sector) {
+            points.push(this.plotToCanvas(shape.cx, shape.cy));
+        }
+        
+        // A full ellipse closes itself, so the last sample would duplicate the first
+        const sample_count = sweep_rad >= 2 * Math.PI ? segments - 1 : segments;
+        for (let i = 0; i <= sample_count; i++) {
+            const t = start_rad + sweep_rad * i / segments;
+            const local_x = rx * Math.cos(t);
+            const local_y = ry * Math.sin(t);
+            points.push(this.plotToCanvas(
+                shape.cx + local_x * cos_rot - local_y * sin_rot,
+                shape.cy + local_x * sin_rot + local_y * cos_rot
+            ));
+        }
+        
+        return { points, closed: shape.type !== 'arc' || is_sector };
+    }
+    
+    /**
+     * Append an outline to the current path of a context
+     * @param {CanvasRenderingContext2D} context - Target context
+     * @param {Object} outline - Outline {points: [{x, y}], closed}
+     * side-effects: Begins a new path on the context
+     */
+    tracePath(context, outline) {
+        context.beginPath();
+        if (outline.points.length === 0) return;
+        
+        context.moveTo(outline.points[0].x, outline.points[0].y);
+        for (let i = 1; i < outline.points.length; i++) {
+            context.lineTo(outline.points[i].x, outline.points[i].y);
+        }
+        if (outline.closed) {
+            context.closePath();
+        }
+    }
+    
+    /**
+     * Draw a circle, ellipse or arc
+     * @param {Object} shape - Shape object
+     * side-effects: Draws shape on canvas
+     */
+    drawShape(shape) {
+        const outline = this.getShapeOutline(shape);
+        
+        this.context.save();
+        this.tracePath(this.context, outline);
+        
+        // Fill (an open arc is filled up to its chord)
+        if (shape.filled !== false) {
+            this.context.fillStyle = shape.fill_color;
+            this.context.fill();
+        }
+        
+        // Border
+        if (shape.border_width > 0) {
+            this.context.strokeStyle = shape.border_color;
+            this.context.lineWidth = shape.border_width;
+            this.context.setLineDash(this.getDashPattern(shape.dash_style, shape.border_width));
+            this.context.stroke();
+        }
+        
+        this.context.restore();
+    }
+    
+    /**
+     * Draw circle, ellipse or arc preview during drawing
+     * @param {string} shape_type - circle, ellipse or arc
+     * @param {Object} start - Start coordinates
+     * @param {Object} end - End coordinates
+     * side-effects: Draws preview shape on canvas
+     */
+    drawShapePreview(shape_type, start, end) {
+        const dx = end.x - start.x;
+        const dy = end.y - start.y;
+        const radius = Math.sqrt(dx * dx + dy * dy);
+        
+        const temp_shape = {
+            type: shape_type,
+            cx: start.x,
+            cy: start.y,
+            radius: radius,
+            filled: shape_type !== 'arc',
+            fill_color: '#2196F320',
+            border_color: '#2196F3',
+            border_width: 1,
+            dash_style: 'dashed'
+        };
+        
+        if (shape_type === 'ellipse') {
+            temp_shape.cx = (start.x + end.x) / 2;
+            temp_shape.cy = (start.y + end.y) / 2;
+            temp_shape.rx = Math.abs(dx) / 2;
+            temp_shape.ry = Math.abs(dy) / 2;
+            temp_shape.rotation = 0;
+        } else if (shape_type === 'arc') {
+            let end_angle = Math.atan2(dy, dx) * 180 / Math.PI;
+            if (end_angle <= 0) end_angle += 360;
+            temp_shape.start_angle = 0;
+            temp_shape.end_angle = end_angle;
+            temp_shape.arc_type = 'arc';
+        }
+        
+        this.drawShape(temp_shape);
+    }
+    
+    /**
+     * Draw a polyline
+     * @param {Object} polyline - Polyline object
+     * side-effects: Draws open path on canvas
+     */
+    drawPolyline(polyline) {
+        this.context.save();
+        this.tracePath(this.context, this.getShapeOutline(polyline));
+        this.context.strokeStyle = polyline.color;
+        this.context.lineWidth = polyline.width;
+        this.context.lineJoin = 'round';
+        this.context.setLineDash(this.getDashPattern(polyline.dash_style, polyline.width));
+        this.context.stroke();
+        this.context.restore();
+    }
+    
+    /**
+     * Draw polygon or polyline preview during drawing
+     * @param {string} tool - polygon or polyline
+     * @param {Object[]} vertices - Vertices clicked so far
+     * @param {Object} current - Current cursor coordinates
+     * side-effects: Draws preview path and vertex markers on canvas
+     */
+    drawPolygonPreview(tool, vertices, current) {
+        const preview_points = [...vertices, current].map(vertex => this.plotToCanvas(vertex.x, vertex.y));
+        const closed = tool === 'polygon' && preview_points.length > 2;
+        
+        this.context.save();
+        this.tracePath(this.context, { points: preview_points, closed });
+        if (closed) {
+            this.context.fillStyle = '#4CAF5020';
+            this.context.fill();
+        }
+        this.context.strokeStyle = tool === 'polygon' ? '#4CAF50' : '#2196F3';
+        this.context.lineWidth = 1;
+        this.context.setLineDash([5, 5]);
+        this.context.stroke();
+        
+        this.context.setLineDash([]);
+        this.context.fillStyle = this.context.strokeStyle;
+        for (const point of preview_points.slice(0, -1)) {
+            this.context.fillRect(point.x - 3, point.y - 3, 6, 6);
+        }
+        this.context.restore();
+    }
+    
+    /**
+     * Draw text
+     * @param {Object} text - Text object
+     * side-effects: Draws text on canvas
+     */
+    drawText(text) {
+        const canvas_coords = this.plotToCanvas(text.x, text.y);
+        
+        this.context.save();
+        
+        // Apply rotation if specified
+        if (text.rotation && text.rotation !== 0) {
+            this.context.translate(canvas_coords.x, canvas_coords.y);
+            this.context.rotate((text.rotation * Math.PI) / 180); // Convert degrees to radians
+            this.context.translate(-canvas_coords.x, -canvas_coords.y);
+        }
+        
+        this.context.fillStyle = text.color;
+        this.context.font = `${text.font_size}px ${text.font_family}`;
+        this.context.fillText(text.text, canvas_coords.x, canvas_coords.y);
+        
+        this.context.restore();
+    }
+    
+    /**
+     * Get the effective plot area (excluding padding)
+     * @returns {Object} - {left, right, top, bottom} canvas coordinates
+     */
+    getEffectivePlotArea() {
+        // Calculate effective plot area (same logic as plotToCanvas but for bounds)
+        const plot_x_range = this.plot_bounds.x_max - this.plot_bounds.x_min;
+        const plot_y_range = this.plot_bounds.y_max - this.plot_bounds.y_min;
+        const aspect_ratio = this.axes_properties.aspect_ratio;
+
+        // Determine which dimension constrains the scaling
+        const canvas_aspect = this.plot_width / this.plot_height;
+        const plot_aspect = (plot_x_range * aspect_ratio) / plot_y_range;
+
+        let effective_width, effective_height;
+        if (plot_aspect > canvas_aspect) {
+            // Plot is wider, use height as constraint
+            effective_height = this.plot_height;
+            effective_width = effective_height * plot_aspect / aspect_ratio;
+        } else {
+            // Plot is taller, use width as constraint
+            effective_width = this.plot_width;
+            effective_height = effective_width * aspect_ratio / plot_aspect;
+        }
+
+        const offset_x = (this.plot_width - effective_width) / 2;
+        const offset_y = (this.plot_height - effective_height) / 2;
+
+        return {
+            left: this.canvas_padding + offset_x,
+            right: this.canvas_padding + offset_x + effective_width,
+            top: this.canvas_padding + offset_y,
+            bottom: this.canvas_padding + offset_y + effective_height
+        };
+    }
+
+    /**
+     * Draw a mathematical function using math.js
+     * @param {Object} func - Function object
+     * side-effects: Draws function on canvas with smart discontinuity detection
+     */
+    drawFunction(func) {
+        if (!this.isMathLibraryReady()) {
+            console.warn('Math library not ready, skipping function drawing');
+            // Wait for math library to be ready
+            const waitForMath = () => {
+                if (this.isMathLibraryReady()) {
+                    console.log('Math library ready in drawFunction, redrawing');
+                    this.redraw();
+                } else {
+                    setTimeout(waitForMath, 100);
+                }
+            };
+            waitForMath();
+            return;
+        }
+
+        try {
+            const segments = this.getCurveSegments(this.sampleFunction(func));
+
+            this.context.strokeStyle = func.color;
+            this.context.lineWidth = func.width;
+            this.context.beginPath();
+            this.traceCurveSegments(this.context, segments);
+            this.context.stroke();
+
+        } catch (error) {
+            console.error('Error drawing function:', error);
+            // Draw a simple error indicator
+            this.context.strokeStyle = '#ff0000';
+            this.context.lineWidth = 2;
+            this.context.setLineDash([5, 5]);
+            this.context.beginPath();
+            this.context.moveTo(this.canvas.width / 2 - 50, this.canvas.height / 2);
+            this.context.lineTo(this.canvas.width / 2 + 50, this.canvas.height / 2);
+            this.context.stroke();
+            this.context.setLineDash([]);
+        }
+    }
+    
+    /**
+     * Sample a function object over its x range
+     * @param {Object} func - Function object
+     * @returns {Array<Object|null>} Plot coordinates {x, y}, null where the function is undefined
+     */
+    sampleFunction(func) {
+        if (func.link_error) return [];
+        if (func.relation === 'antiderivative') return this.sampleAntiderivative(func);
+        
+        // Create a compiled function for better performance; numeric derivatives use central differences
+        const numeric_derivative = func.differentiand !== undefined ? this.getFunctionEvaluators(func)[0] : null;
+        const compiledFunction = numeric_derivative ? null : this.math.compile(func.expression);
+
+        // Determine the actual x range to plot
+        const plot_x_min = func.xMin !== null ? func.xMin : this.plot_bounds.x_min;
+        const plot_x_max = func.xMax !== null ? func.xMax : this.plot_bounds.x_max;
+
+        // Calculate number of samples based on range
+        const range = plot_x_max - plot_x_min;
+        const samples = Math.min(Math.max(Math.floor(range * 50), 100), 2000); // 50 samples per unit, min 100, max 2000
+        const step = range / samples;
+
+        const plot_points = [];
+        for (let i = 0; i <= samples; i++) {
+            const x = plot_x_min + i * step;
+            try {
+                const y = numeric_derivative ? numeric_derivative(x) : compiledFunction.evaluate(this.getScope({ x: x }));
+                plot_points.push(isFinite(y) ? { x, y } : null);
+            } catch (error) {
+                // Function evaluation error - treat as a gap
+                plot_points.push(null);
+            }
+        }
+        return plot_points;
+    }
+
+    /**
+     * Sample an antiderivative F(x) = C + ∫ₐˣ f(t) dt at the same x positions as sampleFunction
+     * Integrates outward from the lower limit a with Simpson's rule per sample step, so values on the far side
+     * of a singularity of f are undefined rather than wrong on both sides
+     * @param {Object} func - Antiderivative function object {integrand, constant, lower_limit, xMin, xMax}
+     * @returns {Array<Object|null>} Plot coordinates {x, y}, null where the integral is undefined
+     */
+    sampleAntiderivative(func) {
+        const compiled = this.math.compile(func.integrand);
+        const f = (x) => {
+            try {
+                const value = compiled.evaluate(this.getScope({ x: x }));
+                return typeof value === 'number' && isFinite(value) ? value : NaN;
+            } catch (error) {
+                return NaN;
+            }
+        };
+        const simpson = (x1, x2) => (x2 - x1) / 6 * (f(x1) + 4 * f((x1 + x2) / 2) + f(x2));
+        
+        const plot_x_min = func.xMin !== null ? func.xMin : this.plot_bounds.x_min;
+        const plot_x_max = func.xMax !== null ? func.xMax : this.plot_bounds.x_max;
+        const range = plot_x_max - plot_x_min;
+        const samples = Math.min(Math.max(Math.floor(range * 50), 100), 2000); // Same positions as sampleFunction
+        const step = range / samples;
+        const xs = Array.from({ length: samples + 1 }, (_, i) => plot_x_min + i * step);
+        
+        // Integrate from a to b in steps no longer than the sample step (capped for far-away limits)
+        const integrate = (a, b) => {
+            const n = Math.min(20000, Math.max(1, Math.ceil(Math.abs(b - a) / step)));
+            const h = (b - a) / n;
+            let sum = 0;
+            for (let i = 0; i < n; i++) sum += simpson(a + i * h, a + (i + 1) * h);
+            return sum;
+        };
+        
+        const a = func.lower_limit;
+        const first_right = xs.findIndex(x => x >= a);
+        const split = first_right === -1 ? xs.length : first_right;
+        const values = new Array(xs.length).fill(NaN);
+        
+        if (split < xs.length) {
+            values[split] = func.constant + integrate(a, xs[split]);
+            for (let i = split + 1; i < xs.length; i++) values[i] = values[i - 1] + simpson(xs[i - 1], xs[i]);
+        }
+        if (split > 0) {
+            values[split - 1] = func.constant + integrate(a, xs[split - 1]);
+            for (let i = split - 2; i >= 0; i--) values[i] = values[i + 1] + simpson(xs[i + 1], xs[i]);
+        }
+        
+        return xs.map((x, i) => isFinite(values[i]) ? { x, y: values[i] } : null);
+    }
+
+    /**
+     * Sample a curve object given by expressions of a parameter
+     * @param {Object} curve - Parametric, polar or ODE solution curve object
+     * @returns {Array<Object|null>} Plot coordinates {x, y}, null where the curve is undefined
+     */
+    sampleCurve(curve) {
+        if (curve.type === 'polar') return this.samplePolarCurve(curve);
+        if (curve.type === 'ode') return this.integrateODE(curve);
+        
+        const compiled_x = this.math.compile(curve.x_expression);
+        const compiled_y = this.math.compile(curve.y_expression);
+        const samples = Math.max(2, Math.floor(curve.samples));
+        const step = (curve.t_max - curve.t_min) / samples;
+
+        const plot_points = [];
+        for (let i = 0; i <= samples; i++) {
+            const t = curve.t_min + i * step;
+            try {
+                const scope = this.getScope({ t: t });
+                const x = compiled_x.evaluate(scope);
+                const y = compiled_y.evaluate(scope);
+                plot_points.push(isFinite(x) && isFinite(y) ? { x, y } : null);
+            } catch (error) {
+                plot_points.push(null);
+            }
+        }
+        return plot_points;
+    }
+
+    /**
+     * Integrate dy/dx = f(x, y) from the initial condition of an ODE solution curve
+     * Uses RK4 with step doubling for error control, forward and/or backward until the x range of the view
+     * is covered, the solution leaves the view far behind or blows up. Results are cached per object
+     * until the equation, initial condition or view change.
+     * @param {Object} ode - ODE solution object {expression, x0, y0, direction}
+     * @returns {Array<Object>} Plot coordinates {x, y} in increasing x order
+     */
+    integrateODE(ode) {
+        const cache_key = JSON.stringify([ode.expression, ode.x0, ode.y0, ode.direction, this.plot_bounds]);
+        const cached = this.sample_cache.get(ode.id);
+        if (cached && cached.key === cache_key) return cached.data;
+        
+        const compiled = this.math.compile(ode.expression);
+        const slope = (x, y) => {
+            const value = compiled.evaluate(this.getScope({ x, y }));
+            return typeof value === 'number' ? value : NaN;
+        };
+        
+        const x_range = this.plot_bounds.x_max - this.plot_bounds.x_min;
+        const y_range = this.plot_bounds.y_max - this.plot_bounds.y_min;
+        const tolerance = y_range * 1e-6;
+        const max_step = x_range / 200; // Keep the polyline smooth on screen
+        const min_step = x_range * 1e-9;
+        const max_steps = 20000;
+        
+        const rk4Step = (x, y, h) => {
+            const k1 = slope(x, y);
+            const k2 = slope(x + h / 2, y + h / 2 * k1);
+            const k3 = slope(x + h / 2, y + h / 2 * k2);
+            const k4 = slope(x + h, y + h * k3);
+            return y + h / 6 * (k1 + 2 * k2 + 2 * k3 + k4);
+        };
+        
+        const integrate = (sign) => {
+            const x_end = sign > 0 ? this.plot_bounds.x_max : this.plot_bounds.x_min;
+            const points = [];
+            let x = ode.x0;
+            let y = ode.y0;
+            let h = max_step / 10;
+            
+            for (let step = 0; step < max_steps && (x_end - x) * sign > 0; step++) {
+                h = Math.min(h, Math.abs(x_end - x));
+                
+                // Compare one full step with two half steps
+                const full = rk4Step(x, y, sign * h);
+                const half = rk4Step(x + sign * h / 2, rk4Step(x, y, sign * h / 2), sign * h / 2);
+                const error = Math.abs(half - full);
+                
+                if (!isFinite(half) || error > tolerance) {
+                    if (h <= min_step) break; // Singular or blowing up
+                    h /= 2;
+                    continue;
+                }
+                
+                x += sign * h;
+                y = half + (half - full) / 15; // Richardson extrapolation
+                points.push({ x, y });
+                
+                // Stop once the solution is far outside the view
+                if (y < this.plot_bounds.y_min - 2 * y_range || y > this.plot_bounds.y_max + 2 * y_range) break;
+                
+                h = Math.min(max_step, error > 0 ? h * Math.min(2, 0.9 * (tolerance / error) ** 0.2) : h * 2);
+            }
+            return points;
+        };
+        
+        const start = { x: ode.x0, y: ode.y0 };
+        const forward = ode.direction !== 'backward' ? integrate(1) : [];
+        const backward = ode.direction !== 'forward' ? integrate(-1) : [];
+        const plot_points = [...backward.reverse(), start, ...forward];
+        
+        this.sample_cache.set(ode.id, { key: cache_key, data: plot_points });
+        return plot_points;
+    }
+    
+    /**
+     * Sample a polar curve r = f(theta), converted to Cartesian plot coordinates
+     * @param {Object} curve - Polar curve object
+     * @returns {Array<Object|null>} Plot coordinates {x, y}, null where r is undefined
+     */
+    samplePolarCurve(curve) {
+        const compiled_r = this.math.compile(curve.expression);
+        const samples = Math.max(2, Math.floor(curve.samples));
+        const step = (curve.theta_max - curve.theta_min) / samples;
+
+        const plot_points = [];
+        for (let i = 0; i <= samples; i++) {
+            const theta = curve.theta_min + i * step;
+            try {
+                // Accept both the spelled-out and the Greek variable name
+                const r = compiled_r.evaluate(this.getScope({ theta: theta, θ: theta }));
+                plot_points.push(isFinite(r) ? { x: r * Math.cos(theta), y: r * Math.sin(theta) } : null);
+            } catch (error) {
+                plot_points.push(null);
+            }
+        }
+        return plot_points;
+    }
+
+    /**
+     * Convert an equation "lhs = rhs" into an expression that is zero on the curve
+     * @param {string} equation - Equation such as "x^2 + y^2 = 4", or an expression F(x, y) meaning F = 0
+     * @returns {string} Expression "(lhs) - (rhs)"
+     */
+    getImplicitExpression(equation) {
+        // Split on a single "=" that is not part of "==", "<=", ">=" or "!="
+        const sides = equation.split(/(?<![<>=!])=(?!=)/);
+        assert(sides.length <= 2, `Expected at most one "=" in equation, got "${equation}"`);
+        return sides.length === 2 ? `(${sides[0]}) - (${sides[1]})` : equation;
+    }
+
+    /**
+     * Trace the zero set of F(x, y) over the visible plot bounds using marching squares
+     * Results are cached per object until the equation, resolution or view changes
+     * @param {Object} curve - Implicit curve object
+     * @returns {Array<Array<Object>>} Polylines of plot coordinates {x, y}
+     */
+    getImplicitCurvePolylines(curve) {
+        const { x_cells, y_cells } = this.getContourGridSize(curve.resolution);
+
+        const cache_key = JSON.stringify([curve.equation, x_cells, y_cells, this.plot_bounds]);
+        const cached = this.sample_cache.get(curve.id);
+        if (cached && cached.key === cache_key) return cached.data;
+
+        const compiled = this.math.compile(this.getImplicitExpression(curve.equation));
+        const grid = this.evaluateContourGrid(compiled, x_cells, y_cells);
+        const polylines = this.traceContourPolylines(grid, 0, compiled);
+
+        this.sample_cache.set(curve.id, { key: cache_key, data: polylines });
+        return polylines;
+    }
+
+    /**
+     * Get the grid size for contouring the current view with square cells on screen
+     * @param {number} resolution - Number of cells across the x range
+     * @returns {Object} {x_cells, y_cells}
+     */
+    getContourGridSize(resolution) {
+        const { x_min, x_max, y_min, y_max } = this.plot_bounds;
+
+        // Derive the row count from the canvas size of the bounds
+        const x_cells = Math.max(10, Math.floor(resolution));
+        const width_px = Math.abs(this.plotToCanvas(x_max, 0).x - this.plotToCanvas(x_min, 0).x);
+        const height_px = Math.abs(this.plotToCanvas(0, y_max).y - this.plotToCanvas(0, y_min).y);
+        const y_cells = Math.max(10, Math.round(x_cells * height_px / Math.max(width_px, 1)));
+        return { x_cells, y_cells };
+    }
+
+    /**
+     * Evaluate a compiled expression of x and y at every node of a grid over plot_bounds
+     * @param {Object} compiled - Compiled math.js expression
+     * @param {number} x_cells - Cells along x
+     * @param {number} y_cells - Cells along y
+     * @returns {Object} {values: rows of node values (NaN where undefined) from y_min up, dx, dy, x_cells, y_cells}
+     */
+    evaluateContourGrid(compiled, x_cells, y_cells) {
+        const { x_min, x_max, y_min, y_max } = this.plot_bounds;
+        const dx = (x_max - x_min) / x_cells;
+        const dy = (y_max - y_min) / y_cells;
+
+        const values = [];
+        for (let j = 0; j <= y_cells; j++) {
+            const row = [];
+            for (let i = 0; i <= x_cells; i++) {
+                try {
+                    const value = compiled.evaluate(this.getScope({ x: x_min + i * dx, y: y_min + j * dy }));
+                    row.push(typeof value === 'number' && isFinite(value) ? value : NaN);
+                } catch (error) {
+                    row.push(NaN);
+                }
+            }
+            values.push(row);
+        }
+        return { values, dx, dy, x_cells, y_cells };
+    }
+
+    /**
+     * Trace the polylines where a gridded expression equals a level (marching squares)
+     * @param {Object} grid - Grid from evaluateContourGrid
+     * @param {number} level - Contour level
+     * @param {Object|null} compiled - The compiled expression, used to reject sign changes across poles;
+     *                                  null keeps every crossing (region boundaries jump at poles too)
+     * @returns {Array<Array<Object>>} Polylines of plot coordinates {x, y}; closed ones start and end with the same point
+     */
+    traceContourPolylines(grid, level, compiled) {
+        const { x_min, y_min } = this.plot_bounds;
+        const { dx, dy, x_cells, y_cells } = grid;
+        const values = grid.values.map(row => row.map(value => value - level));
+
+        // Level crossings on cell edges, keyed by edge so neighbouring cells share them
+        const crossings = new Map();
+        const getCrossing = (key, i1, j1, i2, j2) => {
+            if (!crossings.has(key)) {
+                const v1 = values[j1][i1];
+                const v2 = values[j2][i2];
+                const t = v1 / (v1 - v2);
+                const crossing = {
+                    x: x_min + (i1 + t * (i2 - i1)) * dx,
+                    y: y_min + (j1 + t * (j2 - j1)) * dy
+                };
+
+                // A sign change across a pole (e.g. 1/x at 0) does not vanish between the nodes
+                let value_at_crossing = NaN;
+                try {
+                    value_at_crossing = compiled ? compiled.evaluate(this.getScope(crossing)) - level : 0;
+                } catch (error) {
+                    // Treated as a pole below
+                }
+                const is_root = Math.abs(value_at_crossing) <= 0.25 * Math.abs(v1 - v2);
+                crossings.set(key, is_root ? crossing : null);
+            }
+            return crossings.get(key) ? key : null;
+        };
+
+        const links = [];
+        for (let j = 0; j < y_cells; j++) {
+            for (let i = 0; i < x_cells; i++) {
+                const v00 = values[j][i];
+                const v10 = values[j][i + 1];
+                const v01 = values[j + 1][i];
+                const v11 = values[j + 1][i + 1];
+                if (isNaN(v00) || isNaN(v10) || isNaN(v01) || isNaN(v11)) continue;
+
+                const bottom = (v00 < 0) !== (v10 < 0) ? getCrossing(`h${i},${j}`, i, j, i + 1, j) : null;
+                const right = (v10 < 0) !== (v11 < 0) ? getCrossing(`v${i + 1},${j}`, i + 1, j, i + 1, j + 1) : null;
+                const top = (v01 < 0) !== (v11 < 0) ? getCrossing(`h${i},${j + 1}`, i, j + 1, i + 1, j + 1) : null;
+                const left = (v00 < 0) !== (v01 < 0) ? getCrossing(`v${i},${j}`, i, j, i, j + 1) : null;
+                const edges = [bottom, right, top, left].filter(edge => edge !== null);
+
+                if (edges.length === 2) {
+                    links.push(edges);
+                } else if (edges.length === 4) {
+                    // Saddle cell: the sign at the center decides which corners are connected
+                    const center = (v00 + v10 + v01 + v11) / 4;
+                    if ((center < 0) === (v00 < 0)) {
+                        links.push([left, top], [bottom, right]);
+                    } else {
+                        links.push([bottom, left], [right, top]);
+                    }
+                }
+            }
+        }
+
+        // Chain cell segments into polylines
+        const adjacency = new Map();
+        links.forEach(([a, b], index) => {
+            for (const key of [a, b]) {
+                if (!adjacency.has(key)) adjacency.set(key, []);
+                adjacency.get(key).push(index);
+            }
+        });
+
+        const used = new Array(links.length).fill(false);
+        const extend = (start_key, chain) => {
+            let current = start_key;
+            for (;;) {
+                const next_index = adjacency.get(current).find(index => !used[index]);
+                if (next_index === undefined) return;
+                used[next_index] = true;
+                const [a, b] = links[next_index];
+                current = a === current ? b : a;
+                chain.push(crossings.get(current));
+            }
+        };
+
+        const polylines = [];
+        links.forEach(([a, b], index) => {
+            if (used[index]) return;
+            used[index] = true;
+            const forward = [crossings.get(a), crossings.get(b)];
+            extend(b, forward);
+            const backward = [];
+            extend(a, backward);
+            polylines.push([...backward.reverse(), ...forward]);
+        });
+
+        return polylines;
+    }
+
+    /**
+     * Trace the boundary of the region where a gridded expression is at least a level
+     * Contour polylines ending on the edge of the grid are closed along it, so filling all rings with the even-odd
+     * rule gives the region, holes included
+     * @param {Object} grid - Grid from evaluateContourGrid, without undefined values
+     * @param {number} level - Level
+     * @returns {Array<Array<Object>>} Closed rings of plot coordinates {x, y}
+     */
+    traceSuperlevelRings(grid, level) {
+        const { x_min, x_max, y_min, y_max } = this.plot_bounds;
+        const { x_cells, y_cells } = grid;
+        const perimeter = 2 * (x_cells + y_cells);
+        const isInside = value => !(value - level < 0); // Same node test as traceContourPolylines
+
+        // Positions along the grid edge in cells, counter-clockwise from (x_min, y_min)
+        const getEdgePosition = (point) => {
+            const gi = (point.x - x_min) / grid.dx;
+            const gj = (point.y - y_min) / grid.dy;
+            const tolerance = 1e-6;
+            if (Math.abs(gj) < tolerance) return gi;
+            if (Math.abs(gi - x_cells) < tolerance) return x_cells + gj;
+            if (Math.abs(gj - y_cells) < tolerance) return x_cells + y_cells + (x_cells - gi);
+            return 2 * x_cells + y_cells + (y_cells - gj);
+        };
+        const getEdgeNodeValue = (position) => {
+            if (position <= x_cells) return grid.values[0][position];
+            if (position <= x_cells + y_cells) return grid.values[position - x_cells][x_cells];
+            if (position <= 2 * x_cells + y_cells) return grid.values[y_cells][2 * x_cells + y_cells - position];
+            return grid.values[perimeter - position][0];
+        };
+        const corners = [
+            { position: 0, point: { x: x_min, y: y_min } },
+            { position: x_cells, point: { x: x_max, y: y_min } },
+            { position: x_cells + y_cells, point: { x: x_max, y: y_max } },
+            { position: 2 * x_cells + y_cells, point: { x: x_min, y: y_max } }
+        ];
+        // Corners passed going counter-clockwise from one edge position to another
+        const getCornersBetween = (from, to) => from <= to
+            ? corners.filter(corner => corner.position > from && corner.position < to).map(corner => corner.point)
+            : [...corners.filter(corner => corner.position > from), ...corners.filter(corner => corner.position < to)]
+                .map(corner => corner.point);
+
+        const rings = [];
+        const ends = [];
+        for (const polyline of this.traceContourPolylines(grid, level, null)) {
+            if (polyline[0] === polyline[polyline.length - 1]) {
+                rings.push(polyline);
+                continue;
+            }
+            const start = { polyline: polyline, position: getEdgePosition(polyline[0]) };
+            const end = { polyline: [...polyline].reverse(), position: getEdgePosition(polyline[polyline.length - 1]) };
+            start.partner = end;
+            end.partner = start;
+            ends.push(start, end);
+        }
+
+        if (ends.length === 0) {
+            if (isInside(grid.values[0][0])) {
+                rings.push([...corners.map(corner => corner.point), corners[0].point]);
+            }
+            return rings;
+        }
+
+        // Edge arcs between consecutive ends alternate between inside and outside; one edge node away from
+        // the ends tells which is which
+        ends.sort((a, b) => a.position - b.position);
+        ends.forEach((end, index) => { end.index = index; });
+        let first_arc_inside = false;
+        for (let position = 0; position < perimeter; position++) {
+            if (ends.some(end => Math.abs(end.position - position) < 1e-6)) continue;
+            const arc = ends.findIndex(end => end.position > position);
+            const arc_index = arc === -1 ? ends.length - 1 : (arc - 1 + ends.length) % ends.length;
+            first_arc_inside = isInside(getEdgeNodeValue(position)) === (arc_index % 2 === 0);
+            break;
+        }
+        const isArcInside = index => (index % 2 === 0) === first_arc_inside; // Arc from ends[index] to the next end
+
+        // Follow a polyline, then the inside edge arc from its far end, until the ring closes
+        for (const start of ends) {
+            if (start.used) continue;
+            const ring = [];
+            let current = start;
+            while (!current.used) {
+                const far_end = current.partner;
+                current.used = true;
+                far_end.used = true;
+                ring.push(...current.polyline);
+                if (isArcInside(far_end.index)) {
+                    current = ends[(far_end.index + 1) % ends.length];
+                    ring.push(...getCornersBetween(far_end.position, current.position));
+                } else {
+                    current = ends[(far_end.index - 1 + ends.length) % ends.length];
+                    ring.push(...getCornersBetween(current.position, far_end.position).reverse());
+                }
+            }
+            ring.push(ring[0]);
+            rings.push(ring);
+        }
+        return rings;
+    }
+
+    /**
+     * Trace the outlines of the contour bands of a scalar field grid
+     * @param {Object} grid - Grid from evaluateContourGrid
+     * @param {number[]} levels - Sorted contour levels
+     * @param {number} min - Smallest defined grid value
+     * @param {number} max - Largest defined grid value
+     * @returns {Array<Array<Array<Object>>>} Rings per band, to be filled with the even-odd rule; band k lies between
+     *                                        levels k-1 and k, undefined cells are left out
+     */
+    getScalarFieldBandRings(grid, levels, min, max) {
+        // Undefined nodes lie below every level, and outside the region where the field is defined
+        const floor_value = Math.min(min, levels[0]) - Math.abs(max - min) - 1;
+        const level_grid = { ...grid, values: grid.values.map(row => row.map(value => isNaN(value) ? floor_value : value)) };
+        const defined_grid = { ...grid, values: grid.values.map(row => row.map(value => isNaN(value) ? -1 : 1)) };
+
+        // Each band is the region above its lower level minus the region above its upper level
+        const boundaries = [
+            this.traceSuperlevelRings(defined_grid, 0),
+            ...levels.map(level => this.traceSuperlevelRings(level_grid, level))
+        ];
+        return boundaries.map((rings, band) => band + 1 < boundaries.length ? [...rings, ...boundaries[band + 1]] : rings);
+    }
+
+    /**
+     * Get the RGB color of a colormap at a position
+     * @param {string} colormap - viridis, coolwarm or grayscale
+     * @param {number} t - Position in [0, 1]; clamped
+     * @returns {number[]} [r, g, b]
+     */
+    getColormapRGB(colormap, t) {
+        const colormaps = {
+            viridis: [[68, 1, 84], [59, 82, 139], [33, 145, 140], [94, 201, 98], [253, 231, 37]],
+            coolwarm: [[59, 76, 192], [141, 176, 254], [221, 221, 221], [244, 154, 123], [180, 4, 38]],
+            grayscale: [[0, 0, 0], [255, 255, 255]]
+        };
+        const stops = colormaps[colormap] || colormaps.viridis;
+        const position = Math.min(1, Math.max(0, isFinite(t) ? t : 0.5)) * (stops.length - 1);
+        const index = Math.min(stops.length - 2, Math.floor(position));
+        const fraction = position - index;
+        return stops[index].map((channel, c) => Math.round(channel + (stops[index + 1][c] - channel) * fraction));
+    }
+
+    /**
+     * Get the CSS color of a colormap at a position
+     * @param {string} colormap - Colormap name (see getColormapRGB)
+     * @param {number} t - Position in [0, 1]
+     * @returns {string} rgb() color
+     */
+    getColormapColor(colormap, t) {
+        const [r, g, b] = this.getColormapRGB(colormap, t);
+        return `rgb(${r}, ${g}, ${b})`;
+    }
+
+    /**
+     * Parse contour levels input
+     * @param {string} text - Comma-separated levels, or empty/"auto" for evenly spaced levels
+     * @returns {number[]|null|undefined} Sorted levels, null for auto, undefined if the input is invalid
+     */
+    parseLevelsInput(text) {
+        const trimmed = text.trim();
+        if (trimmed === '' || trimmed.toLowerCase() === 'auto') return null;
+
+        const levels = trimmed.split(/[,;\s]+/).filter(field => field !== '').map(Number);
+        if (levels.length === 0 || !levels.every(level => isFinite(level))) return undefined;
+        return [...new Set(levels)].sort((a, b) => a - b);
+    }
+
+    /**
+     * Update the contour levels of the selected scalar field
+     * @param {string} text - Levels input (see parseLevelsInput)
+     * side-effects: Updates selected scalar field, or alerts and restores the panel on invalid input
+     */
+    updateScalarFieldLevels(text) {
+        const levels = this.parseLevelsInput(text);
+        if (levels === undefined) {
+            alert('Enter comma-separated numbers, or leave empty for automatic levels.');
+            this.updatePropertiesPanel();
+            return;
+        }
+        this.updateObjectProperty('levels', levels);
+    }
+
+    /**
+     * Evaluate a scalar field over the view and derive what its display mode needs
+     * Values between grid nodes are interpolated bilinearly for filled bands. Results are cached per object
+     * until the field or the view change.
+     * @param {Object} field - Scalar field object
+     * @returns {Object} {min, max, levels, contours: [{level, polylines}] (lines mode),
+     *                    bands: [[runs]] per band and band_rings: [[rings]] per band (filled mode),
+     *                    image: canvas of cell colors (heatmap mode)}
+     */
+    getScalarFieldData(field) {
+        const { x_cells, y_cells } = this.getContourGridSize(field.resolution);
+        const plot_area = this.getEffectivePlotArea();
+
+        const cache_key = JSON.stringify([field.expression, field.mode, field.levels, field.level_count, field.colormap,
+                                          x_cells, y_cells, plot_area, this.plot_bounds]);
+        const cached = this.sample_cache.get(field.id);
+        if (cached && cached.key === cache_key) return cached.data;
+
+        const compiled = this.math.compile(field.expression);
+        const grid = this.evaluateContourGrid(compiled, x_cells, y_cells);
+        const finite_values = grid.values.flat().filter(value => !isNaN(value));
+        // Reduce rather than spread: fine grids hold more values than a call can take as arguments
+        const min = finite_values.length > 0 ? finite_values.reduce((a, b) => Math.min(a, b)) : 0;
+        const max = finite_values.length > 0 ? finite_values.reduce((a, b) => Math.max(a, b)) : 0;
+
+        const level_count = Math.max(1, field.level_count);
+        const levels = field.levels ||
+            Array.from({ length: level_count }, (_, k) => min + (k + 1) * (max - min) / (level_count + 1));
+        const data = { min, max, levels, contours: [], bands: [], band_rings: [], image: null };
+
+        if (field.mode === 'lines') {
+            data.contours = levels.map(level => ({ level, polylines: this.traceContourPolylines(grid, level, compiled) }));
+        } else if (field.mode === 'filled') {
+            data.bands = this.getScalarFieldBands(grid, levels, plot_area);
+            data.band_rings = this.getScalarFieldBandRings(grid, levels, min, max);
+        } else {
+            data.image = this.getScalarFieldImage(grid, min, max, field.colormap);
+        }
+
+        this.sample_cache.set(field.id, { key: cache_key, data: data });
+        return data;
+    }
+
+    /**
+     * Split the visible plot area into horizontal runs of equal contour band
+     * @param {Object} grid - Grid from evaluateContourGrid
+     * @param {number[]} levels - Sorted contour levels
+     * @param {Object} plot_area - Effective plot area
+     * @returns {Array<Array<Object>>} Runs {x, y, width, height} per band; band k lies between levels k-1 and k
+     */
+    getScalarFieldBands(grid, levels, plot_area) {
+        const cell_size = 2; // Canvas pixels per cell
+        const bands = Array.from({ length: levels.length + 1 }, () => []);
+
+        // Bilinear interpolation of the node values
+        const valueAt = (plot_x, plot_y) => {
+            const gx = Math.min(grid.x_cells - 1e-9, Math.max(0, (plot_x - this.plot_bounds.x_min) / grid.dx));
+            const gy = Math.min(grid.y_cells - 1e-9, Math.max(0, (plot_y - this.plot_bounds.y_min) / grid.dy));
+            const i = Math.floor(gx);
+            const j = Math.floor(gy);
+            const fx = gx - i;
+            const fy = gy - j;
+            const bottom = grid.values[j][i] * (1 - fx) + grid.values[j][i + 1] * fx;
+            const top = grid.values[j + 1][i] * (1 - fx) + grid.values[j + 1][i + 1] * fx;
+            return bottom * (1 - fy) + top * fy;
+        };
+
+        const left = Math.max(plot_area.left, 0);
+        const right = Math.min(plot_area.right, this.canvas.width);
+        const top = Math.max(plot_area.top, 0);
+        const bottom = Math.min(plot_area.bottom, this.canvas.height);
+
+        for (let cell_y = top; cell_y < bottom; cell_y += cell_size) {
+            const cell_height = Math.min(cell_size, bottom - cell_y);
+            let run_start = null;
+            let run_band = -1;
+
+            for (let cell_x = left; cell_x <= right; cell_x += cell_size) {
+                let band = -1;
+                if (cell_x < right) {
+                    const plot_coords = this.canvasToPlot(cell_x + cell_size / 2, cell_y + cell_height / 2);
+                    const value = valueAt(plot_coords.x, plot_coords.y);
+                    if (!isNaN(value)) band = levels.filter(level => level <= value).length;
+                }
+                if (band !== run_band) {
+                    if (run_band >= 0) {
+                        bands[run_band].push({ x: run_start, y: cell_y, width: Math.min(cell_x, right) - run_start, height: cell_height });
+                    }
+                    run_start = cell_x;
+                    run_band = band;
+                }
+            }
+        }
+        return bands;
+    }
+
+    /**
+     * Render the cells of a scalar field grid into a small image, one pixel per cell
+     * @param {Object} grid - Grid from evaluateContourGrid
+     * @param {number} min - Value mapped to the start of the colormap
+     * @param {number} max - Value mapped to the end of the colormap
+     * @param {string} colormap - Colormap name
+     * @returns {HTMLCanvasElement} Image with row 0 at y_max; undefined cells are transparent
+     */
+    getScalarFieldImage(grid, min, max, colormap) {
+        const image_canvas = document.createElement('canvas');
+        image_canvas.width = grid.x_cells;
+        image_canvas.height = grid.y_cells;
+        const image_context = image_canvas.getContext('2d');
+        const image_data = image_context.createImageData(grid.x_cells, grid.y_cells);
+
+        for (let j = 0; j < grid.y_cells; j++) {
+            for (let i = 0; i < grid.x_cells; i++) {
+                const value = (grid.values[j][i] + grid.values[j][i + 1] + grid.values[j + 1][i] + grid.values[j + 1][i + 1]) / 4;
+                if (isNaN(value)) continue;
+
+                const [r, g, b] = this.getColormapRGB(colormap, max > min ? (value - min) / (max - min) : 0.5);
+                const offset = ((grid.y_cells - 1 - j) * grid.x_cells + i) * 4;
+                image_data.data[offset] = r;
+                image_data.data[offset + 1] = g;
+                image_data.data[offset + 2] = b;
+                image_data.data[offset + 3] = 255;
+            }
+        }
+        image_context.putImageData(image_data, 0, 0);
+        return image_canvas;
+    }
+
+    /**
+     * Get the color of a contour band or line of a scalar field
+     * @param {Object} field - Scalar field object
+     * @param {number} index - Band index (0..levels.length) or line index (0..levels.length - 1)
+     * @param {number} count - Number of bands or lines
+     * @returns {string} rgb() color
+     */
+    getScalarFieldColor(field, index, count) {
+        return this.getColormapColor(field.colormap, count > 1 ? index / (count - 1) : 0.5);
+    }
+
+    /**
+     * Get contour line labels: one per polyline long enough to hold it, at its middle
+     * @param {Object} data - Scalar field data from getScalarFieldData
+     * @returns {Array<Object>} Labels {text, x, y} in canvas coordinates
+     */
+    getContourLabels(data) {
+        const labels = [];
+        for (const contour of data.contours) {
+            for (const polyline of contour.polylines) {
+                if (polyline.length < 8) continue;
+                const middle = polyline[Math.floor(polyline.length / 2)];
+                const position = this.plotToCanvas(middle.x, middle.y);
+                labels.push({ text: `${+contour.level.toPrecision(3)}`, x: position.x, y: position.y });
+            }
+        }
+        return labels;
+    }
+
+    /**
+     * Get the color bar legend of a scalar field: colored blocks from the bottom (min) to the top (max) with labels
+     * @param {Object} field - Scalar field object
+     * @param {Object} data - Scalar field data from getScalarFieldData
+     * @returns {Object} {blocks: [{x, y, width, height, color}], labels: [{text, x, y}], outline: {x, y, width, height}}
+     */
+    getColorBarGeometry(field, data) {
+        const plot_area = this.getEffectivePlotArea();
+        const visible_top = Math.max(plot_area.top, 0);
+        const visible_bottom = Math.min(plot_area.bottom, this.canvas.height);
+        const bar = {
+            x: Math.min(plot_area.right, this.canvas.width) - 70,
+            y: visible_top + 20,
+            width: 12,
+            height: Math.min(200, (visible_bottom - visible_top) * 0.4)
+        };
+
+        const blocks = [];
+        const labels = [];
+        const format = value => `${+value.toPrecision(3)}`;
+        const label_x = bar.x + bar.width + 4;
+
+        if (field.mode === 'filled') {
+            // One block per band; the outer bands reach the data range
+            const edges = [data.min, ...data.levels.filter(level => level > data.min && level < data.max), data.max];
+            const band_count = data.levels.length + 1;
+            for (let k = 0; k < edges.length - 1; k++) {
+                const band = data.levels.filter(level => level <= edges[k]).length;
+                const y_top = bar.y + bar.height * (1 - k / (edges.length - 1));
+                const y_bottom = bar.y + bar.height * (1 - (k + 1) / (edges.length - 1));
+                blocks.push({ x: bar.x, y: y_bottom, width: bar.width, height: y_top - y_bottom,
+                              color: this.getScalarFieldColor(field, band, band_count) });
+            }
+            const label_step = Math.max(1, Math.ceil((edges.length - 1) / 8));
+            edges.forEach((edge, k) => {
+                if (k % label_step === 0 || k === edges.length - 1) {
+                    labels.push({ text: format(edge), x: label_x, y: bar.y + bar.height * (1 - k / (edges.length - 1)) + 4 });
+                }
+            });
+        } else {
+            const steps = 50;
+            for (let k = 0; k < steps; k++) {
+                blocks.push({ x: bar.x, y: bar.y + bar.height * (1 - (k + 1) / steps), width: bar.width,
+                              height: bar.height / steps, color: this.getColormapColor(field.colormap, (k + 0.5) / steps) });
+            }
+            labels.push({ text: format(data.max), x: label_x, y: bar.y + 4 });
+            labels.push({ text: format((data.min + data.max) / 2), x: label_x, y: bar.y + bar.height / 2 + 4 });
+            labels.push({ text: format(data.min), x: label_x, y: bar.y + bar.height + 4 });
+        }
+        return { blocks, labels, outline: bar };
+    }
+
+    /**
+     * Draw a scalar field as contour lines, filled contour bands or a heatmap
+     * @param {Object} field - Scalar field object
+     * side-effects: Draws field (and labels or color bar) on canvas
+     */
+    drawScalarField(field) {
+        if (!this.ensureMathForCurves()) return;
+
+        let data;
+        try {
+            data = this.getScalarFieldData(field);
+        } catch (error) {
+            console.error('Error drawing scalar field:', error);
+            return;
+        }
+
+        this.context.save();
+        this.clipToPlotArea(this.context);
+        if (field.mode === 'lines') {
+            this.context.lineWidth = field.width;
+            this.context.lineJoin = 'round';
+            data.contours.forEach((contour, index) => {
+                this.context.strokeStyle = this.getScalarFieldColor(field, index, data.contours.length);
+                this.context.beginPath();
+                this.traceCurveSegments(this.context, contour.polylines.map(polyline =>
+                    polyline.map(point => this.plotToCanvas(point.x, point.y))));
+                this.context.stroke();
+            });
+            if (field.show_labels) {
+                this.context.font = '11px Arial';
+                this.context.textAlign = 'center';
+                this.context.textBaseline = 'middle';
+                this.context.lineWidth = 3;
+                this.context.strokeStyle = 'white';
+                this.context.fillStyle = '#333333';
+                for (const label of this.getContourLabels(data)) {
+                    this.context.strokeText(label.text, label.x, label.y);
+                    this.context.fillText(label.text, label.x, label.y);
+                }
+            }
+        } else {
+            this.context.globalAlpha = field.opacity;
+            if (field.mode === 'filled') {
+                data.bands.forEach((runs, band) => {
+                    if (runs.length === 0) return;
+                    this.context.fillStyle = this.getScalarFieldColor(field, band, data.bands.length);
+                    this.context.beginPath();
+                    this.traceRegionRuns(this.context, runs);
+                    this.context.fill();
+                });
+            } else {
+                const top_left = this.plotToCanvas(this.plot_bounds.x_min, this.plot_bounds.y_max);
+                const bottom_right = this.plotToCanvas(this.plot_bounds.x_max, this.plot_bounds.y_min);
+                this.context.imageSmoothingEnabled = true;
+                this.context.drawImage(data.image, top_left.x, top_left.y, bottom_right.x - top_left.x, bottom_right.y - top_left.y);
+            }
+        }
+        this.context.restore();
+
+        if (field.mode !== 'lines' && field.show_color_bar) {
+            const color_bar = this.getColorBarGeometry(field, data);
+            this.context.save();
+            for (const block of color_bar.blocks) {
+                this.context.fillStyle = block.color;
+                this.context.fillRect(block.x, block.y, block.width, block.height + 0.5);
+            }
+            this.context.strokeStyle = '#333333';
+            this.context.lineWidth = 1;
+            this.context.strokeRect(color_bar.outline.x, color_bar.outline.y, color_bar.outline.width, color_bar.outline.height);
+            this.context.fillStyle = '#333333';
+            this.context.font = '11px Arial';
+            this.context.textAlign = 'left';
+            for (const label of color_bar.labels) {
+                this.context.fillText(label.text, label.x, label.y);
+            }
+            this.context.restore();
+        }
+    }
+
+    /**
+     * Get canvas segments for an implicit curve
+     * @param {Object} curve - Implicit curve object
+     * @returns {Array<Array<Object>>} Polylines of canvas coordinates {x, y}
+     */
+    getImplicitCurveSegments(curve) {
+        return this.getImplicitCurvePolylines(curve)
+            .map(polyline => polyline.map(point => this.plotToCanvas(point.x, point.y)));
+    }
+
+    /**
+     * Parse a piece's domain condition into an interval of x
+     * Accepts comparisons of x with constant expressions, chained (0 <= x < 2) or joined with "and"
+     * @param {string} condition - Domain condition such as "x < 0", "0 <= x < 2" or "x >= pi"
+     * @returns {Object} {min, max, min_closed, max_closed}; unbounded sides are ±Infinity
+     * @throws {Error} If the condition is not a comparison of x with constants
+     */
+    parseDomain(condition) {
+        const domain = { min: -Infinity, max: Infinity, min_closed: false, max_closed: false };
+        const unsupported = () => new Error(`Cannot use "${condition}" as a domain; use conditions like x < 0, 0 <= x < 2 or x >= 2.`);
+        const operators = { smaller: '<', smallerEq: '<=', larger: '>', largerEq: '>=' };
+        
+        // Tighten the interval with one comparison "left operator right"
+        const applyComparison = (left, operator, right) => {
+            const left_is_x = left.isSymbolNode === true && left.name === 'x';
+            const right_is_x = right.isSymbolNode === true && right.name === 'x';
+            if (left_is_x === right_is_x) throw unsupported();
+            
+            const bound = (left_is_x ? right : left).compile().evaluate(this.getScope({}));
+            if (typeof bound !== 'number' || isNaN(bound)) throw unsupported();
+            
+            // Normalize to "x operator bound"
+            const flipped = { '<': '>', '<=': '>=', '>': '<', '>=': '<=' };
+            const x_operator = left_is_x ? operator : flipped[operator];
+            const closed = x_operator.endsWith('=');
+            if (x_operator.startsWith('<')) {
+                if (bound < domain.max || (bound === domain.max && !closed)) {
+                    domain.max = bound;
+                    domain.max_closed = closed;
+                }
+            } else if (bound > domain.min || (bound === domain.min && !closed)) {
+                domain.min = bound;
+                domain.min_closed = closed;
+            }
+        };
+        
+        const visit = (node) => {
+            while (node.isParenthesisNode) node = node.content;
+            if (node.isOperatorNode && node.fn === 'and') {
+                node.args.forEach(visit);
+            } else if (node.isOperatorNode && operators[node.fn] && node.args.length === 2) {
+                applyComparison(node.args[0], operators[node.fn], node.args[1]);
+            } else if (node.type === 'RelationalNode' && node.conditionals.every(conditional => operators[conditional])) {
+                node.conditionals.forEach((conditional, index) => {
+                    applyComparison(node.params[index], operators[conditional], node.params[index + 1]);
+                });
+            } else {
+                throw unsupported();
+            }
+        };
+        
+        let node;
+        try {
+            node = this.math.parse(condition);
+        } catch (error) {
+            throw unsupported();
+        }
+        visit(node);
+        return domain;
+    }
+    
+    /**
+     * Sample the visible pieces of a piecewise function and locate their endpoint markers
+     * Pieces whose expression or condition cannot be evaluated (e.g. a removed parameter) are left out
+     * and their error is reported instead
+     * @param {Object} piecewise - Piecewise object
+     * @returns {Object} {pieces: [Array<Object|null>] sampled plot points per piece,
+     *                    endpoints: [{x, y, closed}] in plot coordinates at visible finite domain bounds,
+     *                    errors: [string|null] error message per piece of the object}
+     */
+    getPiecewiseGeometry(piecewise) {
+        const pieces = [];
+        const endpoints = [];
+        const errors = [];
+        
+        for (const piece of piecewise.pieces) {
+            try {
+                const domain = this.parseDomain(piece.condition);
+                const compiled = this.math.compile(piece.expression);
+                const x_min = Math.max(domain.min, this.plot_bounds.x_min);
+                const x_max = Math.min(domain.max, this.plot_bounds.x_max);
+                if (!(x_min < x_max)) {
+                    errors.push(null);
+                    continue;
+                }
+                
+                // Sampling turns evaluation errors into gaps, so surface e.g. undefined symbols first
+                compiled.evaluate(this.getScope({ x: (x_min + x_max) / 2 }));
+                pieces.push(this.sampleFunction({ expression: piece.expression, xMin: x_min, xMax: x_max }));
+                
+                // Endpoint markers sit on the piece's limit at the bound
+                const limit = (x, inward) => {
+                    for (const offset of [0, 1e-9 * (1 + Math.abs(x))]) {
+                        const value = compiled.evaluate(this.getScope({ x: x + inward * offset }));
+                        if (typeof value === 'number' && isFinite(value)) return value;
+                    }
+                    return NaN;
+                };
+                if (isFinite(domain.min) && domain.min === x_min) {
+                    endpoints.push({ x: domain.min, y: limit(domain.min, 1), closed: domain.min_closed });
+                }
+                if (isFinite(domain.max) && domain.max === x_max) {
+                    endpoints.push({ x: domain.max, y: limit(domain.max, -1), closed: domain.max_closed });
+                }
+                errors.push(null);
+            } catch (error) {
+                errors.push(error.message);
+            }
+        }
+        
+        return { pieces, endpoints: endpoints.filter(endpoint => isFinite(endpoint.y)), errors };
+    }
+    
+    /**
+     * Get the endpoint markers of a piecewise function that lie inside the effective plot area
+     * Open markers come first so a closed marker at the same point is drawn on top
+     * @param {Object} geometry - Geometry from getPiecewiseGeometry
+     * @returns {Array<Object>} Markers {x, y, closed} in canvas coordinates
+     */
+    getPiecewiseMarkers(geometry) {
+        const plot_area = this.getEffectivePlotArea();
+        return geometry.endpoints
+            .map(endpoint => ({ ...this.plotToCanvas(endpoint.x, endpoint.y), closed: endpoint.closed }))
+            .filter(marker => marker.x >= plot_area.left && marker.x <= plot_area.right &&
+                              marker.y >= plot_area.top && marker.y <= plot_area.bottom)
+            .sort((a, b) => a.closed - b.closed);
+    }
+    
+    /**
+     * Draw a piecewise function with open and closed endpoint markers
+     * @param {Object} piecewise - Piecewise object
+     * side-effects: Draws pieces and markers on canvas
+     */
+    drawPiecewise(piecewise) {
+        if (!this.ensureMathForCurves()) return;
+        
+        try {
+            const geometry = this.getPiecewiseGeometry(piecewise);
+            this.context.strokeStyle = piecewise.color;
+            this.context.lineWidth = piecewise.width;
+            this.context.beginPath();
+            for (const points of geometry.pieces) {
+                this.traceCurveSegments(this.context, this.getCurveSegments(points));
+            }
+            this.context.stroke();
+            
+            if (!piecewise.show_endpoints) return;
+            for (const marker of this.getPiecewiseMarkers(geometry)) {
+                this.context.beginPath();
+                this.context.arc(marker.x, marker.y, piecewise.width + 2, 0, 2 * Math.PI);
+                this.context.fillStyle = marker.closed ? piecewise.color : 'white';
+                this.context.fill();
+                this.context.lineWidth = 1.5;
+                this.context.stroke();
+            }
+        } catch (error) {
+            console.error('Error drawing piecewise function:', error);
+        }
+    }
+    
+    /**
+     * Draw a piecewise function on the picking canvas, including its endpoint markers
+     * @param {Object} piecewise - Piecewise object
+     * @param {string} color - Picking color
+     * side-effects: Draws on picking canvas
+     */
+    drawPickingPiecewise(piecewise, color) {
+        if (!this.isMathLibraryReady()) return;
+        
+        const geometry = this.getPiecewiseGeometry(piecewise);
+        this.picking_context.strokeStyle = color;
+        this.picking_context.lineWidth = Math.max(4, piecewise.width || 2); // Make thicker for easier picking
+        this.picking_context.beginPath();
+        for (const points of geometry.pieces) {
+            this.traceCurveSegments(this.picking_context, this.getCurveSegments(points));
+        }
+        this.picking_context.stroke();
+        
+        if (!piecewise.show_endpoints) return;
+        for (const marker of this.getPiecewiseMarkers(geometry)) {
+            this.picking_context.beginPath();
+            this.picking_context.arc(marker.x, marker.y, piecewise.width + 4, 0, 2 * Math.PI);
+            this.picking_context.fill();
+        }
+    }
+    
+    /**
+     * Highlight a selected piecewise function
+     * @param {Object} piecewise - Piecewise object
+     * side-effects: Draws dashed highlight over the pieces (stroke style set by highlightObject)
+     */
+    highlightPiecewise(piecewise) {
+        if (!this.isMathLibraryReady()) return;
+        
+        this.context.lineWidth = Math.max(4, piecewise.width || 2) + 2; // Make thicker than the curve
+        this.context.setLineDash([5, 5]);
+        this.context.beginPath();
+        for (const points of this.getPiecewiseGeometry(piecewise).pieces) {
+            this.traceCurveSegments(this.context, this.getCurveSegments(points));
+        }
+        this.context.stroke();
+    }
+    
+    /**
+     * Split sampled plot points into continuous canvas paths
+     * A path ends at undefined samples, at samples outside the effective plot area
+     * and at jumps larger than 20% of the canvas height (discontinuities such as 1/x at 0)
+     * @param {Array<Object|null>} plot_points - Sampled plot coordinates {x, y}, null for gaps
+     * @returns {Array<Array<Object>>} Continuous segments of canvas coordinates {x, y}
+     */
+    getCurveSegments(plot_points) {
+        const effective_plot_area = this.getEffectivePlotArea();
+        const maxJump = this.canvas.height * 0.2; // 20% of canvas height as discontinuity threshold
+        const segments = [];
+        let current_segment = [];
+
+        for (const plot_point of plot_points) {
+            const canvasCoords = plot_point ? this.plotToCanvas(plot_point.x, plot_point.y) : null;
+            const is_visible = canvasCoords !== null &&
+                canvasCoords.x >= effective_plot_area.left &&
+                canvasCoords.x <= effective_plot_area.right &&
+                canvasCoords.y >= effective_plot_area.top &&
+                canvasCoords.y <= effective_plot_area.bottom;
+
+            if (!is_visible) {
+                if (current_segment.length > 0) segments.push(current_segment);
+                current_segment = [];
+                continue;
+            }
+
+            const last = current_segment[current_segment.length - 1];
+            if (last && Math.hypot(canvasCoords.x - last.x, canvasCoords.y - last.y) > maxJump) {
+                // Discontinuity detected - start new path
+                segments.push(current_segment);
+                current_segment = [];
+            }
+            current_segment.push(canvasCoords);
+        }
+
+        if (current_segment.length > 0) segments.push(current_segment);
+        return segments;
+    }
+
+    /**
+     * Get continuous canvas segments for a parametric, polar or implicit curve
+     * @param {Object} curve - Curve object
+     * @returns {Array<Array<Object>>} Segments of canvas coordinates {x, y}
+     */
+    getCurveCanvasSegments(curve) {
+        if (curve.type === 'implicit') return this.getImplicitCurveSegments(curve);
+        return this.getCurveSegments(this.sampleCurve(curve));
+    }
+
+    /**
+     * Add continuous canvas segments as subpaths of the current path
+     * @param {CanvasRenderingContext2D} context - Target context
+     * @param {Array<Array<Object>>} segments - Segments from getCurveSegments
+     * side-effects: Adds subpaths to the context's current path
+     */
+    traceCurveSegments(context, segments) {
+        for (const segment of segments) {
+            context.moveTo(segment[0].x, segment[0].y);
+            for (let i = 1; i < segment.length; i++) {
+                context.lineTo(segment[i].x, segment[i].y);
+            }
+        }
+    }
+
+    /**
+     * Convert a continuous canvas segment to SVG path data
+     * @param {Array<Object>} segment - Canvas coordinates {x, y}
+     * @returns {string} Path data ("M x y L x y ...")
+     */
+    getSegmentPathData(segment) {
+        return segment.map((point, index) => `${index === 0 ? 'M' : 'L'} ${point.x} ${point.y}`).join(' ');
+    }
+
+    /**
+     * Check that math.js is loaded before drawing curves, redrawing once it is
+     * @returns {boolean} True if the math library is ready now
+     * side-effects: Schedules a redraw once math.js is available
+     */
+    ensureMathForCurves() {
+        if (this.isMathLibraryReady()) return true;
+
+        console.warn('Math library not ready, skipping curve drawing');
+        const waitForMath = () => {
+            if (this.isMathLibraryReady()) {
+                this.redraw();
+            } else {
+                setTimeout(waitForMath, 100);
+            }
+        };
+        waitForMath();
+        return false;
+    }
+
+    /**
+     * Draw a parametric, polar or implicit curve
+     * @param {Object} curve - Parametric, polar or implicit curve object
+     * side-effects: Draws curve on canvas, split at discontinuities
+     */
+    drawCurve(curve) {
+        if (!this.ensureMathForCurves()) return;
+
+        try {
+            const segments = this.getCurveCanvasSegments(curve);
+            this.context.save();
+            this.context.strokeStyle = curve.color;
+            this.context.lineWidth = curve.width;
+            this.context.lineJoin = 'round';
+            this.context.beginPath();
+            this.traceCurveSegments(this.context, segments);
+            this.context.stroke();
+            this.context.restore();
+        } catch (error) {
+            console.error('Error drawing curve:', error);
+        }
+    }
+
+    /**
+     * Draw an individual object based on its type
+     * @param {Object} obj - Object to draw
+     * side-effects: Draws object on canvas
+     */
+    drawObject(obj) {
+        switch (obj.type) {
+            case 'point':
+                this.drawPoint(obj);
+                break;
+            case 'line':
+                this.drawLine(obj);
+                break;
+            case 'area':
+                this.drawArea(obj);
+                break;
+            case 'text':
+                this.drawText(obj);
+                break;
+            case 'brace':
+                this.drawBrace(obj);
+                break;
+            case 'arrow':
+                this.drawArrowObject(obj);
+                break;
+            case 'circle':
+            case 'ellipse':
+            case 'arc':
+            case 'polygon':
+                this.drawShape(obj);
+                break;
+            case 'polyline':
+                this.drawPolyline(obj);
+                break;
+            case 'function':
+                this.drawFunction(obj);
+                break;
+            case 'parametric':
+            case 'polar':
+            case 'implicit':
+                this.drawCurve(obj);
+                break;
+            case 'piecewise':
+                this.drawPiecewise(obj);
+                break;
+            case 'ode':
+                this.drawCurve(obj);
+                const initial_point = this.plotToCanvas(obj.x0, obj.y0);
+                this.context.fillStyle = obj.color;
+                this.context.beginPath();
+                this.context.arc(initial_point.x, initial_point.y, obj.width + 2, 0, 2 * Math.PI);
+                this.context.fill();
+                break;
+            case 'region':
+                this.drawRegion(obj);
+                break;
+            case 'integral':
+                this.drawIntegral(obj);
+                break;
+            case 'riemann':
+                this.drawRiemannSum(obj);
+                break;
+            case 'band':
+                this.drawBand(obj);
+                break;
+            case 'series':
+                this.drawSeries(obj);
+                break;
+            case 'bars':
+            case 'histogram':
+                this.drawBars(obj);
+                break;
+            case 'slope_field':
+            case 'vector_field':
+                this.drawField(obj);
+                break;
+            case 'scalar_field':
+                this.drawScalarField(obj);
+                break;
+            case 'tangent':
+                this.drawTangent(obj);
+                break;
+        }
+    }
+    
+    /**
+     * Draw a curly brace
+     * @param {Object} brace - Brace object
+     * side-effects: Draws brace on canvas
+     */
+    drawBrace(brace) {
+        // Default to 45deg style for new braces
+        const brace_style = brace.style || '45deg';
+        
+        if (brace_style === 'traditional') {
+            this.drawTraditionalBrace(brace);
+        } else if (brace_style === '45deg') {
+            this.draw45DegBrace(brace);
+        } else {
+            this.drawSmoothBrace(brace);
+        }
+    }
+    
+    /**
+     * Draw a smooth curly brace (original style)
+     * @param {Object} brace - Brace object
+     * side-effects: Draws smooth brace on canvas
+     */
+    drawSmoothBrace(brace) {
+        const start_coords = this.plotToCanvas(brace.x1, brace.y1);
+        const end_coords = this.plotToCanvas(brace.x2, brace.y2);
+        
+        const dx = end_coords.x - start_coords.x;
+        const dy = end_coords.y - start_coords.y;
+        const length = Math.sqrt(dx * dx + dy * dy);
+        
+        this.context.strokeStyle = brace.color;
+        this.context.lineWidth = 2;
+        this.context.beginPath();
+        
+        // Use brace width property or fallback to calculated value (2x thinner)
+        const brace_elevation = brace.elevation || brace.width || Math.min(20, length * 0.125);
+        const mirror_multiplier = brace.mirrored ? -1 : 1;
+        const perpX = -dy / length * brace_elevation * mirror_multiplier;
+        const perpY = dx / length * brace_elevation * mirror_multiplier;
+        
+        // Calculate mid point
+        const midX = (start_coords.x + end_coords.x) / 2;
+        const midY = (start_coords.y + end_coords.y) / 2;
+        
+        // Draw brace curve
+        this.context.moveTo(start_coords.x, start_coords.y);
+        this.context.quadraticCurveTo(midX + perpX, midY + perpY, midX, midY);
+        this.context.quadraticCurveTo(midX + perpX, midY + perpY, end_coords.x, end_coords.y);
+        
+        this.context.stroke();
+    }
+    
+    /**
+     * Draw a traditional curly brace with quarter circles and straight segments
+     * Following the exact pattern: quarter_circle -> line -> quarter_circle -> quarter_circle -> line -> quarter_circle
+     * @param {Object} brace - Brace object
+     * side-effects: Draws traditional brace on canvas
+     */
+    drawTraditionalBrace(brace) {
+        const start_coords = this.plotToCanvas(brace.x1, brace.y1);
+        const end_coords = this.plotToCanvas(brace.x2, brace.y2);
+        
+        const dx = end_coords.x - start_coords.x;
+        const dy = end_coords.y - start_coords.y;
+        const length = Math.sqrt(dx * dx + dy * dy);
+        
+        if (length < 20) return; // Skip very short braces
+        
+        this.context.strokeStyle = brace.color;
+        this.context.lineWidth = 2;
+        this.context.beginPath();
+        
+        // Use brace width property or fallback to calculated value (2x thinner)
+        const brace_elevation = brace.elevation || brace.width || Math.min(length * 0.125, 20);
+        const mirror_multiplier = brace.mirrored ? -1 : 1;
+        
+        // Unit vectors along and perpendicular to the brace line
+        const alongUnitX = dx / length;
+        const alongUnitY = dy / length;
+        const perpUnitX = -dy / length * mirror_multiplier;
+        const perpUnitY = dx / length * mirror_multiplier;
+        
+        // Quarter circle radius - half the brace width
+        const radius = brace_elevation / 2;
+        
+        // Calculate the 6 key points along the brace path following your specification:
+        // TOP: quarter_circle -> line -> quarter_circle (to tip)
+        // BOTTOM: quarter_circle -> line -> quarter_circle (from tip)
+        
+        const quarter_distance = length / 4;
+        
+        // Key positions along the brace
+        const p1_pos = radius; // End of first quarter circle
+        const p2_pos = quarter_distance; // Start of second quarter circle  
+        const tip_pos = length / 2; // Center tip
+        const p3_pos = length - quarter_distance; // Start of fifth quarter circle
+        const p4_pos = length - radius; // End of fifth quarter circle
+        
+        // Build the path following your exact specification
+        this.context.moveTo(start_coords.x, start_coords.y);
+        
+        // TOP HALF
+        // 1. First quarter circle (outward) - like "top left quarter of circle with center (2,7)"
+        const q1_end_x = start_coords.x + alongUnitX * p1_pos + perpUnitX * radius;
+        const q1_end_y = start_coords.y + alongUnitY * p1_pos + perpUnitY * radius;
+        const q1_ctrl_x = start_coords.x + perpUnitX * radius;
+        const q1_ctrl_y = start_coords.y + perpUnitY * radius;
+        this.context.quadraticCurveTo(q1_ctrl_x, q1_ctrl_y, q1_end_x, q1_end_y);
+        
+        // 2. Straight line - like "line from 1,7 to 1,5"
+        const line1_end_x = start_coords.x + alongUnitX * p2_pos + perpUnitX * radius;
+        const line1_end_y = start_coords.y + alongUnitY * p2_pos + perpUnitY * radius;
+        this.context.lineTo(line1_end_x, line1_end_y);
+        
+        // 3. Second quarter circle (inward to tip) - like "bottom right quarter of circle with center (0,5)"
+        const tip_x = start_coords.x + alongUnitX * tip_pos + perpUnitX * brace_elevation;
+        const tip_y = start_coords.y + alongUnitY * tip_pos + perpUnitY * brace_elevation;
+        const q2_ctrl_x = start_coords.x + alongUnitX * tip_pos + perpUnitX * radius;
+        const q2_ctrl_y = start_coords.y + alongUnitY * tip_pos + perpUnitY * radius;
+        this.context.quadraticCurveTo(q2_ctrl_x, q2_ctrl_y, tip_x, tip_y);
+        
+        // BOTTOM HALF (vertically mirrored)
+        // 4. Third quarter circle (outward from tip)
+        const q3_end_x = start_coords.x + alongUnitX * p3_pos + perpUnitX * radius;
+        const q3_end_y = start_coords.y + alongUnitY * p3_pos + perpUnitY * radius;
+        const q3_ctrl_x = start_coords.x + alongUnitX * tip_pos + perpUnitX * radius;
+        const q3_ctrl_y = start_coords.y + alongUnitY * tip_pos + perpUnitY * radius;
+        this.context.quadraticCurveTo(q3_ctrl_x, q3_ctrl_y, q3_end_x, q3_end_y);
+        
+        // 5. Straight line
+        const line2_end_x = start_coords.x + alongUnitX * p4_pos + perpUnitX * radius;
+        const line2_end_y = start_coords.y + alongUnitY * p4_pos + perpUnitY * radius;
+        this.context.lineTo(line2_end_x, line2_end_y);
+        
+        // 6. Fourth quarter circle (inward to end)
+        const q4_ctrl_x = end_coords.x + perpUnitX * radius;
+        const q4_ctrl_y = end_coords.y + perpUnitY * radius;
+        this.context.quadraticCurveTo(q4_ctrl_x, q4_ctrl_y, end_coords.x, end_coords.y);
+        
+        this.context.stroke();
+    }
+
+    /**
+     * Draw a 45-degree brace to prevent overlap at 90-degree corners
+     * Outer arcs are 1/8 circles (45°), inner arcs are 1/4 circles (90°)
+     * Straight segments are parallel to main brace line. Arc centers lie on normals
+     * passing through the ends of straight segments, ensuring C1 continuity.
+     * @param {Object} brace - Brace object
+     * side-effects: Draws 45deg brace on canvas
+     */
+    draw45DegBrace(brace) {
+        const start_coords = this.plotToCanvas(brace.x1, brace.y1);
+        const end_coords = this.plotToCanvas(brace.x2, brace.y2);
+        
+        this.context.strokeStyle = brace.color;
+        this.context.lineWidth = 2;
+        this.context.beginPath();
+        
+        // Draw two halves. Flip mirror sign for the first half
+        const mm = brace.mirrored ? -1 : 1;
+        this.draw45DegBraceHalf(start_coords, end_coords, -mm, brace);
+        this.draw45DegBraceHalf(end_coords, start_coords, mm, brace);
+        
+        this.context.stroke();
+    }
+
+    /**
+     * Draw one half of a 45-degree brace from S to midpoint
+     * @param {Object} S - Start canvas coords {x,y}
+     * @param {Object} E - End canvas coords {x,y}
+     * @param {Object} brace - Brace object (uses mirrored, width)
+     * side-effects: Appends to current canvas path
+     */
+    draw45DegBraceHalf(S, E, mirrorMultiplier, brace) {
+        const dx = E.x - S.x;
+        const dy = E.y - S.y;
+        const length = Math.sqrt(dx * dx + dy * dy);
+        if (length < 20) return;
+        
+        const mirror_multiplier = mirrorMultiplier;
+        const alongX = dx / length;
+        const alongY = dy / length;
+        const perpX = -dy / length * mirror_multiplier;
+        const perpY = dx / length * mirror_multiplier;
+        
+        const innerR = brace.elevation || brace.width ? Math.min(brace.elevation || brace.width, length / 6) : length / 6;
+        const outerR = innerR * Math.SQRT2;
+        const segLen = Math.max(0, length / 2 - 2 * innerR);
+        
+        const pt = (s, p) => ({ x: S.x + alongX * s + perpX * p, y: S.y + alongY * s + perpY * p });
+        const angle = (cx, cy, px, py) => Math.atan2(py - cy, px - cx);
+        const ccwForMinorArc = (a0, a1) => {
+            let d = a1 - a0;
+            while (d <= -Math.PI) d += 2 * Math.PI;
+            while (d > Math.PI) d -= 2 * Math.PI;
+            return d < 0;
+        };
+        
+        // Geometry for half: outer 1/8 arc -> straight -> inner 1/4 arc to midpoint
+        const C1 = pt(innerR, innerR);
+        const P1 = pt(innerR, innerR - outerR);
+        const P2 = pt(innerR + segLen, innerR - outerR);
+        const C2 = pt(innerR + segLen, -outerR);
+        const PM = pt(length / 2, -outerR);
+        
+        // Outer arc
+        this.context.moveTo(S.x, S.y);
+        let a0 = angle(C1.x, C1.y, S.x, S.y);
+        let a1 = angle(C1.x, C1.y, P1.x, P1.y);
+        this.context.arc(C1.x, C1.y, outerR, a0, a1, ccwForMinorArc(a0, a1));
+        // Straight
+        this.context.lineTo(P2.x, P2.y);
+        // Inner quarter to midpoint
+        a0 = angle(C2.x, C2.y, P2.x, P2.y);
+        a1 = angle(C2.x, C2.y, PM.x, PM.y);
+        this.context.arc(C2.x, C2.y, innerR, a0, a1, ccwForMinorArc(a0, a1));
+    }
+    
+    /**
+     * Draw line preview during drawing
+     * @param {Object} start - Start coordinates
+     * @param {Object} end - End coordinates
+     * side-effects: Draws preview line on canvas
+     */
+    drawLinePreview(start, end) {
+        const start_coords = this.plotToCanvas(start.x, start.y);
+        const end_coords = this.plotToCanvas(end.x, end.y);
+        
+        this.context.strokeStyle = '#2196F3';
+        this.context.lineWidth = 2;
+        this.context.setLineDash([5, 5]);
+        this.context.beginPath();
+        this.context.moveTo(start_coords.x, start_coords.y);
+        this.context.lineTo(end_coords.x, end_coords.y);
+        this.context.stroke();
+        this.context.setLineDash([]);
+    }
+    
+    /**
+     * Draw area preview during drawing
+     * @param {Object} start - Start coordinates
+     * @param {Object} end - End coordinates
+     * side-effects: Draws preview area on canvas
+     */
+    drawAreaPreview(start, end) {
+        const top_left = this.plotToCanvas(Math.min(start.x, end.x), Math.max(start.y, end.y));
+        const bottom_right = this.plotToCanvas(Math.max(start.x, end.x), Math.min(start.y, end.y));
+        
+        this.context.fillStyle = '#4CAF5020';
+        this.context.fillRect(top_left.x, top_left.y, bottom_right.x - top_left.x, bottom_right.y - top_left.y);
+        
+        this.context.strokeStyle = '#4CAF50';
+        this.context.lineWidth = 1;
+        this.context.setLineDash([5, 5]);
+        this.context.strokeRect(top_left.x, top_left.y, bottom_right.x - top_left.x, bottom_right.y - top_left.y);
+        this.context.setLineDash([]);
+    }
+    
+    /**
+     * Draw brace preview during drawing
+     * @param {Object} start - Start coordinates
+     * @param {Object} end - End coordinates
+     * side-effects: Draws preview brace on canvas
+     */
+    drawBracePreview(start, end) {
+        // Create a temporary brace object for preview (using 45deg style)
+        const length = Math.sqrt((end.x - start.x) ** 2 + (end.y - start.y) ** 2);
+        const default_elevation = 15; // Default elevation set to 15
+        
+        const temp_brace = {
+            x1: start.x,
+            y1: start.y,
+            x2: end.x,
+            y2: end.y,
+            color: '#333333',
+            mirrored: false,
+            style: '45deg',
+            elevation: default_elevation
+        };
+        
+        // Save current context state
+        this.context.save();
+        this.context.setLineDash([5, 5]);
+        
+        // Draw preview using 45deg style
+        this.drawBrace(temp_brace);
+        
+        // Restore context state
+        this.context.restore();
+    }
+    
+    /**
+     * Draw an arrow head
+     * @param {number} from_x - Start X coordinate
+     * @param {number} from_y - Start Y coordinate
+     * @param {number} to_x - End X coordinate
+     * @param {number} to_y - End Y coordinate
+     * @param {number} head_length - Length of the head sides in pixels
+     * @param {boolean} filled - Draw a filled triangle instead of two strokes
+     * side-effects: Draws arrow head on canvas
+     */
+    drawArrow(from_x, from_y, to_x, to_y, head_length = 10, filled = false) {
+        const head_points = this.getArrowHeadPoints(from_x, from_y, to_x, to_y, head_length);
+        
+        this.context.beginPath();
+        if (filled) {
+            this.context.moveTo(head_points.tip.x, head_points.tip.y);
+            this.context.lineTo(head_points.left.x, head_points.left.y);
+            this.context.lineTo(head_points.right.x, head_points.right.y);
+            this.context.closePath();
+            this.context.fill();
+        } else {
+            this.context.moveTo(head_points.tip.x, head_points.tip.y);
+            this.context.lineTo(head_points.left.x, head_points.left.y);
+            this.context.moveTo(head_points.tip.x, head_points.tip.y);
+            this.context.lineTo(head_points.right.x, head_points.right.y);
+            this.context.stroke();
+        }
+    }
+    
+    /**
+     * Calculate arrow head corner points
+     * @param {number} from_x - Start X coordinate
+     * @param {number} from_y - Start Y coordinate
+     * @param {number} to_x - Tip X coordinate
+     * @param {number} to_y - Tip Y coordinate
+     * @param {number} head_length - Length of the head sides in pixels
+     * @returns {Object} Head points {tip, left, right} in canvas coordinates
+     */
+    getArrowHeadPoints(from_x, from_y, to_x, to_y, head_length) {
+        const head_angle = Math.PI / 6;
+        const angle = Math.atan2(to_y - from_y, to_x - from_x);
+        
+        return {
+            tip: { x: to_x, y: to_y },
+            left: {
+                x: to_x - head_length * Math.cos(angle - head_angle),
+                y: to_y - head_length * Math.sin(angle - head_angle)
+            },
+            right: {
+                x: to_x - head_length * Math.cos(angle + head_angle),
+                y: to_y - head_length * Math.sin(angle + head_angle)
+            }
+        };
+    }
+    
+    /**
+     * Get canvas dash pattern for a dash style
+     * @param {string} dash_style - solid, dashed, dotted, or dashdot
+     * @param {number} line_width - Stroke width the pattern is scaled to
+     * @returns {number[]} Dash segment lengths (empty for solid)
+     */
+    getDashPattern(dash_style, line_width = 2) {
+        const unit = Math.max(1, line_width);
+        switch (dash_style) {
+            case 'dashed':
+                return [6 * unit, 4 * unit];
+            case 'dotted':
+                return [unit, 2 * unit];
+            case 'dashdot':
+                return [6 * unit, 3 * unit, unit, 3 * unit];
+            default:
+                return [];
+        }
+    }
+    
+    /**
+     * Calculate arrow shaft and heads in canvas coordinates
+     * Filled heads shorten the shaft so its stroke does not poke through the tip
+     * @param {Object} arrow - Arrow object
+     * @returns {Object|null} Geometry {shaft_start, shaft_end, heads, filled} or null if too short
+     */
+    getArrowGeometry(arrow) {
+        const start_coords = this.plotToCanvas(arrow.x1, arrow.y1);
+        const end_coords = this.plotToCanvas(arrow.x2, arrow.y2);
+        
+        const dx = end_coords.x - start_coords.x;
+        const dy = end_coords.y - start_coords.y;
+        const length = Math.sqrt(dx * dx + dy * dy);
+        
+        if (length < 1) return null; // Skip very short arrows
+        
+        const head_style = arrow.head_style || 'filled';
+        const head_size = Math.min(arrow.head_size || 12, length);
+        const filled = head_style === 'filled' || head_style === 'double';
+        const inset = filled ? head_size * Math.cos(Math.PI / 6) : 0;
+        const along_x = dx / length;
+        const along_y = dy / length;
+        
+        const heads = [];
+        let shaft_start = start_coords;
+        let shaft_end = end_coords;
+        
+        if (head_style !== 'none') {
+            heads.push(this.getArrowHeadPoints(start_coords.x, start_coords.y, end_coords.x, end_coords.y, head_size));
+            shaft_end = { x: end_coords.x - along_x * inset, y: end_coords.y - along_y * inset };
+        }
+        if (head_style === 'double') {
+            heads.push(this.getArrowHeadPoints(end_coords.x, end_coords.y, start_coords.x, start_coords.y, head_size));
+            shaft_start = { x: start_coords.x + along_x * inset, y: start_coords.y + along_y * inset };
+        }
+        
+        return { shaft_start, shaft_end, heads, filled };
+    }
+    
+    /**
+     * Draw an arrow object
+     * @param {Object} arrow - Arrow object
+     * side-effects: Draws arrow shaft and heads on canvas
+     */
+    drawArrowObject(arrow) {
+        const geometry = this.getArrowGeometry(arrow);
+        if (geometry === null) return;
+        
+        this.context.save();
+        this.context.strokeStyle = arrow.color;
+        this.context.fillStyle = arrow.color;
+        this.context.lineWidth = arrow.width;
+        
+        // Shaft uses the dash pattern, heads are always solid
+        this.context.setLineDash(this.getDashPattern(arrow.dash_style, arrow.width));
+        this.context.beginPath();
+        this.context.moveTo(geometry.shaft_start.x, geometry.shaft_start.y);
+        this.context.lineTo(geometry.shaft_end.x, geometry.shaft_end.y);
+        this.context.stroke();
+        this.context.setLineDash([]);
+        
+        for (const head of geometry.heads) {
+            this.context.beginPath();
+            this.context.moveTo(head.left.x, head.left.y);
+            this.context.lineTo(head.tip.x, head.tip.y);
+            this.context.lineTo(head.right.x, head.right.y);
+            if (geometry.filled) {
+                this.context.closePath();
+                this.context.fill();
+            } else {
+                this.context.stroke();
+            }
+        }
+        
+        this.context.restore();
+    }
+    
+    /**
+     * Draw arrow preview during drawing
+     * @param {Object} start - Start coordinates
+     * @param {Object} end - End coordinates
+     * side-effects: Draws preview arrow on canvas
+     */
+    drawArrowPreview(start, end) {
+        const temp_arrow = {
+            x1: start.x,
+            y1: start.y,
+            x2: end.x,
+            y2: end.y,
+            color: '#333333',
+            width: 2,
+            head_style: 'filled',
+            head_size: 12,
+            dash_style: 'dashed'
+        };
+        
+        this.drawArrowObject(temp_arrow);
+    }
+    
+    /**
+     * Highlight selected object
+     * @param {Object} obj - Object to highlight
+     * side-effects: Draws highlight around object
+     */
+    highlightObject(obj) {
+        this.context.strokeStyle = '#ff4444';
+        this.context.lineWidth = 2;
+        this.context.setLineDash([3, 3]);
+        
+        switch (obj.type) {
+            case 'point':
+                const point_coords = this.plotToCanvas(obj.x, obj.y);
+                this.context.beginPath();
+                this.context.arc(point_coords.x, point_coords.y, obj.size + 3, 0, 2 * Math.PI);
+                this.context.stroke();
+                break;
+            case 'line':
+            case 'arrow':
+                this.highlightLineBBox(obj);
+                break;
+            case 'area':
+                const area_top_left = this.plotToCanvas(obj.x1, obj.y2);
+                const area_bottom_right = this.plotToCanvas(obj.x2, obj.y1);
+                this.context.strokeRect(area_top_left.x - 2, area_top_left.y - 2, 
+                                       area_bottom_right.x - area_top_left.x + 4, 
+                                       area_bottom_right.y - area_top_left.y + 4);
+                break;
+            case 'text':
+                this.highlightTextBBox(obj);
+                break;
+            case 'brace':
+                this.highlightBraceBBox(obj);
+                break;
+            case 'function':
+                this.highlightFunction(obj);
+                break;
+            case 'piecewise':
+                this.highlightPiecewise(obj);
+                break;
+            case 'parametric':
+            case 'polar':
+            case 'implicit':
+            case 'ode':
+                this.highlightCurve(obj);
+                break;
+            case 'series':
+                const series_bounds = this.getSeriesBounds(obj);
+                const series_margin = obj.marker_size + 4;
+                this.context.strokeRect(series_bounds.left - series_margin, series_bounds.top - series_margin,
+                                       series_bounds.right - series_bounds.left + 2 * series_margin,
+                                       series_bounds.bottom - series_bounds.top + 2 * series_margin);
+                break;
+            case 'slope_field':
+            case 'vector_field':
+            case 'scalar_field':
+                const field_area = this.getEffectivePlotArea();
+                this.context.strokeRect(field_area.left + 2, field_area.top + 2,
+                                       field_area.right - field_area.left - 4,
+                                       field_area.bottom - field_area.top - 4);
+                break;
+            case 'tangent':
+                const highlight_tangent = this.isMathLibraryReady() ? this.getTangentGeometry(obj) : null;
+                if (highlight_tangent) {
+                    const highlight_anchor = this.plotToCanvas(highlight_tangent.anchor.x, highlight_tangent.anchor.y);
+                    this.context.strokeRect(highlight_anchor.x - 8, highlight_anchor.y - 8, 16, 16);
+                }
+                break;
+            case 'riemann':
+                const highlight_riemann = this.isMathLibraryReady() ? this.getRiemannGeometry(obj) : null;
+                if (highlight_riemann) {
+                    this.context.save();
+                    this.clipToPlotArea(this.context);
+                    this.context.beginPath();
+                    this.traceIntegralPolygons(this.context, [
+                        ...highlight_riemann.rects.map(rect => [
+                            { x: rect.x1, y: rect.y1 }, { x: rect.x1, y: rect.y2 }, { x: rect.x2, y: rect.y2 }, { x: rect.x2, y: rect.y1 }
+                        ]),
+                        ...highlight_riemann.trapezoids
+                    ]);
+                    this.context.stroke();
+                    this.context.restore();
+                }
+                break;
+            case 'bars':
+            case 'histogram':
+                const bar_bounds = this.getBarBounds(obj);
+                if (bar_bounds) {
+                    this.context.strokeRect(bar_bounds.left - 2, bar_bounds.top - 2,
+                                           bar_bounds.right - bar_bounds.left + 4,
+                                           bar_bounds.bottom - bar_bounds.top + 4);
+                }
+                break;
+            case 'integral':
+            case 'band':
+                let highlight_polygons = null;
+                try {
+                    if (obj.type === 'band') {
+                        highlight_polygons = obj.source === 'data' || this.isMathLibraryReady() ? this.getBandPolygons(obj) : null;
+                    } else {
+                        const highlight_geometry = this.isMathLibraryReady() ? this.getIntegralGeometry(obj) : null;
+                        highlight_polygons = highlight_geometry ? highlight_geometry.polygons : null;
+                    }
+                } catch (error) {
+                    console.error('Error highlighting filled region:', error);
+                }
+                if (highlight_polygons) {
+                    this.context.save();
+                    this.clipToPlotArea(this.context);
+                    this.context.beginPath();
+                    this.traceIntegralPolygons(this.context, highlight_polygons);
+                    this.context.stroke();
+                    this.context.restore();
+                }
+                break;
+            case 'region':
+                const region_bounds = this.isMathLibraryReady() ? this.getRegionBounds(obj) : null;
+                if (region_bounds) {
+                    this.context.strokeRect(region_bounds.left - 2, region_bounds.top - 2,
+                                           region_bounds.right - region_bounds.left + 4,
+                                           region_bounds.bottom - region_bounds.top + 4);
+                }
+                break;
+            case 'circle':
+            case 'ellipse':
+            case 'arc':
+                this.highlightShape(obj);
+                break;
+            case 'polygon':
+            case 'polyline':
+                this.highlightVertices(obj);
+                break;
+        }
+        
+        this.context.setLineDash([]);
+    }
+    
+    /**
+     * Highlight text bounding box with proper rotation
+     * @param {Object} text_obj - Text object to highlight
+     * side-effects: Draws rotated highlight around text
+     */
+    highlightTextBBox(text_obj) {
+        // Get text dimensions by measuring
+        this.context.save();
+        this.context.font = `${text_obj.font_size}px ${text_obj.font_family}`;
+        const text_metrics = this.context.measureText(text_obj.text);
+        const text_width = text_metrics.width;
+        const text_height = text_obj.font_size; // Approximate height
+        this.context.restore();
+        
+        // Convert text position to canvas coordinates
+        const text_canvas_coords = this.plotToCanvas(text_obj.x, text_obj.y);
+        
+        // Add some padding around the text
+        const padding = 3;
+        const bbox_width = text_width + 2 * padding;
+        const bbox_height = text_height + 2 * padding;
+        
+        this.context.save();
+        
+        // Apply rotation if specified
+        if (text_obj.rotation && text_obj.rotation !== 0) {
+            this.context.translate(text_canvas_coords.x, text_canvas_coords.y);
+            this.context.rotate((text_obj.rotation * Math.PI) / 180);
+            
+            // Draw rotated bounding box (text extends to the right and up from anchor point)
+            this.context.strokeRect(-padding, -text_height - padding, bbox_width, bbox_height);
+        } else {
+            // Draw non-rotated bounding box
+            this.context.strokeRect(text_canvas_coords.x - padding, 
+                                   text_canvas_coords.y - text_height - padding, 
+                                   bbox_width, bbox_height);
+        }
+        
+        this.context.restore();
+    }
+    
+    /**
+     * Highlight line bounding box (rotated rectangle around the line)
+     * @param {Object} line_obj - Line object to highlight
+     * side-effects: Draws dashed rotated rectangle highlight
+     */
+    highlightLineBBox(line_obj) {
+        const start_coords = this.plotToCanvas(line_obj.x1, line_obj.y1);
+        const end_coords = this.plotToCanvas(line_obj.x2, line_obj.y2);
+        
+        // Calculate line dimensions
+        const dx = end_coords.x - start_coords.x;
+        const dy = end_coords.y - start_coords.y;
+        const length = Math.sqrt(dx * dx + dy * dy);
+        
+        if (length < 1) return; // Skip very short lines
+        
+        // Calculate perpendicular direction for line width
+        const along_x = dx / length;
+        const along_y = dy / length;
+        const perp_x = -along_y;
+        const perp_y = along_x;
+        
+        // Line extends in perpendicular direction based on width
+        const line_width = Math.max(8, (line_obj.width || 2) * 4); // Match picking bbox thickness
+        const half_width = line_width / 2;
+        
+        // Create bounding box around the line
+        const bbox_points = [
+            {
+                x: start_coords.x + perp_x * half_width,
+                y: start_coords.y + perp_y * half_width
+            },
+            {
+                x: start_coords.x - perp_x * half_width,
+                y: start_coords.y - perp_y * half_width
+            },
+            {
+                x: end_coords.x - perp_x * half_width,
+                y: end_coords.y - perp_y * half_width
+            },
+            {
+                x: end_coords.x + perp_x * half_width,
+                y: end_coords.y + perp_y * half_width
+            }
+        ];
+        
+        // Draw dashed polygon
+        this.context.save();
+        this.context.strokeStyle = '#ff4444';
+        this.context.lineWidth = 2;
+        this.context.setLineDash([5, 5]); // Dashed pattern
+        this.context.beginPath();
+        this.context.moveTo(bbox_points[0].x, bbox_points[0].y);
+        for (let i = 1; i < bbox_points.length; i++) {
+            this.context.lineTo(bbox_points[i].x, bbox_points[i].y);
+        }
+        this.context.closePath();
+        this.context.stroke();
+        this.context.restore();
+    }
+    
+    /**
+     * Highlight brace bounding box (dashed polygon matching picking bbox)
+     * @param {Object} brace_obj - Brace object to highlight
+     * side-effects: Draws dashed polygon highlight around brace
+     */
+    highlightBraceBBox(brace_obj) {
+        const start_coords = this.plotToCanvas(brace_obj.x1, brace_obj.y1);
+        const end_coords = this.plotToCanvas(brace_obj.x2, brace_obj.y2);
+        
+        // Calculate brace dimensions (same logic as picking bbox)
+        const dx = end_coords.x - start_coords.x;
+        const dy = end_coords.y - start_coords.y;
+        const length = Math.sqrt(dx * dx + dy * dy);
+        
+        if (length < 1) return; // Skip very short braces
+        
+        // Calculate perpendicular direction for brace elevation
+        const along_x = dx / length;
+        const along_y = dy / length;
+        const perp_x = -along_y;
+        const perp_y = along_x;
+        
+        // Brace extends in perpendicular direction based on elevation
+        const brace_elevation = (brace_obj.elevation || brace_obj.width || 15) * 2; // Match picking bbox
+        const half_width = brace_elevation / 2;
+        
+        // Create bounding box around the brace
+        const bbox_points = [
+            {
+                x: start_coords.x + perp_x * half_width,
+                y: start_coords.y + perp_y * half_width
+            },
+            {
+                x: start_coords.x - perp_x * half_width,
+                y: start_coords.y - perp_y * half_width
+            },
+            {
+                x: end_coords.x - perp_x * half_width,
+                y: end_coords.y - perp_y * half_width
+            },
+            {
+                x: end_coords.x + perp_x * half_width,
+                y: end_coords.y + perp_y * half_width
+            }
+        ];
+        
+        // Draw dashed polygon
+        this.context.save();
+        this.context.strokeStyle = '#ff4444';
+        this.context.lineWidth = 2;
+        this.context.setLineDash([5, 5]); // Dashed pattern
+        this.context.beginPath();
+        this.context.moveTo(bbox_points[0].x, bbox_points[0].y);
+        for (let i = 1; i < bbox_points.length; i++) {
+            this.context.lineTo(bbox_points[i].x, bbox_points[i].y);
+        }
+        this.context.closePath();
+        this.context.stroke();
+        this.context.restore();
+    }
+
+    /**
+     * Highlight circle, ellipse or arc with dashed outline and center marker
+     * @param {Object} shape - Shape object to highlight
+     * side-effects: Draws dashed outline and center cross on canvas
+     */
+    highlightShape(shape) {
+        const outline = this.getShapeOutline(shape);
+        const center = this.plotToCanvas(shape.cx, shape.cy);
+        
+        this.context.save();
+        this.context.strokeStyle = '#ff4444';
+        this.context.lineWidth = (shape.border_width || 1) + 2;
+        this.context.setLineDash([5, 5]);
+        this.tracePath(this.context, outline);
+        this.context.stroke();
+        
+        // Center marker
+        this.context.setLineDash([]);
+        this.context.lineWidth = 1;
+        this.context.beginPath();
+        this.context.moveTo(center.x - 4, center.y);
+        this.context.lineTo(center.x + 4, center.y);
+        this.context.moveTo(center.x, center.y - 4);
+        this.context.lineTo(center.x, center.y + 4);
+        this.context.stroke();
+        this.context.restore();
+    }
+
+    /**
+     * Highlight polygon or polyline with dashed outline and draggable vertex handles
+     * @param {Object} shape - Polygon or polyline object to highlight
+     * side-effects: Draws dashed outline and square vertex handles on canvas
+     */
+    highlightVertices(shape) {
+        const outline = this.getShapeOutline(shape);
+        
+        this.context.save();
+        this.context.strokeStyle = '#ff4444';
+        this.context.lineWidth = 2;
+        this.context.setLineDash([5, 5]);
+        this.tracePath(this.context, outline);
+        this.context.stroke();
+        
+        // Vertex handles (matching the hit area of getVertexHandleAt)
+        this.context.setLineDash([]);
+        this.context.fillStyle = '#ffffff';
+        for (const point of outline.points) {
+            this.context.fillRect(point.x - 5, point.y - 5, 10, 10);
+            this.context.strokeRect(point.x - 5, point.y - 5, 10, 10);
+        }
+        this.context.restore();
+    }
+
+    /**
+     * Highlight parametric, polar or implicit curve with dashed outline
+     * @param {Object} curve - Parametric, polar or implicit curve object to highlight
+     * side-effects: Draws dashed highlight along the curve
+     */
+    highlightCurve(curve) {
+        if (!this.ensureMathForCurves()) return;
+
+        try {
+            const segments = this.getCurveCanvasSegments(curve);
+            this.context.strokeStyle = '#ff4444';
+            this.context.lineWidth = Math.max(4, curve.width || 2) + 2; // Make thicker than the curve line
+            this.context.setLineDash([5, 5]);
+            this.context.beginPath();
+            this.traceCurveSegments(this.context, segments);
+            this.context.stroke();
+        } catch (error) {
+            console.error('Error highlighting curve:', error);
+        }
+    }
+
+    /**
+     * Highlight function with dashed outline
+     * @param {Object} func_obj - Function object to highlight
+     * side-effects: Draws dashed highlight around function
+     */
+    highlightFunction(func_obj) {
+        if (!this.isMathLibraryReady()) {
+            console.warn('Math library not ready, skipping function highlighting');
+            // Wait for math library to be ready
+            const waitForMath = () => {
+                if (this.isMathLibraryReady()) {
+                    this.redraw();
+                } else {
+                    setTimeout(waitForMath, 100);
+                }
+            };
+            waitForMath();
+            return;
+        }
+
+        try {
+            const segments = this.getCurveSegments(this.sampleFunction(func_obj));
+
+            this.context.strokeStyle = '#ff4444';
+            this.context.lineWidth = Math.max(4, func_obj.width || 2) + 2; // Make thicker than the function line
+            this.context.setLineDash([5, 5]); // Dashed pattern
+            this.context.beginPath();
+            this.traceCurveSegments(this.context, segments);
+            this.context.stroke();
+
+        } catch (error) {
+            console.error('Error highlighting function:', error);
+            // Draw a simple error indicator
+            this.context.strokeStyle = '#ff0000';
+            this.context.lineWidth = 2;
+            this.context.setLineDash([5, 5]);
+            this.context.beginPath();
+            this.context.moveTo(this.canvas.width / 2 - 50, this.canvas.height / 2);
+            this.context.lineTo(this.canvas.width / 2 + 50, this.canvas.height / 2);
+            this.context.stroke();
+        }
+
+        this.context.setLineDash([]);
+    }
+
+    /**
+     * Update coordinate display
+     * @param {Object} coords - Current coordinates
+     * side-effects: Updates coordinate display element
+     */
+    updateCoordinateDisplay(coords, trace = null) {
+        const coordinate_element = document.getElementById('coordinates');
+        if (coordinate_element) {
+            coordinate_element.textContent = trace ?
+                this.getTraceLines(trace).join(', ') :
+                `(${coords.x.toFixed(2)}, ${coords.y.toFixed(2)})`;
+        }
+    }
+    
+    /**
+     * Enable or disable tracing functions under the cursor
+     * @param {boolean} enabled - Whether hovering near a function shows the trace marker
+     * side-effects: Updates trace_enabled, removes the current trace marker
+     */
+    setTraceEnabled(enabled) {
+        this.trace_enabled = enabled;
+        if (this.trace) {
+            this.trace = null;
+            this.redraw();
+        }
+    }
+    
+    /**
+     * Find the function curve closest to the cursor at the cursor's x position
+     * The selected function, if any other, is evaluated at the same x for comparison
+     * @param {Object} canvas_coords - Cursor canvas coordinates {x, y}
+     * @param {Object} plot_coords - Cursor plot coordinates {x, y}
+     * @returns {Object|null} {func, x, y, slope, second: {func, y} or null}, or null if no curve is near
+     */
+    getTraceAt(canvas_coords, plot_coords) {
+        const x = plot_coords.x;
+        let best = null;
+        
+        for (const func of this.plot_objects) {
+            if (func.type !== 'function') continue;
+            if ((func.xMin !== null && x < func.xMin) || (func.xMax !== null && x > func.xMax)) continue;
+            
+            let evaluators;
+            try {
+                evaluators = this.getFunctionEvaluators(func);
+            } catch (error) {
+                continue;
+            }
+            const y = evaluators[0](x);
+            if (!isFinite(y)) continue;
+            
+            const distance = Math.abs(this.plotToCanvas(x, y).y - canvas_coords.y);
+            if (distance <= this.trace_distance && (!best || distance < best.distance)) {
+                best = { func, x, y, slope: evaluators[1](x), distance };
+            }
+        }
+        if (!best) return null;
+        
+        const trace = { func: best.func, x: best.x, y: best.y, slope: best.slope, second: null };
+        const selected = this.selected_object;
+        if (selected && selected.type === 'function' && selected !== best.func) {
+            try {
+                trace.second = { func: selected, y: this.getFunctionEvaluators(selected)[0](x) };
+            } catch (error) {
+                // Leave out a selected function that cannot be evaluated
+            }
+        }
+        return trace;
+    }
+    
+    /**
+     * Format the readout of a function trace
+     * @param {Object} trace - Trace {func, x, y, slope, second}
+     * @returns {string[]} Readout lines
+     */
+    getTraceLines(trace) {
+        const format = (value) => isFinite(value) ? String(+value.toFixed(4)) : 'undefined';
+        const lines = [`(${format(trace.x)}, ${format(trace.y)})`, `slope ${format(trace.slope)}`];
+        if (trace.second) {
+            lines.push(`${trace.second.func.expression} = ${format(trace.second.y)}`);
+        }
+        return lines;
+    }
+    
+    /**
+     * Update the function trace for the current cursor position
+     * @param {Object} canvas_coords - Cursor canvas coordinates {x, y}
+     * @param {Object} plot_coords - Cursor plot coordinates {x, y}
+     * side-effects: Updates trace and its marker, updates coordinate display
+     */
+    updateTrace(canvas_coords, plot_coords) {
+        const trace = this.trace_enabled ? this.getTraceAt(canvas_coords, plot_coords) : null;
+        if (!trace && !this.trace) return;
+        
+        this.trace_cursor = canvas_coords;
+        this.showTrace(trace);
+        if (trace) {
+            this.updateCoordinateDisplay(plot_coords, trace);
+        }
+    }
+    
+    /**
+     * Replace the trace marker on the main canvas
+     * Only the marker is redrawn over the stored scene; the plot is redrawn if no scene is stored
+     * @param {Object|null} trace - Trace {func, x, y, slope, second}, or null to remove the marker
+     * side-effects: Updates trace, draws on the main canvas
+     */
+    showTrace(trace) {
+        this.trace = trace;
+        if (!this.trace_background) {
+            this.redraw();
+            return;
+        }
+        
+        this.context.putImageData(this.trace_background, 0, 0);
+        if (trace) {
+            this.drawTrace(trace);
+        }
+    }
+    
+    /**
+     * Draw the trace marker on its curve and a tooltip with the readout
+     * @param {Object} trace - Trace {func, x, y, slope, second}
+     * side-effects: Draws on the main canvas
+     */
+    drawTrace(trace) {
+        const marker = this.plotToCanvas(trace.x, trace.y);
+        
+        this.context.save();
+        this.context.setLineDash([]);
+        this.context.fillStyle = 'white';
+        this.context.strokeStyle = trace.func.color;
+        this.context.lineWidth = 2;
+        this.context.beginPath();
+        this.context.arc(marker.x, marker.y, 5, 0, 2 * Math.PI);
+        this.context.fill();
+        this.context.stroke();
+        
+        const lines = this.getTraceLines(trace);
+        const line_height = 16;
+        const padding = 6;
+        this.context.font = '12px monospace';
+        const box_width = Math.max(...lines.map(line => this.context.measureText(line).width)) + 2 * padding;
+        const box_height = lines.length * line_height + padding;
+        
+        // Keep the tooltip inside the canvas
+        let box_x = marker.x + 12;
+        let box_y = marker.y - 12 - box_height;
+        if (box_x + box_width > this.canvas.width) box_x = marker.x - 12 - box_width;
+        if (box_y < 0) box_y = marker.y + 12;
+        
+        this.context.fillStyle = 'rgba(0, 0, 0, 0.8)';
+        this.context.fillRect(box_x, box_y, box_width, box_height);
+        this.context.fillStyle = 'white';
+        this.context.textBaseline = 'top';
+        lines.forEach((line, index) => {
+            this.context.fillText(line, box_x + padding, box_y + padding + index * line_height);
+        });
+        this.context.restore();
+    }
+    
+    /**
+     * Generate SVG representation of the plot
+     * @returns {string} SVG content as string
+     */
+    generateSVG() {
+        const svg_width = this.canvas.width;
+        const svg_height = this.canvas.height;
+        
+        let svg_content = `<?xml version="1.0" encoding="UTF-8"?>
+<svg width="${svg_width}" height="${svg_height}" viewBox="0 0 ${svg_width} ${svg_height}" 
+     xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink">
+<defs>
+    <style>
+        .grid-line { stroke: #e0e0e0; stroke-width: 0.5; }
+        .axis-line { stroke: #333; stroke-width: 2; }
+        .axis-text { font-family: Arial, sans-serif; font-size: 12px; fill: #333; }
+    </style>
+</defs>
+<rect width="100%" height="100%" fill="white"/>`;
+
+        // Add axes and grid
+        svg_content += this.generateAxesSVG();
+        
+        // Add all objects
+        for (const obj of this.plot_objects) {
+            svg_content += this.generateObjectSVG(obj);
+        }
+        
+        svg_content += '\n</svg>';
+        return svg_content;
+    }
+    
+    /**
+     * Generate SVG for axes and grid
+     * @returns {string} SVG elements for axes
+     */
+    generateAxesSVG() {
+        // Calculate effective dimensions considering aspect ratio (same as drawAxes)
+        const plot_x_range = this.plot_bounds.x_max - this.plot_bounds.x_min;
+        const plot_y_range = this.plot_bounds.y_max - this.plot_bounds.y_min;
+        const aspect_ratio = this.axes_properties.aspect_ratio;
+        
+        // Determine which dimension constrains the scaling
+        const canvas_aspect = this.plot_width / this.plot_height;
+        const plot_aspect = (plot_x_range * aspect_ratio) / plot_y_range;
+        
+        let effective_width, effective_height, x_offset, y_offset;
+        
+        if (plot_aspect > canvas_aspect) {
+            // X dimension constrains - use full width
+            effective_width = this.plot_width;
+            effective_height = this.plot_width / plot_aspect;
+            x_offset = 0;
+            y_offset = (this.plot_height - effective_height) / 2;
+        } else {
+            // Y dimension constrains - use full height
+            effective_height = this.plot_height;
+            effective_width = this.plot_height * plot_aspect;
+            x_offset = (this.plot_width - effective_width) / 2;
+            y_offset = 0;
+        }
+        
+        // Calculate effective plot area bounds
+        const plot_left = this.canvas_padding + x_offset;
+        const plot_right = this.canvas_padding + x_offset + effective_width;
+        const plot_top = this.canvas_padding + y_offset;
+        const plot_bottom = this.canvas_padding + y_offset + effective_height;
+        
+        let svg_elements = '\n<!-- Axes and Grid -->';
+        
+        // Grid
+        if (this.axes_properties.show_grid) {
+            svg_elements += '\n<g class="grid">';
+            
+            // Vertical grid lines
+            const x_step = (this.plot_bounds.x_max - this.plot_bounds.x_min) / 10;
+            for (let x = this.plot_bounds.x_min; x <= this.plot_bounds.x_max; x += x_step) {
+                const canvas_coords = this.plotToCanvas(x, 0);
+                svg_elements += `\n  <line x1="${canvas_coords.x}" y1="${plot_top}" x2="${canvas_coords.x}" y2="${plot_bottom}" class="grid-line"/>`;
+            }
+            
+            // Horizontal grid lines
+            const y_step = (this.plot_bounds.y_max - this.plot_bounds.y_min) / 10;
+            for (let y = this.plot_bounds.y_min; y <= this.plot_bounds.y_max; y += y_step) {
+                const canvas_coords = this.plotToCanvas(0, y);
+                svg_elements += `\n  <line x1="${plot_left}" y1="${canvas_coords.y}" x2="${plot_right}" y2="${canvas_coords.y}" class="grid-line"/>`;
+            }
+            
+            svg_elements += '\n</g>';
+        }
+        
+        // Main axes
+        svg_elements += '\n<g class="axes">';
+        
+        // X-axis
+        const x_axis_y = this.plotToCanvas(0, 0).y;
+        svg_elements += `\n  <line x1="${plot_left}" y1="${x_axis_y}" x2="${plot_right}" y2="${x_axis_y}" class="axis-line"/>`;
+        
+        // X-axis arrow
+        svg_elements += `\n  <polygon points="${plot_right},${x_axis_y} ${plot_right - 10},${x_axis_y - 5} ${plot_right - 10},${x_axis_y + 5}" fill="#333"/>`;
+        
+        // Y-axis
+        const y_axis_x = this.plotToCanvas(0, 0).x;
+        svg_elements += `\n  <line x1="${y_axis_x}" y1="${plot_top}" x2="${y_axis_x}" y2="${plot_bottom}" class="axis-line"/>`;
+        
+        // Y-axis arrow
+        svg_elements += `\n  <polygon points="${y_axis_x},${plot_top} ${y_axis_x - 5},${plot_top + 10} ${y_axis_x + 5},${plot_top + 10}" fill="#333"/>`;
+        
+        // X-axis ticks and labels
+        svg_elements += this.generateXTicksSVG(plot_left, plot_right, x_axis_y, y_axis_x);
+        
+        // Y-axis ticks and labels
+        svg_elements += this.generateYTicksSVG(plot_top, plot_bottom, y_axis_x, x_axis_y);
+        
+        // Axis labels
+        svg_elements += `\n  <text x="${plot_right + 5}" y="${x_axis_y + 5}" font-family="Arial" font-size="14" fill="#333">${this.escapeXML(this.axes_properties.x_label)}</text>`;
+        svg_elements += `\n  <text x="${y_axis_x - 5}" y="${plot_top - 5}" font-family="Arial" font-size="14" fill="#333">${this.escapeXML(this.axes_properties.y_label)}</text>`;
+        
+        svg_elements += '\n</g>';
+        
+        return svg_elements;
+    }
+    
+    /**
+     * Generate SVG for X-axis ticks and labels
+     * @param {number} plot_left - Left bound of plot area
+     * @param {number} plot_right - Right bound of plot area
+     * @param {number} x_axis_y - Y coordinate of X-axis
+     * @param {number} y_axis_x - X coordinate of Y-axis
+     * @returns {string} SVG elements for X ticks
+     */
+    generateXTicksSVG(plot_left, plot_right, x_axis_y, y_axis_x) {
+        let svg_elements = '\n  <!-- X-axis ticks and labels -->';
+        
+        const x_step = (this.plot_bounds.x_max - this.plot_bounds.x_min) / 10;
+        const tick_length = 5;
+        
+        for (let x = this.plot_bounds.x_min; x <= this.plot_bounds.x_max; x += x_step) {
+            const canvas_coords = this.plotToCanvas(x, 0);
+            
+            // Skip if outside effective plot area
+            if (canvas_coords.x < plot_left || canvas_coords.x > plot_right) continue;
+            
+            // Draw tick mark
+            svg_elements += `\n  <line x1="${canvas_coords.x}" y1="${x_axis_y - tick_length}" x2="${canvas_coords.x}" y2="${x_axis_y + tick_length}" stroke="#333" stroke-width="1"/>`;
+            
+            // Draw label (skip 0 if it's too close to Y-axis)
+            if (Math.abs(canvas_coords.x - y_axis_x) > 15) {
+                svg_elements += `\n  <text x="${canvas_coords.x}" y="${x_axis_y + tick_length + 12}" font-family="Arial" font-size="10" fill="#333" text-anchor="middle">${x.toFixed(1)}</text>`;
+            }
+        }
+        
+        return svg_elements;
+    }
+    
+    /**
+     * Generate SVG for Y-axis ticks and labels
+     * @param {number} plot_top - Top bound of plot area
+     * @param {number} plot_bottom - Bottom bound of plot area
+     * @param {number} y_axis_x - X coordinate of Y-axis
+     * @param {number} x_axis_y - Y coordinate of X-axis
+     * @returns {string} SVG elements for Y ticks
+     */
+    generateYTicksSVG(plot_top, plot_bottom, y_axis_x, x_axis_y) {
+        let svg_elements = '\n  <!-- Y-axis ticks and labels -->';
+        
+        const y_step = (this.plot_bounds.y_max - this.plot_bounds.y_min) / 10;
+        const tick_length = 5;
+        
+        for (let y = this.plot_bounds.y_min; y <= this.plot_bounds.y_max; y += y_step) {
+            const canvas_coords = this.plotToCanvas(0, y);
+            
+            // Skip if outside effective plot area
+            if (canvas_coords.y < plot_top || canvas_coords.y > plot_bottom) continue;
+            
+            // Draw tick mark
+            svg_elements += `\n  <line x1="${y_axis_x - tick_length}" y1="${canvas_coords.y}" x2="${y_axis_x + tick_length}" y2="${canvas_coords.y}" stroke="#333" stroke-width="1"/>`;
+            
+            // Draw label (skip 0 if it's too close to X-axis)
+            if (Math.abs(canvas_coords.y - x_axis_y) > 15) {
+                svg_elements += `\n  <text x="${y_axis_x - tick_length - 2}" y="${canvas_coords.y + 3}" font-family="Arial" font-size="10" fill="#333" text-anchor="end">${y.toFixed(1)}</text>`;
+            }
+        }
+        
+        return svg_elements;
+    }
+    
+    /**
+     * Generate SVG for a plot object
+     * @param {Object} obj - Plot object
+     * @returns {string} SVG elements for the object
+     */
+    generateObjectSVG(obj) {
+        switch (obj.type) {
+            case 'point':
+                return this.generatePointSVG(obj);
+            case 'line':
+                return this.generateLineSVG(obj);
+            case 'area':
+                return this.generateAreaSVG(obj);
+            case 'text':
+                return this.generateTextSVG(obj);
+            case 'brace':
+                return this.generateBraceSVG(obj);
+            case 'arrow':
+                return this.generateArrowSVG(obj);
+            case 'circle':
+            case 'ellipse':
+            case 'arc':
+            case 'polygon':
+                return this.generateShapeSVG(obj);
+            case 'polyline':
+                return this.generatePolylineSVG(obj);
+            case 'function':
+                return this.generateFunctionSVG(obj);
+            case 'parametric':
+            case 'polar':
+            case 'implicit':
+                return this.generateCurveSVG(obj);
+            case 'piecewise':
+                return this.generatePiecewiseSVG(obj);
+            case 'ode':
+                const initial_point = this.plotToCanvas(obj.x0, obj.y0);
+                return this.generateCurveSVG(obj) +
+                    `\n<circle cx="${initial_point.x}" cy="${initial_point.y}" r="${obj.width + 2}" fill="${obj.color}"/>`;
+            case 'region':
+                return this.generateRegionSVG(obj);
+            case 'integral':
+                return this.generateIntegralSVG(obj);
+            case 'riemann':
+                return this.generateRiemannSVG(obj);
+            case 'band':
+                return this.generateBandSVG(obj);
+            case 'series':
+                return this.generateSeriesSVG(obj);
+            case 'bars':
+            case 'histogram':
+                return this.generateBarsSVG(obj);
+            case 'slope_field':
+            case 'vector_field':
+                return this.generateFieldSVG(obj);
+            case 'scalar_field':
+                return this.generateScalarFieldSVG(obj);
+            case 'tangent':
+                return this.generateTangentSVG(obj);
+            default:
+                return '';
+        }
+    }
+    
+    /**
+     * Generate SVG for a point
+     * @param {Object} point - Point object
+     * @returns {string} SVG elements for point
+     */
+    generatePointSVG(point) {
+        const canvas_coords = this.plotToCanvas(point.x, point.y);
+        let svg_elements = `\n<g class="point">`;
+        
+        // Error bars
+        const error_bars = this.getErrorBarSegments(point);
+        if (error_bars.length > 0) {
+            const path_data = error_bars.map(bar => `M ${bar.from.x} ${bar.from.y} L ${bar.to.x} ${bar.to.y}`).join(' ');
+            svg_elements += `\n  <path d="${path_data}" stroke="${point.color}" stroke-width="1.5" fill="none"/>`;
+        }
+        
+        // Point circle
+        svg_elements += `\n  <circle cx="${canvas_coords.x}" cy="${canvas_coords.y}" r="${point.size}" fill="${point.color}"/>`;
+        
+        // Point text if present
+        if (point.text && point.text.trim() !== '') {
+            const text_font_size = point.text_font_size || 12;
+            const text_font_family = point.text_font_family || 'Arial';
+            svg_elements += `\n  <text x="${canvas_coords.x + point.size + 5}" y="${canvas_coords.y - 5}" font-family="${text_font_family}" font-size="${text_font_size}" fill="${point.color}">${this.escapeXML(point.text)}</text>`;
+        }
+        
+        // Coordinates if enabled
+        if (point.show_coordinates) {
+            const coords_font_size = point.coords_font_size || 10;
+            const coords_font_family = point.coords_font_family || 'Arial';
+            const coord_text = `(${point.x.toFixed(2)}, ${point.y.toFixed(2)})`;
+            svg_elements += `\n  <text x="${canvas_coords.x + point.size + 5}" y="${canvas_coords.y + (point.text ? 10 : 5)}" font-family="${coords_font_family}" font-size="${coords_font_size}" fill="#666">${coord_text}</text>`;
+        }
+        
+        svg_elements += '\n</g>';
+        return svg_elements;
+    }
+    
+    /**
+     * Generate SVG for a line
+     * @param {Object} line - Line object
+     * @returns {string} SVG elements for line
+     */
+    generateLineSVG(line) {
+        const start_coords = this.plotToCanvas(line.x1, line.y1);
+        const end_coords = this.plotToCanvas(line.x2, line.y2);
+        
+        return `\n<line x1="${start_coords.x}" y1="${start_coords.y}" x2="${end_coords.x}" y2="${end_coords.y}" stroke="${line.color}" stroke-width="${line.width}"/>`;
+    }
+    
+    /**
+     * Generate SVG for an arrow
+     * @param {Object} arrow - Arrow object
+     * @returns {string} SVG elements for arrow
+     */
+    generateArrowSVG(arrow) {
+        const geometry = this.getArrowGeometry(arrow);
+        if (geometry === null) return '';
+        
+        const dash_pattern = this.getDashPattern(arrow.dash_style, arrow.width);
+        const dash_attr = dash_pattern.length > 0 ? ` stroke-dasharray="${dash_pattern.join(' ')}"` : '';
+        
+        let svg_elements = `\n<g class="arrow">`;
+        svg_elements += `\n  <line x1="${geometry.shaft_start.x}" y1="${geometry.shaft_start.y}" x2="${geometry.shaft_end.x}" y2="${geometry.shaft_end.y}" stroke="${arrow.color}" stroke-width="${arrow.width}"${dash_attr}/>`;
+        
+        for (const head of geometry.heads) {
+            const points = `${head.left.x},${head.left.y} ${head.tip.x},${head.tip.y} ${head.right.x},${head.right.y}`;
+            if (geometry.filled) {
+                svg_elements += `\n  <polygon points="${points}" fill="${arrow.color}"/>`;
+            } else {
+                svg_elements += `\n  <polyline points="${points}" stroke="${arrow.color}" stroke-width="${arrow.width}" fill="none"/>`;
+            }
+        }
+        
+        svg_elements += '\n</g>';
+        return svg_elements;
+    }
+    
+    /**
+     * Generate SVG for a filled area
+     * @param {Object} area - Area object
+     * @returns {string} SVG elements for area
+     */
+    generateAreaSVG(area) {
+        const top_left = this.plotToCanvas(area.x1, area.y2);
+        const bottom_right = this.plotToCanvas(area.x2, area.y1);
+        const width = bottom_right.x - top_left.x;
+        const height = bottom_right.y - top_left.y;
+        
+        return `\n<rect x="${top_left.x}" y="${top_left.y}" width="${width}" height="${height}" fill="${area.fill_color}" stroke="${area.border_color}" stroke-width="1"/>`;
+    }
+    
+    /**
+     * Generate SVG for a tangent construction, clipped to the plot area
+     * @param {Object} tangent - Tangent object
+     * @returns {string} SVG group with tangent, normal, anchor and slope label
+     */
+    generateTangentSVG(tangent) {
+        if (!this.isMathLibraryReady()) {
+            console.warn('Math library not ready, skipping tangent SVG generation');
+            return '';
+        }
+        
+        const geometry = this.getTangentGeometry(tangent);
+        if (!geometry) return '';
+        
+        const plot_area = this.getEffectivePlotArea();
+        const clip_id = `clip-${tangent.id}`;
+        const anchor = this.plotToCanvas(geometry.anchor.x, geometry.anchor.y);
+        
+        let svg_elements = `\n<g class="tangent">`;
+        svg_elements += `\n  <defs><clipPath id="${clip_id}"><rect x="${plot_area.left}" y="${plot_area.top}" width="${plot_area.right - plot_area.left}" height="${plot_area.bottom - plot_area.top}"/></clipPath></defs>`;
+        [geometry.tangent_line, geometry.normal_line].forEach((line, index) => {
+            if (!line) return;
+            const start = this.plotToCanvas(line[0].x, line[0].y);
+            const end = this.plotToCanvas(line[1].x, line[1].y);
+            const dash_attr = index === 1 ? ' stroke-dasharray="6 4"' : '';
+            svg_elements += `\n  <line x1="${start.x}" y1="${start.y}" x2="${end.x}" y2="${end.y}" stroke="${tangent.color}" stroke-width="${tangent.width}"${dash_attr} clip-path="url(#${clip_id})"/>`;
+        });
+        svg_elements += `\n  <circle cx="${anchor.x}" cy="${anchor.y}" r="4" fill="${tangent.color}"/>`;
+        if (tangent.show_slope) {
+            svg_elements += `\n  <text x="${anchor.x + 8}" y="${anchor.y - 8}" font-family="Arial" font-size="12" fill="${tangent.color}">${this.getTangentLabel(geometry.slope)}</text>`;
+        }
+        svg_elements += `\n</g>`;
+        return svg_elements;
+    }
+    
+    /**
+     * Generate SVG for a scalar field: contour paths, band paths or an embedded heatmap image, plus labels or color bar
+     * @param {Object} field - Scalar field object
+     * @returns {string} SVG group clipped to the plot area
+     */
+    generateScalarFieldSVG(field) {
+        if (!this.isMathLibraryReady()) {
+            console.warn('Math library not ready, skipping scalar field SVG generation');
+            return '';
+        }
+
+        try {
+            const data = this.getScalarFieldData(field);
+            const plot_area = this.getEffectivePlotArea();
+            const clip_id = `clip-${field.id}`;
+
+            let svg_elements = `\n<g class="scalar-field">`;
+            svg_elements += `\n  <defs><clipPath id="${clip_id}"><rect x="${plot_area.left}" y="${plot_area.top}" width="${plot_area.right - plot_area.left}" height="${plot_area.bottom - plot_area.top}"/></clipPath></defs>`;
+            svg_elements += `\n  <g clip-path="url(#${clip_id})">`;
+
+            if (field.mode === 'lines') {
+                data.contours.forEach((contour, index) => {
+                    if (contour.polylines.length === 0) return;
+                    const path_data = contour.polylines.map(polyline =>
+                        this.getSegmentPathData(polyline.map(point => this.plotToCanvas(point.x, point.y)))).join(' ');
+                    svg_elements += `\n    <path d="${path_data}" stroke="${this.getScalarFieldColor(field, index, data.contours.length)}" stroke-width="${field.width}" stroke-linejoin="round" fill="none"/>`;
+                });
+                if (field.show_labels) {
+                    for (const label of this.getContourLabels(data)) {
+                        svg_elements += `\n    <text x="${label.x}" y="${label.y}" font-family="Arial" font-size="11" fill="#333333" stroke="white" stroke-width="3" paint-order="stroke" text-anchor="middle" dominant-baseline="middle">${label.text}</text>`;
+                    }
+                }
+            } else if (field.mode === 'filled') {
+                data.band_rings.forEach((rings, band) => {
+                    if (rings.length === 0) return;
+                    // Hundredths of a pixel keep the outlines exact while keeping the file small
+                    const path_data = rings.map(ring => `${this.getSegmentPathData(ring.map(point => {
+                        const position = this.plotToCanvas(point.x, point.y);
+                        return { x: +position.x.toFixed(2), y: +position.y.toFixed(2) };
+                    }))} Z`).join(' ');
+                    svg_elements += `\n    <path d="${path_data}" fill="${this.getScalarFieldColor(field, band, data.band_rings.length)}" fill-opacity="${field.opacity}" fill-rule="evenodd"/>`;
+                });
+            } else {
+                const top_left = this.plotToCanvas(this.plot_bounds.x_min, this.plot_bounds.y_max);
+                const bottom_right = this.plotToCanvas(this.plot_bounds.x_max, this.plot_bounds.y_min);
+                svg_elements += `\n    <image href="${data.image.toDataURL('image/png')}" x="${top_left.x}" y="${top_left.y}" width="${bottom_right.x - top_left.x}" height="${bottom_right.y - top_left.y}" preserveAspectRatio="none" opacity="${field.opacity}"/>`;
+            }
+            svg_elements += `\n  </g>`;
+
+            if (field.mode !== 'lines' && field.show_color_bar) {
+                const color_bar = this.getColorBarGeometry(field, data);
+                svg_elements += `\n  <g class="color-bar">`;
+                for (const block of color_bar.blocks) {
+                    svg_elements += `\n    <rect x="${block.x}" y="${block.y}" width="${block.width}" height="${block.height + 0.5}" fill="${block.color}"/>`;
+                }
+                svg_elements += `\n    <rect x="${color_bar.outline.x}" y="${color_bar.outline.y}" width="${color_bar.outline.width}" height="${color_bar.outline.height}" fill="none" stroke="#333333" stroke-width="1"/>`;
+                for (const label of color_bar.labels) {
+                    svg_elements += `\n    <text x="${label.x}" y="${label.y}" font-family="Arial" font-size="11" fill="#333333">${label.text}</text>`;
+                }
+                svg_elements += `\n  </g>`;
+            }
+            svg_elements += `\n</g>`;
+            return svg_elements;
+        } catch (error) {
+            console.error('Error generating scalar field SVG:', error);
+            return '';
+        }
+    }
+
+    /**
+     * Generate SVG for a slope field or vector field as a single path
+     * @param {Object} field - Slope field or vector field object
+     * @returns {string} SVG path with all segments and arrow heads
+     */
+    generateFieldSVG(field) {
+        if (!this.isMathLibraryReady()) {
+            console.warn('Math library not ready, skipping field SVG generation');
+            return '';
+        }
+        
+        try {
+            const segments = this.getFieldSegments(field);
+            if (segments.length === 0) return '';
+            
+            const path_parts = segments.map(segment => {
+                let part = `M ${segment.from.x} ${segment.from.y} L ${segment.to.x} ${segment.to.y}`;
+                if (field.type === 'vector_field') {
+                    const head = this.getArrowHeadPoints(segment.from.x, segment.from.y, segment.to.x, segment.to.y,
+                                                         this.getFieldHeadLength(segment));
+                    part += ` M ${head.left.x} ${head.left.y} L ${head.tip.x} ${head.tip.y} L ${head.right.x} ${head.right.y}`;
+                }
+                return part;
+            });
+            
+            return `\n<path class="${field.type.replace('_', '-')}" d="${path_parts.join(' ')}" stroke="${field.color}" stroke-width="${field.width}" fill="none"/>`;
+        } catch (error) {
+            console.error('Error generating field SVG:', error);
+            return '';
+        }
+    }
+    
+    /**
+     * Generate SVG for a piecewise function
+     * @param {Object} piecewise - Piecewise object
+     * @returns {string} SVG group with one path per continuous segment and the endpoint markers
+     */
+    generatePiecewiseSVG(piecewise) {
+        if (!this.isMathLibraryReady()) {
+            console.warn('Math library not ready, skipping piecewise function SVG generation');
+            return '';
+        }
+        
+        const geometry = this.getPiecewiseGeometry(piecewise);
+        let svg_elements = `\n<g class="piecewise">`;
+        for (const points of geometry.pieces) {
+            for (const segment of this.getCurveSegments(points)) {
+                svg_elements += `\n  <path d="${this.getSegmentPathData(segment)}" stroke="${piecewise.color}" stroke-width="${piecewise.width}" fill="none"/>`;
+            }
+        }
+        if (piecewise.show_endpoints) {
+            for (const marker of this.getPiecewiseMarkers(geometry)) {
+                svg_elements += `\n  <circle cx="${marker.x}" cy="${marker.y}" r="${piecewise.width + 2}" fill="${marker.closed ? piecewise.color : 'white'}" stroke="${piecewise.color}" stroke-width="1.5"/>`;
+            }
+        }
+        svg_elements += `\n</g>`;
+        return svg_elements;
+    }
+    
+    /**
+     * Generate SVG for a Riemann sum, clipped to the plot area
+     * @param {Object} riemann - Riemann sum object
+     * @returns {string} SVG group with one rectangle or trapezoid per subinterval and the value label
+     */
+    generateRiemannSVG(riemann) {
+        if (!this.isMathLibraryReady()) {
+            console.warn('Math library not ready, skipping Riemann sum SVG generation');
+            return '';
+        }
+        
+        try {
+            const geometry = this.getRiemannGeometry(riemann);
+            if (!geometry) return '';
+            
+            const plot_area = this.getEffectivePlotArea();
+            const clip_id = `clip-${riemann.id}`;
+            let svg_elements = `\n<g class="riemann">`;
+            svg_elements += `\n  <defs><clipPath id="${clip_id}"><rect x="${plot_area.left}" y="${plot_area.top}" width="${plot_area.right - plot_area.left}" height="${plot_area.bottom - plot_area.top}"/></clipPath></defs>`;
+            svg_elements += `\n  <g clip-path="url(#${clip_id})">`;
+            for (const rect of geometry.rects) {
+                svg_elements += this.generateAreaSVG(rect).replace('\n', '\n    ');
+            }
+            for (const trapezoid of geometry.trapezoids) {
+                const path_data = trapezoid.map((point, index) => {
+                    const canvas_point = this.plotToCanvas(point.x, point.y);
+                    return `${index === 0 ? 'M' : 'L'} ${canvas_point.x} ${canvas_point.y}`;
+                }).join(' ') + ' Z';
+                svg_elements += `\n    <path d="${path_data}" fill="${riemann.fill_color}" stroke="${riemann.border_color}" stroke-width="1"/>`;
+            }
+            svg_elements += `\n  </g>`;
+            
+            if (riemann.show_value) {
+                const label_coords = this.plotToCanvas(geometry.label_point.x, geometry.label_point.y);
+                svg_elements += `\n  <text x="${label_coords.x}" y="${label_coords.y - 6}" font-family="Arial" font-size="14" fill="#333" text-anchor="middle">${this.escapeXML(this.getRiemannLabel(riemann, geometry.value))}</text>`;
+            }
+            svg_elements += `\n</g>`;
+            return svg_elements;
+        } catch (error) {
+            console.error('Error generating Riemann sum SVG:', error);
+            return '';
+        }
+    }
+    
+    /**
+     * Generate SVG for a bar chart or histogram
+     * @param {Object} obj - Bar chart or histogram object
+     * @returns {string} SVG group with one rectangle per bar and the category labels
+     */
+    generateBarsSVG(obj) {
+        let svg_elements = `\n<g class="${obj.type}">`;
+        for (const rect of this.getBarRects(obj)) {
+            svg_elements += this.generateAreaSVG(rect).replace('\n', '\n  ');
+        }
+        for (const label of this.getBarLabels(obj)) {
+            svg_elements += `\n  <text x="${label.x}" y="${label.y}" font-family="Arial" font-size="12" fill="#333333" text-anchor="middle">${this.escapeXML(label.text)}</text>`;
+        }
+        svg_elements += `\n</g>`;
+        return svg_elements;
+    }
+    
+    /**
+     * Generate SVG for a circle, ellipse, arc or polygon
+     * @param {Object} shape - Shape object
+     * @returns {string} SVG path for shape
+     */
+    generateShapeSVG(shape) {
+        const outline = this.getShapeOutline(shape);
+        if (outline.points.length === 0) return '';
+        
+        let path = `M ${outline.points[0].x} ${outline.points[0].y}`;
+        for (let i = 1; i < outline.points.length; i++) {
+            path += ` L ${outline.points[i].x} ${outline.points[i].y}`;
+        }
+        if (outline.closed) {
+            path += ' Z';
+        }
+        
+        const fill_attr = shape.filled !== false ? this.getSVGFillAttributes(shape.fill_color) : 'fill="none"';
+        const dash_pattern = this.getDashPattern(shape.dash_style, shape.border_width);
+        const dash_attr = dash_pattern.length > 0 ? ` stroke-dasharray="${dash_pattern.join(' ')}"` : '';
+        const stroke_attr = shape.border_width > 0 ?
+            `stroke="${shape.border_color}" stroke-width="${shape.border_width}"${dash_attr}` : 'stroke="none"';
+        
+        return `\n<path d="${path}" ${fill_attr} ${stroke_attr}/>`;
+    }
+    
+    /**
+     * Generate SVG for a polyline
+     * @param {Object} polyline - Polyline object
+     * @returns {string} SVG polyline element
+     */
+    generatePolylineSVG(polyline) {
+        const outline = this.getShapeOutline(polyline);
+        const points = outline.points.map(point => `${point.x},${point.y}`).join(' ');
+        const dash_pattern = this.getDashPattern(polyline.dash_style, polyline.width);
+        const dash_attr = dash_pattern.length > 0 ? ` stroke-dasharray="${dash_pattern.join(' ')}"` : '';
+        
+        return `\n<polyline points="${points}" stroke="${polyline.color}" stroke-width="${polyline.width}" stroke-linejoin="round" fill="none"${dash_attr}/>`;
+    }
+    
+    /**
+     * Generate SVG for a data series
+     * @param {Object} series - Series object
+     * @returns {string} SVG group with the connecting line and markers
+     */
+    generateSeriesSVG(series) {
+        let svg_elements = `\n<g class="series">`;
+        
+        if (series.style !== 'markers' && series.points.length > 1) {
+            const plot_area = this.getEffectivePlotArea();
+            const clip_id = `clip-${series.id}`;
+            const points = series.points.map(point => {
+                const canvas_point = this.plotToCanvas(point.x, point.y);
+                return `${canvas_point.x},${canvas_point.y}`;
+            }).join(' ');
+            const dash_pattern = this.getDashPattern(series.dash_style, series.line_width);
+            const dash_attr = dash_pattern.length > 0 ? ` stroke-dasharray="${dash_pattern.join(' ')}"` : '';
+            
+            svg_elements += `\n  <defs><clipPath id="${clip_id}"><rect x="${plot_area.left}" y="${plot_area.top}" width="${plot_area.right - plot_area.left}" height="${plot_area.bottom - plot_area.top}"/></clipPath></defs>`;
+            svg_elements += `\n  <polyline points="${points}" stroke="${series.color}" stroke-width="${series.line_width}" stroke-linejoin="round" fill="none"${dash_attr} clip-path="url(#${clip_id})"/>`;
+        }
+        
+        if (series.style !== 'lines') {
+            const size = series.marker_size;
+            for (const point of this.getVisibleSeriesPoints(series)) {
+                if (series.marker_shape === 'circle') {
+                    svg_elements += `\n  <circle cx="${point.x}" cy="${point.y}" r="${size}" fill="${series.color}"/>`;
+                } else if (series.marker_shape === 'cross') {
+                    svg_elements += `\n  <path d="M ${point.x - size} ${point.y - size} L ${point.x + size} ${point.y + size} M ${point.x + size} ${point.y - size} L ${point.x - size} ${point.y + size}" stroke="${series.color}" stroke-width="2"/>`;
+                } else {
+                    const corners = this.getMarkerPolygon(series.marker_shape, point.x, point.y, size);
+                    svg_elements += `\n  <polygon points="${corners.map(corner => `${corner.x},${corner.y}`).join(' ')}" fill="${series.color}"/>`;
+                }
+            }
+        }
+        
+        svg_elements += `\n</g>`;
+        return svg_elements;
+    }
+    
+    /**
+     * Generate SVG for a confidence band, clipped to the plot area
+     * @param {Object} band - Band object
+     * @returns {string} SVG group with the filled band
+     */
+    generateBandSVG(band) {
+        if (band.source !== 'data' && !this.isMathLibraryReady()) {
+            console.warn('Math library not ready, skipping band SVG generation');
+            return '';
+        }
+        
+        try {
+            const polygons = this.getBandPolygons(band);
+            if (polygons.length === 0) return '';
+            
+            const plot_area = this.getEffectivePlotArea();
+            const clip_id = `clip-${band.id}`;
+            const path_data = polygons.map(polygon => this.getSegmentPathData(
+                polygon.map(point => this.plotToCanvas(point.x, point.y))) + ' Z').join(' ');
+            
+            let svg_elements = `\n<g class="band">`;
+            svg_elements += `\n  <defs><clipPath id="${clip_id}"><rect x="${plot_area.left}" y="${plot_area.top}" width="${plot_area.right - plot_area.left}" height="${plot_area.bottom - plot_area.top}"/></clipPath></defs>`;
+            svg_elements += `\n  <path d="${path_data}" ${this.getSVGFillAttributes(band.fill_color)} clip-path="url(#${clip_id})"/>`;
+            svg_elements += `\n</g>`;
+            return svg_elements;
+        } catch (error) {
+            console.error('Error generating band SVG:', error);
+            return '';
+        }
+    }
+    
+    /**
+     * Generate SVG for an integral region, clipped to the plot area
+     * @param {Object} integral - Integral region object
+     * @returns {string} SVG group with the shaded region and optional value label
+     */
+    generateIntegralSVG(integral) {
+        if (!this.isMathLibraryReady()) {
+            console.warn('Math library not ready, skipping integral SVG generation');
+            return '';
+        }
+        
+        try {
+            const geometry = this.getIntegralGeometry(integral);
+            if (!geometry) return '';
+            
+            const plot_area = this.getEffectivePlotArea();
+            const clip_id = `clip-${integral.id}`;
+            const path_data = geometry.polygons.map(polygon => this.getSegmentPathData(
+                polygon.map(point => this.plotToCanvas(point.x, point.y))) + ' Z').join(' ');
+            
+            let svg_elements = `\n<g class="integral">`;
+            svg_elements += `\n  <defs><clipPath id="${clip_id}"><rect x="${plot_area.left}" y="${plot_area.top}" width="${plot_area.right - plot_area.left}" height="${plot_area.bottom - plot_area.top}"/></clipPath></defs>`;
+            svg_elements += `\n  <path d="${path_data}" ${this.getSVGFillAttributes(integral.fill_color)} clip-path="url(#${clip_id})"/>`;
+            
+            if (integral.show_value) {
+                const label_coords = this.plotToCanvas(geometry.label_point.x, geometry.label_point.y);
+                svg_elements += `\n  <text x="${label_coords.x}" y="${label_coords.y}" font-family="Arial" font-size="14" fill="#333" text-anchor="middle" dominant-baseline="middle">${this.escapeXML(this.getIntegralLabel(geometry.value))}</text>`;
+            }
+            
+            svg_elements += `\n</g>`;
+            return svg_elements;
+        } catch (error) {
+            console.error('Error generating integral SVG:', error);
+            return '';
+        }
+    }
+    
+    /**
+     * Generate SVG for an inequality region
+     * The region is exported as the rasterized cell runs, with hatching as an SVG pattern
+     * @param {Object} region - Region object
+     * @returns {string} SVG group with the filled region
+     */
+    generateRegionSVG(region) {
+        if (!this.isMathLibraryReady()) {
+            console.warn('Math library not ready, skipping region SVG generation');
+            return '';
+        }
+        
+        try {
+            const runs = this.getRegionRuns(region);
+            if (runs.length === 0) return '';
+            
+            const path_data = runs.map(run => `M ${run.x} ${run.y} h ${run.width} v ${run.height} h ${-run.width} Z`).join(' ');
+            let svg_elements = `\n<g class="region">`;
+            svg_elements += `\n  <path d="${path_data}" ${this.getSVGFillAttributes(region.fill_color)} shape-rendering="crispEdges"/>`;
+            
+            if (region.hatch) {
+                const pattern_id = `hatch-${region.id}`;
+                svg_elements += `\n  <defs><pattern id="${pattern_id}" width="8" height="8" patternUnits="userSpaceOnUse" patternTransform="rotate(45)">`;
+                svg_elements += `<line x1="0" y1="0" x2="0" y2="8" stroke="${region.hatch_color}" stroke-width="1"/></pattern></defs>`;
+                svg_elements += `\n  <path d="${path_data}" fill="url(#${pattern_id})" shape-rendering="crispEdges"/>`;
+            }
+            
+            svg_elements += `\n</g>`;
+            return svg_elements;
+        } catch (error) {
+            console.error('Error generating region SVG:', error);
+            return '';
+        }
+    }
+    
+    /**
+     * Convert a CSS hex color with optional alpha into SVG fill attributes
+     * SVG 1.1 viewers ignore 8-digit hex colors, so alpha becomes fill-opacity
+     * @param {string} color - Color such as #RRGGBB or #RRGGBBAA
+     * @returns {string} SVG fill attributes
+     */
+    getSVGFillAttributes(color) {
+        if (/^#[0-9a-fA-F]{8}$/.test(color)) {
+            const opacity = parseInt(color.substring(7, 9), 16) / 255;
+            return `fill="${color.substring(0, 7)}" fill-opacity="${parseFloat(opacity.toFixed(3))}"`;
+        }
+        return `fill="${color}"`;
+    }
+    
+    /**
+     * Generate SVG for text
+     * @param {Object} text - Text object
+     * @returns {string} SVG elements for text
+     */
+    generateTextSVG(text) {
+        const canvas_coords = this.plotToCanvas(text.x, text.y);
+        
+        let transform_attr = '';
+        if (text.rotation && text.rotation !== 0) {
+            transform_attr = ` transform="rotate(${text.rotation} ${canvas_coords.x} ${canvas_coords.y})"`;
+        }
+        
+        return `\n<text x="${canvas_coords.x}" y="${canvas_coords.y}" font-family="${text.font_family}" font-size="${text.font_size}" fill="${text.color}"${transform_attr}>${this.escapeXML(text.text)}</text>`;
+    }
+    
+    /**
+     * Generate SVG for a brace
+     * @param {Object} brace - Brace object
+     * @returns {string} SVG elements for brace
+     */
+    generateBraceSVG(brace) {
+        const start_coords = this.plotToCanvas(brace.x1, brace.y1);
+        const end_coords = this.plotToCanvas(brace.x2, brace.y2);
+        
+        const brace_style = brace.style || '45deg';
+        
+        if (brace_style === 'traditional') {
+            return this.generateTraditionalBraceSVG(brace, start_coords, end_coords);
+        } else if (brace_style === '45deg') {
+            return this.generate45DegBraceSVG(brace, start_coords, end_coords);
+        } else {
+            return this.generateSmoothBraceSVG(brace, start_coords, end_coords);
+        }
+    }
+    
+    /**
+     * Generate SVG for smooth brace
+     * @param {Object} brace - Brace object
+     * @param {Object} start_coords - Start canvas coordinates
+     * @param {Object} end_coords - End canvas coordinates
+     * @returns {string} SVG path for smooth brace
+     */
+    generateSmoothBraceSVG(brace, start_coords, end_coords) {
+        const dx = end_coords.x - start_coords.x;
+        const dy = end_coords.y - start_coords.y;
+        const length = Math.sqrt(dx * dx + dy * dy);
+        
+        // Use brace width property or fallback to calculated value (2x thinner)
+        const brace_elevation = brace.elevation || brace.width || Math.min(20, length * 0.125);
+        const mirror_multiplier = brace.mirrored ? -1 : 1;
+        const perpX = -dy / length * brace_elevation * mirror_multiplier;
+        const perpY = dx / length * brace_elevation * mirror_multiplier;
+        
+        const midX = (start_coords.x + end_coords.x) / 2;
+        const midY = (start_coords.y + end_coords.y) / 2;
+        const controlX = midX + perpX;
+        const controlY = midY + perpY;
+        
+        const path = `M ${start_coords.x} ${start_coords.y} Q ${controlX} ${controlY} ${midX} ${midY} Q ${controlX} ${controlY} ${end_coords.x} ${end_coords.y}`;
+        
+        return `\n<path d="${path}" stroke="${brace.color}" stroke-width="2" fill="none"/>`;
+    }
+    
+    /**
+     * Generate SVG for traditional brace with quarter circles and straight segments
+     * Following the exact pattern: quarter_circle -> line -> quarter_circle -> quarter_circle -> line -> quarter_circle
+     * @param {Object} brace - Brace object
+     * @param {Object} start_coords - Start canvas coordinates
+     * @param {Object} end_coords - End canvas coordinates
+     * @returns {string} SVG path for traditional brace
+     */
+    generateTraditionalBraceSVG(brace, start_coords, end_coords) {
+        const dx = end_coords.x - start_coords.x;
+        const dy = end_coords.y - start_coords.y;
+        const length = Math.sqrt(dx * dx + dy * dy);
+        
+        if (length < 20) return ''; // Skip very short braces
+        
+        // Use brace width property or fallback to calculated value (2x thinner)
+        const brace_elevation = brace.elevation || brace.width || Math.min(length * 0.125, 20);
+        const mirror_multiplier = brace.mirrored ? -1 : 1;
+        
+        // Unit vectors along and perpendicular to the brace line
+        const alongUnitX = dx / length;
+        const alongUnitY = dy / length;
+        const perpUnitX = -dy / length * mirror_multiplier;
+        const perpUnitY = dx / length * mirror_multiplier;
+        
+        // Quarter circle radius - half the brace width
+        const radius = brace_elevation / 2;
+        
+        const quarter_distance = length / 4;
+        
+        // Key positions along the brace
+        const p1_pos = radius; // End of first quarter circle
+        const p2_pos = quarter_distance; // Start of second quarter circle  
+        const tip_pos = length / 2; // Center tip
+        const p3_pos = length - quarter_distance; // Start of fifth quarter circle
+        const p4_pos = length - radius; // End of fifth quarter circle
+        
+        // Build SVG path following the exact same structure as canvas
+        let path = `M ${start_coords.x} ${start_coords.y}`;
+        
+        // TOP HALF
+        // 1. First quarter circle (outward)
+        const q1_end_x = start_coords.x + alongUnitX * p1_pos + perpUnitX * radius;
+        const q1_end_y = start_coords.y + alongUnitY * p1_pos + perpUnitY * radius;
+        const q1_ctrl_x = start_coords.x + perpUnitX * radius;
+        const q1_ctrl_y = start_coords.y + perpUnitY * radius;
+        path += ` Q ${q1_ctrl_x} ${q1_ctrl_y} ${q1_end_x} ${q1_end_y}`;
+        
+        // 2. Straight line
+        const line1_end_x = start_coords.x + alongUnitX * p2_pos + perpUnitX * radius;
+        const line1_end_y = start_coords.y + alongUnitY * p2_pos + perpUnitY * radius;
+        path += ` L ${line1_end_x} ${line1_end_y}`;
+        
+        // 3. Second quarter circle (inward to tip)
+        const tip_x = start_coords.x + alongUnitX * tip_pos + perpUnitX * brace_elevation;
+        const tip_y = start_coords.y + alongUnitY * tip_pos + perpUnitY * brace_elevation;
+        const q2_ctrl_x = start_coords.x + alongUnitX * tip_pos + perpUnitX * radius;
+        const q2_ctrl_y = start_coords.y + alongUnitY * tip_pos + perpUnitY * radius;
+        path += ` Q ${q2_ctrl_x} ${q2_ctrl_y} ${tip_x} ${tip_y}`;
+        
+        // BOTTOM HALF (vertically mirrored)
+        // 4. Third quarter circle (outward from tip)
+        const q3_end_x = start_coords.x + alongUnitX * p3_pos + perpUnitX * radius;
+        const q3_end_y = start_coords.y + alongUnitY * p3_pos + perpUnitY * radius;
+        const q3_ctrl_x = start_coords.x + alongUnitX * tip_pos + perpUnitX * radius;
+        const q3_ctrl_y = start_coords.y + alongUnitY * tip_pos + perpUnitY * radius;
+        path += ` Q ${q3_ctrl_x} ${q3_ctrl_y} ${q3_end_x} ${q3_end_y}`;
+        
+        // 5. Straight line
+        const line2_end_x = start_coords.x + alongUnitX * p4_pos + perpUnitX * radius;
+        const line2_end_y = start_coords.y + alongUnitY * p4_pos + perpUnitY * radius;
+        path += ` L ${line2_end_x} ${line2_end_y}`;
+        
+        // 6. Fourth quarter circle (inward to end)
+        const q4_ctrl_x = end_coords.x + perpUnitX * radius;
+        const q4_ctrl_y = end_coords.y + perpUnitY * radius;
+        path += ` Q ${q4_ctrl_x} ${q4_ctrl_y} ${end_coords.x} ${end_coords.y}`;
+        
+        return `\n<path d="${path}" stroke="${brace.color}" stroke-width="2" fill="none"/>`;
+    }
+
+    /**
+     * Generate SVG for 45-degree brace with 1/8 outer arcs and 1/4 inner arcs
+     * @param {Object} brace - Brace object
+     * @param {Object} start_coords - Start canvas coordinates
+     * @param {Object} end_coords - End canvas coordinates
+     * @returns {string} SVG path for 45deg brace
+     */
+    generate45DegBraceSVG(brace, start_coords, end_coords) {
+        const dx = end_coords.x - start_coords.x;
+        const dy = end_coords.y - start_coords.y;
+        const length = Math.sqrt(dx * dx + dy * dy);
+        if (length < 20) return '';
+        
+        const mirror_multiplier = brace.mirrored ? -1 : 1;
+        const alongX = dx / length;
+        const alongY = dy / length;
+        const perpX = -dy / length * mirror_multiplier;
+        const perpY = dx / length * mirror_multiplier;
+        
+        let innerR = brace.elevation || brace.width ? Math.min(brace.elevation || brace.width, length / 6) : length / 6;
+        const outerR = innerR * Math.SQRT2;
+        const segLen = Math.max(0, length / 2 - 2 * innerR);
+        
+        const pt = (s, p) => ({ x: start_coords.x + alongX * s + perpX * p, y: start_coords.y + alongY * s + perpY * p });
+        const arc = (cx, cy, r, sx, sy, ex, ey) => {
+            // Compute flags for minor arc in sweep direction
+            const startAngle = Math.atan2(sy - cy, sx - cx);
+            const endAngle = Math.atan2(ey - cy, ex - cx);
+            let delta = endAngle - startAngle;
+            while (delta <= -Math.PI) delta += 2 * Math.PI;
+            while (delta > Math.PI) delta -= 2 * Math.PI;
+            const sweepFlag = delta >= 0 ? 1 : 0;
+            const largeArcFlag = 0;
+            return ` A ${r} ${r} 0 ${largeArcFlag} ${sweepFlag} ${ex} ${ey}`;
+        };
+        
+        // Build with reusable half function for symmetry
+        const arcCmd = (cx, cy, r, sx, sy, ex, ey) => {
+            const startAngle = Math.atan2(sy - cy, sx - cx);
+            const endAngle = Math.atan2(ey - cy, ex - cx);
+            let delta = endAngle - startAngle;
+            while (delta <= -Math.PI) delta += 2 * Math.PI;
+            while (delta > Math.PI) delta -= 2 * Math.PI;
+            const sweepFlag = delta >= 0 ? 1 : 0;
+            const largeArcFlag = 0;
+            return ` A ${r} ${r} 0 ${largeArcFlag} ${sweepFlag} ${ex} ${ey}`;
+        };
+        const half = (Sx, Sy, Ex, Ey, mirrorMultiplier) => {
+            const dx = Ex - Sx;
+            const dy = Ey - Sy;
+            const L = Math.sqrt(dx * dx + dy * dy);
+            const ax = dx / L, ay = dy / L;
+            const px = -dy / L * mirrorMultiplier;
+            const py = dx / L * mirrorMultiplier;
+            const rIn = brace.elevation || brace.width ? Math.min(brace.elevation || brace.width, L / 6) : L / 6;
+            const rOut = rIn * Math.SQRT2;
+            const seg = Math.max(0, L / 2 - 2 * rIn);
+            const P1x = Sx + ax * rIn + px * (rIn - rOut);
+            const P1y = Sy + ay * rIn + py * (rIn - rOut);
+            const P2x = Sx + ax * (rIn + seg) + px * (rIn - rOut);
+            const P2y = Sy + ay * (rIn + seg) + py * (rIn - rOut);
+            const C1x = Sx + ax * rIn + px * rIn;
+            const C1y = Sy + ay * rIn + py * rIn;
+            const C2x = Sx + ax * (rIn + seg) - px * rOut;
+            const C2y = Sy + ay * (rIn + seg) - py * rOut;
+            const Mx = Sx + ax * (L / 2) - px * rOut;
+            const My = Sy + ay * (L / 2) - py * rOut;
+            let s = `M ${Sx} ${Sy}`;
+            s += arcCmd(C1x, C1y, rOut, Sx, Sy, P1x, P1y);
+            s += ` L ${P2x} ${P2y}`;
+            s += arcCmd(C2x, C2y, rIn, P2x, P2y, Mx, My);
+            return s;
+        };
+        const mm = brace.mirrored ? -1 : 1;
+        let path = half(start_coords.x, start_coords.y, end_coords.x, end_coords.y, -mm);
+        path += half(end_coords.x, end_coords.y, start_coords.x, start_coords.y, mm);
+        
+        return `\n<path d="${path}" stroke="${brace.color}" stroke-width="2" fill="none"/>`;
+    }
+    
+    /**
+     * Escape XML special characters
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    escapeXML(text) {
+        return text.replace(/&/g, '&amp;')
+                  .replace(/</g, '&lt;')
+                  .replace(/>/g, '&gt;')
+                  .replace(/"/g, '&quot;')
+                  .replace(/'/g, '&#39;');
+    }
+    
+    /**
+     * Update object list panel
+     * side-effects: Updates DOM elements in object list panel
+     */
+    updateObjectList() {
+        const object_list_container = document.getElementById('object-list');
+        if (!object_list_container) return;
+        
+        if (this.plot_objects.length === 0) {
+            object_list_container.innerHTML = '<p class="no-objects">No objects in plot</p>';
+            return;
+        }
+        
+        let objects_html = '';
+        this.plot_objects.forEach((obj, index) => {
+            const object_name = this.getObjectDisplayName(obj);
+            const object_details = this.getObjectDisplayDetails(obj);
+            const object_icon = this.getObjectIcon(obj.type);
+            const is_selected = this.selected_object && this.selected_object.id === obj.id;
+            
+            objects_html += `
+                <div class="object-item ${is_selected ? 'selected' : ''}" onclick="plotEditor.selectObjectById('${obj.id}')">
+                    <div class="object-item-icon">${object_icon}</div>
+                    <div class="object-item-info">
+                        <div class="object-item-type">${object_name}</div>
+                        <div class="object-item-details">${object_details}</div>
+                    </div>
+                </div>`;
+        });
+        
+        object_list_container.innerHTML = objects_html;
+    }
+    
+    /**
+     * Get display name for object
+     * @param {Object} obj - Plot object
+     * @returns {string} Display name
+     */
+    getObjectDisplayName(obj) {
+        switch (obj.type) {
+            case 'point':
+                return obj.text ? `Point: ${obj.text}` : 'Point';
+            case 'line':
+                return 'Line';
+            case 'area':
+                return 'Filled Area';
+            case 'text':
+                return `Text: ${obj.text}`;
+            case 'brace':
+                return 'Brace';
+            case 'arrow':
+                return 'Arrow';
+            case 'circle':
+                return 'Circle';
+            case 'ellipse':
+                return 'Ellipse';
+            case 'arc':
+                return obj.arc_type === 'sector' ? 'Sector' : 'Arc';
+            case 'parametric':
+                return 'Parametric Curve';
+            case 'polar':
+                return 'Polar Curve';
+            case 'piecewise':
+                return 'Piecewise Function';
+            case 'implicit':
+                return 'Implicit Curve';
+            case 'ode':
+                return 'ODE Solution';
+            case 'region':
+                return 'Region';
+            case 'integral':
+                return 'Integral Region';
+            case 'riemann':
+                return obj.method === 'trapezoid' ? 'Trapezoid Rule' : 'Riemann Sum';
+            case 'series':
+                return obj.name ? `Series: ${obj.name}` : 'Data Series';
+            case 'band':
+                return 'Confidence Band';
+            case 'bars':
+                return 'Bar Chart';
+            case 'slope_field':
+                return 'Slope Field';
+            case 'scalar_field':
+                return obj.mode === 'heatmap' ? 'Heatmap' : 'Contour Plot';
+            case 'tangent':
+                return obj.show_normal ? 'Tangent & Normal' : 'Tangent';
+            case 'vector_field':
+                return 'Vector Field';
+            case 'histogram':
+                return 'Histogram';
+            case 'polygon':
+                return 'Polygon';
+            case 'polyline':
+                return 'Polyline';
+            case 'function':
+                if (obj.relation === 'derivative') return 'Derivative';
+                if (obj.relation === 'antiderivative') return 'Antiderivative';
+                return 'Function';
+            default:
+                return obj.type;
+        }
+    }
+    
+    /**
+     * Get display details for object
+     * @param {Object} obj - Plot object
+     * @returns {string} Display details
+     */
+    getObjectDisplayDetails(obj) {
+        switch (obj.type) {
+            case 'point':
+                return `(${obj.x.toFixed(1)}, ${obj.y.toFixed(1)})`;
+            case 'line':
+                return `(${obj.x1.toFixed(1)}, ${obj.y1.toFixed(1)}) → (${obj.x2.toFixed(1)}, ${obj.y2.toFixed(1)})`;
+            case 'area':
+                return `${Math.abs(obj.x2 - obj.x1).toFixed(1)}×${Math.abs(obj.y2 - obj.y1).toFixed(1)}`;
+            case 'text':
+                return `at (${obj.x.toFixed(1)}, ${obj.y.toFixed(1)})`;
+            case 'brace':
+            case 'arrow':
+                return `(${obj.x1.toFixed(1)}, ${obj.y1.toFixed(1)}) → (${obj.x2.toFixed(1)}, ${obj.y2.toFixed(1)})`;
+            case 'circle':
+                return `center (${obj.cx.toFixed(1)}, ${obj.cy.toFixed(1)}), r = ${obj.radius.toFixed(1)}`;
+            case 'ellipse':
+                return `center (${obj.cx.toFixed(1)}, ${obj.cy.toFixed(1)}), ${obj.rx.toFixed(1)}×${obj.ry.toFixed(1)}`;
+            case 'arc':
+                return `r = ${obj.radius.toFixed(1)}, ${obj.start_angle.toFixed(0)}° → ${obj.end_angle.toFixed(0)}°`;
+            case 'polygon':
+            case 'polyline':
+                return `${obj.points.length} vertices`;
+            case 'series':
+                return `${obj.points.length} points`;
+            case 'band':
+                return obj.source === 'data' ? `${obj.data.length} rows` : `${obj.lower_expression} to ${obj.upper_expression}`;
+            case 'bars':
+                return `${obj.bars.length} bars`;
+            case 'slope_field':
+                return `dy/dx = ${obj.expression}`;
+            case 'scalar_field':
+                return `f(x, y) = ${obj.expression}`;
+            case 'tangent':
+                const tangent_function = this.findFunctionById(obj.function_id);
+                if (!tangent_function) return 'missing function';
+                return `to f(x) = ${tangent_function.expression} at x = ${+obj.x0.toFixed(2)}`;
+            case 'vector_field':
+                return `(${obj.p_expression}, ${obj.q_expression})`;
+            case 'histogram':
+                return `${obj.values.length} values, ${this.getHistogramBins(obj).length} bins`;
+            case 'parametric':
+                return `(${obj.x_expression}, ${obj.y_expression}), t ∈ [${+obj.t_min.toFixed(2)}, ${+obj.t_max.toFixed(2)}]`;
+            case 'polar':
+                return `r = ${obj.expression}, θ ∈ [${+obj.theta_min.toFixed(2)}, ${+obj.theta_max.toFixed(2)}]`;
+            case 'implicit':
+                return obj.equation.includes('=') ? obj.equation : `${obj.equation} = 0`;
+            case 'piecewise':
+                return obj.pieces.map(piece => `${piece.expression} if ${piece.condition}`).join('; ');
+            case 'ode':
+                return `dy/dx = ${obj.expression}, y(${+obj.x0.toFixed(2)}) = ${+obj.y0.toFixed(2)}`;
+            case 'region':
+                return obj.inequalities.join(', ');
+            case 'integral':
+                const integrand = this.findFunctionById(obj.function_id);
+                const lower_bound = obj.lower_function_id ? this.findFunctionById(obj.lower_function_id) : null;
+                if (!integrand || (obj.lower_function_id && !lower_bound)) return 'missing function';
+                return `${integrand.expression}${lower_bound ? ` - (${lower_bound.expression})` : ''} on [${+obj.a.toFixed(2)}, ${+obj.b.toFixed(2)}]`;
+            case 'riemann':
+                const riemann_function = this.findFunctionById(obj.function_id);
+                if (!riemann_function) return 'missing function';
+                return `${riemann_function.expression} on [${+obj.a.toFixed(2)}, ${+obj.b.toFixed(2)}], ${obj.method}, n = ${obj.n}`;
+            case 'function':
+                if (!obj.relation) return `f(x) = ${obj.expression}`;
+                const source_function = this.findFunctionById(obj.source_id);
+                const source_text = source_function ? `f(x) = ${source_function.expression}` : 'deleted function';
+                if (obj.link_error) return `of ${source_text}: ${obj.link_error}`;
+                if (obj.relation === 'derivative') return `of ${source_text}: ${obj.expression}`;
+                return `of ${source_text}, F(${+obj.lower_limit.toFixed(2)}) = ${+obj.constant.toFixed(2)}`;
+            default:
+                return '';
+        }
+    }
+    
+    /**
+     * Get icon for object type
+     * @param {string} type - Object type
+     * @returns {string} Icon character
+     */
+    getObjectIcon(type) {
+        switch (type) {
+            case 'point': return '•';
+            case 'function': return 'ƒ';
+            case 'line': return '📏';
+            case 'area': return '▢';
+            case 'text': return 'T';
+            case 'brace': return '}';
+            case 'arrow': return '→';
+            case 'circle': return '○';
+            case 'ellipse': return '⬭';
+            case 'arc': return '◠';
+            case 'parametric': return '∿';
+            case 'polar': return '✿';
+            case 'piecewise': return '⌇';
+            case 'implicit': return '◌';
+            case 'ode': return '∿';
+            case 'region': return '▨';
+            case 'integral': return '∫';
+            case 'riemann': return '▯';
+            case 'series': return '⁘';
+            case 'band': return '▤';
+            case 'bars': return '▥';
+            case 'slope_field': return '⫽';
+            case 'scalar_field': return '◎';
+            case 'tangent': return '⟋';
+            case 'vector_field': return '⇉';
+            case 'histogram': return '▆';
+            case 'polygon': return '⬠';
+            case 'polyline': return '⌇';
+            default: return '?';
+        }
+    }
+    
+    /**
+     * Select object by ID
+     * @param {string} object_id - Object ID to select
+     * side-effects: Changes selected_object
+     */
+    selectObjectById(object_id) {
+        const obj = this.plot_objects.find(o => o.id === object_id);
+        this.selectObject(obj || null);
+    }
+
+    /**
+     * Update properties panel with selected object properties
+     * side-effects: Updates DOM elements in properties panel
+     */
+    updatePropertiesPanel() {
+        const properties_container = document.getElementById('object-properties');
+        if (!properties_container) return;
+        
+        if (!this.selected_object) {
+            properties_container.innerHTML = '<p class="no-selection">No object selected</p>';
+            return;
+        }
+        
+        let properties_html = `<div class="property-group">
+            <h4>${this.selected_object.type.toUpperCase()} Properties</h4>`;
+        
+        // Common properties based on object type
+        switch (this.selected_object.type) {
+            case 'point':
+                properties_html += `
+                    <div class="property-row">
+                        <label>X:</label>
+                        <input type="number" step="0.1" value="${this.selected_object.x}" 
+                               onchange="plotEditor.updateObjectProperty('x', parseFloat(this.value))">
+                    </div>
+                    <div class="property-row">
+                        <label>Y:</label>
+                        <input type="number" step="0.1" value="${this.selected_object.y}" 
+                               onchange="plotEditor.updateObjectProperty('y', parseFloat(this.value))">
+                    </div>
+                    <div class="property-row">
+                        <label>Size:</label>
+                        <input type="number" min="1" max="20" value="${this.selected_object.size}" 
+                               onchange="plotEditor.updateObjectProperty('size', parseInt(this.value))">
+                    </div>
+                    <div class="property-row">
+                        <label>Color:</label>
+                        <input type="color" class="color-input" value="${this.selected_object.color}" 
+                               onchange="plotEditor.updateObjectProperty('color', this.value)">
+                    </div>
+                    <div class="property-row">
+                        <label>Text:</label>
+                        <input type="text" value="${this.selected_object.text || ''}" 
+                               onchange="plotEditor.updateObjectProperty('text', this.value)" style="width: 100%;">
+                    </div>
+                    <div class="property-row">
+                        <label>Show Coordinates:</label>
+                        <input type="checkbox" ${this.selected_object.show_coordinates ? 'checked' : ''} 
+                               onchange="plotEditor.updateObjectProperty('show_coordinates', this.checked)">
+                    </div>
+                    <div class="property-row">
+                        <label>X Error:</label>
+                        <input type="text" value="${this.formatErrorInput(this.selected_object.x_error)}" placeholder="± or −, +"
+                               onchange="plotEditor.updatePointError('x_error', this.value)">
+                    </div>
+                    <div class="property-row">
+                        <label>Y Error:</label>
+                        <input type="text" value="${this.formatErrorInput(this.selected_object.y_error)}" placeholder="± or −, +"
+                               onchange="plotEditor.updatePointError('y_error', this.value)">
+                    </div>
+                    <div class="property-row">
+                        <label>Text Font Size:</label>
+                        <input type="number" min="8" max="48" value="${this.selected_object.text_font_size || 12}" 
+                               onchange="plotEditor.updateObjectProperty('text_font_size', parseInt(this.value))">
+                    </div>
+                    <div class="property-row">
+                        <label>Text Font Family:</label>
+                        <select onchange="plotEditor.updateObjectProperty('text_font_family', this.value)" style="width: 100%;">
+                            <option value="Arial" ${(this.selected_object.text_font_family || 'Arial') === 'Arial' ? 'selected' : ''}>Arial</option>
+                            <option value="Helvetica" ${(this.selected_object.text_font_family || 'Arial') === 'Helvetica' ? 'selected' : ''}>Helvetica</option>
+                            <option value="Times New Roman" ${(this.selected_object.text_font_family || 'Arial') === 'Times New Roman' ? 'selected' : ''}>Times New Roman</option>
+                            <option value="Courier New" ${(this.selected_object.text_font_family || 'Arial') === 'Courier New' ? 'selected' : ''}>Courier New</option>
+                            <option value="Georgia" ${(this.selected_object.text_font_family || 'Arial') === 'Georgia' ? 'selected' : ''}>Georgia</option>
+                            <option value="Verdana" ${(this.selected_object.text_font_family || 'Arial') === 'Verdana' ? 'selected' : ''}>Verdana</option>
+                        </select>
+                    </div>
+                    <div class="property-row">
+                        <label>Coords Font Size:</label>
+                        <input type="number" min="6" max="24" value="${this.selected_object.coords_font_size || 10}" 
+                               onchange="plotEditor.updateObjectProperty('coords_font_size', parseInt(this.value))">
+                    </div>
+                    <div class="property-row">
+                        <label>Coords Font Family:</label>
+                        <select onchange="plotEditor.updateObjectProperty('coords_font_family', this.value)" style="width: 100%;">
+                            <option value="Arial" ${(this.selected_object.coords_font_family || 'Arial') === 'Arial' ? 'selected' : ''}>Arial</option>
+                            <option value="Helvetica" ${(this.selected_object.coords_font_family || 'Arial') === 'Helvetica' ? 'selected' : ''}>Helvetica</option>
+                            <option value="Times New Roman" ${(this.selected_object.coords_font_family || 'Arial') === 'Times New Roman' ? 'selected' : ''}>Times New Roman</option>
+                            <option value="Courier New" ${(this.selected_object.coords_font_family || 'Arial') === 'Courier New' ? 'selected' : ''}>Courier New</option>
+                            <option value="Georgia" ${(this.selected_object.coords_font_family || 'Arial') === 'Georgia' ? 'selected' : ''}>Georgia</option>
+                            <option value="Verdana" ${(this.selected_object.coords_font_family || 'Arial') === 'Verdana' ? 'selected' : ''}>Verdana</option>
+                        </select>
+                    </div>
+                    <div class="property-row">
+                        <label>Z-Index:</label>
+                        <input type="number" value="${this.selected_object.z_index || 0}" 
+                               onchange="plotEditor.updateObjectProperty('z_index', parseInt(this.value))">
+                    </div>`;
+                break;
+            case 'line':
+                properties_html += `
+                    <div class="property-row">
+                        <label>X1:</label>
+                        <input type="number" step="0.1" value="${this.selected_object.x1}" 
+                               onchange="plotEditor.updateObjectProperty('x1', parseFloat(this.value))">
+                    </div>
+                    <div class="property-row">
+                        <label>Y1:</label>
+                        <input type="number" step="0.1" value="${this.selected_object.y1}" 
+                               onchange="plotEditor.updateObjectProperty('y1', parseFloat(this.value))">
+                    </div>
+                    <div class="property-row">
+                        <label>X2:</label>
+                        <input type="number" step="0.1" value="${this.selected_object.x2}" 
+                               onchange="plotEditor.updateObjectProperty('x2', parseFloat(this.value))">
+                    </div>
+                    <div class="property-row">
+                        <label>Y2:</label>
+                        <input type="number" step="0.1" value="${this.selected_object.y2}" 
+                               onchange="plotEditor.updateObjectProperty('y2', parseFloat(this.value))">
+                    </div>
+                    <div class="property-row">
+                        <label>Width:</label>
+                        <input type="number" min="1" max="10" value="${this.selected_object.width}" 
+                               onchange="plotEditor.updateObjectProperty('width', parseInt(this.value))">
+                    </div>
+                    <div class="property-row">
+                        <label>Color:</label>
+                        <input type="color" class="color-input" value="${this.selected_object.color}" 
+                               onchange="plotEditor.updateObjectProperty('color', this.value)">
+                    </div>
+                    <div class="property-row">
+                        <label>Z-Index:</label>
+                        <input type="number" value="${this.selected_object.z_index || 0}" 
+                               onchange="plotEditor.updateObjectProperty('z_index', parseInt(this.value))">
+                    </div>`;
+                break;
+            case 'area':
+                properties_html += `
+                    <div class="property-row">
+                        <label>X1:</label>
+                        <input type="number" step="0.1" value="${this.selected_object.x1}" 
+                               onchange="plotEditor.updateObjectProperty('x1', parseFloat(this.value))">
+                    </div>
+                    <div class="property-row">
+                        <label>Y1:</label>
+                        <input type="number" step="0.1" value="${this.selected_object.y1}" 
+                               onchange="plotEditor.updateObjectProperty('y1', parseFloat(this.value))">
+                    </div>
+                    <div class="property-row">
+                        <label>X2:</label>
+                        <input type="number" step="0.1" value="${this.selected_object.x2}" 
+                               onchange="plotEditor.updateObjectProperty('x2', parseFloat(this.value))">
+                    </div>
+                    <div class="property-row">
+                        <label>Y2:</label>
+                        <input type="number" step="0.1" value="${this.selected_object.y2}" 
+                               onchange="plotEditor.updateObjectProperty('y2', parseFloat(this.value))">
+                    </div>
+                    <div class="property-row">
+                        <label>Fill:</label>
+                        <input type="color" class="color-input" value="${this.selected_object.fill_color.substring(0, 7)}" 
+                               onchange="plotEditor.updateObjectProperty('fill_color', this.value + '50')">
+                    </div>
+                    <div class="property-row">
+                        <label>Border:</label>
+                        <input type="color" class="color-input" value="${this.selected_object.border_color}" 
+                               onchange="plotEditor.updateObjectProperty('border_color', this.value)">
+                    </div>
+                    <div class="property-row">
+                        <label>Z-Index:</label>
+                        <input type="number" value="${this.selected_object.z_index || 0}" 
+                               onchange="plotEditor.updateObjectProperty('z_index', parseInt(this.value))">
+                    </div>`;
+                break;
+            case 'text':
+                properties_html += `
+                    <div class="property-row">
+                        <label>X:</label>
+                        <input type="number" step="0.1" value="${this.selected_object.x}" 
+                               onchange="plotEditor.updateObjectProperty('x', parseFloat(this.value))">
+                    </div>
+                    <div class="property-row">
+                        <label>Y:</label>
+                        <input type="number" step="0.1" value="${this.selected_object.y}" 
+                               onchange="plotEditor.updateObjectProperty('y', parseFloat(this.value))">
+                    </div>
+                    <div class="property-row">
+                        <label>Text:</label>
+                        <input type="text" value="${this.selected_object.text}" 
+                               onchange="plotEditor.updateObjectProperty('text', this.value)" style="width: 100%;">
+                    </div>
+                    <div class="property-row">
+                        <label>Size:</label>
+                        <input type="number" min="8" max="48" value="${this.selected_object.font_size}" 
+                               onchange="plotEditor.updateObjectProperty('font_size', parseInt(this.value))">
+                    </div>
+                    <div class="property-row">
+                        <label>Rotation (°):</label>
+                        <input type="number" min="-360" max="360" step="1" value="${this.selected_object.rotation || 0}" 
+                               onchange="plotEditor.updateObjectProperty('rotation', parseFloat(this.value))">
+                    </div>
+                    <div class="property-row">
+                        <label>Color:</label>
+                        <input type="color" class="color-input" value="${this.selected_object.color}" 
+                               onchange="plotEditor.updateObjectProperty('color', this.value)">
+                    </div>
+                    <div class="property-row">
+                        <label>Z-Index:</label>
+                        <input type="number" value="${this.selected_object.z_index || 0}" 
+                               onchange="plotEditor.updateObjectProperty('z_index', parseInt(this.value))">
+                    </div>`;
+                break;
+            case 'brace':
+                properties_html += `
+                    <div class="property-row">
+                        <label>X1:</label>
+                        <input type="number" step="0.1" value="${this.selected_object.x1}" 
+                               onchange="plotEditor.updateObjectProperty('x1', parseFloat(this.value))">
+                    </div>
+                    <div class="property-row">
+                        <label>Y1:</label>
+                        <input type="number" step="0.1" value="${this.selected_object.y1}" 
+                               onchange="plotEditor.updateObjectProperty('y1', parseFloat(this.value))">
+                    </div>
+                    <div class="property-row">
+                        <label>X2:</label>
+                        <input type="number" step="0.1" value="${this.selected_object.x2}" 
+                               onchange="plotEditor.updateObjectProperty('x2', parseFloat(this.value))">
+                    </div>
+                    <div class="property-row">
+                        <label>Y2:</label>
+                        <input type="number" step="0.1" value="${this.selected_object.y2}" 
+                               onchange="plotEditor.updateObjectProperty('y2', parseFloat(this.value))">
+                    </div>
+                    <div class="property-row">
+                        <label>Color:</label>
+                        <input type="color" class="color-input" value="${this.selected_object.color}" 
+                               onchange="plotEditor.updateObjectProperty('color', this.value)">
+                    </div>
+                    <div class="property-row">
+                        <label>Mirror:</label>
+                        <input type="checkbox" ${this.selected_object.mirrored ? 'checked' : ''} 
+                               onchange="plotEditor.updateObjectProperty('mirrored', this.checked)">
+                    </div>
+                    <div class="property-row">
+                        <label>Style:</label>
+                        <select onchange="plotEditor.updateObjectProperty('style', this.value)" style="width: 100%;">
+                            <option value="smooth" ${(this.selected_object.style || '45deg') === 'smooth' ? 'selected' : ''}>Smooth</option>
+                            <option value="traditional" ${(this.selected_object.style || '45deg') === 'traditional' ? 'selected' : ''}>Traditional</option>
+                            <option value="45deg" ${(this.selected_object.style || '45deg') === '45deg' ? 'selected' : ''}>45° (No Overlap)</option>
+                        </select>
+                    </div>
+                    <div class="property-row">
+                        <label>Elevation:</label>
+                        <input type="number" min="1" max="100" step="1" value="${this.selected_object.elevation || this.selected_object.width || 15}" 
+                               onchange="plotEditor.updateObjectProperty('elevation', parseFloat(this.value))">
+                    </div>
+                    <div class="property-row">
+                        <label>Z-Index:</label>
+                        <input type="number" value="${this.selected_object.z_index || 0}" 
+                               onchange="plotEditor.updateObjectProperty('z_index', parseInt(this.value))">
+                    </div>`;
+                break;
+            case 'arrow':
+                properties_html += `
+                    <div class="property-row">
+                        <label>X1:</label>
+                        <input type="number" step="0.1" value="${this.selected_object.x1}" 
+                               onchange="plotEditor.updateObjectProperty('x1', parseFloat(this.value))">
+                    </div>
+                    <div class="property-row">
+                        <label>Y1:</label>
+                        <input type="number" step="0.1" value="${this.selected_object.y1}" 
+                               onchange="plotEditor.updateObjectProperty('y1', parseFloat(this.value))">
+                    </div>
+                    <div class="property-row">
+                        <label>X2:</label>
+                        <input type="number" step="0.1" value="${this.selected_object.x2}" 
+                               onchange="plotEditor.updateObjectProperty('x2', parseFloat(this.value))">
+                    </div>
+                    <div class="property-row">
+                        <label>Y2:</label>
+                        <input type="number" step="0.1" value="${this.selected_object.y2}" 
+                               onchange="plotEditor.updateObjectProperty('y2', parseFloat(this.value))">
+                    </div>
+                    <div class="property-row">
+                        <label>Width:</label>
+                        <input type="number" min="1" max="10" value="${this.selected_object.width}" 
+                               onchange="plotEditor.updateObjectProperty('width', parseInt(this.value))">
+                    </div>
+                    <div class="property-row">
+                        <label>Color:</label>
+                        <input type="color" class="color-input" value="${this.selected_object.color}" 
+                               onchange="plotEditor.updateObjectProperty('color', this.value)">
+                    </div>
+                    <div class="property-row">
+                        <label>Head Style:</label>
+                        <select onchange="plotEditor.updateObjectProperty('head_style', this.value)" style="width: 100%;">
+                            <option value="none" ${(this.selected_object.head_style || 'filled') === 'none' ? 'selected' : ''}>None</option>
+                            <option value="open" ${(this.selected_object.head_style || 'filled') === 'open' ? 'selected' : ''}>Open</option>
+                            <option value="filled" ${(this.selected_object.head_style || 'filled') === 'filled' ? 'selected' : ''}>Filled</option>
+                            <option value="double" ${(this.selected_object.head_style || 'filled') === 'double' ? 'selected' : ''}>Double-Ended</option>
+                        </select>
+                    </div>
+                    <div class="property-row">
+                        <label>Head Size:</label>
+                        <input type="number" min="2" max="50" step="1" value="${this.selected_object.head_size || 12}" 
+                               onchange="plotEditor.updateObjectProperty('head_size', parseFloat(this.value))">
+                    </div>
+                    <div class="property-row">
+                        <label>Dash:</label>
+                        <select onchange="plotEditor.updateObjectProperty('dash_style', this.value)" style="width: 100%;">
+                            <option value="solid" ${(this.selected_object.dash_style || 'solid') === 'solid' ? 'selected' : ''}>Solid</option>
+                            <option value="dashed" ${(this.selected_object.dash_style || 'solid') === 'dashed' ? 'selected' : ''}>Dashed</option>
+                            <option value="dotted" ${(this.selected_object.dash_style || 'solid') === 'dotted' ? 'selected' : ''}>Dotted</option>
+                            <option value="dashdot" ${(this.selected_object.dash_style || 'solid') === 'dashdot' ? 'selected' : ''}>Dash-Dot</option>
+                        </select>
+                    </div>
+                    <div class="property-row">
+                        <label>Z-Index:</label>
+                        <input type="number" value="${this.selected_object.z_index || 0}" 
+                               onchange="plotEditor.updateObjectProperty('z_index', parseInt(this.value))">
+                    </div>`;
+                break;
+            case 'circle':
+                properties_html += `
+                    <div class="property-row">
+                        <label>Center X:</label>
+                        <input type="number" step="0.1" value="${this.selected_object.cx}" 
+                               onchange="plotEditor.updateObjectProperty('cx', parseFloat(this.value))">
+                    </div>
+                    <div class="property-row">
+                        <label>Center Y:</label>
+                        <input type="number" step="0.1" value="${this.selected_object.cy}" 
+                               onchange="plotEditor.updateObjectProperty('cy', parseFloat(this.value))">
+                    </div>
+                    <div class="property-row">
+                        <label>Radius:</label>
+                        <input type="number" min="0" step="0.1" value="${this.selected_object.radius}" 
+                               onchange="plotEditor.updateObjectProperty('radius', parseFloat(this.value))">
+                    </div>
+                    ${this.getShapeStyleRowsHTML(this.selected_object)}`;
+                break;
+            case 'ellipse':
+                properties_html += `
+                    <div class="property-row">
+                        <label>Center X:</label>
+                        <input type="number" step="0.1" value="${this.selected_object.cx}" 
+                               onchange="plotEditor.updateObjectProperty('cx', parseFloat(this.value))">
+                    </div>
+                    <div class="property-row">
+                        <label>Center Y:</label>
+                        <input type="number" step="0.1" value="${this.selected_object.cy}" 
+                               onchange="plotEditor.updateObjectProperty('cy', parseFloat(this.value))">
+                    </div>
+                    <div class="property-row">
+                        <label>Radius X:</label>
+                        <input type="number" min="0" step="0.1" value="${this.selected_object.rx}" 
+                               onchange="plotEditor.updateObjectProperty('rx', parseFloat(this.value))">
+                    </div>
+                    <div class="property-row">
+                        <label>Radius Y:</label>
+                        <input type="number" min="0" step="0.1" value="${this.selected_object.ry}" 
+                               onchange="plotEditor.updateObjectProperty('ry', parseFloat(this.value))">
+                    </div>
+                    <div class="property-row">
+                        <label>Rotation (°):</label>
+                        <input type="number" min="-360" max="360" step="1" value="${this.selected_object.rotation}" 
+                               onchange="plotEditor.updateObjectProperty('rotation', parseFloat(this.value))">
+                    </div>
+                    ${this.getShapeStyleRowsHTML(this.selected_object)}`;
+                break;
+            case 'arc':
+                properties_html += `
+                    <div class="property-row">
+                        <label>Center X:</label>
+                        <input type="number" step="0.1" value="${this.selected_object.cx}" 
+                               onchange="plotEditor.updateObjectProperty('cx', parseFloat(this.value))">
+                    </div>
+                    <div class="property-row">
+                        <label>Center Y:</label>
+                        <input type="number" step="0.1" value="${this.selected_object.cy}" 
+                               onchange="plotEditor.updateObjectProperty('cy', parseFloat(this.value))">
+                    </div>
+                    <div class="property-row">
+                        <label>Radius:</label>
+                        <input type="number" min="0" step="0.1" value="${this.selected_object.radius}" 
+                               onchange="plotEditor.updateObjectProperty('radius', parseFloat(this.value))">
+                    </div>
+                    <div class="property-row">
+                        <label>Start (°):</label>
+                        <input type="number" min="-360" max="360" step="1" value="${this.selected_object.start_angle}" 
+                               onchange="plotEditor.updateObjectProperty('start_angle', parseFloat(this.value))">
+                    </div>
+                    <div class="property-row">
+                        <label>End (°):</label>
+                        <input type="number" min="-360" max="360" step="1" value="${this.selected_object.end_angle}" 
+                               onchange="plotEditor.updateObjectProperty('end_angle', parseFloat(this.value))">
+                    </div>
+                    <div class="property-row">
+                        <label>Arc Type:</label>
+                        <select onchange="plotEditor.updateObjectProperty('arc_type', this.value)" style="width: 100%;">
+                            <option value="arc" ${(this.selected_object.arc_type || 'arc') === 'arc' ? 'selected' : ''}>Arc</option>
+                            <option value="sector" ${(this.selected_object.arc_type || 'arc') === 'sector' ? 'selected' : ''}>Sector</option>
+                        </select>
+                    </div>
+                    ${this.getShapeStyleRowsHTML(this.selected_object)}`;
+                break;
+            case 'polygon':
+                properties_html += `
+                    ${this.getVertexRowsHTML(this.selected_object)}
+                    ${this.getShapeStyleRowsHTML(this.selected_object)}`;
+                break;
+            case 'polyline':
+                properties_html += `
+                    ${this.getVertexRowsHTML(this.selected_object)}
+                    <div class="property-row">
+                        <label>Width:</label>
+                        <input type="number" min="1" max="10" value="${this.selected_object.width}" 
+                               onchange="plotEditor.updateObjectProperty('width', parseInt(this.value))">
+                    </div>
+                    <div class="property-row">
+                        <label>Color:</label>
+                        <input type="color" class="color-input" value="${this.selected_object.color}" 
+                               onchange="plotEditor.updateObjectProperty('color', this.value)">
+                    </div>
+                    <div class="property-row">
+                        <label>Dash:</label>
+                        <select onchange="plotEditor.updateObjectProperty('dash_style', this.value)" style="width: 100%;">
+                            <option value="solid" ${(this.selected_object.dash_style || 'solid') === 'solid' ? 'selected' : ''}>Solid</option>
+                            <option value="dashed" ${(this.selected_object.dash_style || 'solid') === 'dashed' ? 'selected' : ''}>Dashed</option>
+                            <option value="dotted" ${(this.selected_object.dash_style || 'solid') === 'dotted' ? 'selected' : ''}>Dotted</option>
+                            <option value="dashdot" ${(this.selected_object.dash_style || 'solid') === 'dashdot' ? 'selected' : ''}>Dash-Dot</option>
+                        </select>
+                    </div>
+                    <div class="property-row">
+                        <label>Z-Index:</label>
+                        <input type="number" value="${this.selected_object.z_index || 0}" 
+                               onchange="plotEditor.updateObjectProperty('z_index', parseInt(this.value))">
+                    </div>`;
+                break;
+            case 'parametric':
+                properties_html += `
+                    <div class="property-row">
+                        <label>X(t):</label>
+                        <input type="text" value="${this.escapeXML(this.selected_object.x_expression)}"
+                               onchange="plotEditor.updateObjectProperty('x_expression', this.value)" style="width: 100%;">
+                    </div>
+                    <div class="property-row">
+                        <label>Y(t):</label>
+                        <input type="text" value="${this.escapeXML(this.selected_object.y_expression)}"
+                               onchange="plotEditor.updateObjectProperty('y_expression', this.value)" style="width: 100%;">
+                    </div>
+                    <div class="property-row">
+                        <label>T Min:</label>
+                        <input type="text" value="${this.selected_object.t_min}"
+                               onchange="plotEditor.updateNumericProperty('t_min', this.value)">
+                    </div>
+                    <div class="property-row">
+                        <label>T Max:</label>
+                        <input type="text" value="${this.selected_object.t_max}"
+                               onchange="plotEditor.updateNumericProperty('t_max', this.value)">
+                    </div>
+                    <div class="property-row">
+                        <label>Samples:</label>
+                        <input type="number" min="10" max="10000" step="10" value="${this.selected_object.samples}" 
+                               onchange="plotEditor.updateObjectProperty('samples', parseInt(this.value))">
+                    </div>
+                    <div class="property-row">
+                        <label>Color:</label>
+                        <input type="color" class="color-input" value="${this.selected_object.color}" 
+                               onchange="plotEditor.updateObjectProperty('color', this.value)">
+                    </div>
+                    <div class="property-row">
+                        <label>Width:</label>
+                        <input type="number" min="1" max="10" value="${this.selected_object.width}" 
+                               onchange="plotEditor.updateObjectProperty('width', parseInt(this.value))">
+                    </div>
+                    <div class="property-row">
+                        <label>Z-Index:</label>
+                        <input type="number" value="${this.selected_object.z_index || 0}" 
+                               onchange="plotEditor.updateObjectProperty('z_index', parseInt(this.value))">
+                    </div>`;
+                break;
+            case 'polar':
+                properties_html += `
+                    <div class="property-row">
+                        <label>r(θ):</label>
+                        <input type="text" value="${this.escapeXML(this.selected_object.expression)}"
+                               onchange="plotEditor.updateObjectProperty('expression', this.value)" style="width: 100%;">
+                    </div>
+                    <div class="property-row">
+                        <label>θ Min:</label>
+                        <input type="text" value="${this.selected_object.theta_min}"
+                               onchange="plotEditor.updateNumericProperty('theta_min', this.value)">
+                    </div>
+                    <div class="property-row">
+                        <label>θ Max:</label>
+                        <input type="text" value="${this.selected_object.theta_max}"
+                               onchange="plotEditor.updateNumericProperty('theta_max', this.value)">
+                    </div>
+                    <div class="property-row">
+                        <label>Samples:</label>
+                        <input type="number" min="10" max="10000" step="10" value="${this.selected_object.samples}" 
+                               onchange="plotEditor.updateObjectProperty('samples', parseInt(this.value))">
+                    </div>
+                    <div class="property-row">
+                        <label>Color:</label>
+                        <input type="color" class="color-input" value="${this.selected_object.color}" 
+                               onchange="plotEditor.updateObjectProperty('color', this.value)">
+                    </div>
+                    <div class="property-row">
+                        <label>Width:</label>
+                        <input type="number" min="1" max="10" value="${this.selected_object.width}" 
+                               onchange="plotEditor.updateObjectProperty('width', parseInt(this.value))">
+                    </div>
+                    <div class="property-row">
+                        <label>Z-Index:</label>
+                        <input type="number" value="${this.selected_object.z_index || 0}" 
+                               onchange="plotEditor.updateObjectProperty('z_index', parseInt(this.value))">
+                    </div>`;
+                break;
+            case 'implicit':
+                properties_html += `
+                    <div class="property-row">
+                        <label>Equation:</label>
+                        <input type="text" value="${this.escapeXML(this.selected_object.equation)}"
+                               onchange="plotEditor.updateObjectProperty('equation', this.value)" style="width: 100%;">
+                    </div>
+                    <div class="property-row">
+                        <label>Resolution:</label>
+                        <input type="number" min="20" max="600" step="10" value="${this.selected_object.resolution}" 
+                               onchange="plotEditor.updateObjectProperty('resolution', parseInt(this.value))">
+                    </div>
+                    <div class="property-row">
+                        <label>Color:</label>
+                        <input type="color" class="color-input" value="${this.selected_object.color}" 
+                               onchange="plotEditor.updateObjectProperty('color', this.value)">
+                    </div>
+                    <div class="property-row">
+                        <label>Width:</label>
+                        <input type="number" min="1" max="10" value="${this.selected_object.width}" 
+                               onchange="plotEditor.updateObjectProperty('width', parseInt(this.value))">
+                    </div>
+                    <div class="property-row">
+                        <label>Z-Index:</label>
+                        <input type="number" value="${this.selected_object.z_index || 0}" 
+                               onchange="plotEditor.updateObjectProperty('z_index', parseInt(this.value))">
+                    </div>`;
+                break;
+            case 'region':
+                properties_html += `
+                    <div class="property-row">
+                        <label>Inequalities:</label>
+                        <textarea rows="3" style="width: 100%;"
+                                  onchange="plotEditor.updateRegionInequalities(this.value)">${this.escapeXML(this.selected_object.inequalities.join('\n'))}</textarea>
+                    </div>
+                    <div class="property-row">
+                        <label>Fill Color:</label>
+                        <input type="color" class="color-input" value="${this.selected_object.fill_color.substring(0, 7)}" 
+                               onchange="plotEditor.updateObjectProperty('fill_color', this.value + '${this.selected_object.fill_color.substring(7) || '40'}')">
+                    </div>
+                    <div class="property-row">
+                        <label>Hatch:</label>
+                        <input type="checkbox" ${this.selected_object.hatch ? 'checked' : ''} 
+                               onchange="plotEditor.updateObjectProperty('hatch', this.checked)">
+                    </div>
+                    <div class="property-row">
+                        <label>Hatch Color:</label>
+                        <input type="color" class="color-input" value="${this.selected_object.hatch_color}" 
+                               onchange="plotEditor.updateObjectProperty('hatch_color', this.value)">
+                    </div>
+                    <div class="property-row">
+                        <label>Z-Index:</label>
+                        <input type="number" value="${this.selected_object.z_index || 0}" 
+                               onchange="plotEditor.updateObjectProperty('z_index', parseInt(this.value))">
+                    </div>`;
+                break;
+            case 'integral':
+                properties_html += `
+                    <div class="property-row">
+                        <label>Function:</label>
+                        <select onchange="plotEditor.updateObjectProperty('function_id', this.value)" style="width: 100%;">
+                            ${this.findFunctionById(this.selected_object.function_id) ? '' : '<option value="" selected>(deleted)</option>'}
+                            ${this.getFunctionOptionsHTML(this.selected_object.function_id)}
+                        </select>
+                    </div>
+                    <div class="property-row">
+                        <label>Lower Bound:</label>
+                        <select onchange="plotEditor.updateObjectProperty('lower_function_id', this.value || null)" style="width: 100%;">
+                            <option value="" ${this.selected_object.lower_function_id ? '' : 'selected'}>x-axis</option>
+                            ${this.getFunctionOptionsHTML(this.selected_object.lower_function_id)}
+                        </select>
                     </div>
-                </div>`;
-        });
-        
-        object_list_container.innerHTML = objects_html;
-    }
-    
-    /**
-     * Get display name for object
-     * @param {Object} obj - Plot object
-     * @returns {string} Display name
-     */
-    getObjectDisplayName(obj) {
-        switch (obj.type) {
-            case 'point':
-                return obj.text ? `Point: ${obj.text}` : 'Point';
-            case 'line':
-                return 'Line';
-            case 'area':
-                return 'Filled Area';
-            case 'text':
-                return `Text: ${obj.text}`;
-            case 'brace':
-                return 'Brace';
-            default:
-                return obj.type;
-        }
-    }
-    
-    /**
-     * Get display details for object
-     * @param {Object} obj - Plot object
-     * @returns {string} Display details
-     */
-    getObjectDisplayDetails(obj) {
-        switch (obj.type) {
-            case 'point':
-                return `(${obj.x.toFixed(1)}, ${obj.y.toFixed(1)})`;
-            case 'line':
-                return `(${obj.x1.toFixed(1)}, ${obj.y1.toFixed(1)}) → (${obj.x2.toFixed(1)}, ${obj.y2.toFixed(1)})`;
-            case 'area':
-                return `${Math.abs(obj.x2 - obj.x1).toFixed(1)}×${Math.abs(obj.y2 - obj.y1).toFixed(1)}`;
-            case 'text':
-                return `at (${obj.x.toFixed(1)}, ${obj.y.toFixed(1)})`;
-            case 'brace':
-                return `(${obj.x1.toFixed(1)}, ${obj.y1.toFixed(1)}) → (${obj.x2.toFixed(1)}, ${obj.y2.toFixed(1)})`;
-            default:
-                return '';
-        }
-    }
-    
-    /**
-     * Get icon for object type
-     * @param {string} type - Object type
-     * @returns {string} Icon character
-     */
-    getObjectIcon(type) {
-        switch (type) {
-            case 'point': return '•';
-            case 'line': return '📏';
-            case 'area': return '▢';
-            case 'text': return 'T';
-            case 'brace': return '}';
-            default: return '?';
-        }
-    }
-    
-    /**
-     * Select object by ID
-     * @param {string} object_id - Object ID to select
-     * side-effects: Changes selected_object
-     */
-    selectObjectById(object_id) {
-        const obj = this.plot_objects.find(o => o.id === object_id);
-        this.selectObject(obj || null);
-    }
-
-    /**
-     * Update properties panel with selected object properties
-     * side-effects: Updates DOM elements in properties panel
-     */
-    updatePropertiesPanel() {
-        const properties_container = document.getElementById('object-properties');
-        if (!properties_container) return;
-        
-        if (!this.selected_object) {
-            properties_container.innerHTML = '<p class="no-selection">No object selected</p>';
-            return;
-        }
-        
-        let properties_html = `<div class="property-group">
-            <h4>${this.selected_object.type.toUpperCase()} Properties</h4>`;
-        
-        // Common properties based on object type
-        switch (this.selected_object.type) {
-            case 'point':
+                    <div class="property-row">
+                        <label>A:</label>
+                        <input type="text" value="${this.selected_object.a}"
+                               onchange="plotEditor.updateNumericProperty('a', this.value)">
+                    </div>
+                    <div class="property-row">
+                        <label>B:</label>
+                        <input type="text" value="${this.selected_object.b}"
+                               onchange="plotEditor.updateNumericProperty('b', this.value)">
+                    </div>
+                    <div class="property-row">
+                        <label>Fill Color:</label>
+                        <input type="color" class="color-input" value="${this.selected_object.fill_color.substring(0, 7)}" 
+                               onchange="plotEditor.updateObjectProperty('fill_color', this.value + '${this.selected_object.fill_color.substring(7) || '50'}')">
+                    </div>
+                    <div class="property-row">
+                        <label>Show Value:</label>
+                        <input type="checkbox" ${this.selected_object.show_value ? 'checked' : ''} 
+                               onchange="plotEditor.updateObjectProperty('show_value', this.checked)">
+                    </div>
+                    <div class="property-row">
+                        <label>Z-Index:</label>
+                        <input type="number" value="${this.selected_object.z_index || 0}" 
+                               onchange="plotEditor.updateObjectProperty('z_index', parseInt(this.value))">
+                    </div>`;
+                break;
+            case 'series':
                 properties_html += `
                     <div class="property-row">
-                        <label>X:</label>
-                        <input type="number" step="0.1" value="${this.selected_object.x}" 
-                               onchange="plotEditor.updateObjectProperty('x', parseFloat(this.value))">
+                        <label>Name:</label>
+                        <input type="text" value="${this.escapeXML(this.selected_object.name || '')}"
+                               onchange="plotEditor.updateObjectProperty('name', this.value)" style="width: 100%;">
                     </div>
                     <div class="property-row">
-                        <label>Y:</label>
-                        <input type="number" step="0.1" value="${this.selected_object.y}" 
-                               onchange="plotEditor.updateObjectProperty('y', parseFloat(this.value))">
+                        <label>Data (${this.selected_object.points.length}):</label>
+                        <textarea rows="4" style="width: 100%;"
+                                  onchange="plotEditor.updateSeriesData(this.value)">${this.formatDataText(this.selected_object.points)}</textarea>
+                    </div>
+                    <div class="property-row">
+                        <label>Style:</label>
+                        <select onchange="plotEditor.updateObjectProperty('style', this.value)" style="width: 100%;">
+                            <option value="markers" ${(this.selected_object.style || 'markers') === 'markers' ? 'selected' : ''}>Markers</option>
+                            <option value="lines" ${(this.selected_object.style || 'markers') === 'lines' ? 'selected' : ''}>Lines</option>
+                            <option value="both" ${(this.selected_object.style || 'markers') === 'both' ? 'selected' : ''}>Markers + Lines</option>
+                        </select>
+                    </div>
+                    <div class="property-row">
+                        <label>Marker:</label>
+                        <select onchange="plotEditor.updateObjectProperty('marker_shape', this.value)" style="width: 100%;">
+                            <option value="circle" ${(this.selected_object.marker_shape || 'circle') === 'circle' ? 'selected' : ''}>Circle</option>
+                            <option value="square" ${(this.selected_object.marker_shape || 'circle') === 'square' ? 'selected' : ''}>Square</option>
+                            <option value="triangle" ${(this.selected_object.marker_shape || 'circle') === 'triangle' ? 'selected' : ''}>Triangle</option>
+                            <option value="diamond" ${(this.selected_object.marker_shape || 'circle') === 'diamond' ? 'selected' : ''}>Diamond</option>
+                            <option value="cross" ${(this.selected_object.marker_shape || 'circle') === 'cross' ? 'selected' : ''}>Cross</option>
+                        </select>
+                    </div>
+                    <div class="property-row">
+                        <label>Marker Size:</label>
+                        <input type="number" min="1" max="20" value="${this.selected_object.marker_size}" 
+                               onchange="plotEditor.updateObjectProperty('marker_size', parseInt(this.value))">
+                    </div>
+                    <div class="property-row">
+                        <label>Color:</label>
+                        <input type="color" class="color-input" value="${this.selected_object.color}" 
+                               onchange="plotEditor.updateObjectProperty('color', this.value)">
+                    </div>
+                    <div class="property-row">
+                        <label>Line Width:</label>
+                        <input type="number" min="1" max="10" value="${this.selected_object.line_width}" 
+                               onchange="plotEditor.updateObjectProperty('line_width', parseInt(this.value))">
+                    </div>
+                    <div class="property-row">
+                        <label>Dash:</label>
+                        <select onchange="plotEditor.updateObjectProperty('dash_style', this.value)" style="width: 100%;">
+                            <option value="solid" ${(this.selected_object.dash_style || 'solid') === 'solid' ? 'selected' : ''}>Solid</option>
+                            <option value="dashed" ${(this.selected_object.dash_style || 'solid') === 'dashed' ? 'selected' : ''}>Dashed</option>
+                            <option value="dotted" ${(this.selected_object.dash_style || 'solid') === 'dotted' ? 'selected' : ''}>Dotted</option>
+                            <option value="dashdot" ${(this.selected_object.dash_style || 'solid') === 'dashdot' ? 'selected' : ''}>Dash-Dot</option>
+                        </select>
+                    </div>
+                    <div class="property-row">
+                        <label>Z-Index:</label>
+                        <input type="number" value="${this.selected_object.z_index || 0}" 
+                               onchange="plotEditor.updateObjectProperty('z_index', parseInt(this.value))">
+                    </div>`;
+                break;
+            case 'band':
+                const band_x_min_display = this.selected_object.x_min !== null ? this.selected_object.x_min : '-∞';
+                const band_x_max_display = this.selected_object.x_max !== null ? this.selected_object.x_max : '∞';
+                properties_html += `
+                    <div class="property-row">
+                        <label>Source:</label>
+                        <select onchange="plotEditor.updateObjectProperty('source', this.value); plotEditor.updatePropertiesPanel()" style="width: 100%;">
+                            <option value="expressions" ${this.selected_object.source === 'expressions' ? 'selected' : ''}>Expressions</option>
+                            <option value="data" ${this.selected_object.source === 'data' ? 'selected' : ''}>Data</option>
+                        </select>
+                    </div>`;
+                if (this.selected_object.source === 'data') {
+                    properties_html += `
+                    <div class="property-row">
+                        <label>Data (x, lower, upper):</label>
+                        <textarea rows="4" style="width: 100%;"
+                                  onchange="plotEditor.updateBandData(this.value)">${this.formatDataText(this.selected_object.data, ['x', 'lower', 'upper'])}</textarea>
+                    </div>`;
+                } else {
+                    properties_html += `
+                    <div class="property-row">
+                        <label>Lower:</label>
+                        <input type="text" value="${this.escapeXML(this.selected_object.lower_expression)}"
+                               onchange="plotEditor.updateObjectProperty('lower_expression', this.value)" style="width: 100%;">
+                    </div>
+                    <div class="property-row">
+                        <label>Upper:</label>
+                        <input type="text" value="${this.escapeXML(this.selected_object.upper_expression)}"
+                               onchange="plotEditor.updateObjectProperty('upper_expression', this.value)" style="width: 100%;">
+                    </div>
+                    <div class="property-row">
+                        <label>X Min:</label>
+                        <input type="text" value="${band_x_min_display}"
+                               onchange="plotEditor.updateObjectProperty('x_min', this.value === '-∞' || this.value === '' ? null : parseFloat(this.value))">
+                    </div>
+                    <div class="property-row">
+                        <label>X Max:</label>
+                        <input type="text" value="${band_x_max_display}"
+                               onchange="plotEditor.updateObjectProperty('x_max', this.value === '∞' || this.value === '' ? null : parseFloat(this.value))">
+                    </div>`;
+                }
+                properties_html += `
+                    <div class="property-row">
+                        <label>Fill Color:</label>
+                        <input type="color" class="color-input" value="${this.selected_object.fill_color.substring(0, 7)}" 
+                               onchange="plotEditor.updateObjectProperty('fill_color', this.value + '${this.selected_object.fill_color.substring(7) || '40'}')">
+                    </div>
+                    <div class="property-row">
+                        <label>Z-Index:</label>
+                        <input type="number" value="${this.selected_object.z_index || 0}" 
+                               onchange="plotEditor.updateObjectProperty('z_index', parseInt(this.value))">
+                    </div>`;
+                break;
+            case 'bars':
+                properties_html += `
+                    <div class="property-row">
+                        <label>X Positions:</label>
+                        <select onchange="plotEditor.updateObjectProperty('x_mode', this.value); plotEditor.updatePropertiesPanel()" style="width: 100%;">
+                            <option value="categorical" ${this.selected_object.x_mode === 'categorical' ? 'selected' : ''}>Categorical</option>
+                            <option value="numeric" ${this.selected_object.x_mode === 'numeric' ? 'selected' : ''}>Numeric</option>
+                        </select>
+                    </div>
+                    <div class="property-row">
+                        <label>${this.selected_object.x_mode === 'categorical' ? 'Bars (label, height[, color]):' : 'Bars (x, height[, color]):'}</label>
+                        <textarea rows="5" style="width: 100%;"
+                                  onchange="plotEditor.updateBarData(this.value)">${this.escapeXML(this.formatBarText(this.selected_object))}</textarea>
+                    </div>
+                    <div class="property-row">
+                        <label>Bar Width:</label>
+                        <input type="number" step="0.1" min="0.05" value="${this.selected_object.bar_width}"
+                               onchange="plotEditor.updateNumericProperty('bar_width', this.value)">
+                    </div>
+                    <div class="property-row">
+                        <label>Fill:</label>
+                        <input type="color" class="color-input" value="${this.selected_object.fill_color.substring(0, 7)}" 
+                               onchange="plotEditor.updateObjectProperty('fill_color', this.value + '${this.selected_object.fill_color.substring(7) || '80'}')">
+                    </div>
+                    <div class="property-row">
+                        <label>Border:</label>
+                        <input type="color" class="color-input" value="${this.selected_object.border_color}" 
+                               onchange="plotEditor.updateObjectProperty('border_color', this.value)">
+                    </div>
+                    <div class="property-row">
+                        <label>Z-Index:</label>
+                        <input type="number" value="${this.selected_object.z_index || 0}" 
+                               onchange="plotEditor.updateObjectProperty('z_index', parseInt(this.value))">
+                    </div>`;
+                break;
+            case 'histogram':
+                properties_html += `
+                    <div class="property-row">
+                        <label>Values:</label>
+                        <textarea rows="4" style="width: 100%;"
+                                  onchange="plotEditor.updateHistogramValues(this.value)">${this.selected_object.values.join(', ')}</textarea>
+                    </div>
+                    <div class="property-row">
+                        <label>Bins By:</label>
+                        <select onchange="plotEditor.updateObjectProperty('bin_mode', this.value); plotEditor.updatePropertiesPanel()">
+                            <option value="count" ${this.selected_object.bin_mode === 'count' ? 'selected' : ''}>Count</option>
+                            <option value="width" ${this.selected_object.bin_mode === 'width' ? 'selected' : ''}>Width</option>
+                        </select>
+                    </div>`;
+                if (this.selected_object.bin_mode === 'width') {
+                    properties_html += `
+                    <div class="property-row">
+                        <label>Bin Width:</label>
+                        <input type="number" step="0.1" min="0" value="${this.selected_object.bin_width}"
+                               onchange="plotEditor.updateNumericProperty('bin_width', this.value)">
+                    </div>`;
+                } else {
+                    properties_html += `
+                    <div class="property-row">
+                        <label>Bin Count:</label>
+                        <input type="number" step="1" min="1" value="${this.selected_object.bin_count}"
+                               onchange="plotEditor.updateObjectProperty('bin_count', Math.max(1, parseInt(this.value) || 1))">
+                    </div>`;
+                }
+                properties_html += `
+                    <div class="property-row">
+                        <label>Fill:</label>
+                        <input type="color" class="color-input" value="${this.selected_object.fill_color.substring(0, 7)}" 
+                               onchange="plotEditor.updateObjectProperty('fill_color', this.value + '${this.selected_object.fill_color.substring(7) || '80'}')">
+                    </div>
+                    <div class="property-row">
+                        <label>Border:</label>
+                        <input type="color" class="color-input" value="${this.selected_object.border_color}" 
+                               onchange="plotEditor.updateObjectProperty('border_color', this.value)">
+                    </div>
+                    <div class="property-row">
+                        <label>Z-Index:</label>
+                        <input type="number" value="${this.selected_object.z_index || 0}" 
+                               onchange="plotEditor.updateObjectProperty('z_index', parseInt(this.value))">
+                    </div>`;
+                break;
+            case 'slope_field':
+            case 'vector_field':
+                if (this.selected_object.type === 'slope_field') {
+                    properties_html += `
+                    <div class="property-row">
+                        <label>dy/dx =</label>
+                        <input type="text" value="${this.escapeXML(this.selected_object.expression)}"
+                               onchange="plotEditor.updateObjectProperty('expression', this.value)" style="width: 100%;">
+                    </div>`;
+                } else {
+                    properties_html += `
+                    <div class="property-row">
+                        <label>P(x, y):</label>
+                        <input type="text" value="${this.escapeXML(this.selected_object.p_expression)}"
+                               onchange="plotEditor.updateObjectProperty('p_expression', this.value)" style="width: 100%;">
+                    </div>
+                    <div class="property-row">
+                        <label>Q(x, y):</label>
+                        <input type="text" value="${this.escapeXML(this.selected_object.q_expression)}"
+                               onchange="plotEditor.updateObjectProperty('q_expression', this.value)" style="width: 100%;">
+                    </div>
+                    <div class="property-row">
+                        <label>Normalize:</label>
+                        <input type="checkbox" ${this.selected_object.normalize ? 'checked' : ''}
+                               onchange="plotEditor.updateObjectProperty('normalize', this.checked)">
+                    </div>`;
+                }
+                properties_html += `
+                    <div class="property-row">
+                        <label>Grid Density:</label>
+                        <input type="number" min="2" max="80" step="1" value="${this.selected_object.density}"
+                               onchange="plotEditor.updateObjectProperty('density', Math.min(80, Math.max(2, parseInt(this.value) || 20)))">
+                    </div>
+                    <div class="property-row">
+                        <label>Arrow Scale:</label>
+                        <input type="number" min="0.1" step="0.1" value="${this.selected_object.scale}"
+                               onchange="plotEditor.updateNumericProperty('scale', this.value)">
+                    </div>
+                    <div class="property-row">
+                        <label>Color:</label>
+                        <input type="color" class="color-input" value="${this.selected_object.color}" 
+                               onchange="plotEditor.updateObjectProperty('color', this.value)">
+                    </div>
+                    <div class="property-row">
+                        <label>Width:</label>
+                        <input type="number" min="0.5" max="5" step="0.5" value="${this.selected_object.width}" 
+                               onchange="plotEditor.updateObjectProperty('width', parseFloat(this.value))">
+                    </div>
+                    <div class="property-row">
+                        <label>Z-Index:</label>
+                        <input type="number" value="${this.selected_object.z_index || 0}" 
+                               onchange="plotEditor.updateObjectProperty('z_index', parseInt(this.value))">
+                    </div>`;
+                break;
+            case 'ode':
+                properties_html += `
+                    <div class="property-row">
+                        <label>dy/dx =</label>
+                        <input type="text" value="${this.escapeXML(this.selected_object.expression)}"
+                               onchange="plotEditor.updateObjectProperty('expression', this.value)" style="width: 100%;">
+                    </div>
+                    <div class="property-row">
+                        <label>x₀:</label>
+                        <input type="text" value="${this.selected_object.x0}"
+                               onchange="plotEditor.updateNumericProperty('x0', this.value)">
+                    </div>
+                    <div class="property-row">
+                        <label>y₀:</label>
+                        <input type="text" value="${this.selected_object.y0}"
+                               onchange="plotEditor.updateNumericProperty('y0', this.value)">
                     </div>
                     <div class="property-row">
-                        <label>Size:</label>
-                        <input type="number" min="1" max="20" value="${this.selected_object.size}" 
-                               onchange="plotEditor.updateObjectProperty('size', parseInt(this.value))">
+                        <label>Direction:</label>
+                        <select onchange="plotEditor.updateObjectProperty('direction', this.value)">
+                            <option value="both" ${this.selected_object.direction === 'both' ? 'selected' : ''}>Both</option>
+                            <option value="forward" ${this.selected_object.direction === 'forward' ? 'selected' : ''}>Forward</option>
+                            <option value="backward" ${this.selected_object.direction === 'backward' ? 'selected' : ''}>Backward</option>
+                        </select>
                     </div>
                     <div class="property-row">
                         <label>Color:</label>
@@ -3969,160 +11032,267 @@ class PlotEditor {
                                onchange="plotEditor.updateObjectProperty('color', this.value)">
                     </div>
                     <div class="property-row">
-                        <label>Text:</label>
-                        <input type="text" value="${this.selected_object.text || ''}" 
-                               onchange="plotEditor.updateObjectProperty('text', this.value)" style="width: 100%;">
+                        <label>Width:</label>
+                        <input type="number" min="1" max="10" value="${this.selected_object.width}" 
+                               onchange="plotEditor.updateObjectProperty('width', parseInt(this.value))">
                     </div>
                     <div class="property-row">
-                        <label>Show Coordinates:</label>
-                        <input type="checkbox" ${this.selected_object.show_coordinates ? 'checked' : ''} 
-                               onchange="plotEditor.updateObjectProperty('show_coordinates', this.checked)">
+                        <label>Z-Index:</label>
+                        <input type="number" value="${this.selected_object.z_index || 0}" 
+                               onchange="plotEditor.updateObjectProperty('z_index', parseInt(this.value))">
+                    </div>`;
+                break;
+            case 'scalar_field':
+                const field_mode = this.selected_object.mode;
+                properties_html += `
+                    <div class="property-row">
+                        <label>f(x, y) =</label>
+                        <input type="text" value="${this.escapeXML(this.selected_object.expression)}"
+                               onchange="plotEditor.updateObjectProperty('expression', this.value)" style="width: 100%;">
                     </div>
                     <div class="property-row">
-                        <label>Text Font Size:</label>
-                        <input type="number" min="8" max="48" value="${this.selected_object.text_font_size || 12}" 
-                               onchange="plotEditor.updateObjectProperty('text_font_size', parseInt(this.value))">
+                        <label>Display:</label>
+                        <select onchange="plotEditor.updateObjectProperty('mode', this.value); plotEditor.updatePropertiesPanel()">
+                            <option value="lines" ${field_mode === 'lines' ? 'selected' : ''}>Contour lines</option>
+                            <option value="filled" ${field_mode === 'filled' ? 'selected' : ''}>Filled contours</option>
+                            <option value="heatmap" ${field_mode === 'heatmap' ? 'selected' : ''}>Heatmap</option>
+                        </select>
+                    </div>`;
+                if (field_mode !== 'heatmap') {
+                    properties_html += `
+                    <div class="property-row">
+                        <label>Levels:</label>
+                        <input type="text" value="${this.selected_object.levels ? this.selected_object.levels.join(', ') : ''}" placeholder="auto"
+                               onchange="plotEditor.updateScalarFieldLevels(this.value)" style="width: 100%;">
                     </div>
                     <div class="property-row">
-                        <label>Text Font Family:</label>
-                        <select onchange="plotEditor.updateObjectProperty('text_font_family', this.value)" style="width: 100%;">
-                            <option value="Arial" ${(this.selected_object.text_font_family || 'Arial') === 'Arial' ? 'selected' : ''}>Arial</option>
-                            <option value="Helvetica" ${(this.selected_object.text_font_family || 'Arial') === 'Helvetica' ? 'selected' : ''}>Helvetica</option>
-                            <option value="Times New Roman" ${(this.selected_object.text_font_family || 'Arial') === 'Times New Roman' ? 'selected' : ''}>Times New Roman</option>
-                            <option value="Courier New" ${(this.selected_object.text_font_family || 'Arial') === 'Courier New' ? 'selected' : ''}>Courier New</option>
-                            <option value="Georgia" ${(this.selected_object.text_font_family || 'Arial') === 'Georgia' ? 'selected' : ''}>Georgia</option>
-                            <option value="Verdana" ${(this.selected_object.text_font_family || 'Arial') === 'Verdana' ? 'selected' : ''}>Verdana</option>
+                        <label>Auto Level Count:</label>
+                        <input type="number" min="1" max="50" step="1" value="${this.selected_object.level_count}"
+                               onchange="plotEditor.updateObjectProperty('level_count', Math.min(50, Math.max(1, parseInt(this.value) || 10)))">
+                    </div>`;
+                }
+                properties_html += `
+                    <div class="property-row">
+                        <label>Colormap:</label>
+                        <select onchange="plotEditor.updateObjectProperty('colormap', this.value)">
+                            <option value="viridis" ${this.selected_object.colormap === 'viridis' ? 'selected' : ''}>Viridis</option>
+                            <option value="coolwarm" ${this.selected_object.colormap === 'coolwarm' ? 'selected' : ''}>Cool-warm</option>
+                            <option value="grayscale" ${this.selected_object.colormap === 'grayscale' ? 'selected' : ''}>Grayscale</option>
                         </select>
                     </div>
                     <div class="property-row">
-                        <label>Coords Font Size:</label>
-                        <input type="number" min="6" max="24" value="${this.selected_object.coords_font_size || 10}" 
-                               onchange="plotEditor.updateObjectProperty('coords_font_size', parseInt(this.value))">
+                        <label>Resolution:</label>
+                        <input type="number" min="20" max="400" step="10" value="${this.selected_object.resolution}" 
+                               onchange="plotEditor.updateObjectProperty('resolution', parseInt(this.value))">
+                    </div>`;
+                if (field_mode === 'lines') {
+                    properties_html += `
+                    <div class="property-row">
+                        <label>Labels:</label>
+                        <input type="checkbox" ${this.selected_object.show_labels ? 'checked' : ''}
+                               onchange="plotEditor.updateObjectProperty('show_labels', this.checked)">
                     </div>
                     <div class="property-row">
-                        <label>Coords Font Family:</label>
-                        <select onchange="plotEditor.updateObjectProperty('coords_font_family', this.value)" style="width: 100%;">
-                            <option value="Arial" ${(this.selected_object.coords_font_family || 'Arial') === 'Arial' ? 'selected' : ''}>Arial</option>
-                            <option value="Helvetica" ${(this.selected_object.coords_font_family || 'Arial') === 'Helvetica' ? 'selected' : ''}>Helvetica</option>
-                            <option value="Times New Roman" ${(this.selected_object.coords_font_family || 'Arial') === 'Times New Roman' ? 'selected' : ''}>Times New Roman</option>
-                            <option value="Courier New" ${(this.selected_object.coords_font_family || 'Arial') === 'Courier New' ? 'selected' : ''}>Courier New</option>
-                            <option value="Georgia" ${(this.selected_object.coords_font_family || 'Arial') === 'Georgia' ? 'selected' : ''}>Georgia</option>
-                            <option value="Verdana" ${(this.selected_object.coords_font_family || 'Arial') === 'Verdana' ? 'selected' : ''}>Verdana</option>
-                        </select>
+                        <label>Width:</label>
+                        <input type="number" min="0.5" max="5" step="0.5" value="${this.selected_object.width}" 
+                               onchange="plotEditor.updateObjectProperty('width', parseFloat(this.value))">
+                    </div>`;
+                } else {
+                    properties_html += `
+                    <div class="property-row">
+                        <label>Color Bar:</label>
+                        <input type="checkbox" ${this.selected_object.show_color_bar ? 'checked' : ''}
+                               onchange="plotEditor.updateObjectProperty('show_color_bar', this.checked)">
                     </div>
+                    <div class="property-row">
+                        <label>Opacity:</label>
+                        <input type="number" min="0.1" max="1" step="0.1" value="${this.selected_object.opacity}" 
+                               onchange="plotEditor.updateObjectProperty('opacity', Math.min(1, Math.max(0.1, parseFloat(this.value) || 0.8)))">
+                    </div>`;
+                }
+                properties_html += `
                     <div class="property-row">
                         <label>Z-Index:</label>
                         <input type="number" value="${this.selected_object.z_index || 0}" 
                                onchange="plotEditor.updateObjectProperty('z_index', parseInt(this.value))">
                     </div>`;
                 break;
-            case 'line':
+            case 'tangent':
+                const tangent_geometry = this.isMathLibraryReady() ? this.getTangentGeometry(this.selected_object) : null;
                 properties_html += `
                     <div class="property-row">
-                        <label>X1:</label>
-                        <input type="number" step="0.1" value="${this.selected_object.x1}" 
-                               onchange="plotEditor.updateObjectProperty('x1', parseFloat(this.value))">
+                        <label>Function:</label>
+                        <select onchange="plotEditor.updateObjectProperty('function_id', this.value)" style="width: 100%;">
+                            ${this.findFunctionById(this.selected_object.function_id) ? '' : '<option value="" selected>(deleted)</option>'}
+                            ${this.getFunctionOptionsHTML(this.selected_object.function_id)}
+                        </select>
                     </div>
                     <div class="property-row">
-                        <label>Y1:</label>
-                        <input type="number" step="0.1" value="${this.selected_object.y1}" 
-                               onchange="plotEditor.updateObjectProperty('y1', parseFloat(this.value))">
+                        <label>Anchor x:</label>
+                        <input type="text" value="${this.selected_object.x0}"
+                               onchange="plotEditor.updateNumericProperty('x0', this.value)">
                     </div>
                     <div class="property-row">
-                        <label>X2:</label>
-                        <input type="number" step="0.1" value="${this.selected_object.x2}" 
-                               onchange="plotEditor.updateObjectProperty('x2', parseFloat(this.value))">
+                        <label>Slope:</label>
+                        <span>${tangent_geometry ? +tangent_geometry.slope.toFixed(6) : 'undefined'}</span>
                     </div>
                     <div class="property-row">
-                        <label>Y2:</label>
-                        <input type="number" step="0.1" value="${this.selected_object.y2}" 
-                               onchange="plotEditor.updateObjectProperty('y2', parseFloat(this.value))">
+                        <label>Show Slope:</label>
+                        <input type="checkbox" ${this.selected_object.show_slope ? 'checked' : ''}
+                               onchange="plotEditor.updateObjectProperty('show_slope', this.checked)">
                     </div>
                     <div class="property-row">
-                        <label>Width:</label>
-                        <input type="number" min="1" max="10" value="${this.selected_object.width}" 
-                               onchange="plotEditor.updateObjectProperty('width', parseInt(this.value))">
+                        <label>Show Normal:</label>
+                        <input type="checkbox" ${this.selected_object.show_normal ? 'checked' : ''}
+                               onchange="plotEditor.updateObjectProperty('show_normal', this.checked)">
                     </div>
                     <div class="property-row">
                         <label>Color:</label>
                         <input type="color" class="color-input" value="${this.selected_object.color}" 
                                onchange="plotEditor.updateObjectProperty('color', this.value)">
                     </div>
+                    <div class="property-row">
+                        <label>Width:</label>
+                        <input type="number" min="0.5" max="10" step="0.5" value="${this.selected_object.width}" 
+                               onchange="plotEditor.updateObjectProperty('width', parseFloat(this.value))">
+                    </div>
                     <div class="property-row">
                         <label>Z-Index:</label>
                         <input type="number" value="${this.selected_object.z_index || 0}" 
                                onchange="plotEditor.updateObjectProperty('z_index', parseInt(this.value))">
                     </div>`;
                 break;
-            case 'area':
-                properties_html += `
+            case 'function':
+                const function_x_min_display = this.selected_object.xMin !== null ? this.selected_object.xMin : '-∞';
+                const function_x_max_display = this.selected_object.xMax !== null ? this.selected_object.xMax : '∞';
+                if (this.selected_object.relation) {
+                    const linked_source = this.findFunctionById(this.selected_object.source_id);
+                    properties_html += `
                     <div class="property-row">
-                        <label>X1:</label>
-                        <input type="number" step="0.1" value="${this.selected_object.x1}" 
-                               onchange="plotEditor.updateObjectProperty('x1', parseFloat(this.value))">
+                        <label>${this.selected_object.relation === 'derivative' ? 'Derivative of:' : 'Antiderivative of:'}</label>
+                        <span>${linked_source ? `f(x) = ${this.escapeXML(linked_source.expression)}` : '(deleted function)'}</span>
                     </div>
                     <div class="property-row">
-                        <label>Y1:</label>
-                        <input type="number" step="0.1" value="${this.selected_object.y1}" 
-                               onchange="plotEditor.updateObjectProperty('y1', parseFloat(this.value))">
+                        <label>Expression:</label>
+                        <span>${this.escapeXML(this.selected_object.expression)}</span>
                     </div>
+                    ${this.selected_object.link_error ? `<div class="link-error">${this.escapeXML(this.selected_object.link_error)}</div>` : ''}`;
+                    if (this.selected_object.relation === 'antiderivative') {
+                        properties_html += `
                     <div class="property-row">
-                        <label>X2:</label>
-                        <input type="number" step="0.1" value="${this.selected_object.x2}" 
-                               onchange="plotEditor.updateObjectProperty('x2', parseFloat(this.value))">
+                        <label>Constant C:</label>
+                        <input type="text" value="${this.selected_object.constant}"
+                               onchange="plotEditor.updateNumericProperty('constant', this.value)">
                     </div>
                     <div class="property-row">
-                        <label>Y2:</label>
-                        <input type="number" step="0.1" value="${this.selected_object.y2}" 
-                               onchange="plotEditor.updateObjectProperty('y2', parseFloat(this.value))">
+                        <label>Lower Limit a:</label>
+                        <input type="text" value="${this.selected_object.lower_limit}"
+                               onchange="plotEditor.updateNumericProperty('lower_limit', this.value)">
+                    </div>`;
+                    }
+                } else {
+                    properties_html += `
+                    <div class="property-row">
+                        <label>Expression:</label>
+                        <input type="text" value="${this.escapeXML(this.selected_object.expression)}"
+                               onchange="plotEditor.updateObjectProperty('expression', this.value)" style="width: 100%;">
+                    </div>`;
+                }
+                properties_html += `
+                    <div class="property-row">
+                        <label>X Min:</label>
+                        <input type="text" value="${function_x_min_display}"
+                               onchange="plotEditor.updateObjectProperty('xMin', this.value === '-∞' || this.value === '' ? null : parseFloat(this.value))">
                     </div>
                     <div class="property-row">
-                        <label>Fill:</label>
-                        <input type="color" class="color-input" value="${this.selected_object.fill_color.substring(0, 7)}" 
-                               onchange="plotEditor.updateObjectProperty('fill_color', this.value + '50')">
+                        <label>X Max:</label>
+                        <input type="text" value="${function_x_max_display}"
+                               onchange="plotEditor.updateObjectProperty('xMax', this.value === '∞' || this.value === '' ? null : parseFloat(this.value))">
                     </div>
                     <div class="property-row">
-                        <label>Border:</label>
-                        <input type="color" class="color-input" value="${this.selected_object.border_color}" 
-                               onchange="plotEditor.updateObjectProperty('border_color', this.value)">
+                        <label>Color:</label>
+                        <input type="color" class="color-input" value="${this.selected_object.color}"
+                               onchange="plotEditor.updateObjectProperty('color', this.value)">
+                    </div>
+                    <div class="property-row">
+                        <label>Width:</label>
+                        <input type="number" min="1" max="20" step="1" value="${this.selected_object.width || 2}"
+                               onchange="plotEditor.updateObjectProperty('width', parseInt(this.value))">
                     </div>
                     <div class="property-row">
                         <label>Z-Index:</label>
-                        <input type="number" value="${this.selected_object.z_index || 0}" 
+                        <input type="number" value="${this.selected_object.z_index || 0}"
                                onchange="plotEditor.updateObjectProperty('z_index', parseInt(this.value))">
+                    </div>
+                    <div class="property-row">
+                        <button class="btn btn-secondary" onclick="plotEditor.addLinkedFunction('derivative')">Plot Derivative</button>
+                        ${this.selected_object.relation === 'antiderivative' ? '' :
+                          `<button class="btn btn-secondary" onclick="plotEditor.addLinkedFunction('antiderivative')">Plot Antiderivative</button>`}
+                    </div>
+                    <div class="property-row">
+                        <button class="btn btn-secondary" onclick="plotEditor.markFunctionFeatures('${this.selected_object.id}')">Mark Roots &amp; Extrema</button>
+                    </div>`;
+                const intersection_candidates = this.plot_objects.filter(obj =>
+                    obj !== this.selected_object && (obj.type === 'function' || obj.type === 'line'));
+                if (intersection_candidates.length > 0) {
+                    properties_html += `
+                    <div class="property-row">
+                        <label>Intersect With:</label>
+                        <select id="intersect-with">
+                            ${intersection_candidates.map(obj => `<option value="${obj.id}">${obj.type === 'function' ?
+                                `f(x) = ${this.escapeXML(obj.expression)}` :
+                                `Line (${+obj.x1.toFixed(2)}, ${+obj.y1.toFixed(2)}) → (${+obj.x2.toFixed(2)}, ${+obj.y2.toFixed(2)})`}</option>`).join('')}
+                        </select>
+                        <button class="btn btn-secondary" onclick="plotEditor.markIntersections('${this.selected_object.id}', document.getElementById('intersect-with').value)">Mark</button>
                     </div>`;
+                }
                 break;
-            case 'text':
+            case 'riemann':
                 properties_html += `
                     <div class="property-row">
-                        <label>X:</label>
-                        <input type="number" step="0.1" value="${this.selected_object.x}" 
-                               onchange="plotEditor.updateObjectProperty('x', parseFloat(this.value))">
+                        <label>Function:</label>
+                        <select onchange="plotEditor.updateObjectProperty('function_id', this.value)" style="width: 100%;">
+                            ${this.findFunctionById(this.selected_object.function_id) ? '' : '<option value="" selected>(deleted)</option>'}
+                            ${this.getFunctionOptionsHTML(this.selected_object.function_id)}
+                        </select>
                     </div>
                     <div class="property-row">
-                        <label>Y:</label>
-                        <input type="number" step="0.1" value="${this.selected_object.y}" 
-                               onchange="plotEditor.updateObjectProperty('y', parseFloat(this.value))">
+                        <label>Method:</label>
+                        <select onchange="plotEditor.updateObjectProperty('method', this.value)">
+                            ${['left', 'right', 'midpoint', 'trapezoid'].map(method =>
+                                `<option value="${method}" ${this.selected_object.method === method ? 'selected' : ''}>${method[0].toUpperCase() + method.slice(1)}</option>`).join('')}
+                        </select>
                     </div>
                     <div class="property-row">
-                        <label>Text:</label>
-                        <input type="text" value="${this.selected_object.text}" 
-                               onchange="plotEditor.updateObjectProperty('text', this.value)" style="width: 100%;">
+                        <label>Subintervals n:</label>
+                        <input type="number" min="1" max="1000" step="1" value="${this.selected_object.n}"
+                               oninput="plotEditor.previewRiemannCount(this.value)"
+                               onchange="plotEditor.updateRiemannCount(this.value)">
                     </div>
                     <div class="property-row">
-                        <label>Size:</label>
-                        <input type="number" min="8" max="48" value="${this.selected_object.font_size}" 
-                               onchange="plotEditor.updateObjectProperty('font_size', parseInt(this.value))">
+                        <label>A:</label>
+                        <input type="text" value="${this.selected_object.a}"
+                               onchange="plotEditor.updateNumericProperty('a', this.value)">
                     </div>
                     <div class="property-row">
-                        <label>Rotation (°):</label>
-                        <input type="number" min="-360" max="360" step="1" value="${this.selected_object.rotation || 0}" 
-                               onchange="plotEditor.updateObjectProperty('rotation', parseFloat(this.value))">
+                        <label>B:</label>
+                        <input type="text" value="${this.selected_object.b}"
+                               onchange="plotEditor.updateNumericProperty('b', this.value)">
                     </div>
                     <div class="property-row">
-                        <label>Color:</label>
-                        <input type="color" class="color-input" value="${this.selected_object.color}" 
-                               onchange="plotEditor.updateObjectProperty('color', this.value)">
+                        <label>Fill Color:</label>
+                        <input type="color" class="color-input" value="${this.selected_object.fill_color.substring(0, 7)}" 
+                               onchange="plotEditor.updateObjectProperty('fill_color', this.value + '${this.selected_object.fill_color.substring(7) || '50'}')">
+                    </div>
+                    <div class="property-row">
+                        <label>Border Color:</label>
+                        <input type="color" class="color-input" value="${this.selected_object.border_color}" 
+                               onchange="plotEditor.updateObjectProperty('border_color', this.value)">
+                    </div>
+                    <div class="property-row">
+                        <label>Show Value:</label>
+                        <input type="checkbox" ${this.selected_object.show_value ? 'checked' : ''} 
+                               onchange="plotEditor.updateObjectProperty('show_value', this.checked)">
                     </div>
                     <div class="property-row">
                         <label>Z-Index:</label>
@@ -4130,54 +11300,35 @@ class PlotEditor {
                                onchange="plotEditor.updateObjectProperty('z_index', parseInt(this.value))">
                     </div>`;
                 break;
-            case 'brace':
+            case 'piecewise':
                 properties_html += `
                     <div class="property-row">
-                        <label>X1:</label>
-                        <input type="number" step="0.1" value="${this.selected_object.x1}" 
-                               onchange="plotEditor.updateObjectProperty('x1', parseFloat(this.value))">
-                    </div>
-                    <div class="property-row">
-                        <label>Y1:</label>
-                        <input type="number" step="0.1" value="${this.selected_object.y1}" 
-                               onchange="plotEditor.updateObjectProperty('y1', parseFloat(this.value))">
-                    </div>
-                    <div class="property-row">
-                        <label>X2:</label>
-                        <input type="number" step="0.1" value="${this.selected_object.x2}" 
-                               onchange="plotEditor.updateObjectProperty('x2', parseFloat(this.value))">
+                        <label>Pieces:</label>
                     </div>
                     <div class="property-row">
-                        <label>Y2:</label>
-                        <input type="number" step="0.1" value="${this.selected_object.y2}" 
-                               onchange="plotEditor.updateObjectProperty('y2', parseFloat(this.value))">
+                        <textarea rows="${Math.max(3, this.selected_object.pieces.length + 1)}" style="width: 100%;"
+                                  onchange="plotEditor.updatePiecewisePieces(this.value)">${this.escapeXML(this.formatPiecewiseText(this.selected_object.pieces))}</textarea>
                     </div>
+                    ${this.getPiecewiseGeometry(this.selected_object).errors.map((error, index) => error ?
+                        `<div class="piece-error">Piece ${index + 1}: ${this.escapeXML(error)}</div>` : '').join('')}
                     <div class="property-row">
                         <label>Color:</label>
-                        <input type="color" class="color-input" value="${this.selected_object.color}" 
+                        <input type="color" class="color-input" value="${this.selected_object.color}"
                                onchange="plotEditor.updateObjectProperty('color', this.value)">
                     </div>
                     <div class="property-row">
-                        <label>Mirror:</label>
-                        <input type="checkbox" ${this.selected_object.mirrored ? 'checked' : ''} 
-                               onchange="plotEditor.updateObjectProperty('mirrored', this.checked)">
-                    </div>
-                    <div class="property-row">
-                        <label>Style:</label>
-                        <select onchange="plotEditor.updateObjectProperty('style', this.value)" style="width: 100%;">
-                            <option value="smooth" ${(this.selected_object.style || '45deg') === 'smooth' ? 'selected' : ''}>Smooth</option>
-                            <option value="traditional" ${(this.selected_object.style || '45deg') === 'traditional' ? 'selected' : ''}>Traditional</option>
-                            <option value="45deg" ${(this.selected_object.style || '45deg') === '45deg' ? 'selected' : ''}>45° (No Overlap)</option>
-                        </select>
+                        <label>Width:</label>
+                        <input type="number" min="1" max="20" step="1" value="${this.selected_object.width || 2}"
+                               onchange="plotEditor.updateObjectProperty('width', parseInt(this.value))">
                     </div>
                     <div class="property-row">
-                        <label>Elevation:</label>
-                        <input type="number" min="1" max="100" step="1" value="${this.selected_object.elevation || this.selected_object.width || 15}" 
-                               onchange="plotEditor.updateObjectProperty('elevation', parseFloat(this.value))">
+                        <label>Endpoint Markers:</label>
+                        <input type="checkbox" ${this.selected_object.show_endpoints ? 'checked' : ''}
+                               onchange="plotEditor.updateObjectProperty('show_endpoints', this.checked)">
                     </div>
                     <div class="property-row">
                         <label>Z-Index:</label>
-                        <input type="number" value="${this.selected_object.z_index || 0}" 
+                        <input type="number" value="${this.selected_object.z_index || 0}"
                                onchange="plotEditor.updateObjectProperty('z_index', parseInt(this.value))">
                     </div>`;
                 break;
@@ -4190,6 +11341,96 @@ class PlotEditor {
         properties_container.innerHTML = properties_html;
     }
 
+    /**
+     * Build vertex coordinate rows with insert/delete buttons
+     * @param {Object} shape - Polygon or polyline object
+     * @returns {string} HTML for the vertex list
+     */
+    getVertexRowsHTML(shape) {
+        let rows_html = '<div class="vertex-list">';
+        shape.points.forEach((vertex, index) => {
+            rows_html += `
+                    <div class="property-row vertex-row">
+                        <label>P${index + 1}:</label>
+                        <input type="number" step="0.1" value="${vertex.x}" title="X"
+                               onchange="plotEditor.updateVertex(${index}, 'x', parseFloat(this.value))">
+                        <input type="number" step="0.1" value="${vertex.y}" title="Y"
+                               onchange="plotEditor.updateVertex(${index}, 'y', parseFloat(this.value))">
+                        <button class="vertex-btn" title="Insert vertex after P${index + 1}" onclick="plotEditor.insertVertex(${index})">+</button>
+                        <button class="vertex-btn" title="Delete P${index + 1}" onclick="plotEditor.deleteVertex(${index})">✕</button>
+                    </div>`;
+        });
+        rows_html += '</div>';
+        return rows_html;
+    }
+
+    /**
+     * Build property rows shared by closed shapes (fill, border, dash, z-index)
+     * @param {Object} shape - Shape object with fill_color, border_color, border_width and dash_style
+     * @returns {string} HTML for the shared property rows
+     */
+    getShapeStyleRowsHTML(shape) {
+        const dash_style = shape.dash_style || 'solid';
+        return `
+                    <div class="property-row">
+                        <label>Filled:</label>
+                        <input type="checkbox" ${shape.filled !== false ? 'checked' : ''} 
+                               onchange="plotEditor.updateObjectProperty('filled', this.checked)">
+                    </div>
+                    <div class="property-row">
+                        <label>Fill:</label>
+                        <input type="color" class="color-input" value="${shape.fill_color.substring(0, 7)}" 
+                               onchange="plotEditor.updateObjectProperty('fill_color', this.value + '50')">
+                    </div>
+                    <div class="property-row">
+                        <label>Border:</label>
+                        <input type="color" class="color-input" value="${shape.border_color}" 
+                               onchange="plotEditor.updateObjectProperty('border_color', this.value)">
+                    </div>
+                    <div class="property-row">
+                        <label>Border Width:</label>
+                        <input type="number" min="0" max="10" value="${shape.border_width}" 
+                               onchange="plotEditor.updateObjectProperty('border_width', parseInt(this.value))">
+                    </div>
+                    <div class="property-row">
+                        <label>Dash:</label>
+                        <select onchange="plotEditor.updateObjectProperty('dash_style', this.value)" style="width: 100%;">
+                            <option value="solid" ${dash_style === 'solid' ? 'selected' : ''}>Solid</option>
+                            <option value="dashed" ${dash_style === 'dashed' ? 'selected' : ''}>Dashed</option>
+                            <option value="dotted" ${dash_style === 'dotted' ? 'selected' : ''}>Dotted</option>
+                            <option value="dashdot" ${dash_style === 'dashdot' ? 'selected' : ''}>Dash-Dot</option>
+                        </select>
+                    </div>
+                    <div class="property-row">
+                        <label>Z-Index:</label>
+                        <input type="number" value="${shape.z_index || 0}" 
+                               onchange="plotEditor.updateObjectProperty('z_index', parseInt(this.value))">
+                    </div>`;
+    }
+
+    /**
+     * Generate SVG for a parametric, polar or implicit curve
+     * @param {Object} curve - Parametric, polar or implicit curve object
+     * @returns {string} SVG path for the curve, one subpath per continuous segment
+     */
+    generateCurveSVG(curve) {
+        if (!this.isMathLibraryReady()) {
+            console.warn('Math library not ready, skipping curve SVG generation');
+            return '';
+        }
+
+        try {
+            const segments = this.getCurveCanvasSegments(curve);
+            if (segments.length === 0) return '';
+
+            const path_data = segments.map(segment => this.getSegmentPathData(segment)).join(' ');
+            return `\n<path d="${path_data}" stroke="${curve.color}" stroke-width="${curve.width}" stroke-linejoin="round" fill="none"/>`;
+        } catch (error) {
+            console.error('Error generating curve SVG:', error);
+            return '';
+        }
+    }
+
     /**
      * Generate SVG for a mathematical function
      * @param {Object} func - Function object
@@ -4204,88 +11445,9 @@ class PlotEditor {
         }
 
         try {
-            // Create a compiled function for better performance
-            const compiledFunction = this.math.compile(func.expression);
-
-            // Determine the actual x range to plot
-            const plot_x_min = func.xMin !== null ? func.xMin : this.plot_bounds.x_min;
-            const plot_x_max = func.xMax !== null ? func.xMax : this.plot_bounds.x_max;
-
-            // Calculate number of samples based on range
-            const range = plot_x_max - plot_x_min;
-            const samples = Math.min(Math.max(Math.floor(range * 50), 100), 2000); // 50 samples per unit, min 100, max 2000
-            const step = range / samples;
-
-            let paths = [];
-            let currentPath = '';
-            let firstPoint = true;
-            let lastValidPoint = null;
-            const maxJump = this.canvas.height * 0.2; // 20% of canvas height as discontinuity threshold
-
-            for (let i = 0; i <= samples; i++) {
-                const x = plot_x_min + i * step;
-
-                try {
-                    // Evaluate function at x
-                    const y = compiledFunction.evaluate({ x: x });
-
-                    if (isFinite(y)) {
-                        const canvasCoords = this.plotToCanvas(x, y);
-
-                        // Only include points within the effective plot area
-                        const effective_plot_area = this.getEffectivePlotArea();
-                        if (canvasCoords.x >= effective_plot_area.left &&
-                            canvasCoords.x <= effective_plot_area.right &&
-                            canvasCoords.y >= effective_plot_area.top &&
-                            canvasCoords.y <= effective_plot_area.bottom) {
-
-                            if (firstPoint) {
-                                currentPath += `M ${canvasCoords.x} ${canvasCoords.y}`;
-                                firstPoint = false;
-                            } else if (lastValidPoint !== null) {
-                                // Check for discontinuity (large jump in y)
-                                const lastCanvasCoords = this.plotToCanvas(lastValidPoint.x, lastValidPoint.y);
-                                const jump = Math.abs(canvasCoords.y - lastCanvasCoords.y);
-
-                                if (jump > maxJump) {
-                                    // Discontinuity detected - finish current path and start new one
-                                    if (currentPath) {
-                                        paths.push(`<path d="${currentPath}" stroke="${func.color}" stroke-width="${func.width}" fill="none"/>`);
-                                        currentPath = `M ${canvasCoords.x} ${canvasCoords.y}`;
-                                    }
-                                } else {
-                                    currentPath += ` L ${canvasCoords.x} ${canvasCoords.y}`;
-                                }
-                            } else {
-                                currentPath += ` L ${canvasCoords.x} ${canvasCoords.y}`;
-                            }
-
-                            lastValidPoint = { x, y };
-                        }
-                    } else {
-                        // Invalid point (Infinity, NaN) - finish current path
-                        if (currentPath) {
-                            paths.push(`<path d="${currentPath}" stroke="${func.color}" stroke-width="${func.width}" fill="none"/>`);
-                            currentPath = '';
-                            firstPoint = true;
-                        }
-                        lastValidPoint = null;
-                    }
-                } catch (error) {
-                    // Function evaluation error - finish current path
-                    if (currentPath) {
-                        paths.push(`<path d="${currentPath}" stroke="${func.color}" stroke-width="${func.width}" fill="none"/>`);
-                        currentPath = '';
-                        firstPoint = true;
-                    }
-                    lastValidPoint = null;
-                }
-            }
-
-            // Finish the final path
-            if (currentPath) {
-                paths.push(`<path d="${currentPath}" stroke="${func.color}" stroke-width="${func.width}" fill="none"/>`);
-            }
+            const segments = this.getCurveSegments(this.sampleFunction(func));
+            const paths = segments.map(segment =>
+                `<path d="${this.getSegmentPathData(segment)}" stroke="${func.color}" stroke-width="${func.width}" fill="none"/>`);
 
             return paths.join('\n            ');
 
@@ -37,7 +37,25 @@ function initializePlotEditor() {
 function setupUIEventListeners() {
     setupToolButtons();
     setupFunctionPanel();
+    setupParametricPanel();
+    setupPolarPanel();
+    setupPiecewisePanel();
+    setupImplicitPanel();
+    setupRegionPanel();
+    setupIntegralPanel();
+    setupRiemannPanel();
+    setupSeriesPanel();
+    setupBandPanel();
+    setupFitPanel();
+    setupBarsPanel();
+    setupHistogramPanel();
+    setupFieldPanel();
+    setupContourPanel();
+    setupTangentPanel();
     setupAxesControls();
+    setupParameterPanel();
+    setupAnimationControls();
+    setupDefinitionPanel();
     setupTopToolbar();
     setupKeyboardShortcuts();
     setupCollapsiblePanels();
@@ -116,6 +134,527 @@ function setupFunctionPanel() {
     }
 }
 
+/**
+ * Set up parametric curve panel event listeners
+ * side-effects: Adds click listener to the add curve button
+ */
+function setupParametricPanel() {
+    const add_parametric_btn = document.getElementById('add-parametric');
+    if (!add_parametric_btn) return;
+
+    add_parametric_btn.addEventListener('click', function() {
+        const x_expression = document.getElementById('parametric-x-expression').value.trim();
+        const y_expression = document.getElementById('parametric-y-expression').value.trim();
+        const t_min_input = document.getElementById('parametric-t-min').value;
+        const t_max_input = document.getElementById('parametric-t-max').value;
+        const samples = parseInt(document.getElementById('parametric-samples').value);
+        const color = document.getElementById('parametric-color').value;
+        const width = parseInt(document.getElementById('parametric-width').value);
+
+        // Range inputs accept constant expressions such as 2*pi
+        const t_min = g_plot_editor.evaluateNumberInput(t_min_input);
+        const t_max = g_plot_editor.evaluateNumberInput(t_max_input);
+
+        if (!x_expression || !y_expression) {
+            alert('Please enter expressions for both x(t) and y(t).');
+        } else if (isNaN(t_min) || isNaN(t_max) || t_min === t_max) {
+            alert('Please enter a valid t range.');
+        } else {
+            g_plot_editor.addParametric(x_expression, y_expression, t_min, t_max, samples || 500, color, width);
+            // Clear the form
+            document.getElementById('parametric-x-expression').value = '';
+            document.getElementById('parametric-y-expression').value = '';
+        }
+    });
+}
+
+/**
+ * Set up polar curve panel event listeners
+ * side-effects: Adds click listener to the add polar curve button
+ */
+function setupPolarPanel() {
+    const add_polar_btn = document.getElementById('add-polar');
+    if (!add_polar_btn) return;
+
+    add_polar_btn.addEventListener('click', function() {
+        const expression = document.getElementById('polar-expression').value.trim();
+        const theta_min = g_plot_editor.evaluateNumberInput(document.getElementById('polar-theta-min').value);
+        const theta_max = g_plot_editor.evaluateNumberInput(document.getElementById('polar-theta-max').value);
+        const samples = parseInt(document.getElementById('polar-samples').value);
+        const color = document.getElementById('polar-color').value;
+        const width = parseInt(document.getElementById('polar-width').value);
+
+        if (!expression) {
+            alert('Please enter an expression for r(θ).');
+        } else if (isNaN(theta_min) || isNaN(theta_max) || theta_min === theta_max) {
+            alert('Please enter a valid θ range.');
+        } else {
+            g_plot_editor.addPolar(expression, theta_min, theta_max, samples || 720, color, width);
+            // Clear the form
+            document.getElementById('polar-expression').value = '';
+        }
+    });
+}
+
+/**
+ * Set up piecewise function panel event listeners
+ * side-effects: Adds click listener to the add piecewise function button
+ */
+function setupPiecewisePanel() {
+    const add_piecewise_btn = document.getElementById('add-piecewise');
+    if (!add_piecewise_btn) return;
+
+    add_piecewise_btn.addEventListener('click', function() {
+        if (!g_plot_editor.isMathLibraryReady()) {
+            alert('Math library is still loading. Please try again in a moment.');
+            return;
+        }
+
+        let pieces;
+        try {
+            pieces = g_plot_editor.parsePiecewiseText(document.getElementById('piecewise-pieces').value);
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
+        const color = document.getElementById('piecewise-color').value;
+        const width = parseInt(document.getElementById('piecewise-width').value);
+        g_plot_editor.addPiecewise(pieces, color, width || 2);
+    });
+}
+
+/**
+ * Set up implicit curve panel event listeners
+ * side-effects: Adds click listener to the add implicit curve button
+ */
+function setupImplicitPanel() {
+    const add_implicit_btn = document.getElementById('add-implicit');
+    if (!add_implicit_btn) return;
+
+    add_implicit_btn.addEventListener('click', function() {
+        const equation = document.getElementById('implicit-equation').value.trim();
+        const resolution = parseInt(document.getElementById('implicit-resolution').value);
+        const color = document.getElementById('implicit-color').value;
+        const width = parseInt(document.getElementById('implicit-width').value);
+
+        if (equation) {
+            g_plot_editor.addImplicit(equation, resolution || 150, color, width);
+            // Clear the form
+            document.getElementById('implicit-equation').value = '';
+        } else {
+            alert('Please enter an equation in x and y.');
+        }
+    });
+}
+
+/**
+ * Set up inequality region panel event listeners
+ * side-effects: Adds click listener to the add region button
+ */
+function setupRegionPanel() {
+    const add_region_btn = document.getElementById('add-region');
+    if (!add_region_btn) return;
+
+    add_region_btn.addEventListener('click', function() {
+        const inequalities = g_plot_editor.parseInequalities(document.getElementById('region-inequalities').value);
+        const color = document.getElementById('region-color').value;
+        const hatch = document.getElementById('region-hatch').checked;
+
+        if (inequalities.length > 0) {
+            // Semi-transparent fill, solid hatch lines in the same hue
+            g_plot_editor.addRegion(inequalities, color + '40', hatch, color);
+            // Clear the form
+            document.getElementById('region-inequalities').value = '';
+        } else {
+            alert('Please enter at least one inequality in x and y.');
+        }
+    });
+}
+
+/**
+ * Set up integral region panel event listeners
+ * side-effects: Adds click listener to the add integral region button
+ */
+function setupIntegralPanel() {
+    const add_integral_btn = document.getElementById('add-integral');
+    if (!add_integral_btn) return;
+
+    add_integral_btn.addEventListener('click', function() {
+        const function_id = document.getElementById('integral-function').value;
+        const lower_function_id = document.getElementById('integral-lower-function').value || null;
+        const a = g_plot_editor.evaluateNumberInput(document.getElementById('integral-a').value);
+        const b = g_plot_editor.evaluateNumberInput(document.getElementById('integral-b').value);
+        const color = document.getElementById('integral-color').value;
+        const show_value = document.getElementById('integral-show-value').checked;
+
+        if (!function_id) {
+            alert('Please add a function to the plot first.');
+        } else if (isNaN(a) || isNaN(b) || a === b) {
+            alert('Please enter a valid interval.');
+        } else {
+            g_plot_editor.addIntegral(function_id, lower_function_id, a, b, color + '50', show_value);
+        }
+    });
+}
+
+/**
+ * Set up Riemann sum panel event listeners
+ * side-effects: Adds click listener to the add Riemann sum button
+ */
+function setupRiemannPanel() {
+    const add_riemann_btn = document.getElementById('add-riemann');
+    if (!add_riemann_btn) return;
+
+    add_riemann_btn.addEventListener('click', function() {
+        const function_id = document.getElementById('riemann-function').value;
+        const a = g_plot_editor.evaluateNumberInput(document.getElementById('riemann-a').value);
+        const b = g_plot_editor.evaluateNumberInput(document.getElementById('riemann-b').value);
+        const n = parseInt(document.getElementById('riemann-n').value);
+        const method = document.getElementById('riemann-method').value;
+        const color = document.getElementById('riemann-color').value;
+        const show_value = document.getElementById('riemann-show-value').checked;
+
+        if (!function_id) {
+            alert('Please add a function to the plot first.');
+        } else if (isNaN(a) || isNaN(b) || a === b) {
+            alert('Please enter a valid interval.');
+        } else if (!(n >= 1 && n <= 1000)) {
+            alert('Please enter between 1 and 1000 subintervals.');
+        } else {
+            g_plot_editor.addRiemannSum(function_id, a, b, n, method, color + '50', show_value);
+        }
+    });
+}
+
+/**
+ * Set up data series panel event listeners
+ * side-effects: Adds click listeners to the load file and add series buttons
+ */
+function setupSeriesPanel() {
+    const add_series_btn = document.getElementById('add-series');
+    const load_file_btn = document.getElementById('load-series-file');
+    if (!add_series_btn) return;
+
+    load_file_btn.addEventListener('click', function() {
+        const file_input = document.createElement('input');
+        file_input.type = 'file';
+        file_input.accept = '.csv,.tsv,.txt';
+
+        file_input.addEventListener('change', function(event) {
+            const file = event.target.files[0];
+            if (file) {
+                const reader = new FileReader();
+                reader.onload = function(e) {
+                    document.getElementById('series-data').value = e.target.result;
+                    if (!document.getElementById('series-name').value) {
+                        document.getElementById('series-name').value = file.name.replace(/\.[^.]+$/, '');
+                    }
+                };
+                reader.readAsText(file);
+            }
+        });
+
+        file_input.click();
+    });
+
+    add_series_btn.addEventListener('click', function() {
+        const parsed = g_plot_editor.parseDataText(document.getElementById('series-data').value);
+
+        if (parsed.points.length === 0) {
+            alert('No numeric x, y rows found in the data.');
+            return;
+        }
+        if (parsed.skipped_lines > 0) {
+            alert(`${parsed.skipped_lines} line(s) without two numeric columns were skipped.`);
+        }
+
+        g_plot_editor.addSeries(parsed.points, {
+            name: document.getElementById('series-name').value.trim() || parsed.name,
+            style: document.getElementById('series-style').value,
+            marker_shape: document.getElementById('series-marker').value,
+            marker_size: parseInt(document.getElementById('series-marker-size').value),
+            color: document.getElementById('series-color').value
+        });
+        // Clear the form
+        document.getElementById('series-data').value = '';
+        document.getElementById('series-name').value = '';
+    });
+}
+
+/**
+ * Set up confidence band panel event listeners
+ * side-effects: Adds listeners to the band source select and add band button
+ */
+function setupBandPanel() {
+    const add_band_btn = document.getElementById('add-band');
+    const source_select = document.getElementById('band-source');
+    if (!add_band_btn) return;
+
+    source_select.addEventListener('change', function() {
+        const use_data = this.value === 'data';
+        document.getElementById('band-expression-inputs').style.display = use_data ? 'none' : 'block';
+        document.getElementById('band-data-inputs').style.display = use_data ? 'block' : 'none';
+    });
+
+    add_band_btn.addEventListener('click', function() {
+        const color = document.getElementById('band-color').value + '40';
+
+        if (source_select.value === 'data') {
+            const parsed = g_plot_editor.parseDataText(document.getElementById('band-data').value, ['x', 'lower', 'upper']);
+            if (parsed.points.length < 2) {
+                alert('Please enter at least two numeric x, lower, upper rows.');
+                return;
+            }
+            g_plot_editor.addBand({ source: 'data', data: parsed.points }, color);
+            document.getElementById('band-data').value = '';
+            return;
+        }
+
+        const lower_expression = document.getElementById('band-lower').value.trim();
+        const upper_expression = document.getElementById('band-upper').value.trim();
+        const x_min_input = document.getElementById('band-x-min').value.trim();
+        const x_max_input = document.getElementById('band-x-max').value.trim();
+
+        // Parse x range, handling infinity like the function panel
+        const x_min = (x_min_input === '-∞' || x_min_input === '-inf' || x_min_input === '') ? null : parseFloat(x_min_input);
+        const x_max = (x_max_input === '∞' || x_max_input === 'inf' || x_max_input === '') ? null : parseFloat(x_max_input);
+
+        if (lower_expression && upper_expression) {
+            g_plot_editor.addBand({ source: 'expressions', lower_expression, upper_expression, x_min, x_max }, color);
+            document.getElementById('band-lower').value = '';
+            document.getElementById('band-upper').value = '';
+        } else {
+            alert('Please enter both a lower and an upper bound expression.');
+        }
+    });
+}
+
+/**
+ * Set up curve fitting panel event listeners
+ * side-effects: Adds listeners to the fit source, model and fit curve controls
+ */
+function setupFitPanel() {
+    const add_fit_btn = document.getElementById('add-fit');
+    if (!add_fit_btn) return;
+
+    document.getElementById('fit-source').addEventListener('change', function() {
+        document.getElementById('fit-points').style.display = this.value === 'points' ? 'block' : 'none';
+    });
+
+    document.getElementById('fit-model').addEventListener('change', function() {
+        document.getElementById('fit-degree-group').style.display = this.value === 'polynomial' ? 'block' : 'none';
+    });
+
+    add_fit_btn.addEventListener('click', function() {
+        const source = document.getElementById('fit-source').value;
+        let points;
+
+        if (source === 'points') {
+            const checked_ids = Array.from(document.querySelectorAll('#fit-points input:checked')).map(input => input.value);
+            points = g_plot_editor.plot_objects
+                .filter(obj => obj.type === 'point' && checked_ids.includes(obj.id))
+                .map(point => ({ x: point.x, y: point.y }));
+        } else {
+            const series = g_plot_editor.plot_objects.find(obj => obj.id === source);
+            points = series ? series.points : [];
+        }
+
+        try {
+            g_plot_editor.addFit(
+                points,
+                document.getElementById('fit-model').value,
+                parseInt(document.getElementById('fit-degree').value),
+                document.getElementById('fit-show-equation').checked,
+                document.getElementById('fit-color').value
+            );
+        } catch (error) {
+            alert(error.message);
+        }
+    });
+}
+
+/**
+ * Set up bar chart panel event listeners
+ * side-effects: Adds click listener to the add bar chart button
+ */
+function setupBarsPanel() {
+    const add_bars_btn = document.getElementById('add-bars');
+    if (!add_bars_btn) return;
+
+    add_bars_btn.addEventListener('click', function() {
+        const x_mode = document.getElementById('bars-x-mode').value;
+        const bars = g_plot_editor.parseBarText(document.getElementById('bars-data').value, x_mode);
+        const bar_width = parseFloat(document.getElementById('bars-width').value);
+
+        if (bars.length === 0) {
+            alert(x_mode === 'categorical' ? 'Please enter "label, height" rows.' : 'Please enter "x, height" rows.');
+            return;
+        }
+        if (!(bar_width > 0)) {
+            alert('Please enter a positive bar width.');
+            return;
+        }
+
+        const color = document.getElementById('bars-color').value;
+        g_plot_editor.addBarChart(bars, x_mode, { bar_width, fill_color: color + '80', border_color: color });
+        document.getElementById('bars-data').value = '';
+    });
+}
+
+/**
+ * Set up histogram panel event listeners
+ * side-effects: Adds listeners to the bin mode select and add histogram button
+ */
+function setupHistogramPanel() {
+    const add_histogram_btn = document.getElementById('add-histogram');
+    const bin_mode_select = document.getElementById('histogram-bin-mode');
+    if (!add_histogram_btn) return;
+
+    bin_mode_select.addEventListener('change', function() {
+        document.getElementById('histogram-bin-count-group').style.display = this.value === 'count' ? 'block' : 'none';
+        document.getElementById('histogram-bin-width-group').style.display = this.value === 'width' ? 'block' : 'none';
+    });
+
+    add_histogram_btn.addEventListener('click', function() {
+        const values = g_plot_editor.parseValueList(document.getElementById('histogram-values').value);
+        const bin_count = parseInt(document.getElementById('histogram-bin-count').value);
+        const bin_width = g_plot_editor.evaluateNumberInput(document.getElementById('histogram-bin-width').value);
+
+        if (values.length === 0) {
+            alert('Please enter some numeric values.');
+            return;
+        }
+        if (bin_mode_select.value === 'count' ? !(bin_count >= 1) : !(bin_width > 0)) {
+            alert('Please enter a positive bin count or width.');
+            return;
+        }
+
+        const color = document.getElementById('histogram-color').value;
+        g_plot_editor.addHistogram(values, {
+            bin_mode: bin_mode_select.value,
+            bin_count: bin_count,
+            bin_width: bin_width,
+            fill_color: color + '80',
+            border_color: color
+        });
+        document.getElementById('histogram-values').value = '';
+    });
+}
+
+/**
+ * Set up slope/vector field panel event listeners
+ * side-effects: Adds listeners to the field type select and add field button
+ */
+function setupFieldPanel() {
+    const add_field_btn = document.getElementById('add-field');
+    const type_select = document.getElementById('field-type');
+    if (!add_field_btn) return;
+
+    type_select.addEventListener('change', function() {
+        document.getElementById('field-slope-inputs').style.display = this.value === 'slope_field' ? 'block' : 'none';
+        document.getElementById('field-vector-inputs').style.display = this.value === 'vector_field' ? 'block' : 'none';
+    });
+
+    add_field_btn.addEventListener('click', function() {
+        const density = parseInt(document.getElementById('field-density').value);
+        const scale = parseFloat(document.getElementById('field-scale').value);
+        const options = {
+            density: Math.min(80, Math.max(2, density || 20)),
+            scale: scale > 0 ? scale : 1,
+            normalize: document.getElementById('field-normalize').checked,
+            color: document.getElementById('field-color').value
+        };
+
+        if (type_select.value === 'slope_field') {
+            const expression = document.getElementById('field-expression').value.trim();
+            if (!expression) {
+                alert('Please enter an expression for dy/dx.');
+                return;
+            }
+            g_plot_editor.addField({ type: 'slope_field', expression }, options);
+        } else {
+            const p_expression = document.getElementById('field-p-expression').value.trim();
+            const q_expression = document.getElementById('field-q-expression').value.trim();
+            if (!p_expression || !q_expression) {
+                alert('Please enter both P(x, y) and Q(x, y).');
+                return;
+            }
+            g_plot_editor.addField({ type: 'vector_field', p_expression, q_expression }, options);
+        }
+    });
+}
+
+/**
+ * Set up contour plot panel event listeners
+ * side-effects: Adds click listener to the add contour plot button
+ */
+function setupContourPanel() {
+    const add_contour_btn = document.getElementById('add-contour');
+    if (!add_contour_btn) return;
+
+    add_contour_btn.addEventListener('click', function() {
+        const expression = document.getElementById('contour-expression').value.trim();
+        const levels = g_plot_editor.parseLevelsInput(document.getElementById('contour-levels').value);
+
+        if (!expression) {
+            alert('Please enter an expression f(x, y).');
+            return;
+        }
+        if (levels === undefined) {
+            alert('Please enter comma-separated levels, or leave them empty for automatic levels.');
+            return;
+        }
+
+        g_plot_editor.addScalarField(expression, document.getElementById('contour-mode').value, {
+            levels: levels,
+            colormap: document.getElementById('contour-colormap').value
+        });
+    });
+}
+
+/**
+ * Set up tangent panel event listeners
+ * side-effects: Adds click listener to the add tangent button
+ */
+function setupTangentPanel() {
+    const add_tangent_btn = document.getElementById('add-tangent');
+    if (!add_tangent_btn) return;
+
+    add_tangent_btn.addEventListener('click', function() {
+        const x0 = g_plot_editor.evaluateNumberInput(document.getElementById('tangent-x').value);
+        if (isNaN(x0)) {
+            alert('Please enter a valid x position.');
+            return;
+        }
+        g_plot_editor.addTangentAtClick({ x: x0, y: 0 });
+    });
+}
+
+/**
+ * Fill the curve fitting panel's data source selector and point list
+ * side-effects: Replaces the fit source options and point checkboxes
+ */
+function populateFitSources() {
+    const source_select = document.getElementById('fit-source');
+    const points_container = document.getElementById('fit-points');
+
+    source_select.innerHTML = g_plot_editor.getFitSourceOptionsHTML();
+    points_container.innerHTML = g_plot_editor.getPointChecklistHTML();
+    points_container.style.display = source_select.value === 'points' ? 'block' : 'none';
+}
+
+/**
+ * Fill the integral panel's function selectors with the current function objects
+ * side-effects: Replaces options of the integral function selects
+ */
+function populateIntegralFunctionSelects() {
+    const function_select = document.getElementById('integral-function');
+    const lower_select = document.getElementById('integral-lower-function');
+
+    function_select.innerHTML = g_plot_editor.getFunctionOptionsHTML(null);
+    lower_select.innerHTML = '<option value="">x-axis</option>' + g_plot_editor.getFunctionOptionsHTML(null);
+}
+
 /**
  * Set up axes control event listeners
  * side-effects: Adds change listeners to axes input fields
@@ -143,11 +682,124 @@ function setupAxesControls() {
     const grid_checkbox = document.getElementById('show-grid');
     grid_checkbox.addEventListener('change', updateAxesFromUI);
     
+    // Function tracing toggle
+    const trace_checkbox = document.getElementById('trace-functions');
+    trace_checkbox.addEventListener('change', function() {
+        g_plot_editor.setTraceEnabled(this.checked);
+    });
+    
     // Aspect ratio
     const aspect_ratio_input = document.getElementById('aspect-ratio');
     aspect_ratio_input.addEventListener('change', updateAxesFromUI);
 }
 
+/**
+ * Set up parameter panel event listeners
+ * side-effects: Adds listeners to the new parameter name input and add button
+ */
+function setupParameterPanel() {
+    const name_input = document.getElementById('parameter-name');
+    const add_parameter_btn = document.getElementById('add-parameter');
+
+    const addParameter = function() {
+        if (g_plot_editor.addParameter(name_input.value)) {
+            name_input.value = '';
+        }
+    };
+    add_parameter_btn.addEventListener('click', addParameter);
+    name_input.addEventListener('keydown', function(event) {
+        if (event.key === 'Enter') {
+            addParameter();
+        }
+    });
+}
+
+/**
+ * Set up definition panel event listeners
+ * side-effects: Adds listeners to the new definition input and add button
+ */
+function setupDefinitionPanel() {
+    const text_input = document.getElementById('definition-text');
+    const add_definition_btn = document.getElementById('add-definition');
+
+    const addDefinition = function() {
+        if (g_plot_editor.addDefinition(text_input.value)) {
+            text_input.value = '';
+        }
+    };
+    add_definition_btn.addEventListener('click', addDefinition);
+    text_input.addEventListener('keydown', function(event) {
+        if (event.key === 'Enter') {
+            addDefinition();
+        }
+    });
+}
+
+/**
+ * Read the animation settings from the parameter panel
+ * @returns {Object|null} {name, from, to, fps, mode}, or null after alerting about invalid input
+ */
+function getAnimationSettings() {
+    const name = document.getElementById('animation-parameter').value;
+    const parameter = g_plot_editor.parameters.find(parameter => parameter.name === name);
+    if (!parameter) {
+        alert('Please add a parameter to animate first.');
+        return null;
+    }
+
+    const from_text = document.getElementById('animation-from').value.trim();
+    const to_text = document.getElementById('animation-to').value.trim();
+    const from = from_text === '' ? parameter.min : g_plot_editor.evaluateNumberInput(from_text);
+    const to = to_text === '' ? parameter.max : g_plot_editor.evaluateNumberInput(to_text);
+    const fps = parseInt(document.getElementById('animation-fps').value);
+
+    if (isNaN(from) || isNaN(to) || from === to) {
+        alert('Please enter a valid animation range.');
+        return null;
+    }
+    if (!(fps >= 1 && fps <= 60)) {
+        alert('Please enter a frame rate between 1 and 60 fps.');
+        return null;
+    }
+    return { name, from, to, fps, mode: document.getElementById('animation-mode').value };
+}
+
+/**
+ * Set up parameter animation event listeners
+ * side-effects: Adds click listeners to the play and export animation buttons
+ */
+function setupAnimationControls() {
+    const play_button = document.getElementById('play-animation');
+    const export_button = document.getElementById('export-animation');
+
+    play_button.addEventListener('click', function() {
+        if (g_plot_editor.isAnimating()) {
+            g_plot_editor.stopAnimation();
+            return;
+        }
+
+        const settings = getAnimationSettings();
+        if (!settings) return;
+        settings.on_stop = function() {
+            play_button.textContent = '▶ Play';
+        };
+        g_plot_editor.startAnimation(settings);
+        play_button.textContent = '■ Stop';
+    });
+
+    export_button.addEventListener('click', function() {
+        const settings = getAnimationSettings();
+        if (!settings) return;
+
+        g_plot_editor.stopAnimation();
+        if (document.getElementById('animation-format').value === 'webm') {
+            exportAnimationAsWebM(settings);
+        } else {
+            exportAnimationAsZip(settings);
+        }
+    });
+}
+
 /**
  * Set up top toolbar event listeners
  * side-effects: Adds click listeners to toolbar buttons
@@ -230,6 +882,16 @@ function setupKeyboardShortcuts() {
                     selectTool('function');
                     setActiveToolByName('function');
                     break;
+                case '8':
+                    event.preventDefault();
+                    selectTool('arrow');
+                    setActiveToolByName('arrow');
+                    break;
+                case '9':
+                    event.preventDefault();
+                    selectTool('circle');
+                    setActiveToolByName('circle');
+                    break;
             }
         }
     });
@@ -242,12 +904,58 @@ function setupKeyboardShortcuts() {
  */
 function updateToolPanelVisibility(tool_name) {
     const function_panel = document.getElementById('function-panel');
+    const parametric_panel = document.getElementById('parametric-panel');
+    const polar_panel = document.getElementById('polar-panel');
+    const piecewise_panel = document.getElementById('piecewise-panel');
+    const implicit_panel = document.getElementById('implicit-panel');
+    const region_panel = document.getElementById('region-panel');
+    const integral_panel = document.getElementById('integral-panel');
+    const riemann_panel = document.getElementById('riemann-panel');
+    const series_panel = document.getElementById('series-panel');
+    const band_panel = document.getElementById('band-panel');
+    const fit_panel = document.getElementById('fit-panel');
+    const bars_panel = document.getElementById('bars-panel');
+    const histogram_panel = document.getElementById('histogram-panel');
+    const field_panel = document.getElementById('field-panel');
+    const ode_panel = document.getElementById('ode-panel');
+    const contour_panel = document.getElementById('contour-panel');
+    const tangent_panel = document.getElementById('tangent-panel');
 
     if (tool_name === 'function') {
         function_panel.style.display = 'block';
     } else {
         function_panel.style.display = 'none';
     }
+
+    parametric_panel.style.display = tool_name === 'parametric' ? 'block' : 'none';
+    polar_panel.style.display = tool_name === 'polar' ? 'block' : 'none';
+    piecewise_panel.style.display = tool_name === 'piecewise' ? 'block' : 'none';
+    implicit_panel.style.display = tool_name === 'implicit' ? 'block' : 'none';
+    region_panel.style.display = tool_name === 'region' ? 'block' : 'none';
+    integral_panel.style.display = tool_name === 'integral' ? 'block' : 'none';
+    riemann_panel.style.display = tool_name === 'riemann' ? 'block' : 'none';
+    series_panel.style.display = tool_name === 'series' ? 'block' : 'none';
+    band_panel.style.display = tool_name === 'band' ? 'block' : 'none';
+    fit_panel.style.display = tool_name === 'fit' ? 'block' : 'none';
+    bars_panel.style.display = tool_name === 'bars' ? 'block' : 'none';
+    histogram_panel.style.display = tool_name === 'histogram' ? 'block' : 'none';
+    field_panel.style.display = tool_name === 'field' ? 'block' : 'none';
+    ode_panel.style.display = tool_name === 'ode' ? 'block' : 'none';
+    contour_panel.style.display = tool_name === 'contour' ? 'block' : 'none';
+    tangent_panel.style.display = tool_name === 'tangent' ? 'block' : 'none';
+
+    if (tool_name === 'integral') {
+        populateIntegralFunctionSelects();
+    }
+    if (tool_name === 'riemann') {
+        document.getElementById('riemann-function').innerHTML = g_plot_editor.getFunctionOptionsHTML(null);
+    }
+    if (tool_name === 'fit') {
+        populateFitSources();
+    }
+    if (tool_name === 'tangent') {
+        document.getElementById('tangent-function').innerHTML = g_plot_editor.getFunctionOptionsHTML(null);
+    }
 }
 
 /**
@@ -281,6 +989,14 @@ function updateCanvasCursor(tool_name) {
             break;
         case 'line':
         case 'area':
+        case 'arrow':
+        case 'circle':
+        case 'ellipse':
+        case 'arc':
+        case 'polygon':
+        case 'polyline':
+        case 'ode':
+        case 'tangent':
             canvas_element.style.cursor = 'crosshair';
             break;
         case 'text':
@@ -417,6 +1133,187 @@ function exportPlotAsSVG() {
     URL.revokeObjectURL(link_element.href);
 }
 
+/**
+ * Compute the CRC-32 checksum used by ZIP archives
+ * @param {Uint8Array} bytes - Data to check
+ * @returns {number} Unsigned checksum
+ */
+function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc ^= bytes[i];
+        for (let bit = 0; bit < 8; bit++) {
+            crc = (crc >>> 1) ^ (0xEDB88320 & -(crc & 1));
+        }
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Pack files into an uncompressed ZIP archive
+ * @param {Array<Object>} files - Files {name, data: Uint8Array}
+ * @returns {Blob} ZIP archive
+ */
+function createZipBlob(files) {
+    const encoder = new TextEncoder();
+    const local_parts = [];
+    const central_parts = [];
+    const dos_date = (1 << 5) | 1; // 1980-01-01; frames carry no meaningful timestamp
+    let offset = 0;
+    let central_size = 0;
+
+    for (const file of files) {
+        const name = encoder.encode(file.name);
+        const crc = crc32(file.data);
+
+        const local_header = new DataView(new ArrayBuffer(30));
+        local_header.setUint32(0, 0x04034B50, true); // Local file header signature
+        local_header.setUint16(4, 20, true); // Version needed to extract
+        local_header.setUint16(12, dos_date, true);
+        local_header.setUint32(14, crc, true);
+        local_header.setUint32(18, file.data.length, true); // Compressed size (stored)
+        local_header.setUint32(22, file.data.length, true);
+        local_header.setUint16(26, name.length, true);
+        local_parts.push(local_header, name, file.data);
+
+        const central_header = new DataView(new ArrayBuffer(46));
+        central_header.setUint32(0, 0x02014B50, true); // Central directory header signature
+        central_header.setUint16(4, 20, true); // Version made by
+        central_header.setUint16(6, 20, true); // Version needed to extract
+        central_header.setUint16(14, dos_date, true);
+        central_header.setUint32(16, crc, true);
+        central_header.setUint32(20, file.data.length, true);
+        central_header.setUint32(24, file.data.length, true);
+        central_header.setUint16(28, name.length, true);
+        central_header.setUint32(42, offset, true); // Offset of the local header
+        central_parts.push(central_header, name);
+
+        offset += 30 + name.length + file.data.length;
+        central_size += 46 + name.length;
+    }
+
+    const end_record = new DataView(new ArrayBuffer(22));
+    end_record.setUint32(0, 0x06054B50, true); // End of central directory signature
+    end_record.setUint16(8, files.length, true);
+    end_record.setUint16(10, files.length, true);
+    end_record.setUint32(12, central_size, true);
+    end_record.setUint32(16, offset, true);
+
+    return new Blob([...local_parts, ...central_parts, end_record], { type: 'application/zip' });
+}
+
+/**
+ * Export one pass of a parameter animation as numbered PNG frames in a ZIP archive
+ * @param {Object} settings - Animation settings {name, from, to, fps, mode}
+ * side-effects: Renders each frame on the canvas, downloads the archive, restores the parameter value
+ */
+function exportAnimationAsZip(settings) {
+    const canvas_element = document.getElementById('plot-canvas');
+    const parameter = g_plot_editor.parameters.find(parameter => parameter.name === settings.name);
+    const original_value = parameter.value;
+    const values = g_plot_editor.getAnimationValues(settings);
+    const digits = String(values.length).length;
+
+    const files = values.map((value, index) => {
+        g_plot_editor.setParameterValue(settings.name, value);
+        const base64 = canvas_element.toDataURL('image/png').split(',')[1];
+        const binary = atob(base64);
+        const data = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            data[i] = binary.charCodeAt(i);
+        }
+        return { name: `frame_${String(index + 1).padStart(digits, '0')}.png`, data };
+    });
+    g_plot_editor.setParameterValue(settings.name, original_value);
+
+    const link_element = document.createElement('a');
+    link_element.download = `animation_${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}.zip`;
+    link_element.href = URL.createObjectURL(createZipBlob(files));
+
+    // Trigger download
+    document.body.appendChild(link_element);
+    link_element.click();
+    document.body.removeChild(link_element);
+
+    URL.revokeObjectURL(link_element.href);
+}
+
+/**
+ * Export one pass of a parameter animation as a WebM video recorded from the canvas in real time
+ * @param {Object} settings - Animation settings {name, from, to, fps, mode}
+ * side-effects: Plays the frames on the canvas at the frame rate, downloads the video, restores the parameter value;
+ *               alerts and discards the recording if a frame fails (e.g. the parameter was removed meanwhile)
+ */
+function exportAnimationAsWebM(settings) {
+    const canvas_element = document.getElementById('plot-canvas');
+    if (typeof MediaRecorder === 'undefined' || !canvas_element.captureStream ||
+        !MediaRecorder.isTypeSupported('video/webm')) {
+        alert('This browser cannot record WebM video. Please export PNG frames instead.');
+        return;
+    }
+
+    const parameter = g_plot_editor.parameters.find(parameter => parameter.name === settings.name);
+    const original_value = parameter.value;
+    const values = g_plot_editor.getAnimationValues(settings);
+    const export_button = document.getElementById('export-animation');
+
+    const stream = canvas_element.captureStream(settings.fps);
+    const recorder = new MediaRecorder(stream, { mimeType: 'video/webm' });
+    const chunks = [];
+    let frame_error = null;
+
+    recorder.addEventListener('dataavailable', function(event) {
+        if (event.data.size > 0) {
+            chunks.push(event.data);
+        }
+    });
+    recorder.addEventListener('stop', function() {
+        stream.getTracks().forEach(track => track.stop());
+        export_button.disabled = false;
+        if (g_plot_editor.parameters.some(parameter => parameter.name === settings.name)) {
+            g_plot_editor.setParameterValue(settings.name, original_value);
+        }
+        if (frame_error !== null) {
+            alert(`Video export stopped: ${frame_error.message}`);
+            return;
+        }
+
+        const link_element = document.createElement('a');
+        link_element.download = `animation_${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}.webm`;
+        link_element.href = URL.createObjectURL(new Blob(chunks, { type: 'video/webm' }));
+
+        // Trigger download
+        document.body.appendChild(link_element);
+        link_element.click();
+        document.body.removeChild(link_element);
+
+        URL.revokeObjectURL(link_element.href);
+    });
+
+    // Draw the frames at the frame rate while recording
+    export_button.disabled = true;
+    let index = 0;
+    g_plot_editor.setParameterValue(settings.name, values[index++]);
+    recorder.start();
+    const timer = setInterval(function() {
+        try {
+            if (index >= values.length) {
+                clearInterval(timer);
+                recorder.stop();
+                return;
+            }
+            g_plot_editor.setParameterValue(settings.name, values[index++]);
+        } catch (error) {
+            console.error('Error recording animation frame:', error);
+            clearInterval(timer);
+            frame_error = error;
+            if (recorder.state !== 'inactive') {
+                recorder.stop();
+            }
+        }
+    }, 1000 / settings.fps);
+}
+
 /**
  * Utility function to create plot data structure for saving/loading
  * @returns {Object} Plot data object containing all plot information
@@ -432,7 +1329,7 @@ function getPlotData() {
         if (obj.type === 'function') {
             // Keep only the essential properties that can be serialized
             // The compiled function will be recreated when loading
-            return {
+            const function_data = {
                 type: obj.type,
                 id: obj.id,
                 expression: obj.expression,
@@ -442,6 +1339,24 @@ function getPlotData() {
                 width: obj.width,
                 z_index: obj.z_index
             };
+            
+            // Derivative and antiderivative companions keep their link to the source function
+            if (obj.relation) {
+                function_data.source_id = obj.source_id;
+                function_data.relation = obj.relation;
+            }
+            if (obj.differentiand !== undefined) {
+                function_data.differentiand = obj.differentiand;
+            }
+            if (obj.link_error) {
+                function_data.link_error = obj.link_error;
+            }
+            if (obj.relation === 'antiderivative') {
+                function_data.integrand = obj.integrand;
+                function_data.constant = obj.constant;
+                function_data.lower_limit = obj.lower_limit;
+            }
+            return function_data;
         }
 
         return serializable_obj;
@@ -451,6 +1366,8 @@ function getPlotData() {
         version: '1.0',
         plot_bounds: g_plot_editor.plot_bounds,
         axes_properties: g_plot_editor.axes_properties,
+        parameters: g_plot_editor.parameters,
+        definitions: g_plot_editor.definitions,
         objects: serializable_objects,
         timestamp: new Date().toISOString()
     };
@@ -488,6 +1405,10 @@ function loadPlotData(plot_data) {
         document.getElementById('aspect-ratio').value = plot_data.axes_properties.aspect_ratio || 1.0;
     }
     
+    // Plots saved before parameters and definitions existed have none
+    g_plot_editor.setParameters(plot_data.parameters || []);
+    g_plot_editor.setDefinitions(plot_data.definitions || []);
+    
     // Load objects
     if (plot_data.objects) {
         g_plot_editor.plot_objects = plot_data.objects;